@@ -0,0 +1,110 @@
+/* ══════════════════════════════════════════════════════════
+   admin-audit.js — Audit trail لكل تعديل من الأدمن
+
+   كل route بيعدّل حاجة بياخد audit(entity, { snapshot }) بعد adminAuth:
+
+     app.put("/admin/faq/:id", adminAuth("content"),
+       audit("faq", { snapshot: rowSnapshot("faq") }), handler)
+
+   - snapshot(req) بيتنادى قبل الـ handler (before) وبعد ما الرد يخلص (after)
+   - من غير snapshot: الـ after = الرد نفسه (أو data اللي فيه)
+   - الصف بيتكتب في admin_audit_log بعد الرد — فشل الكتابة مش بيأثر على الـ request
+
+   الصف: actor + method + route + entity + target_id + before/after + request
+   (من غير passwords/tokens) + status + created_at
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const SECRET_FIELDS = ["password", "password_hash", "token", "accessToken", "access_token", "driveToken", "admin"];
+const MAX_SNAPSHOT_CHARS = 50000;
+
+// ─── redact ───
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object") return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = SECRET_FIELDS.includes(k) ? "[redacted]" : redact(v);
+  }
+  return out;
+}
+
+// snapshots الكبيرة (مثلاً chunks كتير) بتتقص عشان الـ log ميتقلش
+function compact(value) {
+  if (value === undefined || value === null) return null;
+  const clean = redact(value);
+  const json = JSON.stringify(clean);
+  if (json.length <= MAX_SNAPSHOT_CHARS) return clean;
+  return { truncated: true, size: json.length, preview: json.slice(0, 2000) };
+}
+
+// ─── createAuditLog ───
+function createAuditLog({ repo }) {
+  async function record(row) {
+    if (!repo) return;
+    const { error } = await repo.adminAudit.append(row);
+    if (error) console.error("❌ Audit log:", error.message);
+  }
+
+  async function safeSnapshot(fn, req) {
+    try {
+      return await fn(req);
+    } catch (e) {
+      return { snapshot_error: e.message };
+    }
+  }
+
+  // ─── audit(entity, opts) ───
+  // opts.snapshot(req) → الحالة الحالية للـ target
+  // opts.target(req)   → target_id (الافتراضي أول param في الـ route)
+  function audit(entity, { snapshot = null, target = null } = {}) {
+    return async (req, res, next) => {
+      const before = snapshot ? await safeSnapshot(snapshot, req) : null;
+
+      let responseBody;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return json(body);
+      };
+
+      res.on("finish", async () => {
+        if (!req.admin) return;
+        try {
+          const ok = res.statusCode < 400;
+          let after = null;
+          if (ok && snapshot) after = await safeSnapshot(snapshot, req);
+          else if (ok && responseBody) after = responseBody.data !== undefined ? responseBody.data : responseBody;
+
+          const params = req.params || {};
+          const targetId = target ? target(req) : Object.values(params)[0];
+
+          await record({
+            actor_id: req.admin.id,
+            actor_username: req.admin.username,
+            actor_role: req.admin.role,
+            method: req.method,
+            route: req.route ? req.route.path : req.path,
+            path: req.path,
+            entity,
+            target_id: targetId != null ? String(targetId) : null,
+            before: compact(before),
+            after: compact(after),
+            request: compact({ params, query: req.query, body: req.body }),
+            status: res.statusCode,
+            created_at: new Date().toISOString(),
+          });
+        } catch (e) {
+          console.error("❌ Audit log:", e.message);
+        }
+      });
+
+      next();
+    };
+  }
+
+  return { audit, record };
+}
+
+module.exports = { createAuditLog, redact };
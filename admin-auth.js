@@ -0,0 +1,284 @@
+/* ══════════════════════════════════════════════════════════
+   admin-auth.js — Admin accounts, roles & JWT sessions
+
+   كل أدمن ليه حساب في admin_users (username + password hash + role)
+   والـ login بيرجع JWT موقّع وبينتهي (ADMIN_TOKEN_TTL، الافتراضي 12h).
+
+   Roles:
+     viewer             → يشوف بس (stats, logs, conversations ...)
+     content_editor     → viewer + تعديل المحتوى (كورسات، FAQ، تعليمات البوت، الدروس)
+     migration_operator → viewer + الـ migrations والـ sync والـ webhooks
+     owner              → كل حاجة + إدارة حسابات الأدمن
+
+   Revoke:
+     - /admin/logout بيلغي الـ token الحالي (jti في admin_token_revocations)
+     - تغيير الباسورد/الدور أو revoke من الـ owner بيزوّد token_version
+       → كل الـ tokens القديمة لليوزر ده بتبطل
+
+   Env:
+     ADMIN_JWT_SECRET   (لازم في production — من غيره الـ tokens بتبطل مع كل restart)
+     ADMIN_TOKEN_TTL    (مثلاً "12h" أو "7d")
+     ADMIN_USERNAME + ADMIN_PASSWORD → أول owner لو مفيش ولا حساب (bootstrap مرة واحدة)
+
+   الجداول: migrations/001_admin_accounts.sql. owner جديد والجدول مش فاضي
+   (أو كل الـ owners اتقفلوا برّه) من الـ terminal:
+
+     ADMIN_PASSWORD=... node admin-auth.js create-owner --username admin
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const ROLES = {
+  viewer:             ["read"],
+  content_editor:     ["read", "content"],
+  migration_operator: ["read", "migration"],
+  owner:              ["read", "content", "migration", "owner"],
+};
+
+const USER_CACHE_TTL = 30 * 1000;
+const SCRYPT_KEYLEN = 64;
+
+// ─── hashPassword ───
+// scrypt$<salt>$<hash> — من غير dependency زيادة
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [algo, salt, hash] = String(stored || "").split("$");
+  if (algo !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function publicUser(u) {
+  if (!u) return null;
+  return {
+    id: u.id,
+    username: u.username,
+    role: u.role,
+    is_active: u.is_active !== false,
+    created_at: u.created_at || null,
+    last_login_at: u.last_login_at || null,
+  };
+}
+
+// Authorization: Bearer بس — الـ token في الـ query بيتسجل في الـ access/proxy logs والـ history
+function extractToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return match ? match[1].trim() : null;
+}
+
+// ─── ensureOwner ───
+// username موجود → يرجع owner نشط بالباسورد الجديد (الـ tokens القديمة بتبطل)، غير كده حساب جديد
+async function ensureOwner(repo, username, password) {
+  username = String(username || "").trim().toLowerCase();
+  if (!username || !password) throw new Error("username و password مطلوبين");
+  const { data: existing, error: lookupError } = await repo.adminUsers.byUsername(username);
+  if (lookupError) throw new Error(lookupError.message);
+
+  const fields = { password_hash: hashPassword(password), role: "owner", is_active: true };
+  const { data, error } = existing
+    ? await repo.adminUsers.update(existing.id, { ...fields, token_version: (existing.token_version || 0) + 1 })
+    : await repo.adminUsers.create({ username, ...fields, token_version: 0, created_at: new Date().toISOString() });
+  if (error) throw new Error(error.message);
+  return { user: publicUser(data), created: !existing };
+}
+
+// ─── createAdminAuth ───
+function createAdminAuth({ repo, env = process.env }) {
+  let secret = env.ADMIN_JWT_SECRET;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString("hex");
+    console.warn("⚠️ ADMIN_JWT_SECRET مش متحدد — admin tokens هتبطل بعد الـ restart");
+  }
+  const ttl = env.ADMIN_TOKEN_TTL || "12h";
+
+  const revoked = new Map();   // jti → exp (seconds)
+  const userCache = new Map(); // id → { user, at }
+
+  async function getUser(id) {
+    const cached = userCache.get(String(id));
+    if (cached && Date.now() - cached.at < USER_CACHE_TTL) return cached.user;
+    const { data } = await repo.adminUsers.byId(id);
+    userCache.set(String(id), { user: data || null, at: Date.now() });
+    return data || null;
+  }
+
+  function forgetUser(id) {
+    userCache.delete(String(id));
+  }
+
+  // ─── init ───
+  // بيحمّل الـ revocations اللي لسه مانتهتش + bootstrap لأول owner
+  async function init() {
+    if (!repo) return;
+    try {
+      const { data } = await repo.adminTokens.activeRevocations(new Date().toISOString());
+      for (const r of data || []) revoked.set(r.jti, Math.floor(new Date(r.expires_at).getTime() / 1000));
+    } catch (e) {
+      console.error("❌ Admin revocations load:", e.message);
+    }
+
+    try {
+      const { count, error } = await repo.adminUsers.count();
+      if (error) throw new Error(`${error.message} — شغّل migrations/001_admin_accounts.sql`);
+      if (count > 0) return;
+      if (!env.ADMIN_PASSWORD) {
+        console.warn("⚠️ مفيش ولا admin account — حط ADMIN_USERNAME و ADMIN_PASSWORD عشان يتعمل أول owner");
+        return;
+      }
+      const { user } = await ensureOwner(repo, env.ADMIN_USERNAME || "admin", env.ADMIN_PASSWORD);
+      console.log(`🔐 Admin bootstrap: owner "${user.username}" created from ADMIN_PASSWORD — غيّر الباسورد من /admin/users`);
+    } catch (e) {
+      console.error("❌ Admin bootstrap:", e.message);
+    }
+  }
+
+  // ─── login ───
+  async function login(username, password) {
+    if (!repo || !username || !password) return null;
+    const { data: user } = await repo.adminUsers.byUsername(String(username).trim().toLowerCase());
+    if (!user || user.is_active === false) return null;
+    if (!verifyPassword(password, user.password_hash)) return null;
+
+    const jti = crypto.randomBytes(16).toString("hex");
+    const token = jwt.sign(
+      { sub: String(user.id), role: user.role, ver: user.token_version || 0 },
+      secret,
+      { expiresIn: ttl, jwtid: jti }
+    );
+    const { exp } = jwt.decode(token);
+    await repo.adminUsers.update(user.id, { last_login_at: new Date().toISOString() });
+    return { token, expires_at: new Date(exp * 1000).toISOString(), user: publicUser(user) };
+  }
+
+  // ─── authenticate ───
+  // بيرجع { admin } أو { status, error }
+  async function authenticate(token) {
+    if (!token) return { status: 401, error: "غير مصرح" };
+
+    let payload;
+    try {
+      payload = jwt.verify(token, secret);
+    } catch (e) {
+      return { status: 401, error: "انتهت الجلسة" };
+    }
+    if (revoked.has(payload.jti)) return { status: 401, error: "انتهت الجلسة" };
+
+    const user = await getUser(payload.sub);
+    if (!user || user.is_active === false || (user.token_version || 0) !== payload.ver) {
+      return { status: 401, error: "انتهت الجلسة" };
+    }
+    return {
+      admin: { id: user.id, username: user.username, role: user.role, jti: payload.jti, exp: payload.exp },
+    };
+  }
+
+  // ─── adminAuth(permission) ───
+  // middleware: app.get("/admin/x", adminAuth("content"), ...)
+  function adminAuth(permission = "read") {
+    return async (req, res, next) => {
+      try {
+        const result = await authenticate(extractToken(req));
+        if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+        const perms = ROLES[result.admin.role] || [];
+        if (!perms.includes(permission)) {
+          return res.status(403).json({ success: false, error: "الصلاحية دي مش متاحة لدورك" });
+        }
+        req.admin = result.admin;
+        next();
+      } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+      }
+    };
+  }
+
+  // ─── revokeToken ───
+  async function revokeToken(admin) {
+    revoked.set(admin.jti, admin.exp);
+    await repo.adminTokens.revoke({
+      jti: admin.jti,
+      admin_user_id: admin.id,
+      expires_at: new Date(admin.exp * 1000).toISOString(),
+      revoked_at: new Date().toISOString(),
+    });
+  }
+
+  // ─── revokeAllForUser ───
+  // token_version + 1 → كل الـ tokens القديمة بتبطل
+  async function revokeAllForUser(id) {
+    const { data: user, error } = await repo.adminUsers.byId(id);
+    if (error || !user) return { error: error || { message: "User not found" } };
+    const res = await repo.adminUsers.update(id, { token_version: (user.token_version || 0) + 1 });
+    forgetUser(id);
+    return res;
+  }
+
+  setInterval(() => {
+    const now = Math.floor(Date.now() / 1000);
+    for (const [jti, exp] of revoked) {
+      if (exp < now) revoked.delete(jti);
+    }
+  }, 60 * 60 * 1000).unref();
+
+  return {
+    init,
+    login,
+    authenticate,
+    adminAuth,
+    revokeToken,
+    revokeAllForUser,
+    forgetUser,
+    stats: () => ({ revoked_tokens: revoked.size, cached_users: userCache.size }),
+  };
+}
+
+/* ═══ CLI ═══ */
+// node admin-auth.js create-owner --username admin   (الباسورد من ADMIN_PASSWORD أو --password)
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) { args._.push(argv[i]); continue; }
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) args[argv[i].slice(2)] = true;
+    else { args[argv[i].slice(2)] = next; i++; }
+  }
+  return args;
+}
+
+async function main() {
+  require("dotenv").config();
+  const { createRepository, createDataClient } = require("./repository");
+  const args = parseArgs(process.argv.slice(2));
+  const username = args.username || process.env.ADMIN_USERNAME || "admin";
+  const password = args.password || process.env.ADMIN_PASSWORD;
+  if (args._[0] !== "create-owner" || !password) {
+    console.error("Usage: ADMIN_PASSWORD=... node admin-auth.js create-owner [--username admin]");
+    return 2;
+  }
+  const repo = createRepository(createDataClient());
+  if (!repo) {
+    console.error("❌ مفيش data backend — SUPABASE_URL + SUPABASE_SERVICE_KEY أو DATA_BACKEND=local");
+    return 2;
+  }
+  const { user, created } = await ensureOwner(repo, username, password);
+  console.log(`🔐 owner "${user.username}" ${created ? "created" : "reset (old sessions revoked)"}`);
+  return 0;
+}
+
+if (require.main === module) {
+  main().then((code) => process.exit(code), (err) => {
+    console.error("❌", err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createAdminAuth, ensureOwner, hashPassword, verifyPassword, publicUser, ROLES };
@@ -1,7 +1,7 @@
 /* ══════════════════════════════════════════════════════════
    bunny-tus.js — Resumable upload helper for Bunny Stream
    ══════════════════════════════════════════════════════════
-   Replaces the simple PUT upload in server.js::runMigrationJob.
+   Replaces the simple PUT upload in server.js (video_migration job).
    Uploads in 10 MB chunks via the TUS protocol so large files
    (1 GB+) no longer fail on HTTP/server timeouts.
 
@@ -16,6 +16,24 @@
        title: videoTitle,
        onProgress: (sent, total) => { job.progress = ... },
      });
+
+   Resume across restarts:
+     بدل bodyStream ابعت openSource(start) (مثلاً driveRangeSource) —
+     الـ session (upload URL + offset + Drive file id + Bunny video id)
+     بتطلع في onSession بعد كل chunk عشان تتحفظ (job checkpoint).
+     لو اتبعتت تاني في session: HEAD على الـ upload URL → الـ offset
+     اللي Bunny استلمه فعلاً، والـ Drive download بيكمل بـ Range من
+     البايت ده بدل ما الـ 2 GB يتعادوا من الأول.
+
+     await uploadToBunnyTus({
+       openSource: driveRangeSource({ fileId, accessToken }),
+       bunnyVideoId, libraryId, apiKey, title,
+       session: checkpoint.tus,                 // null أول مرة
+       onSession: (tus) => saveCheckpoint({ tus }),
+       throttle: limiter.throttle,             // اختياري — bytes/s cap
+     });
+
+   Errors مع err.permanent = true مش هتتحل بالـ retry (job-queue.js بيوقف عليها).
    ══════════════════════════════════════════════════════════ */
 
 "use strict";
@@ -26,6 +44,9 @@ const TUS_ENDPOINT = "https://video.bunnycdn.com/tusupload";
 const DEFAULT_CHUNK_SIZE = 10 * 1024 * 1024; // 10 MB
 const MAX_RETRIES = 6;
 const BACKOFF_MS = [1000, 3000, 5000, 10000, 20000, 60000];
+// session قربت تنتهي (AuthorizationExpire) → نعمل واحدة جديدة بدل ما الـ PATCH يفشل في النص
+const SESSION_EXPIRY_MARGIN_S = 3600;
+const DRIVE_FILES_URL = "https://www.googleapis.com/drive/v3/files";
 
 function generateSignature(libraryId, apiKey, videoId, expiration) {
   return crypto
@@ -101,6 +122,82 @@ async function createTusSession({
   return { uploadUrl: location, signature, expiration };
 }
 
+// ─── getTusOffset ───
+// HEAD على الـ upload URL → Upload-Offset اللي السيرفر عنده فعلاً
+// null لو الـ session مبقتش موجودة (404/410) — يبقى لازم session جديدة
+async function getTusOffset({ uploadUrl, signature, expiration, bunnyVideoId, libraryId }) {
+  const res = await fetch(uploadUrl, {
+    method: "HEAD",
+    headers: {
+      "Tus-Resumable": "1.0.0",
+      AuthorizationSignature: signature,
+      AuthorizationExpire: String(expiration),
+      VideoId: bunnyVideoId,
+      LibraryId: String(libraryId),
+    },
+  });
+  if (res.status === 404 || res.status === 410 || res.status === 403) return null;
+  if (!res.ok) throw new Error(`TUS HEAD failed: ${res.status}`);
+  const offset = parseInt(res.headers.get("Upload-Offset") || "", 10);
+  return Number.isFinite(offset) ? offset : null;
+}
+
+// "bytes 100-199/2000" → 2000
+function totalFromContentRange(header) {
+  const m = String(header || "").match(/\/(\d+)\s*$/);
+  return m ? parseInt(m[1], 10) : 0;
+}
+
+// ─── driveRangeSource ───
+// openSource(start) لملف Drive: start > 0 → Range request (لازم 206)
+// بيرجع { body, totalBytes } — totalBytes حجم الملف كله مش الجزء الباقي
+function driveRangeSource({ fileId, accessToken }) {
+  return async function openSource(start = 0) {
+    const res = await fetch(`${DRIVE_FILES_URL}/${fileId}?alt=media&acknowledgeAbuse=true`, {
+      headers: {
+        Authorization: "Bearer " + accessToken,
+        ...(start > 0 ? { Range: `bytes=${start}-` } : {}),
+      },
+    });
+
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      const err = new Error(`Drive download failed: ${res.status} ${text}`);
+      err.status = res.status;
+      // token بايظ / مفيش access / الملف مش موجود — الـ retry مش هيفرق
+      err.permanent = [401, 403, 404].includes(res.status);
+      throw err;
+    }
+
+    // Verify we got binary, not an HTML warning page
+    const contentType = res.headers.get("content-type") || "";
+    if (contentType.includes("text/html")) {
+      const err = new Error(
+        "Drive returned HTML (likely virus-scan warning). " +
+          "Ensure the OAuth user owns the file, or switch to a service account.",
+      );
+      err.permanent = true;
+      throw err;
+    }
+
+    if (start > 0 && res.status !== 206) {
+      throw new Error(`Drive ignored Range bytes=${start}- (status ${res.status})`);
+    }
+
+    const length = parseInt(res.headers.get("content-length") || "0", 10);
+    const totalBytes = start > 0
+      ? totalFromContentRange(res.headers.get("content-range")) || start + length
+      : length;
+    if (!totalBytes) {
+      const err = new Error("Drive did not return Content-Length (required for TUS upload)");
+      err.permanent = true;
+      throw err;
+    }
+
+    return { body: res.body, totalBytes };
+  };
+}
+
 async function uploadChunk({
   uploadUrl,
   chunk,
@@ -157,33 +254,98 @@ async function uploadChunk({
   throw lastErr || new Error("TUS PATCH failed after retries");
 }
 
+// ─── resumeSession ───
+// session محفوظة → { session, offset } لو لسه صالحة، وإلا null.
+// sourceId اتغير (ملف Drive تاني — override للمطابقة مثلاً) → session جديدة حتى لو
+// الحجم زي ما هو: الـ bytes اللي اترفعت من ملف تاني
+async function resumeSession(session, { bunnyVideoId, libraryId, sourceId = null }) {
+  if (!session || !session.uploadUrl) return null;
+  if (session.bunnyVideoId && session.bunnyVideoId !== bunnyVideoId) return null;
+  if (sourceId != null && String(session.sourceId ?? "") !== String(sourceId)) {
+    console.warn(`[TUS] Source changed for ${bunnyVideoId} (${session.sourceId ?? "?"} → ${sourceId}) — restarting upload`);
+    return null;
+  }
+  if (session.expiration - SESSION_EXPIRY_MARGIN_S < Math.floor(Date.now() / 1000)) return null;
+
+  const offset = await getTusOffset({ ...session, bunnyVideoId, libraryId });
+  if (offset == null || offset > session.totalBytes) return null;
+  return { session, offset };
+}
+
 async function uploadToBunnyTus({
-  bodyStream,
-  totalBytes,
+  bodyStream = null,
+  openSource = null,
+  totalBytes = 0,
   bunnyVideoId,
   libraryId,
   apiKey,
   title,
   onProgress,
+  session: saved = null,
+  onSession = null,
+  sourceId = null,
+  throttle = null,
   chunkSize = DEFAULT_CHUNK_SIZE,
 }) {
-  if (!bodyStream) throw new Error("bodyStream is required");
-  if (!totalBytes || totalBytes <= 0) {
-    throw new Error(
-      "totalBytes is required and > 0 (TUS needs Upload-Length up-front)",
-    );
+  if (!bodyStream && !openSource) throw new Error("bodyStream or openSource is required");
+
+  // ── 1. كمّل session قديمة لو ينفع ──
+  let session = null;
+  let offset = 0;
+  let stream = bodyStream;
+
+  const resumed = openSource ? await resumeSession(saved, { bunnyVideoId, libraryId, sourceId }) : null;
+  if (resumed) {
+    session = resumed.session;
+    offset = resumed.offset;
+    totalBytes = session.totalBytes;
+    console.log(`[TUS] Resuming ${bunnyVideoId} at ${offset}/${totalBytes} bytes`);
+    if (offset === totalBytes) {
+      if (onProgress) onProgress(offset, totalBytes);
+      return offset;
+    }
+    const source = await openSource(offset);
+    if (source.totalBytes !== totalBytes) {
+      // الملف اتغير على Drive — الـ bytes اللي اترفعت مبقتش تنفع
+      console.warn(`[TUS] Source size changed (${totalBytes} → ${source.totalBytes}) — restarting upload`);
+      await source.body.cancel?.().catch(() => {});
+      session = null;
+      offset = 0;
+    } else {
+      stream = source.body;
+    }
   }
 
-  const { uploadUrl, signature, expiration } = await createTusSession({
-    totalBytes,
-    bunnyVideoId,
-    libraryId,
-    apiKey,
-    title,
-  });
+  // ── 2. session جديدة من أول الملف ──
+  if (!session) {
+    if (openSource) {
+      const source = await openSource(0);
+      stream = source.body;
+      totalBytes = source.totalBytes;
+    }
+    if (!totalBytes || totalBytes <= 0) {
+      throw new Error(
+        "totalBytes is required and > 0 (TUS needs Upload-Length up-front)",
+      );
+    }
 
-  let offset = 0;
-  for await (const chunk of chunkedReader(bodyStream, chunkSize)) {
+    const created = await createTusSession({
+      totalBytes,
+      bunnyVideoId,
+      libraryId,
+      apiKey,
+      title,
+    });
+    session = { ...created, bunnyVideoId, sourceId, totalBytes, offset: 0 };
+    if (onSession) await onSession({ ...session });
+  }
+
+  const { uploadUrl, signature, expiration } = session;
+
+  // ── 3. ارفع الباقي chunk ورا chunk — والـ offset يتحفظ بعد كل واحد ──
+  for await (const chunk of chunkedReader(stream, chunkSize)) {
+    // bandwidth cap مشترك (migration-pool.js) — بيأخّر الـ chunk لو السيرفر عدّى السقف
+    if (throttle) await throttle(chunk.length);
     offset = await uploadChunk({
       uploadUrl,
       chunk,
@@ -193,6 +355,7 @@ async function uploadToBunnyTus({
       bunnyVideoId,
       libraryId,
     });
+    if (onSession) await onSession({ ...session, offset });
     if (onProgress) onProgress(offset, totalBytes);
   }
 
@@ -205,4 +368,4 @@ async function uploadToBunnyTus({
   return offset;
 }
 
-module.exports = { uploadToBunnyTus };
+module.exports = { uploadToBunnyTus, driveRangeSource, getTusOffset };
@@ -0,0 +1,224 @@
+/* ══════════════════════════════════════════════════════════
+   catalog-reconcile.js — Teachable API ↔ catalog tables diff
+
+   gap-sync بيغطي transactions / users / enrollments بس. الكتالوج
+   (teachable_courses / teachable_lectures / teachable_authors /
+   teachable_attachments) كان بيبعد عن Teachable لحد ما حد يلاحظ.
+   هنا الجزء الـ pure: Teachable object → صف، وdiff بين صفوف الـ DB
+   والصفوف اللي جاية من الـ API. الـ job "catalog_reconcile" في server.js
+   بيجيب الـ API ويطبّق (commit) أو يكتفي بالتقرير (dry_run).
+
+     const remote = lectureRow(apiLecture, courseId);
+     const diff = diffRows("lectures", localRows, remoteRows);
+     // → { added: [row], removed: [localRow], changed: [{ id, key, changes: { field: { from, to } } }], unchanged }
+
+   قواعد المقارنة:
+     - null / undefined / "" واحد، والأرقام بتتقارن كـ string (bigint من الـ DB)
+     - image_url / attachment url: لو الملف عندنا اتنقل من Teachable CDN
+       (image_migration / attachment_migration) الاختلاف مش بيتحسب —
+       الـ reconcile مايرجعش الـ URL القديم
+     - attachment url: من غير الـ query string (Teachable بيوقّع الـ URLs)
+     - الحقول اللي مش جاية من الـ API مش بتتقارن (migration_status ...)
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const SAMPLE_LIMIT = 100;   // لكل قسم في التقرير — العدد الكامل في counts
+
+const SPECS = {
+  courses: {
+    table: "teachable_courses",
+    key: "teachable_course_id",
+    fields: ["name", "heading", "description", "is_published", "image_url", "author_user_id", "author_name", "author_bio", "author_image_url", "total_sections", "total_lectures"],
+    images: ["image_url", "author_image_url"],
+  },
+  lectures: {
+    table: "teachable_lectures",
+    key: "teachable_lecture_id",
+    fields: ["course_id", "section_id", "name", "position", "is_published", "has_video"],
+  },
+  attachments: {
+    table: "teachable_attachments",
+    key: "teachable_attachment_id",
+    fields: ["lecture_id", "course_id", "name", "kind", "url"],
+    images: ["url"],
+    urls: ["url"],
+  },
+  authors: {
+    table: "teachable_authors",
+    key: "teachable_author_id",
+    fields: ["name", "image_url"],
+    images: ["image_url"],
+  },
+};
+
+const onTeachableCdn = (url) => !!url && (url.includes("teachablecdn.com") || url.includes("uploads.teachable"));
+
+// بس الحقول اللي جت في الـ payload — object ناقص (Course.updated) مايمسحش الباقي
+function definedFields(row) {
+  return Object.fromEntries(Object.entries(row).filter(([, v]) => v !== undefined));
+}
+
+/* ═══ Teachable → rows ═══ */
+
+// ─── courseRow ───
+// GET /courses/:id أو Course.* webhook → صف teachable_courses
+function courseRow(course) {
+  const author = course.author_bio || {};
+  const sections = Array.isArray(course.lecture_sections) ? course.lecture_sections : null;
+  return definedFields({
+    teachable_course_id: course.id,
+    name: course.name,
+    heading: course.heading,
+    description: course.description,
+    image_url: course.image_url,
+    is_published: course.is_published,
+    author_user_id: author.user_id,
+    author_name: author.name,
+    author_bio: author.bio,
+    author_image_url: author.profile_image_url,
+    total_sections: sections ? sections.length : undefined,
+    total_lectures: sections ? sections.reduce((n, sec) => n + (sec.lectures || []).length, 0) : undefined,
+  });
+}
+
+// ─── lectureRow ───
+// course_id = teachable_course_id (الـ API detail مش بيرجعه — بيتبعت من برّه)
+function lectureRow(lecture, courseId = undefined) {
+  const attachments = Array.isArray(lecture.attachments) ? lecture.attachments : null;
+  return definedFields({
+    teachable_lecture_id: lecture.id,
+    course_id: courseId ?? lecture.course_id ?? lecture.course?.id,
+    section_id: lecture.lecture_section_id ?? lecture.section_id,
+    name: lecture.name,
+    position: lecture.position,
+    is_published: lecture.is_published,
+    has_video: attachments ? attachments.some((a) => a.kind === "video") : undefined,
+  });
+}
+
+// ─── attachmentRow ───
+function attachmentRow(attachment, lectureId, courseId) {
+  return definedFields({
+    teachable_attachment_id: attachment.id,
+    lecture_id: lectureId,
+    course_id: courseId,
+    name: attachment.name,
+    kind: attachment.kind,
+    url: attachment.url,
+  });
+}
+
+// ─── authorRow ───
+// author_bio جوه الكورس — مفيش endpoint للـ authors في الـ API
+function authorRow(authorBio) {
+  if (!authorBio || authorBio.user_id == null) return null;
+  return definedFields({
+    teachable_author_id: authorBio.user_id,
+    name: authorBio.name,
+    image_url: authorBio.profile_image_url,
+  });
+}
+
+/* ═══ Diff ═══ */
+
+function normalize(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "boolean") return value;
+  return String(value).trim();
+}
+
+const withoutQuery = (url) => (url ? String(url).split("?")[0] : url);
+
+// ─── diffRows ───
+// local = صفوف الـ DB (فيها id)، remote = صفوف من الـ API (من غير id)
+function diffRows(specName, localRows, remoteRows) {
+  const spec = SPECS[specName];
+  const localByKey = new Map();
+  for (const row of localRows || []) {
+    if (row[spec.key] != null) localByKey.set(String(row[spec.key]), row);
+  }
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  const seen = new Set();
+
+  for (const remote of remoteRows || []) {
+    const key = String(remote[spec.key]);
+    seen.add(key);
+    const local = localByKey.get(key);
+    if (!local) { added.push(remote); continue; }
+
+    const changes = {};
+    for (const field of spec.fields) {
+      if (!(field in remote)) continue;
+      if ((spec.images || []).includes(field) && local[field] && !onTeachableCdn(local[field])) continue;
+      const urlField = (spec.urls || []).includes(field);
+      const from = normalize(urlField ? withoutQuery(local[field]) : local[field]);
+      const to = normalize(urlField ? withoutQuery(remote[field]) : remote[field]);
+      if (from !== to) changes[field] = { from: local[field] ?? null, to: remote[field] ?? null };
+    }
+    if (Object.keys(changes).length) changed.push({ id: local.id, key, changes });
+    else unchanged++;
+  }
+
+  const removed = (localRows || []).filter((row) => row[spec.key] != null && !seen.has(String(row[spec.key])));
+  return { added, removed, changed, unchanged };
+}
+
+/* ═══ Report ═══ */
+
+// ─── emptyReport ───
+function emptyReport() {
+  const section = () => ({ counts: { added: 0, removed: 0, changed: 0, unchanged: 0 }, added: [], removed: [], changed: [] });
+  return {
+    courses: section(),
+    lectures: section(),
+    attachments: section(),
+    authors: section(),
+    orphaned_chunks: { lectures: 0, chunks: 0, items: [] },
+  };
+}
+
+// ─── addToReport ───
+// الصفوف الكاملة مش بتتحفظ — key + الحقول المهمة بس، ولحد SAMPLE_LIMIT لكل قسم
+function addToReport(report, specName, diff, extra = {}) {
+  const spec = SPECS[specName];
+  const section = report[specName];
+  const brief = (row) => ({ key: row[spec.key], name: row.name ?? null, ...extra });
+  const push = (list, items) => {
+    for (const item of items) if (list.length < SAMPLE_LIMIT) list.push(item);
+  };
+  section.counts.added += diff.added.length;
+  section.counts.removed += diff.removed.length;
+  section.counts.changed += diff.changed.length;
+  section.counts.unchanged += diff.unchanged;
+  push(section.added, diff.added.map(brief));
+  push(section.removed, diff.removed.map((row) => ({ ...brief(row), id: row.id })));
+  push(section.changed, diff.changed.map((c) => ({ key: c.key, id: c.id, changes: c.changes, ...extra })));
+  return report;
+}
+
+// ─── summarizeReport ───
+function summarizeReport(report) {
+  const out = {};
+  for (const name of Object.keys(SPECS)) out[name] = { ...report[name].counts };
+  out.orphaned_chunks = { lectures: report.orphaned_chunks.lectures, chunks: report.orphaned_chunks.chunks };
+  return out;
+}
+
+module.exports = {
+  SPECS,
+  SAMPLE_LIMIT,
+  courseRow,
+  lectureRow,
+  attachmentRow,
+  authorRow,
+  definedFields,
+  diffRows,
+  emptyReport,
+  addToReport,
+  summarizeReport,
+  onTeachableCdn,
+};
@@ -0,0 +1,208 @@
+/* ══════════════════════════════════════════════════════════
+   chunker.js — Transcript segments → chunks for the embeddings
+
+   القديم: segments ورا بعض لحد 500 حرف ومن غير overlap — الإجابة اللي
+   بتقع على حدود chunkين كانت بتضيع. دلوقتي (strategy "tokens"):
+
+     1. كل segment بيتقسم جمل (. ! ? ؟ ؛ … وآخر السطر) — التوقيت بيتوزع
+        على الجمل بنسبة طولها
+     2. الـ chunk بيتملى لحد maxTokens، وبيتقفل عند آخر نهاية جملة
+        (لو ده مش هيسيب chunk أصغر من minTokens)
+     3. الـ chunk اللي بعده بيبدأ بآخر overlapTokens من اللي قبله
+        (من أول جملة كاملة لو ينفع)
+     4. جملة لوحدها أطول من maxTokens → تتقسم عند ، , ; : وبعدين كلمات
+
+   الـ tokens تقدير (من غير tokenizer): كلمة عربي ≈ حروفها / 2.5،
+   إنجليزي ≈ حروفها / 4، وعلامة الترقيم token.
+
+   strategy "chars" = المنطق القديم بالظبط (maxChars) للمقارنة أو الرجوع.
+
+     const chunks = chunkSegments(segments, chunkOptions());
+     // → [{ content, start, end, tokens }]   (start/end ثواني أو null للنص العادي)
+
+   Env:
+     CHUNK_STRATEGY        tokens | chars (الافتراضي tokens)
+     CHUNK_MAX_TOKENS      (الافتراضي 256)
+     CHUNK_OVERLAP_TOKENS  (الافتراضي 48)
+     CHUNK_MIN_TOKENS      (الافتراضي نص الـ max)
+     CHUNK_MAX_CHARS       (الافتراضي 500 — للـ chars بس)
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const STRATEGIES = ["tokens", "chars"];
+
+const SENTENCE_END = /[.!?؟;؛…。]["'»”)\]]*$/;
+const SENTENCE_PIECES = /[^.!?؟;؛…。\n]+(?:[.!?؟;؛…。]+["'»”)\]]*)?\s*|[.!?؟;؛…。\n]+\s*/g;
+const CLAUSE_PIECES = /[^،,:;]+[،,:;]*\s*|[،,:;]+\s*/g;
+const ARABIC = /[؀-ۿݐ-ݿﭐ-﷿ﹰ-﻿]/;
+
+// ─── chunkOptions ───
+function chunkOptions(env = process.env) {
+  const strategy = (env.CHUNK_STRATEGY || "tokens").toLowerCase();
+  const maxTokens = parseInt(env.CHUNK_MAX_TOKENS) || 256;
+  return {
+    strategy: STRATEGIES.includes(strategy) ? strategy : "tokens",
+    maxTokens,
+    overlapTokens: Math.min(parseInt(env.CHUNK_OVERLAP_TOKENS) >= 0 ? parseInt(env.CHUNK_OVERLAP_TOKENS) : 48, Math.floor(maxTokens / 2)),
+    minTokens: parseInt(env.CHUNK_MIN_TOKENS) || Math.floor(maxTokens / 2),
+    maxChars: parseInt(env.CHUNK_MAX_CHARS) || 500,
+  };
+}
+
+// ─── estimateTokens ───
+function estimateTokens(text) {
+  let tokens = 0;
+  for (const w of String(text || "").match(/[^\s\p{P}\p{S}]+|[\p{P}\p{S}]/gu) || []) {
+    if (/^[\p{P}\p{S}]$/u.test(w)) tokens += 1;
+    else tokens += Math.max(1, Math.ceil(w.length / (ARABIC.test(w) ? 2.5 : 4)));
+  }
+  return tokens;
+}
+
+// ─── splitSentences ───
+function splitSentences(text) {
+  return (String(text || "").match(SENTENCE_PIECES) || [])
+    .map((s) => s.trim())
+    .filter((s) => s && /[^\s.!?؟;؛…。]/.test(s));
+}
+
+// جملة أطول من maxTokens → أجزاء عند الفواصل، وبعدين كلمات
+function splitOversized(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return [text];
+  const out = [];
+  let cur = "";
+  const push = () => { if (cur.trim()) out.push(cur.trim()); cur = ""; };
+  for (const clause of text.match(CLAUSE_PIECES) || [text]) {
+    if (estimateTokens(clause) > maxTokens) {
+      push();
+      for (const word of clause.split(/\s+/).filter(Boolean)) {
+        if (cur && estimateTokens(cur + " " + word) > maxTokens) push();
+        cur = cur ? cur + " " + word : word;
+      }
+      push();
+      continue;
+    }
+    if (cur && estimateTokens(cur + clause) > maxTokens) push();
+    cur += clause;
+  }
+  push();
+  return out;
+}
+
+// segments → وحدات (جملة أو جزء من جملة) بتوقيت مقسوم بنسبة الطول
+function toUnits(segments, maxTokens) {
+  const units = [];
+  for (const seg of segments) {
+    const pieces = splitSentences(seg.text).flatMap((s) => splitOversized(s, maxTokens));
+    const total = pieces.reduce((n, p) => n + p.length, 0) || 1;
+    const timed = seg.start != null && seg.end != null;
+    let offset = 0;
+    pieces.forEach((text, i) => {
+      const from = timed ? seg.start + (seg.end - seg.start) * (offset / total) : seg.start ?? null;
+      offset += text.length;
+      const to = timed ? seg.start + (seg.end - seg.start) * (offset / total) : seg.end ?? null;
+      units.push({
+        text,
+        tokens: estimateTokens(text),
+        start: from,
+        end: to,
+        // آخر جزء من segment من غير علامة ترقيم مش نهاية جملة — الـ captions بتقطع في النص
+        terminal: SENTENCE_END.test(text) || (seg.start == null && i === pieces.length - 1),
+      });
+    });
+  }
+  return units;
+}
+
+function toChunk(units) {
+  const timed = units.filter((u) => u.start != null);
+  return {
+    content: units.map((u) => u.text).join(" "),
+    start: timed.length ? timed[0].start : null,
+    end: timed.length ? timed[timed.length - 1].end : null,
+    tokens: units.reduce((n, u) => n + u.tokens, 0),
+  };
+}
+
+// ─── chunkByTokens ───
+function chunkByTokens(segments, { maxTokens = 256, overlapTokens = 48, minTokens = Math.floor(maxTokens / 2) } = {}) {
+  const units = toUnits(segments, maxTokens);
+  const chunks = [];
+  let i = 0;
+  while (i < units.length) {
+    let j = i;
+    let tokens = 0;
+    let lastEnd = -1;
+    let tokensAtLastEnd = 0;
+    while (j < units.length && (j === i || tokens + units[j].tokens <= maxTokens)) {
+      tokens += units[j].tokens;
+      if (units[j].terminal) { lastEnd = j; tokensAtLastEnd = tokens; }
+      j++;
+    }
+    // اقفل عند آخر نهاية جملة بدل نص جملة
+    if (j < units.length && lastEnd >= i && lastEnd < j - 1 && tokensAtLastEnd >= minTokens) j = lastEnd + 1;
+    chunks.push(toChunk(units.slice(i, j)));
+    if (j >= units.length) break;
+
+    // overlap: آخر overlapTokens من الـ chunk ده — ولازم نتقدم خطوة على الأقل
+    let k = j;
+    let overlap = 0;
+    while (k - 1 > i && overlap + units[k - 1].tokens <= overlapTokens) {
+      k--;
+      overlap += units[k].tokens;
+    }
+    // يبدأ من أول جملة كاملة جوه الـ overlap لو فيه
+    let s = k;
+    while (s < j && !units[s - 1].terminal) s++;
+    i = s < j ? s : k;
+  }
+  return chunks;
+}
+
+// ─── chunkByChars ───
+// المنطق القديم: segments ورا بعض لحد maxChars (النص العادي بيتقسم جمل الأول)
+function chunkByChars(segments, { maxChars = 500 } = {}) {
+  const pieces = segments.flatMap((s) => {
+    if (s.start != null || s.text.length <= maxChars) return [s];
+    const out = [];
+    let cur = "";
+    for (const sentence of splitSentences(s.text)) {
+      if (cur && cur.length + sentence.length > maxChars) { out.push({ ...s, text: cur.trim() }); cur = ""; }
+      cur += sentence + " ";
+    }
+    if (cur.trim()) out.push({ ...s, text: cur.trim() });
+    return out;
+  });
+
+  const chunks = [];
+  let current = [];
+  let length = 0;
+  const flush = () => {
+    if (!current.length) return;
+    chunks.push(toChunk(current.map((s) => ({ ...s, tokens: estimateTokens(s.text) }))));
+    current = [];
+    length = 0;
+  };
+  for (const seg of pieces) {
+    if (length + seg.text.length > maxChars && current.length > 0) flush();
+    current.push(seg);
+    length += seg.text.length + 1;
+  }
+  flush();
+  return chunks;
+}
+
+// ─── chunkSegments ───
+function chunkSegments(segments, options = chunkOptions()) {
+  const list = (segments || []).filter((s) => s && String(s.text || "").trim());
+  return options.strategy === "chars" ? chunkByChars(list, options) : chunkByTokens(list, options);
+}
+
+module.exports = {
+  chunkSegments,
+  chunkOptions,
+  estimateTokens,
+  splitSentences,
+  STRATEGIES,
+};
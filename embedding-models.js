@@ -0,0 +1,325 @@
+/* ══════════════════════════════════════════════════════════
+   embedding-models.js — Embedding model per table + shadow migration
+
+   كل جدول فيه embeddings (chunks / teachable_courses / diplomas) ليه
+   عمودين: embedding و embedding_shadow، وجنب كل واحد tag بالـ model
+   (embedding_model / embedding_shadow_model). واحد بس "live" — هو اللي
+   الـ RPC بيدوّر فيه والـ query بيتعمله embedding بنفس الـ model بتاعه.
+   كده تغيير الـ model عمره ما يخلط vector spaces:
+
+     1. startMigration(target, model)  → العمود التاني ياخد الـ model الجديد
+        (من هنا الـ ingestion بيكتب في العمودين — dual write)
+     2. job "embedding_migration"      → يعمل re-embed لكل الصفوف في العمود ده
+     3. compare(target)                → dry-run: نفس الـ queries من الـ logs
+        على الاتنين (overlap@k) قبل أي تغيير
+     4. cutover(target, column)        → الـ live يتقلب (والرجوع بنفس الطريقة)
+        — بيرفض لو في صفوف stale في العمود ده إلا مع { force: true }
+     5. abandon(target)                → العمود اللي مش live يبطل يتكتب
+
+   الـ state في جدول embedding_models (صف لكل target) — cache 30 ثانية،
+   فالـ cutover بيوصل لباقي الـ instances في أقل من دقيقة.
+
+   الـ RPCs: match_teachable_chunks / match_courses / match_diplomas على
+   embedding، ونسخ _shadow منهم (match_courses_shadow ...) على embedding_shadow.
+
+   Usage:
+     const embeddingModels = createEmbeddingModels({ repo, llm, embeddings });
+     const { embedding, column } = await embeddingModels.queryVector("chunks", text);
+     await repo.chunks.matchSemantic(embedding, { column, ... });
+     const cols = await embeddingModels.rowVectors("chunks", texts);
+     // → [{ embedding, embedding_model, embedding_shadow?, embedding_shadow_model? }]
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const COLUMNS = ["embedding", "embedding_shadow"];
+const STATE_TTL_MS = 30 * 1000;
+
+// نص الكورس / الدبلومة → أول 8000 حرف (حد الـ model)
+function embeddingText(parts) {
+  return parts.filter(Boolean).join(" ").substring(0, 8000);
+}
+
+const EMBEDDING_TABLES = {
+  chunks: {
+    table: "chunks",
+    feature: "chunk_embedding",
+    rpc: "match_teachable_chunks",
+    repo: "chunks",
+    idKey: "id",
+    logKind: "guide",
+    select: "id, content",
+    text: (c) => [c.content],
+  },
+  courses: {
+    table: "teachable_courses",
+    feature: "course_embedding",
+    rpc: "match_courses",
+    repo: "courses",
+    idKey: "teachable_course_id",
+    logKind: "chat",
+    select: "id, name, description, heading, syllabus, objectives, keywords",
+    // SCHEMA: only existing text columns on teachable_courses
+    text: (c) => [c.name, c.heading, c.keywords, c.description, c.syllabus, c.objectives],
+  },
+  diplomas: {
+    table: "diplomas",
+    feature: "course_embedding",
+    rpc: "match_diplomas",
+    repo: "diplomas",
+    idKey: "id",
+    logKind: "chat",
+    select: "id, title, description, keywords, search_text",
+    text: (d) => [d.title, d.description, d.keywords, d.search_text],
+  },
+};
+
+const modelColumn = (column) => column + "_model";
+const otherColumn = (column) => (column === "embedding" ? "embedding_shadow" : "embedding");
+const rpcName = (target, column) => EMBEDDING_TABLES[target].rpc + (column === "embedding" ? "" : "_shadow");
+
+function tableDef(target) {
+  const def = EMBEDDING_TABLES[target];
+  if (!def) throw new Error(`Unknown embedding target "${target}" (${Object.keys(EMBEDDING_TABLES).join(", ")})`);
+  return def;
+}
+
+// ─── overlapAtK ───
+function overlapAtK(a, b, k) {
+  const top = new Set(a.slice(0, k).map(String));
+  const other = b.slice(0, k).map(String);
+  const shared = other.filter((id) => top.has(id)).length;
+  const possible = Math.min(k, Math.max(a.length, b.length));
+  // الاتنين فاضيين = نفس النتيجة
+  return { shared, overlap: possible ? shared / possible : 1 };
+}
+
+// ─── createEmbeddingModels ───
+function createEmbeddingModels({ repo = null, llm, embeddings = null }) {
+  const cache = new Map();   // target → { state, at }
+  let stateTableOk = true;
+
+  function defaults(target) {
+    return {
+      target,
+      live_column: "embedding",
+      models: { embedding: llm.model(tableDef(target).feature), embedding_shadow: null },
+    };
+  }
+
+  // ─── state ───
+  async function state(target, { fresh = false } = {}) {
+    tableDef(target);
+    const hit = cache.get(target);
+    if (!fresh && hit && Date.now() - hit.at < STATE_TTL_MS) return hit.state;
+
+    let s = defaults(target);
+    if (repo && repo.embeddingModels && stateTableOk) {
+      const { data, error } = await repo.embeddingModels.get(target);
+      if (error) {
+        console.error("⚠️ embedding_models state unavailable — using env models:", error.message);
+        stateTableOk = false;
+      } else if (data) {
+        s = { ...s, ...data, models: { ...s.models, ...(data.models || {}) } };
+      }
+    }
+    cache.set(target, { state: s, at: Date.now() });
+    return s;
+  }
+
+  async function save(target, patch, by = null) {
+    if (!repo || !repo.embeddingModels) throw new Error("Database not connected");
+    const current = await state(target, { fresh: true });
+    const row = {
+      target,
+      live_column: patch.live_column || current.live_column,
+      models: { ...current.models, ...(patch.models || {}) },
+      updated_by: by,
+      updated_at: new Date().toISOString(),
+    };
+    const { error } = await repo.embeddingModels.save(row);
+    if (error) throw new Error("embedding_models save failed: " + error.message);
+    stateTableOk = true;
+    cache.set(target, { state: row, at: Date.now() });
+    return row;
+  }
+
+  // ─── live ───
+  async function live(target) {
+    const s = await state(target);
+    return { column: s.live_column, model: s.models[s.live_column], rpc: rpcName(target, s.live_column) };
+  }
+
+  // ─── queryVector ───
+  // الـ query بيتعمله embedding بـ model العمود الـ live (أو column صريح للمقارنة)
+  async function queryVector(target, text, { column = null } = {}) {
+    const s = await state(target);
+    const col = column || s.live_column;
+    const model = s.models[col];
+    if (!model) throw new Error(`${target}.${col} has no embedding model`);
+    const res = await llm.embed(tableDef(target).feature, text, { model });
+    return { embedding: res.data[0].embedding, column: col, model };
+  }
+
+  // ─── rowVectors ───
+  // texts → لكل نص الأعمدة اللي ليها model (live + shadow وقت الـ migration)
+  async function rowVectors(target, texts, { onBatch = null } = {}) {
+    if (!embeddings) throw new Error("embedding service not configured");
+    const s = await state(target);
+    const rows = texts.map(() => ({}));
+    for (const column of COLUMNS) {
+      const model = s.models[column];
+      if (!model) continue;
+      const vectors = await embeddings.embedMany(tableDef(target).feature, texts, {
+        model,
+        onBatch: column === s.live_column ? onBatch : null,
+      });
+      vectors.forEach((vec, i) => {
+        rows[i][column] = vec;
+        rows[i][modelColumn(column)] = vec ? model : null;
+      });
+    }
+    return rows;
+  }
+
+  // ─── startMigration ───
+  // العمود اللي مش live ياخد الـ model الجديد — الـ job بيملاه بعد كده
+  async function startMigration(target, model, by = null) {
+    const s = await state(target, { fresh: true });
+    const column = otherColumn(s.live_column);
+    if (s.models[s.live_column] === model) throw new Error(`${target} is already live on ${model}`);
+    await save(target, { models: { [column]: model } }, by);
+    return { column, model };
+  }
+
+  // ─── cutover ───
+  // من غير force لازم كل الصفوف تكون على الـ model بتاع العمود (rows_stale = 0)
+  async function cutover(target, column, by = null, { force = false } = {}) {
+    if (!COLUMNS.includes(column)) throw new Error(`column must be one of ${COLUMNS.join(", ")}`);
+    const s = await state(target, { fresh: true });
+    if (!s.models[column]) throw new Error(`${target}.${column} has no model — start a migration first`);
+    if (!force) {
+      const { columns } = await coverage(target);
+      const stale = columns[column].rows_stale;
+      if (stale > 0) {
+        const err = new Error(`${stale} صف لسه مش على ${s.models[column]} — استنى الـ migration أو ابعت force`);
+        err.code = "COVERAGE_INCOMPLETE";
+        err.coverage = columns[column];
+        throw err;
+      }
+    }
+    return save(target, { live_column: column }, by);
+  }
+
+  // ─── abandon ───
+  async function abandon(target, by = null) {
+    const s = await state(target, { fresh: true });
+    return save(target, { models: { [otherColumn(s.live_column)]: null } }, by);
+  }
+
+  // ─── coverage ───
+  // لكل عمود: كام صف متعمل بالـ model بتاعه (أي حاجة تانية = vector space مختلف)
+  async function coverage(target) {
+    const def = tableDef(target);
+    const s = await state(target, { fresh: true });
+    if (!repo || !repo.embeddingRows) throw new Error("Database not connected");
+    const { count: total, error } = await repo.embeddingRows.count(def.table);
+    if (error) throw new Error(error.message);
+    const columns = {};
+    for (const column of COLUMNS) {
+      const model = s.models[column];
+      let current = 0;
+      if (model) {
+        const { count, error: cErr } = await repo.embeddingRows.countByModel(def.table, modelColumn(column), model);
+        if (cErr) throw new Error(cErr.message);
+        current = count || 0;
+      }
+      columns[column] = {
+        model,
+        live: column === s.live_column,
+        rows_current: current,
+        rows_stale: model ? (total || 0) - current : null,
+        rpc: rpcName(target, column),
+      };
+    }
+    return { target, rows_total: total || 0, live_column: s.live_column, columns };
+  }
+
+  // ─── compare ───
+  // dry-run: queries من الـ logs → top-k من العمود الـ live ومن التاني
+  async function compare(target, { sample = 20, k = 5, queries = null } = {}) {
+    const def = tableDef(target);
+    const s = await state(target, { fresh: true });
+    const other = otherColumn(s.live_column);
+    if (!s.models[other]) throw new Error(`${target} has no migration in progress (${other} has no model)`);
+
+    let list = queries;
+    if (!list) {
+      const { data, error } = await repo.logs.recentUserMessages(def.logKind, { limit: sample * 5 });
+      if (error) throw new Error(error.message);
+      list = [...new Set((data || []).map((r) => String(r.message || "").trim()).filter((m) => m.length >= 3))];
+    }
+    list = list.slice(0, sample);
+
+    const search = async (text, column) => {
+      const { embedding } = await queryVector(target, text.substring(0, 2000), { column });
+      const { data, error } = await repo[def.repo].matchSemantic(embedding, { threshold: -1, count: k, column });
+      if (error) throw new Error(`${rpcName(target, column)}: ${error.message}`);
+      return (data || []).map((r) => ({ id: r[def.idKey], similarity: r.similarity }));
+    };
+
+    const results = [];
+    for (const query of list) {
+      try {
+        const [a, b] = await Promise.all([search(query, s.live_column), search(query, other)]);
+        const ids = (rows) => rows.map((r) => r.id);
+        const { shared, overlap } = overlapAtK(ids(a), ids(b), k);
+        results.push({
+          query,
+          overlap,
+          shared,
+          top1_same: !!(a[0] && b[0] && String(a[0].id) === String(b[0].id)),
+          live: a,
+          candidate: b,
+        });
+      } catch (err) {
+        results.push({ query, error: err.message });
+      }
+    }
+
+    const ok = results.filter((r) => !r.error);
+    const avg = (fn) => (ok.length ? Math.round((ok.reduce((n, r) => n + fn(r), 0) / ok.length) * 1000) / 1000 : null);
+    return {
+      target,
+      k,
+      live: { column: s.live_column, model: s.models[s.live_column] },
+      candidate: { column: other, model: s.models[other] },
+      queries: results.length,
+      errors: results.length - ok.length,
+      avg_overlap: avg((r) => r.overlap),
+      top1_agreement: avg((r) => (r.top1_same ? 1 : 0)),
+      avg_top1_similarity: {
+        live: avg((r) => (r.live[0] ? r.live[0].similarity : 0)),
+        candidate: avg((r) => (r.candidate[0] ? r.candidate[0].similarity : 0)),
+      },
+      results,
+    };
+  }
+
+  return {
+    state, live, queryVector, rowVectors,
+    startMigration, cutover, abandon, coverage, compare,
+    invalidate: (target) => (target ? cache.delete(target) : cache.clear()),
+  };
+}
+
+module.exports = {
+  createEmbeddingModels,
+  EMBEDDING_TABLES,
+  COLUMNS,
+  modelColumn,
+  otherColumn,
+  rpcName,
+  embeddingText,
+  overlapAtK,
+};
@@ -0,0 +1,275 @@
+/* ══════════════════════════════════════════════════════════
+   embedding-service.js — Batched, rate-aware, cached embeddings
+
+   كل مسارات الـ ingestion (process-lesson، transcription، rechunk،
+   embeddings job للكورسات والدبلومات) بتعدّي من هنا بدل
+   llm.embed لكل نص + sleep:
+
+     1. Cache بالـ hash (provider + model + النص) — memory (LRU) وجدول
+        embedding_cache — النص اللي متغيرش مش بيتعمله embedding تاني
+     2. الباقي بيتجمع batches (عدد inputs + tokens في الـ request)
+     3. كل request بيستنى لحد ما يبقى فيه مكان في الـ RPM/TPM budget
+        (sliding window دقيقة، مشترك بين كل الـ jobs)
+     4. 429 / 5xx / network → retry بـ backoff (أو retry-after لو موجود)،
+        والـ 429 بيوقف الـ budget كله لحد وقت الـ retry
+
+     const embeddings = createEmbeddingService({ llm, repo });
+     const vectors = await embeddings.embedMany("chunk_embedding", texts);   // نفس الترتيب، null للنص الفاضي
+     const vec = await embeddings.embed("course_embedding", text);
+
+   Env:
+     EMBED_BATCH_SIZE      (الافتراضي 96 input في الـ request)
+     EMBED_BATCH_TOKENS    (الافتراضي 50000)
+     EMBED_RPM             (الافتراضي 3000)
+     EMBED_TPM             (الافتراضي 1000000)
+     EMBED_MAX_RETRIES     (الافتراضي 6)
+     EMBED_CACHE_MEMORY    (الافتراضي 5000 vector في الـ memory، 0 = من غير)
+     EMBED_CACHE_DB        (الافتراضي true — false يقفل جدول embedding_cache)
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const crypto = require("crypto");
+const { estimateTokens } = require("./chunker");
+
+const WINDOW_MS = 60 * 1000;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+const CACHE_LOOKUP_BATCH = 200;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function serviceOptions(env = process.env) {
+  const int = (v, d) => (parseInt(v) >= 0 ? parseInt(v) : d);
+  return {
+    batchSize: int(env.EMBED_BATCH_SIZE, 0) || 96,
+    batchTokens: int(env.EMBED_BATCH_TOKENS, 0) || 50000,
+    rpm: int(env.EMBED_RPM, 0) || 3000,
+    tpm: int(env.EMBED_TPM, 0) || 1000000,
+    maxRetries: int(env.EMBED_MAX_RETRIES, 6),
+    memoryEntries: int(env.EMBED_CACHE_MEMORY, 5000),
+    dbCache: String(env.EMBED_CACHE_DB || "true").toLowerCase() !== "false",
+  };
+}
+
+// ─── contentHash ───
+function contentHash(provider, model, text) {
+  return crypto.createHash("sha256").update(`${provider}:${model}\n${text}`).digest("hex");
+}
+
+// pgvector بيرجع "[0.1,0.2,...]" كـ string
+function toVector(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string") {
+    try { return JSON.parse(value); } catch { return null; }
+  }
+  return null;
+}
+
+// network errors — من node (err.code) أو ملفوفة في الـ OpenAI SDK (APIConnectionError + cause)
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "ENETUNREACH", "EHOSTUNREACH",
+  "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_HEADERS_TIMEOUT", "UND_ERR_BODY_TIMEOUT",
+]);
+const NETWORK_ERROR_NAMES = new Set(["APIConnectionError", "APIConnectionTimeoutError"]);
+
+function isNetworkError(err) {
+  for (let e = err, depth = 0; e && depth < 3; e = e.cause, depth++) {
+    if (NETWORK_ERROR_CODES.has(e.code) || NETWORK_ERROR_NAMES.has(e.name) || NETWORK_ERROR_NAMES.has(e.constructor?.name)) return true;
+  }
+  return false;
+}
+
+// ─── retryable ───
+// 429 / 5xx / network بس → retry (أي error تاني — response ناقص، bug — بيطلع على طول).
+// بيرجع ms من retry-after لو الـ provider بعته
+function retryable(err) {
+  const status = err && (err.status || err.statusCode);
+  if (status ? status !== 429 && status < 500 : !isNetworkError(err)) return null;
+  const h = err && err.headers;
+  const raw = h && (typeof h.get === "function" ? h.get("retry-after") : h["retry-after"]);
+  const seconds = parseFloat(raw);
+  return { rateLimited: status === 429, afterMs: seconds > 0 ? seconds * 1000 : null };
+}
+
+// ─── createRateBudget ───
+// RPM + TPM على sliding window — acquire(tokens) بيستنى لحد ما الاتنين يسمحوا
+function createRateBudget({ rpm, tpm }) {
+  const window = [];
+  let pausedUntil = 0;
+
+  function prune(now) {
+    while (window.length && now - window[0].at >= WINDOW_MS) window.shift();
+  }
+
+  return {
+    async acquire(tokens) {
+      while (true) {
+        const now = Date.now();
+        if (pausedUntil > now) { await sleep(pausedUntil - now); continue; }
+        prune(now);
+        const used = window.reduce((n, e) => n + e.tokens, 0);
+        // request أكبر من الـ TPM كله → يعدّي لوحده لما الـ window تفضى
+        if (window.length < rpm && (used + tokens <= tpm || window.length === 0)) {
+          window.push({ at: now, tokens });
+          return;
+        }
+        await sleep(Math.max(50, window[0].at + WINDOW_MS - now));
+      }
+    },
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+    usage() {
+      prune(Date.now());
+      return { requests: window.length, tokens: window.reduce((n, e) => n + e.tokens, 0) };
+    },
+  };
+}
+
+// ─── createEmbeddingService ───
+function createEmbeddingService({ llm, repo = null, env = process.env } = {}) {
+  const options = serviceOptions(env);
+  const budget = createRateBudget(options);
+  const memory = new Map();
+  const counters = { requests: 0, inputs: 0, tokens: 0, memory_hits: 0, db_hits: 0, retries: 0, rate_limited: 0 };
+  let dbCacheOk = options.dbCache && !!(repo && repo.embeddingCache);
+
+  function remember(hash, vector) {
+    if (!options.memoryEntries) return;
+    memory.delete(hash);
+    memory.set(hash, vector);
+    if (memory.size > options.memoryEntries) memory.delete(memory.keys().next().value);
+  }
+
+  async function fromDb(hashes) {
+    const found = new Map();
+    if (!dbCacheOk || !hashes.length) return found;
+    for (let i = 0; i < hashes.length; i += CACHE_LOOKUP_BATCH) {
+      const { data, error } = await repo.embeddingCache.get(hashes.slice(i, i + CACHE_LOOKUP_BATCH));
+      if (error) {
+        // الجدول مش موجود أو الـ DB واقعة — نكمل من غير cache بدل ما الـ ingestion يقف
+        console.error("⚠️ embedding_cache lookup failed — disabling DB cache:", error.message);
+        dbCacheOk = false;
+        return found;
+      }
+      for (const row of data || []) {
+        const vec = toVector(row.embedding);
+        if (vec) found.set(row.content_hash, vec);
+      }
+    }
+    return found;
+  }
+
+  async function toDb(rows) {
+    if (!dbCacheOk || !rows.length) return;
+    const { error } = await repo.embeddingCache.put(rows);
+    if (error) console.error("⚠️ embedding_cache write failed:", error.message);
+  }
+
+  // request واحد (batch) مع الـ retries
+  async function request(feature, model, inputs, tokens) {
+    for (let attempt = 0; ; attempt++) {
+      await budget.acquire(tokens);
+      try {
+        counters.requests++;
+        const res = await llm.embed(feature, inputs, { model });
+        const data = [...(res.data || [])].sort((a, b) => a.index - b.index);
+        if (data.length !== inputs.length) throw new Error(`Embedding response has ${data.length} vectors for ${inputs.length} inputs`);
+        counters.inputs += inputs.length;
+        counters.tokens += (res.usage && res.usage.total_tokens) || tokens;
+        return data.map((d) => d.embedding);
+      } catch (err) {
+        const retry = retryable(err);
+        if (!retry || attempt >= options.maxRetries) throw err;
+        const backoff = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt) * (0.75 + Math.random() * 0.5);
+        const waitMs = retry.afterMs || backoff;
+        counters.retries++;
+        if (retry.rateLimited) {
+          counters.rate_limited++;
+          budget.pause(waitMs);
+        }
+        console.warn(`⏳ Embedding ${feature} retry ${attempt + 1}/${options.maxRetries} in ${Math.round(waitMs)}ms: ${err.message}`);
+        await sleep(waitMs);
+      }
+    }
+  }
+
+  // ─── embedMany ───
+  // texts → vectors بنفس الترتيب. onBatch(doneCount, total) بعد كل batch
+  // model = غير بتاع الـ feature (عمود الـ shadow وقت الـ migration)
+  async function embedMany(feature, texts, { onBatch = null, model = llm.model(feature) } = {}) {
+    const provider = llm.providerName(feature);
+    const result = new Array(texts.length).fill(null);
+
+    // نص متكرر في نفس الطلب → embedding واحد
+    const pending = new Map();   // hash → { text, indexes }
+    texts.forEach((text, i) => {
+      if (text == null || !String(text).trim()) return;
+      const hash = contentHash(provider, model, String(text));
+      if (memory.has(hash)) {
+        const vec = memory.get(hash);
+        remember(hash, vec);
+        counters.memory_hits++;
+        result[i] = vec;
+        return;
+      }
+      if (!pending.has(hash)) pending.set(hash, { text: String(text), indexes: [] });
+      pending.get(hash).indexes.push(i);
+    });
+
+    const cached = await fromDb([...pending.keys()]);
+    for (const [hash, vec] of cached) {
+      counters.db_hits++;
+      remember(hash, vec);
+      for (const i of pending.get(hash).indexes) result[i] = vec;
+      pending.delete(hash);
+    }
+
+    const missing = [...pending.entries()];
+    let done = texts.length - missing.reduce((n, [, p]) => n + p.indexes.length, 0);
+    if (onBatch && done) await onBatch(done, texts.length);
+
+    let batch = [];
+    let batchTokens = 0;
+    const flush = async () => {
+      if (!batch.length) return;
+      const vectors = await request(feature, model, batch.map(([, p]) => p.text), batchTokens);
+      const rows = [];
+      batch.forEach(([hash, p], k) => {
+        remember(hash, vectors[k]);
+        for (const i of p.indexes) result[i] = vectors[k];
+        done += p.indexes.length;
+        rows.push({ content_hash: hash, provider, model, embedding: vectors[k], created_at: new Date().toISOString() });
+      });
+      await toDb(rows);
+      batch = [];
+      batchTokens = 0;
+      if (onBatch) await onBatch(done, texts.length);
+    };
+
+    for (const entry of missing) {
+      const tokens = estimateTokens(entry[1].text);
+      if (batch.length && (batch.length >= options.batchSize || batchTokens + tokens > options.batchTokens)) await flush();
+      batch.push(entry);
+      batchTokens += tokens;
+    }
+    await flush();
+    return result;
+  }
+
+  // ─── embed ───
+  async function embed(feature, text, opts = {}) {
+    const [vec] = await embedMany(feature, [text], opts);
+    return vec;
+  }
+
+  return {
+    options,
+    embed,
+    embedMany,
+    stats: () => ({ ...counters, memory_entries: memory.size, db_cache: dbCacheOk, window: budget.usage() }),
+  };
+}
+
+module.exports = { createEmbeddingService, createRateBudget, contentHash, serviceOptions };
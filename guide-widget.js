@@ -113,6 +113,10 @@ _s.textContent=''
 +'#zg-chat-box .zg-sugg-btn:nth-child(2){animation-delay:0.3s}'
 +'#zg-chat-box .zg-sugg-btn:nth-child(3){animation-delay:0.5s}'
 +'#zg-chat-box .zg-sugg-btn:hover{background:#C4DED0 !important;border-color:#198754 !important;color:#157347 !important;transform:translateY(-2px)}'
++'#zg-chat-box .zg-sources{display:flex !important;flex-wrap:wrap !important;gap:6px !important;padding:2px 0 6px !important;direction:rtl !important;flex-shrink:0}'
++'#zg-chat-box .zg-src-chip{background:#fff !important;border:1.5px solid #BADBCC !important;color:#0F5132 !important;padding:4px 10px !important;border-radius:14px !important;font-size:12px !important;font-weight:600 !important;cursor:pointer;font-family:Tahoma,Geneva,sans-serif !important;display:inline-flex !important;align-items:center !important;gap:4px !important;max-width:100% !important;transition:all .2s ease}'
++'#zg-chat-box .zg-src-chip:hover{background:#D1E7DD !important;border-color:#198754 !important}'
++'#zg-chat-box .zg-src-chip span{overflow:hidden;text-overflow:ellipsis;white-space:nowrap;max-width:160px;color:#6b7280;font-weight:400}'
 +'#zg-chat-box .zg-sugg-btn:active{transform:scale(0.95)}'
 +'@keyframes zgBubbleIn{from{opacity:0;transform:translateY(12px) scale(0.9)}to{opacity:1;transform:translateY(0) scale(1)}}'
 +'.zg-typing-wrap{display:flex;align-items:center;gap:6px}'
@@ -392,6 +396,7 @@ var TOOLS=[
 ];
 
 var API="https://easyt-chat-server.onrender.com/api/guide";
+var STREAM_API=API+"/stream";
 var IMAGE_API="https://easyt-chat-server.onrender.com/chat-image";
 var LIMIT=30;
 var SK_REM="zg_remaining_v2",SK_SES="zg_session_v2",SK_POS="zg_position",SK_TIP="zg_drag_tip_shown",SK_SIZE="zg_chat_size";
@@ -1667,26 +1672,124 @@ stopSending();
 }else{
 currentAbortController=new AbortController();
 var myStreamGen=++streamGen;
+var guideBody=JSON.stringify({message:text,session_id:getSid(),course_name:page.course_name,lecture_title:page.lecture_title,system_prompt:sysPr()});
 showTyp();
-fetch(API,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({message:text,session_id:getSid(),course_name:page.course_name,lecture_title:page.lecture_title,system_prompt:sysPr()}),signal:currentAbortController.signal})
-.then(function(r){if(!r.ok)throw new Error("HTTP "+r.status);return r.json();})
-.then(function(data){
+guideStream(guideBody,myStreamGen).then(function(fin){
+if(!fin||streamGen!==myStreamGen)return;
+guideDone(fin);
+}).catch(function(e){
+if(e.name==="AbortError"){return;}
 if(streamGen!==myStreamGen)return;
+if(!e.streamed){guideJson(guideBody,myStreamGen);return;}
+hideTyp();addMsg("عذراً، حصل مشكلة. حاول تاني.","bot");
+stopSending();
+});
+}
+}
+
+/* ==================== GUIDE STREAM ==================== */
+// /api/guide/stream: { delta } ... { sources } { suggestions } { done, reply, remaining_messages, suggestions }
+// لو الـ request نفسه فشل (network / HTTP error) → نرجع لـ /api/guide العادي.
+// بعد ما السيرفر قبل الـ request بيكون عمل consumeGuideMsg — الـ fallback هيخصم
+// رسالة تانية، فأي فشل بعد كده بيتعرض كـ error (err.streamed)
+function guideStream(body,myGen){
+return fetch(STREAM_API,{method:"POST",headers:{"Content-Type":"application/json"},body:body,signal:currentAbortController?currentAbortController.signal:undefined})
+.then(function(r){
+if(!r.ok||!r.body||!r.body.getReader)throw new Error("HTTP "+r.status);
+var reader=r.body.getReader(),dec=new TextDecoder(),buf="",text="",m=null,fin=null;
+function fail(msg){var err=new Error(msg);err.streamed=true;return err;}
+function handle(ev){
+if(ev.error)throw fail(ev.error);
+if(ev.delta){
+if(!m){hideTyp();m=document.createElement("div");m.className="zg-msg zg-bot";$msgs.appendChild(m);}
+text+=ev.delta;m.innerHTML=text.replace(/\n/g,"<br>");scrollBot();
+}
+if(ev.done){fin=ev;fin.el=m;if(!fin.reply)fin.reply=text;}
+}
+function pump(){
+return reader.read().then(function(res){
+if(streamGen!==myGen){try{reader.cancel();}catch(e){}return null;}
+if(res.done){if(!fin)throw fail("stream ended");return fin;}
+buf+=dec.decode(res.value,{stream:true});
+var parts=buf.split("\n\n");buf=parts.pop();
+for(var pi=0;pi<parts.length;pi++){var line=parts[pi].trim();if(line.indexOf("data:")!==0)continue;handle(JSON.parse(line.slice(5)));}
+return pump();
+});
+}
+return pump().catch(function(e){if(e.name!=="AbortError")e.streamed=true;throw e;});
+});
+}
+
+function guideDone(data){
 hideTyp();
 if(typeof data.remaining_messages==="number"){rem=data.remaining_messages;saveRem(rem);updCtr();}
 else{rem=Math.max(0,rem-1);saveRem(rem);updCtr();}
 var reply=data.reply||"";
-typewriterMsg(reply,"bot");
+if(data.el){data.el.innerHTML=reply;var links=data.el.querySelectorAll("a");for(var li=0;li<links.length;li++){links[li].setAttribute("target","_blank");links[li].setAttribute("rel","noopener");}scrollBot();}
+else typewriterMsg(reply,"bot");
 stopSending();
+showSources(data.sources);
+if(data.suggestions&&data.suggestions.length&&rem>0)showSugg(data.suggestions);
+}
+
+/* ==================== SOURCES ==================== */
+// chips "شاهد عند 03:15" تحت رد المرشد — بتفتح الدرس عند التوقيت ده
+function showSources(arr){
+if(!$msgs||!arr||!arr.length)return;
+var w=document.createElement("div");w.className="zg-sources";
+for(var si=0;si<arr.length;si++){(function(src){
+if(!src.url)return;
+var b=document.createElement("button");b.className="zg-src-chip";
+var label=src.timestamp?"▶ شاهد عند "+src.timestamp:"▶ افتح الدرس";
+var sameLec=lecId(src.url)===lecId(location.href);
+b.innerHTML=esc(label)+(sameLec?"":"<span>· "+esc(src.lecture_title||"")+"</span>");
+b.title=(src.course_title?src.course_title+" — ":"")+(src.lecture_title||"");
+b.onclick=function(){openSource(src);};
+w.appendChild(b);
+})(arr[si]);}
+if(w.children.length){$msgs.appendChild(w);scrollBot();}
+}
+
+function openSource(src){
+var t=typeof src.seconds==="number"?src.seconds:0;
+if(lecId(src.url)&&lecId(src.url)===lecId(location.href)){seekVideo(t);return;}
+try{sessionStorage.setItem("zg_seek",JSON.stringify({lec:lecId(src.url),t:t}));}catch(e){}
+location.href=src.url;
+}
+
+// HTML5 video أو Wistia (اللي Teachable بيستخدمه) — بنحاول لحد ما الـ player يجهز
+function seekVideo(t,tries){
+tries=tries||0;
+var v=document.querySelector("video");
+if(v){try{v.currentTime=t;v.play&&v.play();}catch(e){}v.scrollIntoView&&v.scrollIntoView({behavior:"smooth",block:"center"});return;}
+if(window.Wistia||document.querySelector(".wistia_embed,[class*=\"wistia\"]")){
+window._wq=window._wq||[];
+window._wq.push({id:"_all",onReady:function(video){video.time(t);video.play();}});
+return;
+}
+if(tries<20)setTimeout(function(){seekVideo(t,tries+1);},750);
+}
+
+function resumePendingSeek(){
+var raw=null;try{raw=sessionStorage.getItem("zg_seek");}catch(e){}
+if(!raw)return;
+try{sessionStorage.removeItem("zg_seek");var p=JSON.parse(raw);if(p&&p.lec===lecId(location.href))seekVideo(p.t||0);}catch(e){}
+}
+
+function guideJson(body,myGen){
+fetch(API,{method:"POST",headers:{"Content-Type":"application/json"},body:body,signal:currentAbortController?currentAbortController.signal:undefined})
+.then(function(r){if(!r.ok)throw new Error("HTTP "+r.status);return r.json();})
+.then(function(data){
+if(streamGen!==myGen)return;
+guideDone(data);
 })
 .catch(function(e){
 if(e.name==="AbortError"){return;}
-if(streamGen!==myStreamGen)return;
+if(streamGen!==myGen)return;
 hideTyp();addMsg("عذراً، حصل مشكلة. حاول تاني.","bot");
 stopSending();
 });
 }
-}
 
 function sysPr(){
 if(window.__zikoAnalyticalMode){window.__zikoAnalyticalMode=false;return "أنت مرشد تعليمي اسمك زيكو. الطالب أجاب على أسئلة تحليلية. صحح إجاباته بوضوح: ✅ الصح وليه، ❌ الغلط وكيف يصحح. في النهاية أعطه تقييم إجمالي من 100. نص عادي بدون HTML.";}
@@ -1905,7 +2008,7 @@ if($notifyX)$notifyX.addEventListener("click",function(){hideNotify();});
 
 setInterval(checkDateReset,30000);
 
-setupVoice();setupMonitor();
+setupVoice();setupMonitor();resumePendingSeek();
 function setZgVh(){
 var h=window.visualViewport?window.visualViewport.height:window.innerHeight;
 document.documentElement.style.setProperty("--zg-vh",h+"px");
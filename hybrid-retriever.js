@@ -0,0 +1,329 @@
+/* ══════════════════════════════════════════════════════════
+   hybrid-retriever.js — Hybrid retrieval لـ lesson chunks
+
+   بيدمج نتيجتين بـ Reciprocal Rank Fusion (RRF):
+     1) BM25 على الكلمات (normalizeArabic + expandArabicVariants + stemming خفيف)
+     2) vector similarity (match_teachable_chunks)
+   وبعدين rerank اختياري لأعلى النتايج:
+     - llm            → feature "chunk_rerank" بيدي كل passage درجة 0-10
+     - cross-encoder  → أي endpoint متوافق مع Cohere/Jina /rerank
+
+   كل chunk راجع معاه scores: { bm25, bm25_rank, vector, vector_rank, rrf, rerank }
+
+   Env:
+     HYBRID_RERANK=off|llm|cross-encoder   (الافتراضي off)
+     RERANK_URL=https://api.jina.ai/v1/rerank
+     RERANK_API_KEY=...   RERANK_MODEL=jina-reranker-v2-base-multilingual
+
+   Usage:
+     const retriever = createHybridRetriever({ repo, llm });
+     const chunks = await retriever.retrieve("يعني ايه السيلز فانل", { courseId, limit: 8 });
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const { normalizeArabic, expandArabicVariants, BASIC_STOP_WORDS } = require("./shared");
+
+const RRF_K = 60;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const VARIANT_WEIGHT = 0.5;
+const VECTOR_THRESHOLD = 0.30;   // أقل من الـ 0.50 القديم — الـ fusion بيفلتر الضعيف
+const CANDIDATES = 30;           // من كل مصدر قبل الـ fusion
+const RERANK_TOP = 20;
+const CORPUS_TTL = 10 * 60 * 1000;
+const MAX_CORPUS_CACHE = 20;
+
+// كلمات السؤال العامية اللي مالهاش وزن في البحث
+const QUERY_STOP_WORDS = new Set([
+  "ايه", "يعني", "ازاي", "ليه", "امتي", "فين", "مين", "كام", "عايز", "عاوز",
+  "ممكن", "اشرح", "اشرحلي", "وضح", "وضحلي", "الفرق", "بين", "عشان", "علشان",
+  "بتاع", "بتاعه", "دي", "ده", "اللي", "كده", "what", "how", "why", "does", "do",
+]);
+const STOP = new Set([...BASIC_STOP_WORDS, ...QUERY_STOP_WORDS].map((w) => normalizeArabic(w.toLowerCase())));
+
+// ─── stem ───
+// stemming خفيف: prefixes (ال، وال، بال، لل ...) + شوية suffixes شائعة
+function stem(token) {
+  let t = token;
+  for (const p of ["وال", "بال", "فال", "كال", "لل", "ال"]) {
+    if (t.startsWith(p) && t.length - p.length >= 3) { t = t.slice(p.length); break; }
+  }
+  for (const s of ["ات", "ين", "ون", "يه", "ها", "هم"]) {
+    if (t.endsWith(s) && t.length - s.length >= 3) { t = t.slice(0, -s.length); break; }
+  }
+  return t;
+}
+
+// ─── tokenize ───
+function tokenize(text) {
+  return normalizeArabic(String(text || "").toLowerCase())
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter((w) => w.length > 1 && !STOP.has(w))
+    .map(stem);
+}
+
+// ─── queryTerms ───
+// term → weight (الكلمات الأصلية 1، الـ variants الإملائية 0.5)
+function queryTerms(query) {
+  const weights = new Map();
+  const raw = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+  for (const word of raw) {
+    const [original] = tokenize(word);
+    if (!original) continue;
+    weights.set(original, 1);
+    for (const v of expandArabicVariants([word])) {
+      const [t] = tokenize(v);
+      if (t && !weights.has(t)) weights.set(t, VARIANT_WEIGHT);
+    }
+  }
+  return weights;
+}
+
+// ─── buildIndex ───
+// docs = chunks → { docs: [{ chunk, tf, len }], df, avgdl }
+function buildIndex(chunks) {
+  const df = new Map();
+  let total = 0;
+  const docs = chunks.map((chunk) => {
+    const tokens = tokenize(chunk.content);
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+    total += tokens.length;
+    return { chunk, tf, len: tokens.length };
+  });
+  return { docs, df, avgdl: docs.length ? total / docs.length : 0 };
+}
+
+// ─── bm25 ───
+function bm25(index, terms, { filter = null } = {}) {
+  const N = index.docs.length;
+  const results = [];
+  for (const doc of index.docs) {
+    if (filter && !filter(doc.chunk)) continue;
+    let score = 0;
+    for (const [term, weight] of terms) {
+      const f = doc.tf.get(term);
+      if (!f) continue;
+      const n = index.df.get(term) || 0;
+      const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+      score += weight * idf * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * (doc.len / (index.avgdl || 1))));
+    }
+    if (score > 0) results.push({ chunk: doc.chunk, score });
+  }
+  return results.sort((a, b) => b.score - a.score);
+}
+
+// ─── reciprocalRankFusion ───
+// lists = { name: [{ chunk, score }] مترتبة } → [{ chunk, scores }] مترتبة بالـ rrf
+function reciprocalRankFusion(lists, k = RRF_K) {
+  const fused = new Map();
+  for (const [name, list] of Object.entries(lists)) {
+    list.forEach((item, i) => {
+      const id = String(item.chunk.id);
+      if (!fused.has(id)) fused.set(id, { chunk: item.chunk, scores: { rrf: 0 } });
+      const entry = fused.get(id);
+      entry.chunk = { ...item.chunk, ...entry.chunk };
+      entry.scores[name] = item.score;
+      entry.scores[`${name}_rank`] = i + 1;
+      entry.scores.rrf += 1 / (k + i + 1);
+    });
+  }
+  return [...fused.values()].sort((a, b) => b.scores.rrf - a.scores.rrf);
+}
+
+// ─── createHybridRetriever ───
+function createHybridRetriever({ repo, llm, embeddingModels = null, env = process.env }) {
+  const rerankMode = (env.HYBRID_RERANK || "off").toLowerCase();
+  const corpusCache = new Map(); // courseId → { index, lectures, at }
+
+  // ─── loadCourseCorpus ───
+  // كل chunks الكورس مرة واحدة (cache 10 دقايق) عشان الـ IDF يبقى على الكورس كله
+  async function loadCourseCorpus(courseId) {
+    const key = String(courseId);
+    const cached = corpusCache.get(key);
+    if (cached && Date.now() - cached.at < CORPUS_TTL) return cached;
+
+    const { data: lectures, error: lecErr } = await repo.lectures.byCourse(courseId, { select: "teachable_lecture_id, name" });
+    if (lecErr) throw new Error(lecErr.message);
+    const names = new Map((lectures || []).map((l) => [String(l.teachable_lecture_id), l.name]));
+    const ids = (lectures || []).map((l) => l.teachable_lecture_id).filter(Boolean);
+
+    let chunks = [];
+    if (ids.length > 0) {
+      const { data, error } = await repo.chunks.forLectures(ids);
+      if (error) throw new Error(error.message);
+      chunks = (data || []).map((c) => ({
+        ...c,
+        lecture_name: names.get(String(c.teachable_lecture_id)) || null,
+        course_id: courseId,
+      }));
+    }
+
+    const entry = { index: buildIndex(chunks), at: Date.now() };
+    if (corpusCache.size >= MAX_CORPUS_CACHE) corpusCache.delete(corpusCache.keys().next().value);
+    corpusCache.set(key, entry);
+    console.log(`📚 Hybrid: indexed ${chunks.length} chunks for course ${courseId}`);
+    return entry;
+  }
+
+  // ─── keywordSearch ───
+  // من غير كورس: pool من البحث النصي والـ IDF على الـ pool بس
+  async function keywordSearch(query, terms, { courseId, lectureId }) {
+    let index;
+    if (courseId) {
+      index = (await loadCourseCorpus(courseId)).index;
+    } else {
+      const variants = [...terms.keys()].filter((t) => t.length > 2).slice(0, 20);
+      if (variants.length === 0) return [];
+      const { data, error } = await repo.chunks.searchText(variants, { lectureId, limit: 80 });
+      if (error) throw new Error(error.message);
+      const pool = data || [];
+      const lectureIds = [...new Set(pool.map((c) => c.teachable_lecture_id).filter(Boolean))];
+      if (lectureIds.length > 0) {
+        const { data: lectures } = await repo.lectures.byTeachableIds(lectureIds, { select: "teachable_lecture_id, name, course_id" });
+        const byId = new Map((lectures || []).map((l) => [String(l.teachable_lecture_id), l]));
+        pool.forEach((c) => {
+          const lec = byId.get(String(c.teachable_lecture_id)) || {};
+          c.lecture_name = lec.name || null;
+          c.course_id = lec.course_id || null;
+        });
+      }
+      index = buildIndex(pool);
+    }
+    const filter = lectureId ? (c) => String(c.teachable_lecture_id) === String(lectureId) : null;
+    return bm25(index, terms, { filter }).slice(0, CANDIDATES);
+  }
+
+  // ─── vectorSearch ───
+  async function vectorSearch(query, { courseId, lectureId }) {
+    if (!llm || !llm.available("chunk_embedding")) return [];
+    // embeddingModels → model والـ RPC بتوع العمود الـ live (embedding-models.js)
+    const { embedding, column } = embeddingModels
+      ? await embeddingModels.queryVector("chunks", query.substring(0, 2000))
+      : { embedding: (await llm.embed("chunk_embedding", query.substring(0, 2000))).data[0].embedding, column: "embedding" };
+    const { data, error } = await repo.chunks.matchSemantic(embedding, {
+      threshold: VECTOR_THRESHOLD,
+      count: CANDIDATES,
+      courseId,
+      lectureId,
+      column,
+    });
+    if (error) throw new Error(error.message);
+    return (data || []).map((c) => ({ chunk: c, score: c.similarity }));
+  }
+
+  // ─── rerank ───
+  // بيرجع array درجات بنفس ترتيب الـ items (null لو فشل)
+  async function rerankLLM(query, items) {
+    const passages = items.map((it, i) => `[${i}] ${(it.chunk.content || "").replace(/\s+/g, " ").substring(0, 500)}`).join("\n\n");
+    const resp = await llm.chat("chunk_rerank", {
+      messages: [
+        {
+          role: "system",
+          content: `قيّم كل فقرة حسب قد إيه بتجاوب على سؤال الطالب (0 = مالهاش علاقة، 10 = بتجاوب بالظبط).
+الفقرات من تفريغ فيديوهات — ممكن الكلام يكون بصياغة مختلفة عن السؤال.
+ارجع JSON: {"scores": [{"i": 0, "score": 7}, ...]}`,
+        },
+        { role: "user", content: `السؤال: "${query.substring(0, 300)}"\n\n${passages}` },
+      ],
+      response_format: { type: "json_object" },
+      max_tokens: 400,
+      temperature: 0,
+    });
+    const parsed = JSON.parse((resp.choices[0].message.content || "").replace(/```json|```/g, "").trim());
+    const scores = new Array(items.length).fill(0);
+    for (const s of parsed.scores || []) {
+      if (Number.isInteger(s.i) && s.i >= 0 && s.i < items.length) scores[s.i] = Number(s.score) / 10 || 0;
+    }
+    return scores;
+  }
+
+  async function rerankCrossEncoder(query, items) {
+    if (!env.RERANK_URL) throw new Error("RERANK_URL مش متحدد");
+    const res = await fetch(env.RERANK_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(env.RERANK_API_KEY ? { Authorization: `Bearer ${env.RERANK_API_KEY}` } : {}),
+      },
+      body: JSON.stringify({
+        model: env.RERANK_MODEL || undefined,
+        query,
+        documents: items.map((it) => (it.chunk.content || "").substring(0, 2000)),
+        top_n: items.length,
+      }),
+    });
+    if (!res.ok) throw new Error(`rerank HTTP ${res.status}`);
+    const body = await res.json();
+    const scores = new Array(items.length).fill(0);
+    for (const r of body.results || body.data || []) {
+      if (r.index >= 0 && r.index < items.length) scores[r.index] = r.relevance_score ?? r.score ?? 0;
+    }
+    return scores;
+  }
+
+  async function rerank(query, items, mode) {
+    if (mode === "off" || items.length < 2) return null;
+    try {
+      if (mode === "llm") return await rerankLLM(query, items);
+      if (mode === "cross-encoder") return await rerankCrossEncoder(query, items);
+      console.warn(`⚠️ Hybrid: unknown rerank mode "${mode}"`);
+    } catch (e) {
+      console.error("⚠️ Hybrid rerank error:", e.message);
+    }
+    return null;
+  }
+
+  // ─── retrieve ───
+  // opts: courseId (teachable_course_id)، lectureId (درس واحد)، limit، rerank (override للـ env)
+  async function retrieve(query, { courseId = null, lectureId = null, limit = 8, rerank: mode = rerankMode } = {}) {
+    if (!repo || !query) return [];
+    const terms = queryTerms(query);
+
+    const [keyword, vector] = await Promise.all([
+      keywordSearch(query, terms, { courseId, lectureId }).catch((e) => {
+        console.error("⚠️ Hybrid keyword error:", e.message);
+        return [];
+      }),
+      vectorSearch(query, { courseId, lectureId }).catch((e) => {
+        console.error("⚠️ Hybrid vector error:", e.message);
+        return [];
+      }),
+    ]);
+
+    let fused = reciprocalRankFusion({ bm25: keyword, vector });
+    const top = fused.slice(0, Math.max(limit, RERANK_TOP));
+    const rerankScores = await rerank(query, top, mode);
+    if (rerankScores) {
+      top.forEach((it, i) => { it.scores.rerank = rerankScores[i]; });
+      top.sort((a, b) => (b.scores.rerank - a.scores.rerank) || (b.scores.rrf - a.scores.rrf));
+      fused = top;
+    }
+
+    console.log(`🔀 Hybrid: bm25=${keyword.length} | vector=${vector.length} | fused=${fused.length}${rerankScores ? ` | rerank=${mode}` : ""}`);
+    return fused.slice(0, limit).map(({ chunk, scores }) => ({
+      ...chunk,
+      similarity: scores.vector ?? null,
+      score: scores.rerank ?? scores.rrf,
+      scores: {
+        bm25: scores.bm25 ?? null,
+        bm25_rank: scores.bm25_rank ?? null,
+        vector: scores.vector ?? null,
+        vector_rank: scores.vector_rank ?? null,
+        rrf: scores.rrf,
+        rerank: scores.rerank ?? null,
+      },
+    }));
+  }
+
+  return {
+    retrieve,
+    invalidate: (courseId) => (courseId == null ? corpusCache.clear() : corpusCache.delete(String(courseId))),
+    stats: () => ({ rerank: rerankMode, cached_courses: corpusCache.size }),
+  };
+}
+
+module.exports = { createHybridRetriever, tokenize, queryTerms, buildIndex, bm25, reciprocalRankFusion };
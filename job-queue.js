@@ -0,0 +1,344 @@
+/* ══════════════════════════════════════════════════════════
+   job-queue.js — Durable background jobs (migrations, embeddings, gap-sync)
+
+   كل شغل طويل بيبقى صف في background_jobs بدل state في الـ memory،
+   فالـ restart مش بيضيّع حاجة والـ job بيكمل من آخر checkpoint.
+
+     jobs.register("image_migration", async (job, ctx) => { ... }, { maxAttempts: 3 })
+     const { job } = await jobs.enqueue("image_migration", { target: "all" }, { createdBy })
+
+   الـ handler بياخد ctx:
+     ctx.payload      → اللي اتبعت مع enqueue (بيتحفظ في الـ DB)
+     ctx.secrets      → tokens (accessToken ...) — في الـ memory بس، مش بتتحفظ
+     ctx.progress     → object الـ handler بيعدّل فيه، و ctx.report(patch) بيحفظه (throttled)
+     ctx.checkpoint   → آخر حاجة اتحفظت بـ ctx.save(checkpoint) — منها بيكمل بعد restart/retry
+     ctx.cancelled()  → true لو الأدمن طلب cancel — الـ handler يقف عند أقرب نقطة آمنة
+   اللي الـ handler بيرجعه بيتحفظ في result.
+
+   Lifecycle: queued → running → completed | failed | cancelled
+     - exception → queued تاني بعد backoff (baseBackoffMs × 2^attempt) لحد maxAttempts
+       (permanent(msg) → failed على طول من غير retry)
+     - running من غير heartbeat لمدة JOB_STALE_MS (process مات) → queued تاني
+
+   Env:
+     JOB_POLL_MS   (الافتراضي 2000)
+     JOB_STALE_MS  (الافتراضي 120000)
+     JOB_WORKERS   (عدد الـ jobs اللي بتشتغل مع بعض، الافتراضي 4)
+
+   priority: الأعلى بيتاخد الأول من الـ queue. group: id مشترك لـ jobs مترابطة (مثلاً batch)
+
+   lightweight: true (في register) → job بيستنى معظم الوقت (polling) — مش بيتحسب من
+   JOB_WORKERS، والحد بتاعه concurrency بس
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const crypto = require("crypto");
+
+const STATUSES = ["queued", "running", "completed", "failed", "cancelled"];
+const ACTIVE = ["queued", "running"];
+const REPORT_THROTTLE_MS = 2000;
+const HEARTBEAT_MS = 15000;
+const MAX_ERROR_LOG = 50;
+
+// ─── permanent ───
+// error مش هيتحل بالـ retry (مثلاً token ضاع بعد restart)
+function permanent(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+// الـ progress/checkpoint بيتعدلوا في الـ memory — نسخة عشان الـ DB row ميتغيرش من تحت
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+// ─── createJobQueue ───
+function createJobQueue({ repo, env = process.env, workerId = null } = {}) {
+  const pollMs = parseInt(env.JOB_POLL_MS) || 2000;
+  const staleMs = parseInt(env.JOB_STALE_MS) || 120000;
+  const workers = parseInt(env.JOB_WORKERS) || 4;
+  const worker = workerId || `${process.pid}-${crypto.randomBytes(3).toString("hex")}`;
+
+  const handlers = new Map();   // type → { run, maxAttempts, baseBackoffMs, concurrency, lightweight }
+  const running = new Map();    // id → { type, lightweight, cancelRequested }
+  const secrets = new Map();    // id → { ...tokens }
+  let timer = null;
+  let ticking = false;
+
+  // ─── register ───
+  function register(type, run, { maxAttempts = 3, baseBackoffMs = 30000, concurrency = 1, lightweight = false } = {}) {
+    handlers.set(type, { run, maxAttempts, baseBackoffMs, concurrency, lightweight });
+  }
+
+  // ─── enqueue ───
+  // unique → لو في job من نفس النوع queued/running بيرجعه بدل ما يعمل واحد جديد
+  async function enqueue(type, payload = {}, { createdBy = null, secrets: jobSecrets = null, unique = false, maxAttempts = null, runAt = null, priority = 0, group = null } = {}) {
+    const handler = handlers.get(type);
+    if (!handler) throw new Error(`Unknown job type "${type}"`);
+
+    if (unique) {
+      const { data: active, error } = await repo.jobs.active(type);
+      if (error) throw new Error(error.message);
+      if (active && active.length) return { job: active[0], existing: true };
+    }
+
+    const { data: job, error } = await repo.jobs.create({
+      type,
+      status: "queued",
+      payload: clone(payload),
+      progress: {},
+      checkpoint: null,
+      result: null,
+      error: null,
+      errors: [],
+      attempts: 0,
+      max_attempts: maxAttempts || handler.maxAttempts,
+      cancel_requested: false,
+      priority: Number(priority) || 0,
+      group_id: group,
+      run_at: runAt || nowIso(),
+      created_by: createdBy,
+      created_at: nowIso(),
+      updated_at: nowIso(),
+    });
+    if (error) throw new Error(error.message);
+    if (jobSecrets) secrets.set(String(job.id), jobSecrets);
+    console.log(`📥 Job queued: ${type} #${job.id}`);
+
+    setImmediate(tick);
+    return { job, existing: false };
+  }
+
+  // ─── cancel ───
+  // queued → cancelled على طول | running → cancel_requested والـ handler يقف بنفسه
+  async function cancel(id) {
+    const { data: job, error } = await repo.jobs.byId(id);
+    if (error) throw new Error(error.message);
+    if (!job) return null;
+    if (!ACTIVE.includes(job.status)) return job;
+
+    if (job.status === "queued") {
+      const { data } = await repo.jobs.update(id, { status: "cancelled", finished_at: nowIso(), updated_at: nowIso() });
+      secrets.delete(String(id));
+      return data || job;
+    }
+    const local = running.get(String(id));
+    if (local) local.cancelRequested = true;
+    const { data } = await repo.jobs.update(id, { cancel_requested: true, updated_at: nowIso() });
+    return data || job;
+  }
+
+  // ─── retry ───
+  // failed/cancelled → queued. الـ checkpoint بيفضل (يكمل من مكانه) إلا لو fresh
+  async function retry(id, { fresh = false, secrets: jobSecrets = null } = {}) {
+    const { data: job, error } = await repo.jobs.byId(id);
+    if (error) throw new Error(error.message);
+    if (!job) return null;
+    if (ACTIVE.includes(job.status)) return job;
+
+    const patch = {
+      status: "queued",
+      attempts: 0,
+      error: null,
+      cancel_requested: false,
+      run_at: nowIso(),
+      finished_at: null,
+      updated_at: nowIso(),
+    };
+    if (fresh) Object.assign(patch, { checkpoint: null, progress: {}, result: null, errors: [] });
+    const { data } = await repo.jobs.update(id, patch);
+    if (jobSecrets) secrets.set(String(id), jobSecrets);
+    setImmediate(tick);
+    return data || job;
+  }
+
+  // ─── requeueStale ───
+  // jobs "running" من غير heartbeat — الـ process اللي كان ماسكها مات
+  async function requeueStale() {
+    const before = new Date(Date.now() - staleMs).toISOString();
+    const { data: stale, error } = await repo.jobs.stale(before);
+    if (error || !stale) return;
+    for (const job of stale) {
+      if (running.has(String(job.id))) continue;
+      await repo.jobs.update(job.id, { status: "queued", locked_by: null, run_at: nowIso(), updated_at: nowIso() });
+      console.log(`♻️ Job resumed after restart: ${job.type} #${job.id}`);
+    }
+  }
+
+  function runningOfType(type) {
+    let n = 0;
+    for (const r of running.values()) if (r.type === type) n++;
+    return n;
+  }
+
+  // الـ jobs اللي ماسكة worker (الـ lightweight مش بتتحسب)
+  function busyWorkers() {
+    let n = 0;
+    for (const r of running.values()) if (!r.lightweight) n++;
+    return n;
+  }
+
+  const hasLightweight = () => [...handlers.values()].some((h) => h.lightweight);
+
+  // ─── tick ───
+  async function tick() {
+    if (ticking || !timer) return;
+    ticking = true;
+    try {
+      await requeueStale();
+      if (busyWorkers() >= workers && !hasLightweight()) return;
+
+      const { data: due, error } = await repo.jobs.due(nowIso(), { limit: 20 });
+      if (error || !due) return;
+
+      for (const job of due) {
+        const handler = handlers.get(job.type);
+        if (!handler || runningOfType(job.type) >= handler.concurrency) continue;
+        if (!handler.lightweight && busyWorkers() >= workers) continue;
+
+        const startedAt = job.started_at || nowIso();
+        const { data: claimed } = await repo.jobs.claim(job.id, {
+          status: "running",
+          locked_by: worker,
+          attempts: (job.attempts || 0) + 1,
+          started_at: startedAt,
+          heartbeat_at: nowIso(),
+          updated_at: nowIso(),
+        });
+        if (!claimed || !claimed.length) continue; // worker تاني سبقنا
+
+        runJob(claimed[0], handler);
+      }
+    } catch (e) {
+      console.error("❌ Job queue tick:", e.message);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  // ─── runJob ───
+  async function runJob(job, handler) {
+    const id = String(job.id);
+    const local = { type: job.type, lightweight: !!handler.lightweight, cancelRequested: !!job.cancel_requested };
+    running.set(id, local);
+
+    const progress = job.progress || {};
+    const errors = job.errors || [];
+    let checkpoint = job.checkpoint || null;
+    let lastReport = 0;
+
+    async function persist(extra = {}) {
+      lastReport = Date.now();
+      const { data } = await repo.jobs.update(job.id, {
+        progress: clone(progress),
+        errors: clone(errors.slice(-MAX_ERROR_LOG)),
+        heartbeat_at: nowIso(),
+        updated_at: nowIso(),
+        ...extra,
+      });
+      if (data && data.cancel_requested) local.cancelRequested = true;
+    }
+
+    const ctx = {
+      job,
+      payload: job.payload || {},
+      secrets: secrets.get(id) || {},
+      progress,
+      attempt: job.attempts,
+      get checkpoint() { return checkpoint; },
+      cancelled: () => local.cancelRequested,
+      report(patch) {
+        if (patch) Object.assign(progress, patch);
+        if (Date.now() - lastReport < REPORT_THROTTLE_MS) return Promise.resolve();
+        return persist().catch(() => {});
+      },
+      save(next) {
+        checkpoint = clone(next);
+        return persist({ checkpoint });
+      },
+      error(entry) {
+        errors.push({ at: nowIso(), ...entry });
+      },
+    };
+
+    const heartbeat = setInterval(() => persist().catch(() => {}), HEARTBEAT_MS);
+    if (heartbeat.unref) heartbeat.unref();
+
+    console.log(`▶️ Job started: ${job.type} #${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+    try {
+      const result = await handler.run(job, ctx);
+      const status = local.cancelRequested ? "cancelled" : "completed";
+      await persist({ status, result: clone(result), error: null, locked_by: null, finished_at: nowIso() });
+      secrets.delete(id);
+      console.log(`${status === "completed" ? "✅" : "⏹️"} Job ${status}: ${job.type} #${job.id}`);
+    } catch (err) {
+      const canRetry = !err.permanent && !local.cancelRequested && job.attempts < job.max_attempts;
+      errors.push({ at: nowIso(), attempt: job.attempts, error: err.message, fatal: true });
+      if (canRetry) {
+        const delay = handler.baseBackoffMs * 2 ** (job.attempts - 1);
+        await persist({
+          status: "queued",
+          error: err.message,
+          locked_by: null,
+          run_at: new Date(Date.now() + delay).toISOString(),
+        }).catch(() => {});
+        console.warn(`🔁 Job ${job.type} #${job.id} failed (${err.message}) — retry in ${Math.round(delay / 1000)}s`);
+      } else {
+        await persist({
+          status: local.cancelRequested ? "cancelled" : "failed",
+          error: err.message,
+          locked_by: null,
+          finished_at: nowIso(),
+        }).catch(() => {});
+        secrets.delete(id);
+        console.error(`❌ Job failed: ${job.type} #${job.id}:`, err.message);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      running.delete(id);
+      setImmediate(tick);
+    }
+  }
+
+  // ─── start / stop ───
+  function start() {
+    if (timer || !repo) return;
+    timer = setInterval(tick, pollMs);
+    if (timer.unref) timer.unref();
+    console.log(`🧵 Job worker ${worker} started (${workers} slots, ${handlers.size} job types)`);
+    tick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  // ─── read helpers ───
+  function get(id) {
+    return repo.jobs.byId(id);
+  }
+
+  function list(filters) {
+    return repo.jobs.list(filters);
+  }
+
+  async function latest(type) {
+    const { data } = await repo.jobs.latest(type);
+    return data || null;
+  }
+
+  function types() {
+    return [...handlers.keys()];
+  }
+
+  return { register, enqueue, cancel, retry, start, stop, tick, get, list, latest, types, workerId: worker };
+}
+
+module.exports = { createJobQueue, permanent, STATUSES };
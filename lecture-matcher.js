@@ -0,0 +1,291 @@
+/* ══════════════════════════════════════════════════════════
+   lecture-matcher.js — Drive video ↔ Teachable lecture matching
+
+   بدل المطابقة بالاسم بالظبط: كل (درس × ملف) ليه score من 0 لـ 100
+   مجمّع من features، والـ feature اللي مفيش داتا ليها بتتشال من الحساب:
+
+     title     similarityRatio / تداخل الكلمات بعد normalizeArabic وشيل
+               الامتداد والترقيم (ضد اسم ملف الـ attachment واسم الدرس)
+     number    رقم في أول اسم الملف ("03 - ..." / "الدرس ٣") = ترتيب الدرس
+     folder    الفولدر = الـ section (بالاسم أو بالرقم)
+     duration  مدة الفيديو في Drive ≥ آخر timestamp في الـ transcript
+     order     الترتيب النسبي للملف في الفولدر قريب من ترتيب الدرس
+               (بيفرّق بين الملفات المكررة بنفس الاسم)
+
+   التوزيع greedy على الـ scores (ملف واحد لكل درس)، والـ overrides
+   بتاعة الأدمن بتتثبت الأول — فالـ run الجاي بيطلع نفس النتيجة ومبيرجعش
+   يلخبط اللي اتصلح بالإيد.
+
+     const { matches, unmatchedFiles } = matchLectures({ lectures, files, overrides });
+     // matches: [{ lecture_id, file, confidence, level, source, breakdown, alternatives }]
+
+   level: high ≥ 80 | medium ≥ 60 | low ≥ MIN_CONFIDENCE (45) | none
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const { normalizeArabic, similarityRatio } = require("./shared");
+
+const WEIGHTS = { title: 0.5, number: 0.15, folder: 0.1, duration: 0.15, order: 0.1 };
+const MIN_CONFIDENCE = 45;
+const LEVELS = [["high", 80], ["medium", 60], ["low", MIN_CONFIDENCE]];
+const MAX_ALTERNATIVES = 3;
+const MIN_ALTERNATIVE_SCORE = 20;
+
+// كلمات بتيجي قبل رقم الدرس في أسماء الملفات
+const NUMBER_PREFIX = /^(?:lesson|lecture|part|video|ep|episode|درس|الدرس|محاضره|المحاضره|حلقه|الحلقه|جزء|الجزء)?[\s_\-.#]*(\d{1,3})(?!\d)/i;
+
+function toLatinDigits(text) {
+  return String(text || "")
+    .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, (d) => String(d.charCodeAt(0) - 0x06f0));
+}
+
+function stripExt(name) {
+  return String(name || "").replace(/\.[a-z0-9]{2,4}$/i, "");
+}
+
+function baseText(name) {
+  return normalizeArabic(toLatinDigits(stripExt(name)).toLowerCase()).trim();
+}
+
+// ─── leadingNumber ───
+function leadingNumber(name) {
+  const m = baseText(name).match(NUMBER_PREFIX);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+// ─── cleanTitle ───
+// من غير امتداد ولا ترقيم ولا "-repeated" / "_2" — الكلام بس
+function cleanTitle(name) {
+  return baseText(name)
+    .replace(NUMBER_PREFIX, "")
+    .replace(/[-_ ]repeated\d*$/, "")
+    .replace(/_\d+$/, "")
+    .replace(/[_\-.()[\]{}|،,]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function tokenOverlap(a, b) {
+  const ta = new Set(a.split(" ").filter((w) => w.length > 1));
+  const tb = new Set(b.split(" ").filter((w) => w.length > 1));
+  if (!ta.size || !tb.size) return 0;
+  let shared = 0;
+  for (const w of ta) if (tb.has(w)) shared++;
+  return Math.round((shared / Math.max(ta.size, tb.size)) * 100);
+}
+
+function titleScore(fileTitle, target) {
+  if (!fileTitle || !target) return 0;
+  return Math.max(similarityRatio(fileTitle, target), tokenOverlap(fileTitle, target));
+}
+
+// ─── feature scores ───
+// كل واحدة بترجع 0..100 أو null (مفيش داتا — متتحسبش)
+function scoreTitle(lecture, file) {
+  if (file.name.toLowerCase() === String(lecture.fileName || "").toLowerCase()) return 100;
+  return Math.max(
+    titleScore(file.clean, cleanTitle(lecture.fileName)),
+    titleScore(file.clean, cleanTitle(lecture.lectureName)),
+  );
+}
+
+function scoreNumber(lecture, file) {
+  if (file.number == null) return null;
+  const targets = [lecture.lecturePosition, lecture.indexInSection, lecture.ordinal].filter((n) => n != null);
+  if (!targets.length) return null;
+  if (targets.includes(file.number)) return 100;
+  if (targets.some((n) => Math.abs(n - file.number) === 1)) return 40;
+  return 0;
+}
+
+function scoreFolder(lecture, file) {
+  if (!file.folder) return null;
+  const scores = [];
+  if (lecture.sectionName) scores.push(titleScore(cleanTitle(file.folder), cleanTitle(lecture.sectionName)));
+  if (file.folderNumber != null && lecture.sectionIndex != null) {
+    scores.push(file.folderNumber === lecture.sectionIndex || file.folderNumber === lecture.sectionPosition ? 100 : 0);
+  }
+  return scores.length ? Math.max(...scores) : null;
+}
+
+function scoreDuration(lecture, file) {
+  if (!file.durationSeconds || !lecture.minDurationSeconds) return null;
+  const gap = file.durationSeconds - lecture.minDurationSeconds;
+  if (gap < -5) return 0;                    // الـ transcript أطول من الفيديو — مستحيل
+  if (gap <= 120) return 100;
+  return Math.max(30, Math.round(100 - (gap - 120) / 6));
+}
+
+function scoreOrder(lecture, file, lectureCount, fileCount) {
+  if (lectureCount < 2 || fileCount < 2) return null;
+  const rl = (lecture.ordinal - 1) / (lectureCount - 1);
+  const rf = file.index / (fileCount - 1);
+  return Math.round(100 * (1 - Math.min(1, Math.abs(rl - rf) * 2)));
+}
+
+function levelFor(score) {
+  for (const [level, min] of LEVELS) if (score >= min) return level;
+  return "none";
+}
+
+// ─── scorePair ───
+function scorePair(lecture, file, lectureCount, fileCount) {
+  const breakdown = {
+    title: scoreTitle(lecture, file),
+    number: scoreNumber(lecture, file),
+    folder: scoreFolder(lecture, file),
+    duration: scoreDuration(lecture, file),
+    order: scoreOrder(lecture, file, lectureCount, fileCount),
+  };
+  let sum = 0;
+  let weight = 0;
+  for (const [key, w] of Object.entries(WEIGHTS)) {
+    if (breakdown[key] == null) continue;
+    sum += breakdown[key] * w;
+    weight += w;
+  }
+  let score = weight ? Math.round(sum / weight) : 0;
+  // الاسم مختلف خالص — باقي الـ features لوحدها مش كفاية تعدّي الـ MIN
+  if (breakdown.title < 30) score = Math.min(score, MIN_CONFIDENCE - 1);
+  return { score, breakdown };
+}
+
+function fileView(file) {
+  return {
+    id: file.id,
+    name: file.name,
+    folderPath: file.folderPath || "",
+    size: file.size ? parseInt(file.size, 10) : null,
+    durationSeconds: file.durationSeconds || null,
+  };
+}
+
+// ─── prepare ───
+// الملفات بترتيب الفولدر ثم الاسم، والدروس بترتيب section ثم lecture
+function prepareFiles(files) {
+  return [...files]
+    .sort((a, b) => (a.folderPath || "").localeCompare(b.folderPath || "") || a.name.localeCompare(b.name))
+    .map((f, index) => {
+      const folder = (f.folderPath || "").split("/").filter(Boolean).pop() || "";
+      return {
+        ...f,
+        index,
+        clean: cleanTitle(f.name),
+        number: leadingNumber(f.name),
+        folder,
+        folderNumber: folder ? leadingNumber(folder) : null,
+      };
+    });
+}
+
+function prepareLectures(lectures) {
+  const sorted = [...lectures].sort((a, b) =>
+    (a.sectionPosition || 0) - (b.sectionPosition || 0) || (a.lecturePosition || 0) - (b.lecturePosition || 0));
+  const sectionOrder = [...new Set(sorted.map((l) => l.sectionPosition || 0))];
+  const perSection = {};
+  return sorted.map((l, i) => {
+    const sec = l.sectionPosition || 0;
+    perSection[sec] = (perSection[sec] || 0) + 1;
+    return {
+      ...l,
+      ordinal: i + 1,
+      sectionIndex: sectionOrder.indexOf(sec) + 1,
+      indexInSection: perSection[sec],
+    };
+  });
+}
+
+// override → ملف: بالـ id، ولو الملف اترفع تاني على Drive (id جديد) بالاسم + الفولدر
+function findOverrideFile(override, files) {
+  return files.find((f) => f.id === override.drive_file_id)
+    || files.find((f) => override.drive_file_name
+      && f.name === override.drive_file_name
+      && (f.folderPath || "") === (override.folder_path || ""))
+    || null;
+}
+
+// ─── matchLectures ───
+// lectures: [{ id, fileName, lectureName, sectionName, sectionPosition, lecturePosition, minDurationSeconds }]
+// files:    [{ id, name, folderPath, size, durationSeconds }]
+// overrides: [{ attachment_id, drive_file_id (null = الدرس ملوش فيديو), drive_file_name, folder_path }]
+function matchLectures({ lectures = [], files = [], overrides = [], minConfidence = MIN_CONFIDENCE } = {}) {
+  const fileList = prepareFiles(files);
+  const ls = prepareLectures(lectures);
+  const byLecture = new Map(ls.map((l) => [String(l.id), { lecture: l, file: null, score: 0, breakdown: null, source: "auto" }]));
+  const takenBy = new Map();   // file id → lecture id
+
+  // 1. overrides
+  for (const o of overrides) {
+    const entry = byLecture.get(String(o.attachment_id));
+    if (!entry) continue;
+    if (!o.drive_file_id && !o.drive_file_name) {
+      entry.source = "skipped";
+      continue;
+    }
+    const file = findOverrideFile(o, fileList);
+    if (!file || takenBy.has(file.id)) {
+      entry.source = "override_missing";
+      continue;
+    }
+    entry.file = file;
+    entry.source = "override";
+    entry.score = 100;
+    takenBy.set(file.id, String(entry.lecture.id));
+  }
+
+  // 2. كل الـ pairs الباقية
+  const scores = new Map();    // lecture id → [{ file, score, breakdown }]
+  const pairs = [];
+  for (const l of ls) {
+    const list = fileList.map((f) => ({ file: f, ...scorePair(l, f, ls.length, fileList.length) }))
+      .sort((a, b) => b.score - a.score || a.file.index - b.file.index);
+    scores.set(String(l.id), list);
+    const entry = byLecture.get(String(l.id));
+    if (entry.source !== "auto" && entry.source !== "override_missing") {
+      if (entry.file) entry.breakdown = (list.find((s) => s.file.id === entry.file.id) || {}).breakdown || null;
+      continue;
+    }
+    for (const s of list) if (s.score >= minConfidence) pairs.push({ lecture: l, ...s });
+  }
+
+  // 3. greedy — الأعلى score الأول، والتعادل بالترتيب (order) وبعدين الـ index
+  pairs.sort((a, b) =>
+    b.score - a.score
+    || (b.breakdown.order ?? 0) - (a.breakdown.order ?? 0)
+    || a.lecture.ordinal - b.lecture.ordinal
+    || a.file.index - b.file.index);
+  for (const p of pairs) {
+    const entry = byLecture.get(String(p.lecture.id));
+    if (entry.file || takenBy.has(p.file.id)) continue;
+    entry.file = p.file;
+    entry.score = p.score;
+    entry.breakdown = p.breakdown;
+    takenBy.set(p.file.id, String(p.lecture.id));
+  }
+
+  // 4. النتيجة + alternatives لكل درس
+  const matches = ls.map((l) => {
+    const entry = byLecture.get(String(l.id));
+    const alternatives = scores.get(String(l.id))
+      .filter((s) => s.score >= MIN_ALTERNATIVE_SCORE && (!entry.file || s.file.id !== entry.file.id))
+      .slice(0, MAX_ALTERNATIVES)
+      .map((s) => ({ file: fileView(s.file), confidence: s.score, breakdown: s.breakdown, taken_by: takenBy.get(s.file.id) || null }));
+    return {
+      lecture_id: l.id,
+      ordinal: l.ordinal,
+      file: entry.file ? fileView(entry.file) : null,
+      confidence: entry.file ? entry.score : 0,
+      level: entry.source === "override" || entry.source === "skipped" ? entry.source : (entry.file ? levelFor(entry.score) : "none"),
+      source: entry.source,
+      breakdown: entry.breakdown,
+      alternatives,
+    };
+  });
+
+  const unmatchedFiles = fileList.filter((f) => !takenBy.has(f.id)).map(fileView);
+  return { matches, unmatchedFiles };
+}
+
+module.exports = { matchLectures, cleanTitle, leadingNumber, MIN_CONFIDENCE };
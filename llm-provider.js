@@ -0,0 +1,316 @@
+/* ══════════════════════════════════════════════════════════
+   llm-provider.js — Pluggable LLM providers (chat / stream / vision / embeddings)
+
+   كل استدعاء للـ LLM بيعدّي على feature باسمه (intent, guide, vision ...)
+   وكل feature ليه provider و model — الافتراضي تحت في FEATURES
+   ويتغيّر من الـ env من غير ما نلمس الكود:
+
+     LLM_PROVIDER=openai|local|mock        → الافتراضي لكل الـ features
+     LLM_PROVIDER_<FEATURE>=...             → override لـ feature واحد
+     LLM_MODEL_<FEATURE>=...                → model مختلف (مثلاً LLM_MODEL_INTENT=gpt-4o-mini)
+     LLM_LOCAL_BASE_URL=http://localhost:11434/v1   → أي server OpenAI-compatible
+     LLM_LOCAL_API_KEY=...                  (اختياري)
+     LLM_MOCK_SCRIPT=./fixtures/llm.json    → ردود scripted للـ mock
+     LLM_RECORD_FILE=./recordings.json      → سجّل الردود الحقيقية عشان الـ mock يعيدها
+
+   الـ request/response بنفس شكل OpenAI (choices[0].message.content,
+   data[0].embedding) — عشان أي server متوافق يشتغل زي ما هو.
+
+   Usage:
+     const llm = createLLM({ openai });
+     const resp = await llm.chat("intent", { messages, temperature: 0.2 });
+     const vec  = (await llm.embed("chunk_embedding", text)).data[0].embedding;
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+// ─── Features ───
+const FEATURES = {
+  intent:            { model: "gpt-4o" },                  // ziko-sales analyzeIntent
+  sales_reply:       { model: "gpt-4o-mini" },             // askZiko
+  sales_context:     { model: "gpt-4o-mini" },             // analyzeUserContext
+  sales_filter:      { model: "gpt-4o-mini" },             // GPT smart filter
+  guide:             { model: "gpt-4o-mini" },             // /api/guide + /api/guide/stream
+  guide_topic:       { model: "gpt-4o-mini" },             // extractSearchTopic
+  guide_suggestions: { model: "gpt-4o-mini" },
+  guide_quiz:        { model: "gpt-4o-mini" },             // /api/guide/quiz
+  guide_tool:        { model: "gpt-4o-mini" },             // /api/guide/tool
+  guide_pdf:         { model: "gpt-4o-mini" },             // /api/guide/pdf-resources
+  vision:            { model: "gpt-4o" },                  // /chat-image
+  chunk_rerank:      { model: "gpt-4o-mini" },             // hybrid-retriever (HYBRID_RERANK=llm)
+  chunk_embedding:   { model: "text-embedding-3-small" },
+  course_embedding:  { model: "text-embedding-ada-002" },
+};
+
+const MOCK_EMBEDDING_DIMS = 64;
+
+// ─── requestKey ───
+// مفتاح ثابت للـ request — نفس الرسائل = نفس المفتاح (للتسجيل والإعادة)
+function requestKey(feature, params) {
+  const body = params.messages !== undefined ? params.messages : params.input;
+  return feature + ":" + crypto.createHash("sha1").update(JSON.stringify(body)).digest("hex").slice(0, 16);
+}
+
+function completionFrom(content, model) {
+  return {
+    id: "mock-" + crypto.randomBytes(4).toString("hex"),
+    object: "chat.completion",
+    model,
+    choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }],
+  };
+}
+
+// embedding ثابت من الـ hash — نفس النص = نفس الـ vector
+function hashEmbedding(text, dims = MOCK_EMBEDDING_DIMS) {
+  const vec = [];
+  let seed = crypto.createHash("sha256").update(String(text)).digest();
+  while (vec.length < dims) {
+    for (let i = 0; i + 1 < seed.length && vec.length < dims; i += 2) {
+      vec.push((seed.readUInt16BE(i) / 65535) * 2 - 1);
+    }
+    seed = crypto.createHash("sha256").update(seed).digest();
+  }
+  return vec;
+}
+
+/* ═══ Providers ═══ */
+
+// ─── OpenAI (أو أي client بنفس الـ API) ───
+// الـ feature مش جزء من الـ API — بيتشال قبل الإرسال
+function createOpenAIProvider(client, name = "openai") {
+  return {
+    name,
+    chat({ feature, ...params }) {
+      return client.chat.completions.create(params);
+    },
+    stream({ feature, ...params }) {
+      return client.chat.completions.create({ ...params, stream: true });
+    },
+    embed({ feature, ...params }) {
+      return client.embeddings.create(params);
+    },
+  };
+}
+
+// ─── OpenAI-compatible local server (Ollama, vLLM, LM Studio, llama.cpp ...) ───
+function createOpenAICompatibleProvider({ baseURL, apiKey }) {
+  const OpenAI = require("openai");
+  const client = new OpenAI({ baseURL, apiKey: apiKey || "local" });
+  return createOpenAIProvider(client, "local");
+}
+
+// ─── Mock (scripted / recorded) ───
+// script = { [feature]: reply | [reply, reply, ...] | (params) => reply }
+//   reply = string أو object (بيتحول JSON) أو { match: "regex", reply }
+//   الـ array بتتستهلك بالترتيب، وآخر رد بيتكرر
+// recordings = { [requestKey]: content } — من LLM_RECORD_FILE
+// calls = آخر maxCalls استدعاء بس (الـ mock ممكن يشتغل في سيرفر طول اليوم)، 0 = مفيش تسجيل
+function createMockProvider({ script = {}, recordings = {}, fallback = "تمام 👍", maxCalls = 100 } = {}) {
+  const queues = {};
+  const calls = [];
+
+  function record(call) {
+    if (maxCalls <= 0) return;
+    calls.push(call);
+    if (calls.length > maxCalls) calls.splice(0, calls.length - maxCalls);
+  }
+
+  function lastUserText(messages = []) {
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const c = messages[i].content;
+      if (messages[i].role !== "user") continue;
+      if (typeof c === "string") return c;
+      if (Array.isArray(c)) return c.filter(p => p.type === "text").map(p => p.text).join(" ");
+    }
+    return "";
+  }
+
+  function pick(feature, params) {
+    const key = requestKey(feature, params);
+    if (recordings[key] !== undefined) return recordings[key];
+
+    let entry = script[feature];
+    if (entry === undefined) entry = script["*"];
+    if (typeof entry === "function") return entry(params);
+    if (Array.isArray(entry)) {
+      const matched = entry.find(e => e && e.match && new RegExp(e.match, "i").test(lastUserText(params.messages)));
+      if (matched) return matched.reply;
+      const plain = entry.filter(e => !(e && e.match));
+      if (plain.length === 0) return fallback;
+      if (!queues[feature]) queues[feature] = 0;
+      const i = Math.min(queues[feature]++, plain.length - 1);
+      return plain[i];
+    }
+    return entry !== undefined ? entry : fallback;
+  }
+
+  function render(reply) {
+    return typeof reply === "string" ? reply : JSON.stringify(reply);
+  }
+
+  return {
+    name: "mock",
+    calls,
+    async chat(params) {
+      const content = render(pick(params.feature, params));
+      record({ feature: params.feature, type: "chat", params, content });
+      return completionFrom(content, params.model);
+    },
+    async stream(params) {
+      const content = render(pick(params.feature, params));
+      record({ feature: params.feature, type: "stream", params, content });
+      const pieces = content.match(/\S+\s*/g) || [content];
+      return (async function* () {
+        for (const piece of pieces) {
+          yield { choices: [{ index: 0, delta: { content: piece } }] };
+        }
+      })();
+    },
+    async embed(params) {
+      const inputs = Array.isArray(params.input) ? params.input : [params.input];
+      record({ feature: params.feature, type: "embed", params });
+      return {
+        object: "list",
+        model: params.model,
+        data: inputs.map((text, index) => ({ object: "embedding", index, embedding: hashEmbedding(text) })),
+      };
+    },
+    reset() {
+      calls.length = 0;
+      for (const k of Object.keys(queues)) delete queues[k];
+    },
+  };
+}
+
+// ─── Recorder ───
+// بيلف أي provider ويكتب الردود في ملف بنفس مفاتيح الـ mock
+// stream: الـ deltas بتتجمع وبتتكتب لما الـ stream يخلص (الـ mock بيعيدها كرد واحد)
+function withRecording(provider, file) {
+  let saved = {};
+  try { saved = JSON.parse(fs.readFileSync(file, "utf8")); } catch (e) { saved = {}; }
+  const persist = () => fs.writeFileSync(file, JSON.stringify(saved, null, 2));
+
+  return {
+    ...provider,
+    async chat(params) {
+      const resp = await provider.chat(params);
+      saved[requestKey(params.feature, params)] = resp.choices?.[0]?.message?.content ?? "";
+      persist();
+      return resp;
+    },
+    async stream(params) {
+      const stream = await provider.stream(params);
+      return (async function* () {
+        let content = "";
+        for await (const chunk of stream) {
+          content += chunk.choices?.[0]?.delta?.content || "";
+          yield chunk;
+        }
+        saved[requestKey(params.feature, params)] = content;
+        persist();
+      })();
+    },
+  };
+}
+
+function loadJson(file) {
+  if (!file) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    console.error(`❌ LLM: cannot read ${file}:`, e.message);
+    return {};
+  }
+}
+
+/* ═══ createLLM ═══ */
+// openai = OpenAI client جاهز (أو null)
+// providers = { name: provider } — للاختبارات (مثلاً { mock: createMockProvider(...) })
+function createLLM({ openai = null, env = process.env, providers = {} } = {}) {
+  const registry = { ...providers };
+  if (openai && !registry.openai) registry.openai = createOpenAIProvider(openai);
+  if (env.LLM_LOCAL_BASE_URL && !registry.local) {
+    registry.local = createOpenAICompatibleProvider({ baseURL: env.LLM_LOCAL_BASE_URL, apiKey: env.LLM_LOCAL_API_KEY });
+  }
+  if (!registry.mock && ((env.LLM_PROVIDER || "").toLowerCase() === "mock" || env.LLM_MOCK_SCRIPT)) {
+    registry.mock = createMockProvider({ script: loadJson(env.LLM_MOCK_SCRIPT), recordings: loadJson(env.LLM_RECORD_FILE) });
+  }
+  if (env.LLM_RECORD_FILE && registry.openai && (env.LLM_PROVIDER || "openai") !== "mock") {
+    registry.openai = withRecording(registry.openai, env.LLM_RECORD_FILE);
+  }
+
+  const defaultProvider = (env.LLM_PROVIDER || (registry.openai ? "openai" : Object.keys(registry)[0] || "")).toLowerCase();
+
+  function envKey(feature) {
+    return feature.toUpperCase();
+  }
+
+  function providerName(feature) {
+    return (env[`LLM_PROVIDER_${envKey(feature)}`] || defaultProvider).toLowerCase();
+  }
+
+  function providerFor(feature) {
+    const name = providerName(feature);
+    const p = registry[name];
+    if (!p) throw new Error(`LLM provider "${name}" not configured (feature: ${feature})`);
+    return p;
+  }
+
+  function model(feature) {
+    const def = FEATURES[feature];
+    if (!def) throw new Error(`Unknown LLM feature "${feature}"`);
+    return env[`LLM_MODEL_${envKey(feature)}`] || def.model;
+  }
+
+  function request(feature, params) {
+    return { model: model(feature), ...params, feature };
+  }
+
+  return {
+    features: FEATURES,
+    model,
+    providerName,
+
+    available(feature) {
+      if (!feature) return Object.keys(registry).length > 0;
+      return !!registry[providerName(feature)];
+    },
+
+    chat(feature, params) {
+      return providerFor(feature).chat(request(feature, params));
+    },
+
+    // بيرجع async iterable بنفس شكل OpenAI stream chunks
+    stream(feature, params) {
+      return providerFor(feature).stream(request(feature, params));
+    },
+
+    // messages فيها image_url parts — نفس chat بس على model الـ vision
+    vision(params, feature = "vision") {
+      return providerFor(feature).chat(request(feature, params));
+    },
+
+    // model صريح = embedding بـ model غير بتاع الـ feature (embedding-models.js وقت الـ migration)
+    embed(feature, input, { model: override = null } = {}) {
+      return providerFor(feature).embed(request(feature, override ? { input, model: override } : { input }));
+    },
+
+    provider(name) {
+      return registry[name] || null;
+    },
+  };
+}
+
+module.exports = {
+  createLLM,
+  createOpenAIProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+  withRecording,
+  requestKey,
+  hashEmbedding,
+  FEATURES,
+};
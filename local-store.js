@@ -0,0 +1,517 @@
+/* ══════════════════════════════════════════════════════════
+   local-store.js — Offline stand-in for the Supabase client
+
+   بيقلّد الجزء اللي بنستخدمه من supabase-js (from / rpc / storage)
+   فوق جداول محفوظة كـ JSON — كل جدول في ملف:
+     <dir>/<table>.json   → [ { ...row }, ... ]
+
+   الهدف: نشغّل البوت كامل من غير Supabase (تطوير / اختبارات).
+
+   Usage:
+     const { createLocalClient } = require("./local-store");
+     const supabase = createLocalClient({ dir: "./local-data" });
+     const { data } = await supabase.from("chunks")
+       .select("id, content").eq("teachable_lecture_id", 123).limit(5);
+
+   Supported filters: eq, neq, gt, gte, lt, lte, like, ilike, is, in,
+   not, or, match, filter — plus order / limit / range / single /
+   maybeSingle and { count: "exact", head: true }.
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const FLUSH_DELAY_MS = 200;
+
+// ─── value helpers ───
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a == null || b == null) return false;
+  return String(a) === String(b);
+}
+
+function compareValues(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  const na = Number(a), nb = Number(b);
+  if (!isNaN(na) && !isNaN(nb) && a !== "" && b !== "") return na - nb;
+  return String(a).localeCompare(String(b));
+}
+
+function likeToRegex(pattern, caseInsensitive) {
+  const src = String(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/%/g, ".*")
+    .replace(/_/g, ".");
+  return new RegExp("^" + src + "$", caseInsensitive ? "is" : "s");
+}
+
+function parseLiteral(v) {
+  if (v === "null") return null;
+  if (v === "true") return true;
+  if (v === "false") return false;
+  return v;
+}
+
+// split "a.eq.1,b.in.(1,2)" on top-level commas only
+function splitTopLevel(expr) {
+  const parts = [];
+  let depth = 0, cur = "";
+  for (const ch of expr) {
+    if (ch === "(") depth++;
+    if (ch === ")") depth--;
+    if (ch === "," && depth === 0) { parts.push(cur); cur = ""; continue; }
+    cur += ch;
+  }
+  if (cur) parts.push(cur);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+function buildPredicate(col, op, value) {
+  switch (op) {
+    case "eq":    return row => sameValue(row[col], value);
+    case "neq":   return row => !sameValue(row[col], value);
+    case "gt":    return row => row[col] != null && compareValues(row[col], value) > 0;
+    case "gte":   return row => row[col] != null && compareValues(row[col], value) >= 0;
+    case "lt":    return row => row[col] != null && compareValues(row[col], value) < 0;
+    case "lte":   return row => row[col] != null && compareValues(row[col], value) <= 0;
+    case "like":
+    case "ilike": {
+      const re = likeToRegex(value, op === "ilike");
+      return row => row[col] != null && re.test(String(row[col]));
+    }
+    case "is":    return row => (value === null ? row[col] == null : row[col] === value);
+    case "in": {
+      const list = Array.isArray(value)
+        ? value
+        : String(value).replace(/^\(|\)$/g, "").split(",").map(s => s.trim().replace(/^"|"$/g, ""));
+      return row => list.some(v => sameValue(row[col], v));
+    }
+    default:
+      throw new Error(`local-store: unsupported operator "${op}"`);
+  }
+}
+
+// "col.op.value" أو "col.not.op.value"
+function parseCondition(cond) {
+  const m = cond.match(/^([^.]+)\.(not\.)?([a-z]+)\.([\s\S]*)$/);
+  if (!m) throw new Error(`local-store: cannot parse filter "${cond}"`);
+  const [, col, negate, op, raw] = m;
+  const pred = buildPredicate(col, op, op === "in" ? raw : parseLiteral(raw));
+  return negate ? row => !pred(row) : pred;
+}
+
+function projectRow(row, columns) {
+  if (!columns) return { ...row };
+  const out = {};
+  for (const c of columns) {
+    const [alias, source] = c.includes(":") ? c.split(":").map(s => s.trim()) : [c, c];
+    out[alias] = row[source] !== undefined ? row[source] : null;
+  }
+  return out;
+}
+
+function parseColumns(cols) {
+  if (!cols || cols.trim() === "*" || cols.includes("(")) return null;
+  return cols.split(",").map(c => c.trim()).filter(Boolean);
+}
+
+function toVector(v) {
+  if (Array.isArray(v)) return v;
+  if (typeof v === "string" && v.startsWith("[")) {
+    try { return JSON.parse(v); } catch (e) { return null; }
+  }
+  return null;
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / (Math.sqrt(na) * Math.sqrt(nb)) : 0;
+}
+
+/* ═══ Table storage ═══ */
+class TableStore {
+  constructor(dir, readOnly = false) {
+    this.dir = dir;
+    this.readOnly = readOnly;
+    this.tables = new Map();
+    this.dirty = new Set();
+    this.timer = null;
+  }
+
+  file(table) {
+    return path.join(this.dir, `${table}.json`);
+  }
+
+  rows(table) {
+    if (!this.tables.has(table)) {
+      let rows = [];
+      if (this.dir && fs.existsSync(this.file(table))) {
+        try { rows = JSON.parse(fs.readFileSync(this.file(table), "utf8")) || []; }
+        catch (e) { console.error(`❌ local-store: bad JSON in ${table}:`, e.message); }
+      }
+      this.tables.set(table, rows);
+    }
+    return this.tables.get(table);
+  }
+
+  replace(table, rows) {
+    this.tables.set(table, rows);
+    this.touch(table);
+  }
+
+  nextId(table) {
+    let max = 0;
+    for (const r of this.rows(table)) {
+      const n = Number(r.id);
+      if (!isNaN(n) && n > max) max = n;
+    }
+    return max + 1;
+  }
+
+  touch(table) {
+    if (!this.dir || this.readOnly) return;
+    this.dirty.add(table);
+    if (this.timer) return;
+    this.timer = setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  flush() {
+    this.timer = null;
+    if (!this.dir || this.dirty.size === 0) return;
+    fs.mkdirSync(this.dir, { recursive: true });
+    for (const table of this.dirty) {
+      fs.writeFileSync(this.file(table), JSON.stringify(this.tables.get(table) || [], null, 1));
+    }
+    this.dirty.clear();
+  }
+}
+
+/* ═══ Query builder (thenable, like PostgrestFilterBuilder) ═══ */
+class LocalQuery {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.action = "select";
+    this.columns = null;
+    this.returning = false;
+    this.countMode = null;
+    this.headOnly = false;
+    this.filters = [];
+    this.orders = [];
+    this.rangeFrom = 0;
+    this.rangeTo = null;
+    this.singleMode = null;
+    this.payload = null;
+    this.options = {};
+  }
+
+  select(cols = "*", opts = {}) {
+    if (this.action === "select") {
+      this.columns = parseColumns(cols);
+      this.countMode = opts.count || null;
+      this.headOnly = !!opts.head;
+    } else {
+      this.returning = true;
+      this.columns = parseColumns(cols);
+    }
+    return this;
+  }
+
+  insert(rows, opts = {}) { this.action = "insert"; this.payload = rows; this.options = opts; return this; }
+  upsert(rows, opts = {}) { this.action = "upsert"; this.payload = rows; this.options = opts; return this; }
+  update(patch, opts = {}) { this.action = "update"; this.payload = patch; this.options = opts; return this; }
+  delete(opts = {}) { this.action = "delete"; this.options = opts; return this; }
+
+  eq(col, v)    { this.filters.push(buildPredicate(col, "eq", v)); return this; }
+  neq(col, v)   { this.filters.push(buildPredicate(col, "neq", v)); return this; }
+  gt(col, v)    { this.filters.push(buildPredicate(col, "gt", v)); return this; }
+  gte(col, v)   { this.filters.push(buildPredicate(col, "gte", v)); return this; }
+  lt(col, v)    { this.filters.push(buildPredicate(col, "lt", v)); return this; }
+  lte(col, v)   { this.filters.push(buildPredicate(col, "lte", v)); return this; }
+  like(col, v)  { this.filters.push(buildPredicate(col, "like", v)); return this; }
+  ilike(col, v) { this.filters.push(buildPredicate(col, "ilike", v)); return this; }
+  is(col, v)    { this.filters.push(buildPredicate(col, "is", v)); return this; }
+  in(col, list) { this.filters.push(buildPredicate(col, "in", list || [])); return this; }
+
+  not(col, op, v) {
+    const pred = buildPredicate(col, op, op === "in" ? v : parseLiteral(v === null ? "null" : v));
+    this.filters.push(row => !pred(row));
+    return this;
+  }
+
+  filter(col, op, v) {
+    this.filters.push(parseCondition(`${col}.${op}.${v}`));
+    return this;
+  }
+
+  match(obj) {
+    for (const [k, v] of Object.entries(obj || {})) this.eq(k, v);
+    return this;
+  }
+
+  or(expr) {
+    const preds = splitTopLevel(expr).map(parseCondition);
+    this.filters.push(row => preds.some(p => p(row)));
+    return this;
+  }
+
+  order(col, opts = {}) {
+    this.orders.push({ col, ascending: opts.ascending !== false, nullsFirst: !!opts.nullsFirst });
+    return this;
+  }
+
+  limit(n) { this.rangeTo = this.rangeFrom + n - 1; return this; }
+  range(from, to) { this.rangeFrom = from; this.rangeTo = to; return this; }
+  single() { this.singleMode = "single"; return this; }
+  maybeSingle() { this.singleMode = "maybe"; return this; }
+
+  matches(row) {
+    return this.filters.every(f => f(row));
+  }
+
+  then(resolve, reject) {
+    let result;
+    try { result = this.execute(); }
+    catch (e) { result = { data: null, error: { message: e.message, code: "LOCAL" }, count: null }; }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  catch(reject) { return this.then(undefined, reject); }
+
+  execute() {
+    const rows = this.store.rows(this.table);
+    let out;
+
+    if (this.action === "select") {
+      out = rows.filter(r => this.matches(r));
+    } else if (this.action === "insert") {
+      out = this.applyInsert(rows);
+    } else if (this.action === "upsert") {
+      out = this.applyUpsert(rows);
+    } else if (this.action === "update") {
+      out = rows.filter(r => this.matches(r));
+      out.forEach(r => Object.assign(r, this.payload));
+      if (out.length) this.store.touch(this.table);
+    } else if (this.action === "delete") {
+      out = rows.filter(r => this.matches(r));
+      if (out.length) this.store.replace(this.table, rows.filter(r => !this.matches(r)));
+    }
+
+    const count = this.countMode ? out.length : null;
+
+    if (this.action !== "select" && !this.returning) {
+      return { data: null, error: null, count, status: 201 };
+    }
+
+    for (let i = this.orders.length - 1; i >= 0; i--) {
+      const { col, ascending, nullsFirst } = this.orders[i];
+      out = [...out].sort((a, b) => {
+        if (a[col] == null && b[col] != null) return nullsFirst ? -1 : 1;
+        if (b[col] == null && a[col] != null) return nullsFirst ? 1 : -1;
+        const c = compareValues(a[col], b[col]);
+        return ascending ? c : -c;
+      });
+    }
+    out = out.slice(this.rangeFrom, this.rangeTo == null ? undefined : this.rangeTo + 1);
+
+    if (this.headOnly) return { data: null, error: null, count };
+
+    const data = out.map(r => projectRow(r, this.columns));
+
+    if (this.singleMode) {
+      if (data.length === 1) return { data: data[0], error: null, count };
+      if (data.length === 0 && this.singleMode === "maybe") return { data: null, error: null, count };
+      return {
+        data: null,
+        error: { message: `JSON object requested, multiple (or no) rows returned (${data.length})`, code: "PGRST116" },
+        count,
+      };
+    }
+    return { data, error: null, count };
+  }
+
+  applyInsert(rows) {
+    const list = Array.isArray(this.payload) ? this.payload : [this.payload];
+    const inserted = list.map(r => {
+      const row = { ...r };
+      if (row.id === undefined) row.id = this.store.nextId(this.table);
+      rows.push(row);
+      return row;
+    });
+    this.store.touch(this.table);
+    return inserted;
+  }
+
+  applyUpsert(rows) {
+    const list = Array.isArray(this.payload) ? this.payload : [this.payload];
+    const keys = (this.options.onConflict || "id").split(",").map(s => s.trim());
+    const result = [];
+    for (const r of list) {
+      const existing = rows.find(row => keys.every(k => r[k] !== undefined && sameValue(row[k], r[k])));
+      if (existing) {
+        if (!this.options.ignoreDuplicates) Object.assign(existing, r);
+        result.push(existing);
+      } else {
+        const row = { ...r };
+        if (row.id === undefined) row.id = this.store.nextId(this.table);
+        rows.push(row);
+        result.push(row);
+      }
+    }
+    this.store.touch(this.table);
+    return result;
+  }
+}
+
+/* ═══ RPC stand-ins ═══ */
+// نفس أسماء وبارامترات الـ Postgres functions اللي بنستدعيها
+function buildRpcHandlers(store) {
+  function matchByEmbedding(table, queryEmbedding, threshold, count, column = "embedding") {
+    const q = toVector(queryEmbedding);
+    return store.rows(table)
+      .map(r => ({ row: r, similarity: cosineSimilarity(q, toVector(r[column])) }))
+      .filter(x => x.similarity >= (threshold || 0))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, count || 10);
+  }
+
+  const handlers = {
+    match_teachable_chunks({ query_embedding, match_threshold, match_count, filter_course_id, filter_lecture_id }, column = "embedding") {
+      const lectures = new Map(store.rows("teachable_lectures").map(l => [String(l.teachable_lecture_id), l]));
+      let chunks = store.rows("chunks");
+      if (filter_lecture_id != null) chunks = chunks.filter(c => sameValue(c.teachable_lecture_id, filter_lecture_id));
+      if (filter_course_id != null) {
+        chunks = chunks.filter(c => {
+          const lec = lectures.get(String(c.teachable_lecture_id));
+          return lec && sameValue(lec.course_id, filter_course_id);
+        });
+      }
+      const q = toVector(query_embedding);
+      return chunks
+        .map(c => ({ c, similarity: cosineSimilarity(q, toVector(c[column])) }))
+        .filter(x => x.similarity >= (match_threshold || 0))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, match_count || 10)
+        .map(({ c, similarity }) => {
+          const lec = lectures.get(String(c.teachable_lecture_id)) || {};
+          return {
+            id: c.id,
+            content: c.content,
+            teachable_lecture_id: c.teachable_lecture_id,
+            chunk_order: c.chunk_order,
+            timestamp_start: c.timestamp_start || null,
+            timestamp_end: c.timestamp_end || null,
+            lecture_name: lec.name || null,
+            course_id: lec.course_id || null,
+            similarity,
+          };
+        });
+    },
+
+    match_diplomas({ query_embedding, match_threshold, match_count }, column = "embedding") {
+      return matchByEmbedding("diplomas", query_embedding, match_threshold, match_count, column)
+        .map(({ row, similarity }) => {
+          const { embedding, embedding_shadow, ...rest } = row;
+          return { ...rest, similarity };
+        });
+    },
+
+    match_courses({ query_embedding, match_threshold, match_count }, column = "embedding") {
+      return matchByEmbedding("teachable_courses", query_embedding, match_threshold, match_count, column)
+        .map(({ row, similarity }) => ({ id: row.id, teachable_course_id: row.teachable_course_id, similarity }));
+    },
+
+    get_pending_video_courses() {
+      const ids = new Set(
+        store.rows("teachable_attachments")
+          .filter(a => a.kind === "video" && a.migration_status === "pending")
+          .map(a => a.course_id)
+      );
+      return [...ids].map(course_id => ({ course_id }));
+    },
+  };
+
+  // نسخ _shadow على embedding_shadow (embedding-models.js)
+  for (const name of ["match_teachable_chunks", "match_diplomas", "match_courses"]) {
+    handlers[name + "_shadow"] = (params) => handlers[name](params, "embedding_shadow");
+  }
+  return handlers;
+}
+
+/* ═══ Storage stand-in ═══ */
+function buildStorage(dir) {
+  return {
+    from(bucket) {
+      return {
+        async upload(storagePath, buffer, opts = {}) {
+          if (!dir) return { data: { path: storagePath }, error: null };
+          const target = path.join(dir, "storage", bucket, storagePath);
+          try {
+            if (!opts.upsert && fs.existsSync(target)) {
+              return { data: null, error: { message: "The resource already exists" } };
+            }
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, buffer);
+            return { data: { path: storagePath }, error: null };
+          } catch (e) {
+            return { data: null, error: { message: e.message } };
+          }
+        },
+      };
+    },
+  };
+}
+
+// ─── createLocalClient ───
+// dir = null → in-memory فقط (مفيد للاختبارات)
+// seed = { table: [rows] } → بيانات مبدئية تتحمّل فوق الملفات
+// readOnly → يقرا من dir بس التعديلات تفضل في الـ memory (snapshot ثابت)
+function createLocalClient({ dir = null, seed = null, readOnly = false } = {}) {
+  const store = new TableStore(dir ? path.resolve(dir) : null, readOnly);
+  if (seed) {
+    for (const [table, rows] of Object.entries(seed)) {
+      store.tables.set(table, rows.map(r => ({ ...r })));
+    }
+  }
+  const rpcHandlers = buildRpcHandlers(store);
+
+  const client = {
+    isLocal: true,
+    from(table) {
+      return new LocalQuery(store, table);
+    },
+    async rpc(name, params = {}) {
+      const fn = rpcHandlers[name];
+      if (!fn) return { data: null, error: { message: `rpc "${name}" is not available in local store`, code: "LOCAL" } };
+      try {
+        return { data: fn(params), error: null };
+      } catch (e) {
+        return { data: null, error: { message: e.message, code: "LOCAL" } };
+      }
+    },
+    // تسجيل RPC إضافي (مثلاً في الاختبارات)
+    registerRpc(name, fn) {
+      rpcHandlers[name] = fn;
+    },
+    storage: buildStorage(dir && !readOnly ? path.resolve(dir) : null),
+    flush() {
+      store.flush();
+    },
+  };
+
+  if (dir && !readOnly) process.on("exit", () => store.flush());
+  return client;
+}
+
+module.exports = { createLocalClient };
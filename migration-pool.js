@@ -0,0 +1,166 @@
+/* ══════════════════════════════════════════════════════════
+   migration-pool.js — Parallel video uploads with a shared bandwidth cap
+
+   كل الـ video migrations (course_video_migration و video_migration)
+   بتعدي على limiter واحد للسيرفر كله:
+     - maxParallel     → أقصى عدد uploads شغالين في نفس الوقت (مهما كان مصدرهم)
+     - bytesPerSecond  → سقف للـ throughput كله (0 = مفتوح)
+
+     const limiter = createTransferLimiter({ maxParallel: 3, bytesPerSecond: 20e6 });
+     const release = await limiter.acquire(priority);   // الأعلى priority يدخل الأول
+     await limiter.throttle(chunk.length);               // قبل كل chunk
+     release();
+
+   runPool(items, worker, { concurrency, retries, limiter, cancelled })
+     بيشغّل items بالترتيب (الأعلى priority الأول) بـ concurrency محدد،
+     وكل item ليه retries لوحده مع backoff — فشل فيديو مش بيوقف الباقي.
+
+   Env:
+     MIGRATION_CONCURRENCY   (الافتراضي 3)
+     MIGRATION_MAX_MBPS      (MB/s للسيرفر كله، 0 = من غير سقف)
+     MIGRATION_FILE_RETRIES  (الافتراضي 2 — يعني 3 محاولات لكل فيديو)
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const THROUGHPUT_WINDOW_MS = 10000;
+const BURST_MS = 1000;
+const RETRY_BACKOFF_MS = [5000, 20000, 60000];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function mbpsToBytes(mbps) {
+  const n = parseFloat(mbps);
+  return n > 0 ? Math.round(n * 1024 * 1024) : 0;
+}
+
+// ─── createTransferLimiter ───
+function createTransferLimiter({ maxParallel = 3, bytesPerSecond = 0 } = {}) {
+  let active = 0;
+  let nextFree = 0;              // pacing clock للـ bytes/s
+  const waiting = [];            // [{ priority, seq, resolve }]
+  const samples = [];            // [{ at, bytes }] للـ throughput الفعلي
+  let seq = 0;
+
+  function pump() {
+    while (active < maxParallel && waiting.length) {
+      waiting.sort((a, b) => b.priority - a.priority || a.seq - b.seq);
+      const next = waiting.shift();
+      active++;
+      next.resolve(once(() => { active--; pump(); }));
+    }
+  }
+
+  function once(fn) {
+    let done = false;
+    return () => { if (!done) { done = true; fn(); } };
+  }
+
+  // ─── acquire ───
+  // بيرجع release() — لازم تتنادى في finally
+  function acquire(priority = 0) {
+    return new Promise((resolve) => {
+      waiting.push({ priority: Number(priority) || 0, seq: seq++, resolve });
+      pump();
+    });
+  }
+
+  // ─── throttle ───
+  // بيأخّر الـ chunk لحد ما يبقى ليه مكان تحت bytesPerSecond
+  async function throttle(bytes) {
+    const now = Date.now();
+    samples.push({ at: now, bytes });
+    while (samples.length && samples[0].at < now - THROUGHPUT_WINDOW_MS) samples.shift();
+    if (!bytesPerSecond) return;
+
+    const start = Math.max(nextFree, now - BURST_MS);
+    nextFree = start + (bytes / bytesPerSecond) * 1000;
+    if (start > now) await sleep(start - now);
+  }
+
+  function configure({ maxParallel: mp, bytesPerSecond: bps } = {}) {
+    if (mp != null && mp >= 1) maxParallel = Math.floor(mp);
+    if (bps != null && bps >= 0) bytesPerSecond = bps;
+    pump();
+  }
+
+  function throughput() {
+    const cutoff = Date.now() - THROUGHPUT_WINDOW_MS;
+    const bytes = samples.filter((s) => s.at >= cutoff).reduce((n, s) => n + s.bytes, 0);
+    return Math.round(bytes / (THROUGHPUT_WINDOW_MS / 1000));
+  }
+
+  function stats() {
+    return {
+      max_parallel: maxParallel,
+      max_bytes_per_second: bytesPerSecond,
+      max_mbps: bytesPerSecond ? +(bytesPerSecond / 1024 / 1024).toFixed(2) : 0,
+      active,
+      waiting: waiting.length,
+      throughput_bps: throughput(),
+    };
+  }
+
+  return { acquire, throttle, configure, stats };
+}
+
+// ─── runPool ───
+// items: [{ priority?, ... }] — worker(item, { attempt }) بيرمي error عشان يعمل retry
+// بيرجع [{ item, ok, error, attempts }] بنفس ترتيب الـ items بعد الـ sort
+async function runPool(items, worker, {
+  concurrency = 3,
+  retries = 2,
+  limiter = null,
+  cancelled = () => false,
+  onRetry = null,
+} = {}) {
+  const queue = items
+    .map((item, i) => ({ item, i }))
+    .sort((a, b) => (b.item.priority || 0) - (a.item.priority || 0) || a.i - b.i);
+  const results = new Array(queue.length);
+  let cursor = 0;
+
+  async function runOne(entry, idx) {
+    let lastErr = null;
+    let attempts = 0;
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      if (cancelled()) break;
+      attempts = attempt;
+      const release = limiter ? await limiter.acquire(entry.item.priority || 0) : () => {};
+      try {
+        await worker(entry.item, { attempt });
+        results[idx] = { item: entry.item, ok: true, error: null, attempts: attempt };
+        return;
+      } catch (err) {
+        lastErr = err;
+        if (err.permanent || attempt > retries || cancelled()) break;
+        if (onRetry) onRetry(entry.item, err, attempt);
+      } finally {
+        release();
+      }
+      await sleep(RETRY_BACKOFF_MS[Math.min(attempt - 1, RETRY_BACKOFF_MS.length - 1)]);
+    }
+    results[idx] = { item: entry.item, ok: false, error: lastErr, attempts, skipped: !lastErr };
+  }
+
+  async function lane() {
+    while (cursor < queue.length && !cancelled()) {
+      const idx = cursor++;
+      await runOne(queue[idx], idx);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, queue.length)) }, lane));
+  return results.filter(Boolean);
+}
+
+// ─── limitsFromEnv ───
+function limitsFromEnv(env = process.env) {
+  return {
+    maxParallel: parseInt(env.MIGRATION_CONCURRENCY) || 3,
+    bytesPerSecond: mbpsToBytes(env.MIGRATION_MAX_MBPS),
+    retries: env.MIGRATION_FILE_RETRIES != null ? parseInt(env.MIGRATION_FILE_RETRIES) || 0 : 2,
+  };
+}
+
+module.exports = { createTransferLimiter, runPool, limitsFromEnv, mbpsToBytes };
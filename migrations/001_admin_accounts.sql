@@ -0,0 +1,42 @@
+-- ══════════════════════════════════════════════════════════
+-- 001_admin_accounts.sql — حسابات الأدمن + الـ JWT revocations (admin-auth.js)
+--
+-- بيحل محل الـ ADMIN_PASSWORD المشترك. الترتيب وقت الـ deploy:
+--   1. شغّل الملف ده على Supabase (SQL editor أو psql) قبل ما تنزّل الكود
+--   2. سيب ADMIN_PASSWORD (و ADMIN_USERNAME اختياري، الافتراضي "admin")
+--      في الـ env — أول startup والجدول فاضي بيعمل owner بالباسورد ده
+--      (نفس الباسورد القديم، فمحدش بيتقفل برّه)
+--   3. حط ADMIN_JWT_SECRET ثابت — من غيره الـ sessions بتبطل مع كل restart
+--   4. ادخل بالـ owner وغيّر الباسورد واعمل حسابات للباقيين من /admin/users
+--
+-- الجدول مش فاضي ومحتاج owner (أو كل الـ owners اتقفلوا):
+--   ADMIN_PASSWORD=... node admin-auth.js create-owner --username admin
+--
+-- الـ server بيستخدم الـ service key — RLS متفعّل من غير policies فالـ anon key مايشوفش حاجة
+-- ══════════════════════════════════════════════════════════
+
+create table if not exists admin_users (
+  id            bigint generated by default as identity primary key,
+  username      text not null unique,
+  password_hash text not null,                      -- scrypt$<salt>$<hash>
+  role          text not null default 'viewer'
+                check (role in ('viewer', 'content_editor', 'migration_operator', 'owner')),
+  is_active     boolean not null default true,
+  token_version integer not null default 0,         -- +1 → كل الـ tokens القديمة بتبطل
+  created_at    timestamptz not null default now(),
+  last_login_at timestamptz
+);
+
+create table if not exists admin_token_revocations (
+  jti           text primary key,
+  admin_user_id bigint references admin_users (id) on delete cascade,
+  expires_at    timestamptz not null,
+  revoked_at    timestamptz not null default now()
+);
+
+-- init() بيحمّل اللي لسه مانتهتش بس
+create index if not exists admin_token_revocations_expires_at_idx
+  on admin_token_revocations (expires_at);
+
+alter table admin_users enable row level security;
+alter table admin_token_revocations enable row level security;
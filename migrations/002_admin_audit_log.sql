@@ -0,0 +1,29 @@
+-- ══════════════════════════════════════════════════════════
+-- 002_admin_audit_log.sql — سجل تعديلات الأدمن (admin-audit.js)
+--
+-- صف لكل request بيعدّل (بعد adminAuth)، before/after snapshots مقصوصة
+-- ومن غير secrets. /admin/audit بيقرا منه بالفلاتر.
+-- ══════════════════════════════════════════════════════════
+
+create table if not exists admin_audit_log (
+  id             bigint generated by default as identity primary key,
+  actor_id       bigint,                 -- admin_users.id (من غير FK — السجل يفضل لو الحساب اتمسح)
+  actor_username text,
+  actor_role     text,
+  method         text not null,
+  route          text,
+  path           text,
+  entity         text,
+  target_id      text,
+  before         jsonb,
+  after          jsonb,
+  request        jsonb,
+  status         integer,
+  created_at     timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_created_at_idx on admin_audit_log (created_at desc);
+create index if not exists admin_audit_log_actor_idx on admin_audit_log (actor_username, created_at desc);
+create index if not exists admin_audit_log_entity_idx on admin_audit_log (entity, target_id);
+
+alter table admin_audit_log enable row level security;
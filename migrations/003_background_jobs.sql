@@ -0,0 +1,46 @@
+-- ══════════════════════════════════════════════════════════
+-- 003_background_jobs.sql — الـ job queue (job-queue.js)
+--
+-- migrations / embeddings / gap-sync / transcription / reconcile ...
+-- status: queued → running → completed | failed | cancelled
+-- الـ claim بيبقى update ... where status = 'queued' (مين يسبق ياخده)،
+-- والـ running اللي heartbeat_at بتاعه قديم بيرجع queued بعد الـ restart.
+-- ══════════════════════════════════════════════════════════
+
+create table if not exists background_jobs (
+  id               bigint generated by default as identity primary key,
+  type             text not null,
+  status           text not null default 'queued'
+                   check (status in ('queued', 'running', 'completed', 'failed', 'cancelled')),
+  payload          jsonb not null default '{}'::jsonb,
+  progress         jsonb not null default '{}'::jsonb,
+  checkpoint       jsonb,
+  result           jsonb,
+  error            text,
+  errors           jsonb not null default '[]'::jsonb,
+  attempts         integer not null default 0,
+  max_attempts     integer not null default 1,
+  cancel_requested boolean not null default false,
+  priority         integer not null default 0,
+  group_id         text,                  -- batch id (video migration batches)
+  run_at           timestamptz not null default now(),
+  locked_by        text,
+  heartbeat_at     timestamptz,
+  started_at       timestamptz,
+  finished_at      timestamptz,
+  created_by       text,                  -- admin username
+  created_at       timestamptz not null default now(),
+  updated_at       timestamptz not null default now()
+);
+
+-- due(): queued بالـ priority ثم run_at
+create index if not exists background_jobs_due_idx
+  on background_jobs (priority desc, run_at) where status = 'queued';
+create index if not exists background_jobs_type_status_idx
+  on background_jobs (type, status, created_at desc);
+create index if not exists background_jobs_group_idx
+  on background_jobs (group_id) where group_id is not null;
+create index if not exists background_jobs_heartbeat_idx
+  on background_jobs (heartbeat_at) where status = 'running';
+
+alter table background_jobs enable row level security;
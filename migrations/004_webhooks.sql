@@ -0,0 +1,81 @@
+-- ══════════════════════════════════════════════════════════
+-- 004_webhooks.sql — webhook queue + quarantine + quiz results
+--
+-- webhook_events (موجود من قبل، hook_event_id عليه unique) بياخد أعمدة
+-- الـ queue بتاعة webhook-queue.js:
+--   status: pending → processing → processed | dead (بعد max_attempts أو permanent)
+--   ordering_key: الـ events اللي على نفس الـ entity بتتنفذ بالترتيب
+--   next_attempt_at: الـ backoff — الـ pending مش بيتاخد قبله
+-- الصفوف القديمة: processed → processed، اللي فيها processing_error → dead
+-- (تتعاد من /api/webhooks/events/:id/replay)، والباقي processed برضه —
+-- مش هنعيد events قديمة محدش يعرف حالتها.
+--
+-- webhook_quarantine: الـ requests المرفوضة (توقيع / timestamp / replay)
+-- teachable_quiz_results: Quiz.* / QuizResponse.created webhooks — صف لكل محاولة
+-- ══════════════════════════════════════════════════════════
+
+alter table webhook_events
+  add column if not exists ordering_key    text,
+  add column if not exists status          text,
+  add column if not exists attempts        integer not null default 0,
+  add column if not exists max_attempts    integer not null default 8,
+  add column if not exists next_attempt_at timestamptz,
+  add column if not exists locked_by       text,
+  add column if not exists locked_at       timestamptz,
+  add column if not exists received_at     timestamptz not null default now();
+
+update webhook_events
+   set status = case when processed is not true and processing_error is not null then 'dead' else 'processed' end
+ where status is null;
+
+alter table webhook_events alter column status set default 'pending';
+alter table webhook_events alter column status set not null;
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'webhook_events_status_check') then
+    alter table webhook_events add constraint webhook_events_status_check
+      check (status in ('pending', 'processing', 'processed', 'dead'));
+  end if;
+end $$;
+
+-- webhookEvents.open(): processing + pending اللي جه ميعادها
+create index if not exists webhook_events_open_idx
+  on webhook_events (next_attempt_at, id) where status in ('pending', 'processing');
+create index if not exists webhook_events_received_at_idx on webhook_events (received_at desc);
+
+create table if not exists webhook_quarantine (
+  id            bigint generated by default as identity primary key,
+  reason        text not null,
+  event_type    text,
+  hook_event_id text,
+  payload       jsonb,
+  headers       jsonb,
+  remote_ip     text,
+  detail        jsonb,
+  received_at   timestamptz not null default now()
+);
+
+create index if not exists webhook_quarantine_received_at_idx on webhook_quarantine (received_at desc);
+create index if not exists webhook_quarantine_reason_idx on webhook_quarantine (reason);
+
+create table if not exists teachable_quiz_results (
+  id                bigint generated by default as identity primary key,
+  teachable_user_id bigint not null,
+  user_email        text,
+  course_id         bigint,
+  lecture_id        bigint,
+  quiz_id           bigint not null,
+  score             numeric,
+  correct_answers   integer,
+  total_questions   integer,
+  passed            boolean,
+  submitted_at      timestamptz not null,
+  raw_data          jsonb,
+  created_at        timestamptz not null default now(),
+  unique (teachable_user_id, quiz_id, submitted_at)
+);
+
+create index if not exists teachable_quiz_results_course_idx on teachable_quiz_results (course_id);
+
+alter table webhook_quarantine enable row level security;
+alter table teachable_quiz_results enable row level security;
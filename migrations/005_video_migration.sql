@@ -0,0 +1,35 @@
+-- ══════════════════════════════════════════════════════════
+-- 005_video_migration.sql — Bunny verification + match overrides
+--
+-- teachable_attachments.migration_status بياخد قيم جديدة:
+--   verifying    → اترفع على Bunny ومستني الـ video_verify job
+--   needs_review → الـ verification لقى مشكلة (migration_verification.issues)
+-- لو على العمود check constraint قديم لازم يتوسّع بالقيمتين دول.
+--
+-- migration_verification: source size/duration + uploaded bytes من أول
+-- ما الرفع يخلص، وبعد الـ verify الـ checks والـ issues (video-verify.js)
+--
+-- video_match_overrides: تصحيحات الأدمن لمطابقة Drive ↔ الدروس
+-- (lecture-matcher.js) — drive_file_id = null يعني الدرس ملوش فيديو
+-- ══════════════════════════════════════════════════════════
+
+alter table teachable_attachments
+  add column if not exists migration_verification jsonb;
+
+create index if not exists teachable_attachments_video_status_idx
+  on teachable_attachments (migration_status, course_id) where kind = 'video';
+
+create table if not exists video_match_overrides (
+  id              bigint generated by default as identity primary key,
+  course_id       bigint not null,        -- teachable_course_id
+  attachment_id   bigint not null,        -- teachable_attachments.id
+  drive_file_id   text,
+  drive_file_name text,
+  folder_path     text,
+  created_by      text,
+  created_at      timestamptz not null default now(),
+  updated_at      timestamptz not null default now(),
+  unique (course_id, attachment_id)
+);
+
+alter table video_match_overrides enable row level security;
@@ -0,0 +1,32 @@
+-- ══════════════════════════════════════════════════════════
+-- 006_transcripts.sql — transcripts + chunk end times
+--
+-- lecture_transcripts: صف لكل درس — ناتج الـ STT (transcriber.js) أو
+-- الملف المرفوع (process-lesson) أو المتجمّع من الـ chunks القديمة (rechunk)
+--   source_type: bunny | drive (STT) | upload | chunks
+--   segments:    [{ start, end, text }] بالثواني
+--
+-- chunks.timestamp_end: نهاية الـ chunk (نفس صيغة timestamp_start) —
+-- الـ citations في الـ guide بتستخدمه (transcript-parser.js formatClock)
+-- ══════════════════════════════════════════════════════════
+
+create table if not exists lecture_transcripts (
+  id                   bigint generated by default as identity primary key,
+  teachable_lecture_id bigint not null unique,
+  content              text not null,
+  segments             jsonb not null default '[]'::jsonb,
+  source_type          text,
+  source_id            text,
+  provider             text,
+  model                text,
+  language             text,
+  duration_seconds     integer,
+  created_by           text,
+  created_at           timestamptz not null default now(),
+  updated_at           timestamptz not null default now()
+);
+
+alter table chunks
+  add column if not exists timestamp_end text;
+
+alter table lecture_transcripts enable row level security;
@@ -0,0 +1,192 @@
+-- ══════════════════════════════════════════════════════════
+-- 007_embeddings.sql — embedding cache, model tags, shadow columns + RPCs
+--
+-- embedding_cache: content_hash (provider + model + النص) → vector
+--   (embedding-service.js) — نفس النص مايتعملوش embedding مرتين
+--
+-- embedding_models: صف لكل target (chunks / courses / diplomas):
+--   live_column = العمود اللي الـ RPCs بتدوّر فيه، models = { embedding, embedding_shadow }
+--   مفيش صف = embedding live بالـ model بتاع الـ env (embedding-models.js)
+--
+-- كل جدول embeddings بياخد embedding_model + embedding_shadow(_model).
+-- الصفوف القديمة بتتعلّم بالـ model اللي اتعملت بيه (llm-provider.js
+-- FEATURES: chunks = text-embedding-3-small، courses / diplomas = ada-002)
+-- عشان الـ coverage يبقى صح. embedding_shadow من غير dimension — الـ model
+-- الجديد ممكن يكون أي حجم؛ بعد ما يتحدد اعمل index زي بتاع embedding.
+--
+-- الـ RPCs: match_teachable_chunks / match_courses / match_diplomas على
+-- embedding، ونسخ _shadow على embedding_shadow بنفس الـ signature والشكل.
+-- match_courses بيرجع teachable_course_id (النسخة القديمة كانت بترجع ids
+-- من جدول courses المتشال). النسخ القديمة بتتمسح الأول بأي signature.
+-- ══════════════════════════════════════════════════════════
+
+create extension if not exists vector;
+
+create table if not exists embedding_cache (
+  content_hash text primary key,
+  provider     text,
+  model        text,
+  embedding    vector not null,
+  created_at   timestamptz not null default now()
+);
+
+create table if not exists embedding_models (
+  target      text primary key check (target in ('chunks', 'courses', 'diplomas')),
+  live_column text not null default 'embedding' check (live_column in ('embedding', 'embedding_shadow')),
+  models      jsonb not null default '{}'::jsonb,
+  updated_by  text,
+  updated_at  timestamptz not null default now()
+);
+
+alter table teachable_courses add column if not exists embedding vector(1536);
+
+alter table chunks
+  add column if not exists embedding_model        text,
+  add column if not exists embedding_shadow       vector,
+  add column if not exists embedding_shadow_model text;
+alter table teachable_courses
+  add column if not exists embedding_model        text,
+  add column if not exists embedding_shadow       vector,
+  add column if not exists embedding_shadow_model text;
+alter table diplomas
+  add column if not exists embedding_model        text,
+  add column if not exists embedding_shadow       vector,
+  add column if not exists embedding_shadow_model text;
+
+update chunks set embedding_model = 'text-embedding-3-small'
+ where embedding is not null and embedding_model is null;
+update teachable_courses set embedding_model = 'text-embedding-ada-002'
+ where embedding is not null and embedding_model is null;
+update diplomas set embedding_model = 'text-embedding-ada-002'
+ where embedding is not null and embedding_model is null;
+
+-- الـ coverage: count بالـ model لكل عمود
+create index if not exists chunks_embedding_model_idx on chunks (embedding_model);
+create index if not exists chunks_embedding_shadow_model_idx on chunks (embedding_shadow_model);
+
+/* ═══ RPCs ═══ */
+
+do $$
+declare fn regprocedure;
+begin
+  for fn in
+    select p.oid::regprocedure from pg_proc p
+     where p.pronamespace = 'public'::regnamespace
+       and p.proname in ('match_teachable_chunks', 'match_teachable_chunks_shadow',
+                         'match_courses', 'match_courses_shadow',
+                         'match_diplomas', 'match_diplomas_shadow')
+  loop
+    execute 'drop function ' || fn;
+  end loop;
+end $$;
+
+-- filter_course_id = teachable_course_id (الـ chunks مفيهاش course_id — بييجي من الدرس)
+create function match_teachable_chunks(
+  query_embedding vector, match_threshold float, match_count int,
+  filter_course_id teachable_lectures.course_id%type default null
+)
+returns table (
+  id chunks.id%type, content chunks.content%type,
+  teachable_lecture_id chunks.teachable_lecture_id%type, course_id teachable_lectures.course_id%type,
+  chunk_order chunks.chunk_order%type, timestamp_start chunks.timestamp_start%type,
+  timestamp_end chunks.timestamp_end%type, similarity float
+)
+language sql stable as $$
+  select c.id, c.content, c.teachable_lecture_id, l.course_id, c.chunk_order,
+         c.timestamp_start, c.timestamp_end, 1 - (c.embedding <=> query_embedding) as similarity
+    from chunks c
+    left join teachable_lectures l on l.teachable_lecture_id = c.teachable_lecture_id
+   where c.embedding is not null
+     and (filter_course_id is null or l.course_id = filter_course_id)
+     and 1 - (c.embedding <=> query_embedding) > match_threshold
+   order by c.embedding <=> query_embedding
+   limit match_count;
+$$;
+
+create function match_teachable_chunks_shadow(
+  query_embedding vector, match_threshold float, match_count int,
+  filter_course_id teachable_lectures.course_id%type default null
+)
+returns table (
+  id chunks.id%type, content chunks.content%type,
+  teachable_lecture_id chunks.teachable_lecture_id%type, course_id teachable_lectures.course_id%type,
+  chunk_order chunks.chunk_order%type, timestamp_start chunks.timestamp_start%type,
+  timestamp_end chunks.timestamp_end%type, similarity float
+)
+language sql stable as $$
+  select c.id, c.content, c.teachable_lecture_id, l.course_id, c.chunk_order,
+         c.timestamp_start, c.timestamp_end, 1 - (c.embedding_shadow <=> query_embedding) as similarity
+    from chunks c
+    left join teachable_lectures l on l.teachable_lecture_id = c.teachable_lecture_id
+   where c.embedding_shadow is not null
+     and (filter_course_id is null or l.course_id = filter_course_id)
+     and 1 - (c.embedding_shadow <=> query_embedding) > match_threshold
+   order by c.embedding_shadow <=> query_embedding
+   limit match_count;
+$$;
+
+create function match_courses(query_embedding vector, match_threshold float, match_count int)
+returns table (
+  id teachable_courses.id%type, teachable_course_id teachable_courses.teachable_course_id%type,
+  name teachable_courses.name%type, similarity float
+)
+language sql stable as $$
+  select c.id, c.teachable_course_id, c.name, 1 - (c.embedding <=> query_embedding) as similarity
+    from teachable_courses c
+   where c.embedding is not null
+     and 1 - (c.embedding <=> query_embedding) > match_threshold
+   order by c.embedding <=> query_embedding
+   limit match_count;
+$$;
+
+create function match_courses_shadow(query_embedding vector, match_threshold float, match_count int)
+returns table (
+  id teachable_courses.id%type, teachable_course_id teachable_courses.teachable_course_id%type,
+  name teachable_courses.name%type, similarity float
+)
+language sql stable as $$
+  select c.id, c.teachable_course_id, c.name, 1 - (c.embedding_shadow <=> query_embedding) as similarity
+    from teachable_courses c
+   where c.embedding_shadow is not null
+     and 1 - (c.embedding_shadow <=> query_embedding) > match_threshold
+   order by c.embedding_shadow <=> query_embedding
+   limit match_count;
+$$;
+
+-- نفس أعمدة repo.diplomas.page — shared.js بيدمجها مع نتايج البحث النصي
+create function match_diplomas(query_embedding vector, match_threshold float, match_count int)
+returns table (
+  id diplomas.id%type, title diplomas.title%type, slug diplomas.slug%type, link diplomas.link%type,
+  description diplomas.description%type, price diplomas.price%type,
+  courses_count diplomas.courses_count%type, books_count diplomas.books_count%type,
+  hours diplomas.hours%type, similarity float
+)
+language sql stable as $$
+  select d.id, d.title, d.slug, d.link, d.description, d.price, d.courses_count, d.books_count, d.hours,
+         1 - (d.embedding <=> query_embedding) as similarity
+    from diplomas d
+   where d.embedding is not null
+     and 1 - (d.embedding <=> query_embedding) > match_threshold
+   order by d.embedding <=> query_embedding
+   limit match_count;
+$$;
+
+create function match_diplomas_shadow(query_embedding vector, match_threshold float, match_count int)
+returns table (
+  id diplomas.id%type, title diplomas.title%type, slug diplomas.slug%type, link diplomas.link%type,
+  description diplomas.description%type, price diplomas.price%type,
+  courses_count diplomas.courses_count%type, books_count diplomas.books_count%type,
+  hours diplomas.hours%type, similarity float
+)
+language sql stable as $$
+  select d.id, d.title, d.slug, d.link, d.description, d.price, d.courses_count, d.books_count, d.hours,
+         1 - (d.embedding_shadow <=> query_embedding) as similarity
+    from diplomas d
+   where d.embedding_shadow is not null
+     and 1 - (d.embedding_shadow <=> query_embedding) > match_threshold
+   order by d.embedding_shadow <=> query_embedding
+   limit match_count;
+$$;
+
+alter table embedding_cache enable row level security;
+alter table embedding_models enable row level security;
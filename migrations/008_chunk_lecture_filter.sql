@@ -0,0 +1,69 @@
+-- ══════════════════════════════════════════════════════════
+-- 008_chunk_lecture_filter.sql — filter_lecture_id على الـ chunk RPCs
+--
+-- الـ guide بيدوّر في درس واحد (hybrid-retriever.js lectureId): الفلتر كان
+-- بيتعمل بعد الـ top-k، فالدرس ممكن يطلع فاضي لو دروس تانية أقرب.
+-- دلوقتي جوه الـ query قبل الـ limit. نفس الـ return shape بتاع 007؛
+-- النسخ القديمة (من غير filter_lecture_id) بتتمسح عشان مايبقاش في overload.
+-- ══════════════════════════════════════════════════════════
+
+do $$
+declare fn regprocedure;
+begin
+  for fn in
+    select p.oid::regprocedure from pg_proc p
+     where p.pronamespace = 'public'::regnamespace
+       and p.proname in ('match_teachable_chunks', 'match_teachable_chunks_shadow')
+  loop
+    execute 'drop function ' || fn;
+  end loop;
+end $$;
+
+-- filter_course_id = teachable_course_id، filter_lecture_id = teachable_lecture_id
+create function match_teachable_chunks(
+  query_embedding vector, match_threshold float, match_count int,
+  filter_course_id teachable_lectures.course_id%type default null,
+  filter_lecture_id chunks.teachable_lecture_id%type default null
+)
+returns table (
+  id chunks.id%type, content chunks.content%type,
+  teachable_lecture_id chunks.teachable_lecture_id%type, course_id teachable_lectures.course_id%type,
+  chunk_order chunks.chunk_order%type, timestamp_start chunks.timestamp_start%type,
+  timestamp_end chunks.timestamp_end%type, similarity float
+)
+language sql stable as $$
+  select c.id, c.content, c.teachable_lecture_id, l.course_id, c.chunk_order,
+         c.timestamp_start, c.timestamp_end, 1 - (c.embedding <=> query_embedding) as similarity
+    from chunks c
+    left join teachable_lectures l on l.teachable_lecture_id = c.teachable_lecture_id
+   where c.embedding is not null
+     and (filter_course_id is null or l.course_id = filter_course_id)
+     and (filter_lecture_id is null or c.teachable_lecture_id = filter_lecture_id)
+     and 1 - (c.embedding <=> query_embedding) > match_threshold
+   order by c.embedding <=> query_embedding
+   limit match_count;
+$$;
+
+create function match_teachable_chunks_shadow(
+  query_embedding vector, match_threshold float, match_count int,
+  filter_course_id teachable_lectures.course_id%type default null,
+  filter_lecture_id chunks.teachable_lecture_id%type default null
+)
+returns table (
+  id chunks.id%type, content chunks.content%type,
+  teachable_lecture_id chunks.teachable_lecture_id%type, course_id teachable_lectures.course_id%type,
+  chunk_order chunks.chunk_order%type, timestamp_start chunks.timestamp_start%type,
+  timestamp_end chunks.timestamp_end%type, similarity float
+)
+language sql stable as $$
+  select c.id, c.content, c.teachable_lecture_id, l.course_id, c.chunk_order,
+         c.timestamp_start, c.timestamp_end, 1 - (c.embedding_shadow <=> query_embedding) as similarity
+    from chunks c
+    left join teachable_lectures l on l.teachable_lecture_id = c.teachable_lecture_id
+   where c.embedding_shadow is not null
+     and (filter_course_id is null or l.course_id = filter_course_id)
+     and (filter_lecture_id is null or c.teachable_lecture_id = filter_lecture_id)
+     and 1 - (c.embedding_shadow <=> query_embedding) > match_threshold
+   order by c.embedding_shadow <=> query_embedding
+   limit match_count;
+$$;
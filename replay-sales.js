@@ -0,0 +1,267 @@
+/* ══════════════════════════════════════════════════════════
+   replay-sales.js — Regression replay لمحادثات زيكو (smartChat)
+
+   بياخد transcript (زي اللي بيطلع من /admin/export-logs)، ويعيد
+   رسائل المستخدم من خلال smartChat بـ DB و LLM offline، ويقارن
+   الرد + الـ suggestions + الكورسات اللي اتعرضت بملف golden.
+
+   Usage:
+     node replay-sales.js <transcript.json> --golden <golden.json>
+          [--data ./local-data]          snapshot للجداول (local-store format)
+          [--llm ./llm-script.json]      ردود scripted للـ mock (feature → replies)
+          [--recordings ./rec.json]      ردود متسجلة (LLM_RECORD_FILE)
+          [--record]                     استخدم OpenAI الحقيقي وسجّل في --recordings
+          [--session <id>]               session واحدة بس
+          [--update-golden]              اكتب الـ golden من النتيجة الحالية (لازم صريح —
+                                         من غيره ملف golden مش موجود = خطأ)
+          [--verbose]                    سيب logs الـ bot تظهر
+
+   sessions / turns موجودة في الـ golden ومش في الـ replay بتتحسب اختلاف.
+
+   Exit code: 0 = مطابق، 1 = في اختلافات، 2 = خطأ في الاستخدام
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { createLocalClient } = require("./local-store");
+const { createRepository } = require("./repository");
+const { createLLM, createMockProvider, withRecording, createOpenAIProvider } = require("./llm-provider");
+
+// ─── args ───
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) { args._.push(a); continue; }
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) args[key] = true;
+    else { args[key] = next; i++; }
+  }
+  return args;
+}
+
+function readJson(file, fallback) {
+  if (!file) return fallback;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// ─── loadTranscript ───
+// بيقبل { logs: [...] } من export-logs أو array من chat_logs rows
+// → Map(session_id → [user messages بالترتيب])
+function loadTranscript(file, onlySession) {
+  const raw = readJson(file);
+  const rows = Array.isArray(raw) ? raw : (raw.logs || []);
+  const sessions = new Map();
+  rows
+    .slice()
+    .sort((a, b) => String(a.created_at || "").localeCompare(String(b.created_at || "")))
+    .forEach((r) => {
+      if (r.role !== "user" || !r.message) return;
+      if (r.intent === "IMAGE") return; // الصور مش بتعدي على smartChat
+      const sid = r.session_id || "unknown";
+      if (onlySession && sid !== onlySession) return;
+      if (!sessions.has(sid)) sessions.set(sid, []);
+      sessions.get(sid).push(r.message);
+    });
+  return sessions;
+}
+
+// ─── shownCourseIds ───
+// formatCourseCard بيبني اللينك من teachable_course_id
+function shownCourseIds(html) {
+  const ids = [];
+  const re = /easyt\.online\/courses\/(\d+)/g;
+  let m;
+  while ((m = re.exec(html || ""))) {
+    if (!ids.includes(m[1])) ids.push(m[1]);
+  }
+  return ids;
+}
+
+function plainText(html) {
+  return (html || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/div>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/[ \t]+/g, " ")
+    .split("\n").map((l) => l.trim()).filter(Boolean);
+}
+
+// ─── diffLines ───
+// diff بسيط بالسطر (LCS) — كفاية لردود البوت القصيرة
+function diffLines(a, b) {
+  const n = a.length, m = b.length;
+  const dp = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) { i++; j++; }
+    else if (dp[i + 1][j] >= dp[i][j + 1]) out.push("- " + a[i++]);
+    else out.push("+ " + b[j++]);
+  }
+  while (i < n) out.push("- " + a[i++]);
+  while (j < m) out.push("+ " + b[j++]);
+  return out;
+}
+
+function compareTurn(expected, actual) {
+  const changes = [];
+  if (expected.reply !== actual.reply) {
+    changes.push({ field: "reply", diff: diffLines(plainText(expected.reply), plainText(actual.reply)) });
+  }
+  if (JSON.stringify(expected.suggestions || []) !== JSON.stringify(actual.suggestions || [])) {
+    changes.push({ field: "suggestions", expected: expected.suggestions || [], actual: actual.suggestions || [] });
+  }
+  if (JSON.stringify(expected.course_ids || []) !== JSON.stringify(actual.course_ids || [])) {
+    changes.push({ field: "course_ids", expected: expected.course_ids || [], actual: actual.course_ids || [] });
+  }
+  return changes;
+}
+
+// ─── buildBot ───
+function buildBot(args) {
+  const shared = require("./shared");
+  const registerSalesRoutes = require("./ziko-sales");
+
+  const db = createLocalClient({ dir: args.data || null, readOnly: true });
+  const repo = createRepository(db);
+
+  const recordings = args.record ? {} : readJson(args.recordings, {});
+  const providers = { mock: createMockProvider({ script: readJson(args.llm, {}), recordings }) };
+  let env = { LLM_PROVIDER: "mock" };
+  if (args.record) {
+    if (!process.env.OPENAI_API_KEY || typeof args.recordings !== "string") {
+      throw new Error("--record محتاج OPENAI_API_KEY و --recordings <file>");
+    }
+    const OpenAI = require("openai");
+    providers.openai = withRecording(createOpenAIProvider(new OpenAI({ apiKey: process.env.OPENAI_API_KEY })), args.recordings);
+    env = { LLM_PROVIDER: "openai" };
+  }
+  const llm = createLLM({ env, providers });
+
+  shared.initShared({ supabase: db, repo, llm });
+  const noop = () => {};
+  const app = { post: noop, get: noop, put: noop, delete: noop, patch: noop, use: noop };
+  const passthrough = (req, res, next) => next();
+  return registerSalesRoutes(app, { llm, supabase: db, repo, limiter: passthrough, adminAuth: () => passthrough, adminLoginLimiter: passthrough });
+}
+
+async function replay(args) {
+  const sessions = loadTranscript(args._[0], args.session);
+  const { smartChat } = buildBot(args);
+
+  const result = {};
+  const log = console.log;
+  if (!args.verbose) console.log = () => {};
+  try {
+    for (const [sid, messages] of sessions) {
+      result[sid] = [];
+      for (const message of messages) {
+        let out;
+        try {
+          out = await smartChat(message.trim(), `replay:${sid}`, null);
+        } catch (e) {
+          out = { reply: `❌ ${e.message}`, suggestions: [] };
+        }
+        result[sid].push({
+          message,
+          reply: out.reply || "",
+          suggestions: out.suggestions || [],
+          course_ids: shownCourseIds(out.reply),
+        });
+      }
+    }
+  } finally {
+    console.log = log;
+  }
+  return result;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args._[0] || typeof args.golden !== "string") {
+    console.error("Usage: node replay-sales.js <transcript.json> --golden <golden.json> [--data dir] [--llm file] [--recordings file] [--record] [--session id] [--update-golden] [--verbose]");
+    return 2;
+  }
+
+  if (!args["update-golden"] && !fs.existsSync(args.golden)) {
+    console.error(`❌ Golden file not found: ${args.golden} — شغّل بـ --update-golden عشان يتكتب`);
+    return 2;
+  }
+
+  const actual = await replay(args);
+  const turns = Object.values(actual).reduce((n, t) => n + t.length, 0);
+
+  if (args["update-golden"]) {
+    fs.writeFileSync(args.golden, JSON.stringify({
+      generated_at: new Date().toISOString(),
+      transcript: path.basename(args._[0]),
+      sessions: actual,
+    }, null, 2));
+    console.log(`💾 Golden written: ${args.golden} (${Object.keys(actual).length} sessions, ${turns} turns)`);
+    return 0;
+  }
+
+  const golden = readJson(args.golden).sessions || {};
+  let changedTurns = 0;
+  let missingTurns = 0;
+  const changedSessions = new Set();
+
+  // في الـ golden ومش في الـ replay (الـ transcript اتغير أو الـ session اتشالت)
+  for (const [sid, expectedTurns] of Object.entries(golden)) {
+    if (args.session && sid !== args.session) continue;
+    if (actual[sid]) continue;
+    console.log(`\n❌ ${sid}: موجودة في الـ golden ومش في الـ replay (${expectedTurns.length} turns)`);
+    missingTurns += expectedTurns.length;
+    changedSessions.add(sid);
+  }
+
+  for (const [sid, turnsOut] of Object.entries(actual)) {
+    const expectedTurns = golden[sid];
+    if (!expectedTurns) {
+      console.log(`\n🆕 ${sid}: مش موجودة في الـ golden (${turnsOut.length} turns)`);
+      changedSessions.add(sid);
+      continue;
+    }
+    turnsOut.forEach((turn, i) => {
+      const expected = expectedTurns[i] || { reply: "", suggestions: [], course_ids: [] };
+      const changes = compareTurn(expected, turn);
+      if (changes.length === 0) return;
+      changedTurns++;
+      changedSessions.add(sid);
+      console.log(`\n🔴 ${sid} — turn ${i + 1}: "${turn.message}"`);
+      for (const c of changes) {
+        if (c.field === "reply") {
+          console.log("   reply:");
+          c.diff.forEach((l) => console.log("     " + l));
+        } else {
+          console.log(`   ${c.field}: ${JSON.stringify(c.expected)} → ${JSON.stringify(c.actual)}`);
+        }
+      }
+    });
+    expectedTurns.slice(turnsOut.length).forEach((turn, k) => {
+      missingTurns++;
+      changedSessions.add(sid);
+      console.log(`\n❌ ${sid} — turn ${turnsOut.length + k + 1} مش موجود في الـ replay: "${turn.message}"`);
+    });
+  }
+
+  console.log(`\n📊 ${Object.keys(actual).length} sessions | ${turns} turns | ${changedSessions.size} sessions changed | ${changedTurns} turns changed | ${missingTurns} turns missing`);
+  return changedSessions.size > 0 ? 1 : 0;
+}
+
+// ziko-sales بيشغّل setInterval للتنظيف — لازم نخرج بنفسنا
+main()
+  .then((code) => process.exit(code))
+  .catch((e) => {
+    console.error("❌ Replay error:", e.message);
+    process.exit(2);
+  });
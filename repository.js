@@ -0,0 +1,954 @@
+/* ══════════════════════════════════════════════════════════
+   repository.js — Data-access layer
+
+   بدل ما كل module ينادي supabase.from("table") مباشرة، العمليات
+   هنا ليها أسماء (courses.search, chunks.byLecture, logs.append ...)
+   وأسماء الجداول والأعمدة متجمعة في مكان واحد.
+
+   Backends:
+     - supabase → createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+     - local    → createLocalClient({ dir }) من local-store.js
+                  (JSON files — للتطوير offline والاختبارات)
+
+   الاختيار بـ DATA_BACKEND=supabase|local و LOCAL_DATA_DIR.
+
+   كل operation بترجع { data, error } زي supabase-js بالظبط،
+   عشان الـ error handling الموجود يفضل زي ما هو.
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const { createLocalClient } = require("./local-store");
+
+const TABLES = {
+  courses: "teachable_courses",
+  lectures: "teachable_lectures",
+  authors: "teachable_authors",
+  attachments: "teachable_attachments",
+  sections: "teachable_sections",
+  users: "teachable_users",
+  subscriptions: "teachable_subscriptions",
+  transactions: "teachable_transactions",
+  enrollments: "teachable_enrollments",
+  lessonProgress: "teachable_lesson_progress",
+  abandonedCarts: "teachable_abandoned_carts",
+  quizResults: "teachable_quiz_results",
+  chunks: "chunks",
+  diplomas: "diplomas",
+  diplomaCourses: "diploma_courses",
+  botInstructions: "bot_instructions",
+  corrections: "corrections",
+  customResponses: "custom_responses",
+  faq: "faq",
+  sitePages: "site_pages",
+  chatLogs: "chat_logs",
+  guideLogs: "guide_logs",
+  guideRateLimits: "guide_rate_limits",
+  userSessions: "user_sessions",
+  webhookEvents: "webhook_events",
+  webhookQuarantine: "webhook_quarantine",
+  adminUsers: "admin_users",
+  adminTokenRevocations: "admin_token_revocations",
+  adminAuditLog: "admin_audit_log",
+  jobs: "background_jobs",
+  videoMatchOverrides: "video_match_overrides",
+  transcripts: "lecture_transcripts",
+  embeddingCache: "embedding_cache",
+  embeddingModels: "embedding_models",
+};
+
+const LOG_TABLES = {
+  chat: TABLES.chatLogs,
+  guide: TABLES.guideLogs,
+};
+
+const CHUNK_COLS = "id, content, teachable_lecture_id, chunk_order, timestamp_start, timestamp_end";
+
+// ─── ilikeAny ───
+// "col.ilike.%term%" لكل (عمود × كلمة) — الصيغة اللي .or() بتفهمها
+function ilikeAny(columns, terms) {
+  return terms
+    .flatMap((t) => columns.map((col) => `${col}.ilike.%${t}%`))
+    .join(",");
+}
+
+// ─── semanticRpc ───
+// column = embedding_shadow → نسخة الـ RPC على عمود الـ shadow (embedding-models.js)
+function semanticRpc(name, column) {
+  return column && column !== "embedding" ? `${name}_shadow` : name;
+}
+
+// ─── pageAll ───
+// PostgREST بيرجع 1000 صف بالكتير مهما كان الـ limit — build(from, to) بيرجع
+// query بـ order ثابت (id في الآخر) و .range(from, to)، وبنلف لحد آخر صفحة.
+// limit = سقف اختياري لمجموع الصفوف
+const PAGE_SIZE = 1000;
+
+async function pageAll(build, { limit = null, pageSize = PAGE_SIZE } = {}) {
+  const rows = [];
+  for (let from = 0; limit == null || from < limit; from += pageSize) {
+    const to = from + (limit == null ? pageSize : Math.min(pageSize, limit - from)) - 1;
+    const { data, error } = await build(from, to);
+    if (error) return { data: rows.length ? rows : null, error };
+    rows.push(...(data || []));
+    if (!data || data.length < to - from + 1) break;
+  }
+  return { data: rows, error: null };
+}
+
+// ─── crudOps ───
+// CRUD الـ dashboard على جدول بالـ id — list بترتيب ثابت، create/update بيرجعوا الصف
+function crudOps(db, table, { order = "created_at", ascending = false } = {}) {
+  return {
+    list() {
+      return db.from(table).select("*").order(order, { ascending });
+    },
+    byId(id) {
+      return db.from(table).select("*").eq("id", id).single();
+    },
+    create(row) {
+      return db.from(table).insert(row).select().single();
+    },
+    update(id, patch) {
+      return db.from(table).update(patch).eq("id", id).select().single();
+    },
+    remove(id) {
+      return db.from(table).delete().eq("id", id);
+    },
+    count() {
+      return db.from(table).select("*", { count: "exact", head: true });
+    },
+  };
+}
+
+// ─── createRepository ───
+function createRepository(db, { backend = db && db.isLocal ? "local" : "supabase" } = {}) {
+  if (!db) return null;
+
+  const COURSE_ADMIN_COLS = "id, teachable_course_id, name, heading, description, price, author_user_id, author_name, image_url, keywords, is_published";
+
+  const courses = {
+    ...crudOps(db, TABLES.courses, { order: "name", ascending: true }),
+    // أي id جاي من برّه → { id, teachable_course_id } — by: "teachable_course_id" أو "id"
+    resolve(value, { by = "teachable_course_id" } = {}) {
+      return db.from(TABLES.courses).select("id, teachable_course_id").eq(by, value).limit(1).maybeSingle();
+    },
+    // الـ health check / testSupabaseConnection
+    ping() {
+      return db.from(TABLES.courses).select("id").limit(1);
+    },
+    // كل الكورسات (الـ reconcile) — بصفحات
+    refs() {
+      return pageAll((from, to) => db.from(TABLES.courses).select("id, teachable_course_id, name")
+        .order("id", { ascending: true }).range(from, to));
+    },
+    removeByTeachableId(id) {
+      return db.from(TABLES.courses).delete().eq("teachable_course_id", id);
+    },
+    // image_migration — الفلترة على teachablecdn في server.js
+    withImages() {
+      return db.from(TABLES.courses).select("teachable_course_id, name, image_url").not("image_url", "is", null);
+    },
+    setImage(teachableId, url) {
+      return db.from(TABLES.courses).update({ image_url: url }).eq("teachable_course_id", teachableId);
+    },
+    names({ limit = null } = {}) {
+      const q = db.from(TABLES.courses).select("id, teachable_course_id, name").order("name", { ascending: true });
+      return limit ? q.limit(limit) : q;
+    },
+    // صفحة الـ dashboard — بحث في الاسم والوصف
+    page({ search = null, offset = 0, limit = 30 } = {}) {
+      let q = db.from(TABLES.courses).select(COURSE_ADMIN_COLS, { count: "exact" })
+        .order("name", { ascending: true }).range(offset, offset + limit - 1);
+      if (search) q = q.or(ilikeAny(["name", "description"], [search]));
+      return q;
+    },
+    // ilike على أعمدة محددة — Phase 1/2/3 في searchCourses
+    search({ terms, columns = ["name", "heading", "keywords"], select, limit = 30, excludeTeachableId = null }) {
+      let q = db.from(TABLES.courses).select(select).or(ilikeAny(columns, terms)).limit(limit);
+      if (excludeTeachableId) q = q.neq("teachable_course_id", excludeTeachableId);
+      return q;
+    },
+    findByName(name, { select, limit = 5 } = {}) {
+      return db.from(TABLES.courses).select(select).ilike("name", `%${name}%`).limit(limit);
+    },
+    all({ select, limit = 500 } = {}) {
+      return db.from(TABLES.courses).select(select).limit(limit);
+    },
+    byTeachableIds(ids, { select, orderByName = false } = {}) {
+      const q = db.from(TABLES.courses).select(select).in("teachable_course_id", ids);
+      return orderByName ? q.order("name", { ascending: true }) : q;
+    },
+    byTeachableId(id, { select } = {}) {
+      return db.from(TABLES.courses).select(select).eq("teachable_course_id", id).single();
+    },
+    byAuthor(authorId, { select, limit = 30 } = {}) {
+      return db.from(TABLES.courses).select(select).eq("author_user_id", authorId).limit(limit);
+    },
+    // match_courses على teachable_courses.embedding → [{ teachable_course_id, similarity }]
+    // (النسخة القديمة من الـ RPC كانت بترجع UUIDs من جدول courses المتشال — searchCourses بيتجاهلها)
+    matchSemantic(embedding, { threshold = 0.78, count = 15, column = "embedding" } = {}) {
+      return db.rpc(semanticRpc("match_courses", column), {
+        query_embedding: embedding,
+        match_threshold: threshold,
+        match_count: count,
+      });
+    },
+  };
+
+  const lectures = {
+    ...crudOps(db, TABLES.lectures, { order: "position", ascending: true }),
+    resolve(value, { by = "teachable_lecture_id" } = {}) {
+      return db.from(TABLES.lectures).select("id, teachable_lecture_id").eq(by, value).limit(1).maybeSingle();
+    },
+    byTeachableId(id, { select = "*" } = {}) {
+      return db.from(TABLES.lectures).select(select).eq("teachable_lecture_id", id).maybeSingle();
+    },
+    removeByCourse(courseId) {
+      return db.from(TABLES.lectures).delete().eq("course_id", courseId);
+    },
+    // بيرجع course_id بتاع اللي اتمسح
+    removeByTeachableId(id) {
+      return db.from(TABLES.lectures).delete().eq("teachable_lecture_id", id).select("course_id");
+    },
+    sample({ limit = 3 } = {}) {
+      return db.from(TABLES.lectures).select("id, name, course_id, teachable_lecture_id").limit(limit);
+    },
+    byCourse(courseId, { select, limit = null } = {}) {
+      const q = db.from(TABLES.lectures).select(select).eq("course_id", courseId)
+        .order("position", { ascending: true });
+      return limit ? q.limit(limit) : q;
+    },
+    idsByCourse(courseId) {
+      return db.from(TABLES.lectures).select("teachable_lecture_id").eq("course_id", courseId);
+    },
+    byTeachableIds(ids, { select = "teachable_lecture_id, name" } = {}) {
+      return db.from(TABLES.lectures).select(select).in("teachable_lecture_id", ids);
+    },
+    // بحث بالاسم — terms كلها OR، واختياري داخل كورس واحد
+    searchByName(terms, { select, courseId = null, limit = 50 } = {}) {
+      let q = db.from(TABLES.lectures).select(select).or(ilikeAny(["name"], terms)).limit(limit);
+      if (courseId) q = q.eq("course_id", courseId);
+      return q;
+    },
+  };
+
+  const chunks = {
+    byLecture(lectureId, { limit = 50 } = {}) {
+      return db.from(TABLES.chunks).select(CHUNK_COLS).eq("teachable_lecture_id", lectureId)
+        .order("chunk_order", { ascending: true }).limit(limit);
+    },
+    // lectureId → درس واحد، lectureIds → مجموعة دروس (كورس)
+    searchText(terms, { lectureId = null, lectureIds = null, select = CHUNK_COLS, limit = 10 } = {}) {
+      let q = db.from(TABLES.chunks).select(select).or(ilikeAny(["content"], terms))
+        .not("teachable_lecture_id", "is", null).limit(limit);
+      if (lectureId) q = q.eq("teachable_lecture_id", lectureId);
+      else if (lectureIds && lectureIds.length > 0) q = q.in("teachable_lecture_id", lectureIds);
+      return q;
+    },
+    // كل chunks مجموعة دروس (للـ BM25 index في hybrid-retriever) — بصفحات (pageAll)
+    forLectures(lectureIds, { select = CHUNK_COLS, limit = null } = {}) {
+      return pageAll((from, to) => db.from(TABLES.chunks).select(select).in("teachable_lecture_id", lectureIds)
+        .order("chunk_order", { ascending: true }).order("id", { ascending: true }).range(from, to), { limit });
+    },
+    // ids الـ chunks بتاعة درس — replaceLectureChunks بيمسحهم بعد ما الجديد يتحفظ
+    idsForLecture(lectureId) {
+      return pageAll((from, to) => db.from(TABLES.chunks).select("id").eq("teachable_lecture_id", lectureId)
+        .order("id", { ascending: true }).range(from, to));
+    },
+    // كل الدروس اللي ليها chunks (rechunk all / orphan check) — صف لكل chunk
+    lectureRefs({ select = "teachable_lecture_id" } = {}) {
+      return pageAll((from, to) => db.from(TABLES.chunks).select(select).not("teachable_lecture_id", "is", null)
+        .order("id", { ascending: true }).range(from, to));
+    },
+    insert(rows) {
+      return db.from(TABLES.chunks).insert(rows);
+    },
+    deleteByIds(ids) {
+      return db.from(TABLES.chunks).delete().in("id", ids);
+    },
+    deleteForLecture(lectureId) {
+      return db.from(TABLES.chunks).delete().eq("teachable_lecture_id", lectureId);
+    },
+    countForLectures(lectureIds) {
+      return db.from(TABLES.chunks).select("id", { count: "exact", head: true })
+        .in("teachable_lecture_id", lectureIds);
+    },
+    // lectureId → الفلتر جوه الـ RPC قبل الـ top-k (migrations/008)
+    matchSemantic(embedding, { threshold = 0.5, count = 8, courseId = null, lectureId = null, column = "embedding" } = {}) {
+      return db.rpc(semanticRpc("match_teachable_chunks", column), {
+        query_embedding: embedding,
+        match_threshold: threshold,
+        match_count: count,
+        filter_course_id: courseId || null,
+        filter_lecture_id: lectureId || null,
+      });
+    },
+  };
+
+  const diplomas = {
+    ...crudOps(db, TABLES.diplomas, { order: "title", ascending: true }),
+    // صفحة الـ dashboard — بحث في العنوان والوصف
+    page({ search = null, offset = 0, limit = 30 } = {}) {
+      let q = db.from(TABLES.diplomas)
+        .select("id, title, slug, link, description, price, courses_count, books_count, hours", { count: "exact" })
+        .order("title", { ascending: true }).range(offset, offset + limit - 1);
+      if (search) q = q.or(ilikeAny(["title", "description"], [search]));
+      return q;
+    },
+    all({ select = "id, title, link, description, price" } = {}) {
+      return db.from(TABLES.diplomas).select(select).order("title", { ascending: true });
+    },
+    search(terms, { select = "id, title, link, description, price", limit = 10 } = {}) {
+      return db.from(TABLES.diplomas).select(select).or(ilikeAny(["title"], terms)).limit(limit);
+    },
+    matchSemantic(embedding, { threshold = 0.75, count = 8, column = "embedding" } = {}) {
+      return db.rpc(semanticRpc("match_diplomas", column), {
+        query_embedding: embedding,
+        match_threshold: threshold,
+        match_count: count,
+      });
+    },
+    courseLinks() {
+      return db.from(TABLES.diplomaCourses).select("diploma_id, teachable_course_id, course_order")
+        .order("course_order", { ascending: true });
+    },
+    coursesOf(diplomaId) {
+      return db.from(TABLES.diplomaCourses).select("id, course_id, teachable_course_id, course_order")
+        .eq("diploma_id", diplomaId).order("course_order", { ascending: true });
+    },
+    clearCourses(diplomaId) {
+      return db.from(TABLES.diplomaCourses).delete().eq("diploma_id", diplomaId);
+    },
+    addCourses(rows) {
+      return db.from(TABLES.diplomaCourses).insert(rows);
+    },
+  };
+
+  const instructors = {
+    ...crudOps(db, TABLES.authors, { order: "name", ascending: true }),
+    all() {
+      return db.from(TABLES.authors).select("id, name, title, image_url, link, bio");
+    },
+    withImages() {
+      return db.from(TABLES.authors).select("id, teachable_author_id, name, image_url").not("image_url", "is", null);
+    },
+    setImage(id, url) {
+      return db.from(TABLES.authors).update({ image_url: url }).eq("id", id);
+    },
+  };
+
+  const content = {
+    botInstructions(target) {
+      return db.from(TABLES.botInstructions).select("instruction, priority, category, target")
+        .eq("is_active", true).in("target", [target, "both"])
+        .order("priority", { ascending: false });
+    },
+    corrections() {
+      return db.from(TABLES.corrections)
+        .select("id, original_question, user_message, corrected_reply, correct_course_ids, original_reply, created_at");
+    },
+    faqs() {
+      return db.from(TABLES.faq).select("id, section, question, answer");
+    },
+  };
+
+  // kind: "chat" → chat_logs | "guide" → guide_logs
+  function logQuery(kind, build) {
+    const table = LOG_TABLES[kind];
+    if (!table) return Promise.resolve({ data: null, error: { message: `unknown log kind "${kind}"` } });
+    return build(db.from(table));
+  }
+
+  // الجداول اللي الأدمن بيعدّلها من الـ dashboard
+  const corrections = crudOps(db, TABLES.corrections);
+  const botInstructions = crudOps(db, TABLES.botInstructions);
+  const customResponses = crudOps(db, TABLES.customResponses);
+  const faqs = crudOps(db, TABLES.faq);
+  const sitePages = crudOps(db, TABLES.sitePages);
+
+  const logs = {
+    append(kind, row) {
+      const table = LOG_TABLES[kind];
+      if (!table) return Promise.resolve({ data: null, error: { message: `unknown log kind "${kind}"` } });
+      return db.from(table).insert({ created_at: new Date().toISOString(), ...row });
+    },
+    // آخر رسايل المستخدمين (عينة queries للـ embedding compare)
+    recentUserMessages(kind, { limit = 100 } = {}) {
+      const table = LOG_TABLES[kind];
+      if (!table) return Promise.resolve({ data: null, error: { message: `unknown log kind "${kind}"` } });
+      return db.from(table).select("message, created_at").eq("role", "user")
+        .order("created_at", { ascending: false }).limit(limit);
+    },
+    // آخر limit رسايل في session (الأحدث الأول) — الـ history للموديل
+    recentForSession(kind, sessionId, { limit = 6 } = {}) {
+      return logQuery(kind, (q) => q.select("role, message, created_at").eq("session_id", sessionId)
+        .order("created_at", { ascending: false }).limit(limit));
+    },
+    // محادثة كاملة بالترتيب
+    bySession(kind, sessionId) {
+      return logQuery(kind, (q) => q.select("*").eq("session_id", sessionId)
+        .order("created_at", { ascending: true }));
+    },
+    // كل الرسايل (الأحدث الأول) — الـ dashboard بيجمّعها بالـ session
+    list(kind, { select = "*", search = null, limit = null } = {}) {
+      return logQuery(kind, (q) => {
+        q = q.select(select).order("created_at", { ascending: false });
+        if (search) q = q.ilike("message", `%${search}%`);
+        return limit ? q.limit(limit) : q;
+      });
+    },
+    page(kind, { search = null, intent = null, offset = 0, limit = 50 } = {}) {
+      return logQuery(kind, (q) => {
+        q = q.select("*", { count: "exact" }).order("created_at", { ascending: false })
+          .range(offset, offset + limit - 1);
+        if (search) q = q.ilike("message", `%${search}%`);
+        if (intent) q = q.eq("intent", intent);
+        return q;
+      });
+    },
+    since(kind, iso, { select = "*", role = null } = {}) {
+      return logQuery(kind, (q) => {
+        q = q.select(select).gte("created_at", iso).order("created_at", { ascending: true });
+        return role ? q.eq("role", role) : q;
+      });
+    },
+    count(kind, { since = null, role = null } = {}) {
+      return logQuery(kind, (q) => {
+        q = q.select("*", { count: "exact", head: true });
+        if (since) q = q.gte("created_at", since);
+        return role ? q.eq("role", role) : q;
+      });
+    },
+    // select بفلتر role (session_id / intent للإحصائيات)
+    column(kind, column, { role = null } = {}) {
+      return logQuery(kind, (q) => {
+        q = q.select(column).not(column, "is", null);
+        return role ? q.eq("role", role) : q;
+      });
+    },
+    clear(kind) {
+      return logQuery(kind, (q) => q.delete().not("id", "is", null));
+    },
+    clearSession(kind, sessionId) {
+      return logQuery(kind, (q) => q.delete().eq("session_id", sessionId));
+    },
+  };
+
+  const userSessions = {
+    get(userId) {
+      return db.from(TABLES.userSessions).select("memory, visit_count").eq("user_id", userId).single();
+    },
+    create(row) {
+      return db.from(TABLES.userSessions).insert(row);
+    },
+    update(userId, patch) {
+      return db.from(TABLES.userSessions).update(patch).eq("user_id", userId);
+    },
+    purgeInactiveSince(iso) {
+      return db.from(TABLES.userSessions).delete().lt("last_seen", iso);
+    },
+  };
+
+  const guideRateLimits = {
+    get(sessionId) {
+      return db.from(TABLES.guideRateLimits).select("count, date").eq("session_id", sessionId).single();
+    },
+    set(sessionId, row) {
+      return db.from(TABLES.guideRateLimits)
+        .upsert({ session_id: sessionId, ...row }, { onConflict: "session_id" });
+    },
+  };
+
+  const webhookEvents = {
+    // insert بس — hook_event_id unique، فالتكرار بيرجع error 23505 (replay)
+    record(row) {
+      return db.from(TABLES.webhookEvents).insert(row).select("id").single();
+    },
+    byHookId(hookEventId) {
+      return db.from(TABLES.webhookEvents).select("id, received_at")
+        .eq("hook_event_id", hookEventId).limit(1).maybeSingle();
+    },
+    byId(id) {
+      return db.from(TABLES.webhookEvents).select("*").eq("id", id).maybeSingle();
+    },
+    // webhook-simulator.js — مستني الـ event يخلص
+    statusByHookId(hookEventId) {
+      return db.from(TABLES.webhookEvents).select("id, status, attempts, processing_error")
+        .eq("hook_event_id", hookEventId).maybeSingle();
+    },
+    // events الـ simulator (hook_event_id = sim-<run>-<n>) من runs قبل كده
+    removeByHookPrefix(prefix) {
+      return db.from(TABLES.webhookEvents).delete().like("hook_event_id", `${prefix}%`);
+    },
+    // webhook-queue.js — الـ pending اللي جه ميعادها بترتيب الوصول، keyset على id
+    due(nowIso, { afterId = null, limit = 200 } = {}) {
+      const q = db.from(TABLES.webhookEvents)
+        .select("id, event_type, ordering_key, status, attempts, max_attempts, next_attempt_at")
+        .eq("status", "pending").lte("next_attempt_at", nowIso)
+        .order("id", { ascending: true }).limit(limit);
+      return afterId != null ? q.gt("id", afterId) : q;
+    },
+    // كل الـ events المفتوحة (pending + processing) للـ keys دي — أول واحد لكل key هو اللي عليه الدور
+    openForKeys(keys) {
+      return pageAll((from, to) => db.from(TABLES.webhookEvents).select("id, ordering_key")
+        .in("status", ["pending", "processing"]).in("ordering_key", keys)
+        .order("id", { ascending: true }).range(from, to));
+    },
+    stale(beforeIso) {
+      return db.from(TABLES.webhookEvents).select("id, event_type")
+        .eq("status", "processing").lt("locked_at", beforeIso);
+    },
+    // بيرجع [] لو worker تاني claim الـ event قبلنا
+    claim(id, patch) {
+      return db.from(TABLES.webhookEvents).update(patch).eq("id", id).eq("status", "pending").select("*");
+    },
+    requeue(id, patch) {
+      return db.from(TABLES.webhookEvents).update(patch).eq("id", id).neq("status", "processing")
+        .select("id, event_type, status, attempts").maybeSingle();
+    },
+    update(id, patch) {
+      return db.from(TABLES.webhookEvents).update(patch).eq("id", id);
+    },
+    // /api/webhooks/events — الأحدث الأول
+    list({ eventType = null, processed = null, status = null, limit = 50 } = {}) {
+      let q = db.from(TABLES.webhookEvents)
+        .select("id, event_type, hook_event_id, ordering_key, status, attempts, max_attempts, next_attempt_at, processed, processing_error, received_at, processed_at")
+        .order("received_at", { ascending: false }).limit(limit);
+      if (eventType) q = q.eq("event_type", eventType);
+      if (processed != null) q = q.eq("processed", processed);
+      if (status) q = q.eq("status", status);
+      return q;
+    },
+    // كل الـ events (للإحصائيات) — بصفحات
+    statusRows() {
+      return pageAll((from, to) => db.from(TABLES.webhookEvents)
+        .select("event_type, status, processed, processing_error")
+        .order("id", { ascending: true }).range(from, to));
+    },
+    // اللي فيها processing_error (dead + القديمة) — ids اختياري
+    failed({ ids = null, limit = 100 } = {}) {
+      const q = db.from(TABLES.webhookEvents).select("id, status").not("processing_error", "is", null)
+        .order("id", { ascending: true }).limit(limit);
+      return ids ? q.in("id", ids) : q;
+    },
+  };
+
+  // بيانات الطلبة من الـ webhooks والـ gap-sync — الـ upsert على الـ unique بتاع كل جدول
+  const users = {
+    upsert(row) {
+      return db.from(TABLES.users).upsert(row, { onConflict: "teachable_user_id", ignoreDuplicates: false });
+    },
+    // insert بس — الـ gap-sync مابيلمسش user موجود (23505 لو اتضاف في النص)
+    insert(row) {
+      return db.from(TABLES.users).insert(row);
+    },
+    update(userId, patch) {
+      return db.from(TABLES.users).update(patch).eq("teachable_user_id", userId);
+    },
+    allIds() {
+      return pageAll((from, to) => db.from(TABLES.users).select("teachable_user_id")
+        .order("teachable_user_id", { ascending: true }).range(from, to));
+    },
+  };
+
+  const subscriptions = {
+    upsert(row) {
+      return db.from(TABLES.subscriptions).upsert(row, { onConflict: "teachable_user_id", ignoreDuplicates: false });
+    },
+    // status=active بس — المرة التانية مش بتلمس حاجة
+    cancelActive(userId, patch) {
+      return db.from(TABLES.subscriptions).update(patch).eq("teachable_user_id", userId).eq("status", "active");
+    },
+  };
+
+  const transactions = {
+    byId(transactionId, { select = "*" } = {}) {
+      return db.from(TABLES.transactions).select(select).eq("transaction_id", transactionId).maybeSingle();
+    },
+    upsert(row) {
+      return db.from(TABLES.transactions).upsert(row, { onConflict: "transaction_id", ignoreDuplicates: false });
+    },
+    update(transactionId, patch) {
+      return db.from(TABLES.transactions).update(patch).eq("transaction_id", transactionId);
+    },
+  };
+
+  const enrollments = {
+    get(userId, courseId, { select = "*" } = {}) {
+      return db.from(TABLES.enrollments).select(select)
+        .eq("teachable_user_id", userId).eq("course_id", courseId).maybeSingle();
+    },
+    upsert(row) {
+      return db.from(TABLES.enrollments).upsert(row, { onConflict: "teachable_user_id,course_id", ignoreDuplicates: false });
+    },
+    update(userId, courseId, patch) {
+      return db.from(TABLES.enrollments).update(patch).eq("teachable_user_id", userId).eq("course_id", courseId);
+    },
+    countActive(userId) {
+      return db.from(TABLES.enrollments).select("*", { count: "exact", head: true })
+        .eq("teachable_user_id", userId).eq("is_active", true);
+    },
+  };
+
+  const lessonProgress = {
+    upsert(row) {
+      return db.from(TABLES.lessonProgress).upsert(row, { onConflict: "teachable_user_id,lesson_id", ignoreDuplicates: false });
+    },
+  };
+
+  // مفيش unique — نفس الـ cart في نفس الوقت = نفس الـ event اتعاد
+  const abandonedCarts = {
+    find(email, abandonedAt) {
+      return db.from(TABLES.abandonedCarts).select("id").eq("user_email", email).eq("abandoned_at", abandonedAt).limit(1);
+    },
+    insert(row) {
+      return db.from(TABLES.abandonedCarts).insert(row);
+    },
+  };
+
+  // صف لكل user + quiz + submission
+  const quizResults = {
+    upsert(row) {
+      return db.from(TABLES.quizResults).upsert(row, { onConflict: "teachable_user_id,quiz_id,submitted_at", ignoreDuplicates: false });
+    },
+  };
+
+  // webhook_quarantine — الـ events المرفوضة (webhook-security.js) مع السبب
+  const QUARANTINE_LIST_COLS = "id, reason, event_type, hook_event_id, remote_ip, detail, received_at";
+  const webhookQuarantine = {
+    add(row) {
+      return db.from(TABLES.webhookQuarantine).insert(row);
+    },
+    list({ reason = null, eventType = null, limit = 50 } = {}) {
+      let q = db.from(TABLES.webhookQuarantine).select(QUARANTINE_LIST_COLS)
+        .order("received_at", { ascending: false }).limit(limit);
+      if (reason) q = q.eq("reason", reason);
+      if (eventType) q = q.eq("event_type", eventType);
+      return q;
+    },
+    get(id) {
+      return db.from(TABLES.webhookQuarantine).select("*").eq("id", id).maybeSingle();
+    },
+    reasons() {
+      return db.from(TABLES.webhookQuarantine).select("reason").limit(10000);
+    },
+  };
+
+  const ADMIN_USER_COLS = "id, username, password_hash, role, is_active, token_version, created_at, last_login_at";
+
+  const adminUsers = {
+    count() {
+      return db.from(TABLES.adminUsers).select("id", { count: "exact", head: true });
+    },
+    list() {
+      return db.from(TABLES.adminUsers).select(ADMIN_USER_COLS).order("created_at", { ascending: true });
+    },
+    byId(id) {
+      return db.from(TABLES.adminUsers).select(ADMIN_USER_COLS).eq("id", id).maybeSingle();
+    },
+    byUsername(username) {
+      return db.from(TABLES.adminUsers).select(ADMIN_USER_COLS).eq("username", username).maybeSingle();
+    },
+    create(row) {
+      return db.from(TABLES.adminUsers).insert(row).select(ADMIN_USER_COLS).single();
+    },
+    update(id, patch) {
+      return db.from(TABLES.adminUsers).update(patch).eq("id", id).select(ADMIN_USER_COLS).maybeSingle();
+    },
+    remove(id) {
+      return db.from(TABLES.adminUsers).delete().eq("id", id);
+    },
+  };
+
+  const adminTokens = {
+    revoke(row) {
+      return db.from(TABLES.adminTokenRevocations).upsert(row, { onConflict: "jti" });
+    },
+    // اللي لسه مانتهتش — بتتحمّل في الـ memory عند الـ startup
+    activeRevocations(nowIso) {
+      return db.from(TABLES.adminTokenRevocations).select("jti, expires_at").gt("expires_at", nowIso);
+    },
+  };
+
+  const adminAudit = {
+    append(row) {
+      return db.from(TABLES.adminAuditLog).insert(row);
+    },
+    // الـ snapshot قبل التعديل/المسح (audit middleware) — أي جدول بالاسم
+    snapshotRow(table, column, value) {
+      return db.from(table).select("*").eq(column, value).maybeSingle();
+    },
+    snapshotRows(table, column, value) {
+      return db.from(table).select("*").eq(column, value);
+    },
+    snapshotCount(table, column = null, value = null) {
+      const q = db.from(table).select("id", { count: "exact", head: true });
+      return column ? q.eq(column, value) : q;
+    },
+    // كل الفلاتر اختيارية — الأحدث الأول
+    search({ actor, entity, targetId, method, route, since, until, limit = 50, offset = 0 } = {}) {
+      let q = db.from(TABLES.adminAuditLog).select("*", { count: "exact" })
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (actor) q = q.eq("actor_username", actor);
+      if (entity) q = q.eq("entity", entity);
+      if (targetId) q = q.eq("target_id", String(targetId));
+      if (method) q = q.eq("method", method.toUpperCase());
+      if (route) q = q.ilike("route", `%${route}%`);
+      if (since) q = q.gte("created_at", since);
+      if (until) q = q.lte("created_at", until);
+      return q;
+    },
+  };
+
+  // background_jobs — job-queue.js
+  const jobs = {
+    create(row) {
+      return db.from(TABLES.jobs).insert(row).select("*").single();
+    },
+    byId(id) {
+      return db.from(TABLES.jobs).select("*").eq("id", id).maybeSingle();
+    },
+    list({ type, status, group, limit = 50, offset = 0 } = {}) {
+      let q = db.from(TABLES.jobs).select("*", { count: "exact" })
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (type) q = q.eq("type", type);
+      if (status) q = q.eq("status", status);
+      if (group) q = q.eq("group_id", group);
+      return q;
+    },
+    latest(type) {
+      return db.from(TABLES.jobs).select("*").eq("type", type)
+        .order("created_at", { ascending: false }).limit(1).maybeSingle();
+    },
+    active(type) {
+      return db.from(TABLES.jobs).select("*").eq("type", type).in("status", ["queued", "running"])
+        .order("created_at", { ascending: false });
+    },
+    due(nowIso, { limit = 20 } = {}) {
+      return db.from(TABLES.jobs).select("*").eq("status", "queued").lte("run_at", nowIso)
+        .order("priority", { ascending: false }).order("run_at", { ascending: true }).limit(limit);
+    },
+    stale(beforeIso) {
+      return db.from(TABLES.jobs).select("id, type").eq("status", "running").lt("heartbeat_at", beforeIso);
+    },
+    // بيرجع [] لو worker تاني claim الـ job قبلنا
+    claim(id, patch) {
+      return db.from(TABLES.jobs).update(patch).eq("id", id).eq("status", "queued").select("*");
+    },
+    update(id, patch) {
+      return db.from(TABLES.jobs).update(patch).eq("id", id).select("*").maybeSingle();
+    },
+  };
+
+  // video_match_overrides — تصحيحات الأدمن للمطابقة (lecture-matcher.js)
+  // drive_file_id = null → الدرس ملوش فيديو في الفولدر
+  const videoMatches = {
+    overrides(courseId) {
+      return db.from(TABLES.videoMatchOverrides).select("*").eq("course_id", courseId);
+    },
+    setOverride(row) {
+      return db.from(TABLES.videoMatchOverrides)
+        .upsert(row, { onConflict: "course_id,attachment_id" }).select("*").maybeSingle();
+    },
+    clearOverride(courseId, attachmentId) {
+      return db.from(TABLES.videoMatchOverrides).delete()
+        .eq("course_id", courseId).eq("attachment_id", attachmentId);
+    },
+  };
+
+  // teachable_attachments — فيديوهات الدروس (الـ migration والـ transcription)
+  const attachments = {
+    videosForLecture(lectureId, { select = "id, bunny_video_id, migration_status" } = {}) {
+      return db.from(TABLES.attachments).select(select).eq("lecture_id", lectureId).eq("kind", "video");
+    },
+    videosForCourse(courseId, { select = "id, lecture_id, bunny_video_id, migration_status" } = {}) {
+      return db.from(TABLES.attachments).select(select).eq("course_id", courseId).eq("kind", "video");
+    },
+    // course_id لكل فيديو pending — fallback لو الـ RPC get_pending_video_courses مش موجود
+    pendingVideoCourses() {
+      return pageAll((from, to) => db.from(TABLES.attachments).select("course_id")
+        .eq("kind", "video").eq("migration_status", "pending")
+        .order("id", { ascending: true }).range(from, to));
+    },
+    // صفحة الـ verification — فيديوهات بـ migration_status معيّن، واختياري كورس واحد
+    videosByStatus(statuses, { select, courseId = null } = {}) {
+      return pageAll((from, to) => {
+        let q = db.from(TABLES.attachments).select(select).eq("kind", "video")
+          .in("migration_status", statuses).order("id", { ascending: true }).range(from, to);
+        if (courseId) q = q.eq("course_id", courseId);
+        return q;
+      });
+    },
+    // attachment_migration — الفلترة على teachablecdn في server.js
+    byKinds(kinds, { select = "id, lecture_id, kind, url, name" } = {}) {
+      return db.from(TABLES.attachments).select(select).in("kind", kinds);
+    },
+    update(id, patch) {
+      return db.from(TABLES.attachments).update(patch).eq("id", id);
+    },
+  };
+
+  const sections = {
+    byTeachableIds(ids, { select = "teachable_section_id, name, position" } = {}) {
+      return db.from(TABLES.sections).select(select).in("teachable_section_id", ids);
+    },
+  };
+
+  // جداول الكتالوج (catalog-reconcile.js SPECS + الـ Course/Lecture webhooks) — table بالاسم
+  const CATALOG_TABLES = new Set([TABLES.courses, TABLES.lectures, TABLES.authors, TABLES.attachments]);
+  function catalogQuery(table, build) {
+    if (!CATALOG_TABLES.has(table)) return Promise.resolve({ data: null, error: { message: `not a catalog table "${table}"` } });
+    return build(db.from(table));
+  }
+
+  const catalog = {
+    rowsWhere(table, column, value) {
+      return catalogQuery(table, (q) => q.select("*").eq(column, value));
+    },
+    rowsIn(table, column, values) {
+      return catalogQuery(table, (q) => q.select("*").in(column, values));
+    },
+    // مفيش unique مضمون على الـ external id — upsertByExternalId بيعمل lookup الأول
+    idByExternalId(table, column, value) {
+      return catalogQuery(table, (q) => q.select("id").eq(column, value).limit(1).maybeSingle());
+    },
+    insert(table, rows) {
+      return catalogQuery(table, (q) => q.insert(rows));
+    },
+    insertOne(table, row) {
+      return catalogQuery(table, (q) => q.insert(row).select("id").single());
+    },
+    update(table, id, patch) {
+      return catalogQuery(table, (q) => q.update(patch).eq("id", id));
+    },
+    deleteByIds(table, ids) {
+      return catalogQuery(table, (q) => q.delete().in("id", ids));
+    },
+  };
+
+  // الجداول اللي الـ webhooks بتكتب فيها — الـ expect / cleanup بتوع webhook-simulator.js
+  // (where = { column: value } — IDs الـ fixtures بس)
+  const WEBHOOK_TABLES = new Set([
+    TABLES.users, TABLES.subscriptions, TABLES.transactions, TABLES.enrollments, TABLES.lessonProgress,
+    TABLES.abandonedCarts, TABLES.quizResults, TABLES.courses, TABLES.lectures,
+  ]);
+  function webhookTableQuery(table, build) {
+    if (!WEBHOOK_TABLES.has(table)) return Promise.resolve({ data: null, error: { message: `not a webhook table "${table}"` } });
+    return build(db.from(table));
+  }
+  function eqAll(q, where) {
+    for (const [col, value] of Object.entries(where || {})) q = q.eq(col, value);
+    return q;
+  }
+
+  const webhookRows = {
+    match(table, where, { limit = 50 } = {}) {
+      return webhookTableQuery(table, (q) => eqAll(q.select("*"), where).limit(limit));
+    },
+    remove(table, where) {
+      return webhookTableQuery(table, (q) => eqAll(q.delete(), where));
+    },
+  };
+
+  // أعمدة الـ embedding في أي جدول من EMBEDDING_TARGETS (embeddings / embedding_migration jobs)
+  const embeddingRows = {
+    // ids → الصفوف دي بس، غير كده الصفوف اللي فيها عمود من columns فاضي
+    pending(table, { select, ids = null, columns = ["embedding"] } = {}) {
+      const q = db.from(table).select(select);
+      return ids ? q.in("id", ids) : q.or(columns.map((c) => `${c}.is.null`).join(","));
+    },
+    // keyset على id — Checkpoint الـ migration
+    after(table, lastId, { select, limit = 500 } = {}) {
+      const q = db.from(table).select(select).order("id", { ascending: true }).limit(limit);
+      return lastId != null ? q.gt("id", lastId) : q;
+    },
+    count(table) {
+      return db.from(table).select("id", { count: "exact", head: true });
+    },
+    // الصفوف المتعملة بالـ model ده في عمود الـ tag (embedding_model / embedding_shadow_model)
+    countByModel(table, modelColumn, model) {
+      return db.from(table).select("id", { count: "exact", head: true }).eq(modelColumn, model);
+    },
+    update(table, id, patch) {
+      return db.from(table).update(patch).eq("id", id);
+    },
+  };
+
+  // lecture_transcripts — ناتج الـ STT (transcriber.js)، صف واحد لكل درس
+  const transcripts = {
+    byLecture(lectureId) {
+      return db.from(TABLES.transcripts).select("*").eq("teachable_lecture_id", lectureId).maybeSingle();
+    },
+    lectureIdsIn(lectureIds) {
+      return db.from(TABLES.transcripts).select("teachable_lecture_id").in("teachable_lecture_id", lectureIds);
+    },
+    save(row) {
+      return db.from(TABLES.transcripts)
+        .upsert(row, { onConflict: "teachable_lecture_id" }).select("*").maybeSingle();
+    },
+  };
+
+  // embedding_cache — content_hash (provider + model + النص) → embedding (embedding-service.js)
+  const embeddingCache = {
+    get(hashes) {
+      return db.from(TABLES.embeddingCache).select("content_hash, embedding").in("content_hash", hashes);
+    },
+    put(rows) {
+      return db.from(TABLES.embeddingCache).upsert(rows, { onConflict: "content_hash" });
+    },
+  };
+
+  // embedding_models — صف لكل target: live_column + models { embedding, embedding_shadow }
+  const embeddingModels = {
+    all() {
+      return db.from(TABLES.embeddingModels).select("*");
+    },
+    get(target) {
+      return db.from(TABLES.embeddingModels).select("*").eq("target", target).maybeSingle();
+    },
+    save(row) {
+      return db.from(TABLES.embeddingModels).upsert(row, { onConflict: "target" }).select("*").maybeSingle();
+    },
+  };
+
+  // /diag — عدد الصفوف لكل جدول (حتى الجداول القديمة اللي مالهاش namespace)
+  const diagnostics = {
+    tableCount(table) {
+      return db.from(table).select("*", { count: "exact", head: true });
+    },
+  };
+
+  return {
+    backend,
+    // للـ admin CRUD اللي لسه بيكلم الجداول مباشرة
+    client: db,
+    tables: TABLES,
+    courses, lectures, chunks, diplomas, instructors, content,
+    corrections, botInstructions, customResponses, faqs, sitePages,
+    logs, userSessions, guideRateLimits, webhookEvents, webhookQuarantine,
+    adminUsers, adminTokens, adminAudit, jobs, videoMatches, transcripts, embeddingCache,
+    embeddingModels, diagnostics, attachments, sections, embeddingRows,
+    users, subscriptions, transactions, enrollments, lessonProgress, abandonedCarts, quizResults, catalog,
+    webhookRows,
+  };
+}
+
+// ─── createDataClient ───
+// بيرجع الـ client المناسب حسب DATA_BACKEND (أو null لو مفيش config)
+function createDataClient(env = process.env) {
+  const backend = (env.DATA_BACKEND || "supabase").toLowerCase();
+  if (backend === "local") {
+    console.log(`💾 Data backend: local (${env.LOCAL_DATA_DIR || "./local-data"})`);
+    return createLocalClient({ dir: env.LOCAL_DATA_DIR || "./local-data" });
+  }
+  if (env.SUPABASE_URL && env.SUPABASE_SERVICE_KEY) {
+    const { createClient } = require("@supabase/supabase-js");
+    return createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  }
+  return null;
+}
+
+module.exports = { createRepository, createDataClient, pageAll, TABLES };
@@ -576,6 +576,56 @@ animation: zikoStreamBlink 0.5s step-end infinite;
 
 }
 
+.ziko-cards {
+
+align-self: flex-start;
+
+display: flex;
+
+gap: 8px;
+
+max-width: 96%;
+
+overflow-x: auto;
+
+padding: 2px 0 6px;
+
+animation: zikoFadeIn 0.3s ease;
+
+}
+
+.ziko-card {
+
+flex: 0 0 150px;
+
+background: #fff;
+
+border: 1px solid #fde0e0;
+
+border-radius: 12px;
+
+overflow: hidden;
+
+text-decoration: none !important;
+
+color: #222 !important;
+
+font-size: 12px;
+
+line-height: 1.5;
+
+}
+
+.ziko-card img { display: block; width: 100%; height: 80px; object-fit: cover; background: #fff5f5; }
+
+.ziko-card-body { padding: 6px 8px 8px; }
+
+.ziko-card-badge { font-size: 10px; color: #a30000; font-weight: 700; }
+
+.ziko-card-title { font-weight: 700; display: -webkit-box; -webkit-line-clamp: 2; -webkit-box-orient: vertical; overflow: hidden; }
+
+.ziko-card-price { color: #d91c1c; font-weight: 700; margin-top: 2px; }
+
 .ziko-tip-container {
 
 align-self: flex-start;
@@ -1294,6 +1344,8 @@ alt="زيكو" />
 
 var ZIKO_SERVER = "https://easyt-chat-server.onrender.com/chat";
 
+var ZIKO_STREAM_SERVER = "https://easyt-chat-server.onrender.com/chat/stream";
+
 var ZIKO_IMAGE_SERVER = "https://easyt-chat-server.onrender.com/chat-image";
 
 var PREVIEW_IMAGE = "https://uploads.teachablecdn.com/attachments/0e30f41a5e5141a9a7f50c45a09f7502.png";
@@ -2132,6 +2184,9 @@ body: JSON.stringify({ message: sentText, session_id: getSessionId(), user_id: s
 
 } else {
 
+// SSE أولاً — لو مانفعش نرجع لـ /chat العادي
+if (await zikoSendStream(sentText)) return;
+
 res = await fetch(ZIKO_SERVER, {
 
 method: "POST",
@@ -2175,6 +2230,136 @@ addMessage("عذراً، حصل مشكلة في الاتصال. حاول تان
 
 }
 
+// ─── /chat/stream ───
+// بيرجع false بس لو الـ request نفسه فشل قبل أي event (نستخدم /chat).
+// بعد ما الـ stream يبدأ السيرفر بيكون شغّل smartChat خلاص — إعادة الرسالة
+// على /chat هتسجلها مرتين (chat_logs / history / memory)، فبنعرض رسالة خطأ بدلها
+var STREAM_STATUS_TEXT = {
+  analyzing: "زيكو بيفكر",
+  searching: "بدوّر على الكورسات المناسبة",
+};
+var STREAM_ERROR_TEXT = "عذراً، حصل مشكلة في الاتصال. حاول تاني كمان شوية 🙏";
+
+function setTypingText(text) {
+if (!typingEl) return;
+var t = typingEl.querySelector(".ziko-typing-text");
+if (t) t.textContent = text;
+}
+
+// ─── renderCards ───
+// { cards: [{ type, title, subtitle, url, image, price }] } من toCard في ziko-sales.js —
+// بتوصل قبل الرد، فبتتعرض فوق الـ typing على طول. الرد النهائي فيه نفس الكورسات
+// (formatCourseCard)، فالـ row بيترجع عشان zikoSendStream يشيله لما الرد يوصل
+function renderCards(cards) {
+if (!cards || !cards.length) return null;
+var row = document.createElement("div");
+row.className = "ziko-cards";
+cards.forEach(function(c) {
+  var a = document.createElement("a");
+  a.className = "ziko-card";
+  a.href = c.url || "#";
+  a.target = "_blank";
+  a.rel = "noopener";
+  var price = c.price === 0 ? "مجاناً 🎉" : (c.price != null && c.price !== "" ? "$" + c.price : "");
+  a.innerHTML = (c.image ? '<img src="' + escHtml(c.image) + '" alt="" loading="lazy" />' : "")
+    + '<div class="ziko-card-body">'
+    + '<div class="ziko-card-badge">' + (c.type === "diploma" ? "🎓 دبلومة" : "📘 كورس") + '</div>'
+    + '<div class="ziko-card-title">' + escHtml(c.title || "") + '</div>'
+    + (price ? '<div class="ziko-card-price">' + escHtml(String(price)) + '</div>' : "")
+    + '</div>';
+  row.appendChild(a);
+});
+if (typingEl && typingEl.parentNode === zikoMessages) zikoMessages.insertBefore(row, typingEl);
+else zikoMessages.appendChild(row);
+scrollBot();
+return row;
+}
+
+async function zikoSendStream(sentText) {
+var res;
+try {
+  res = await fetch(ZIKO_STREAM_SERVER, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Accept": "text/event-stream" },
+    body: JSON.stringify({ message: sentText, session_id: getSessionId(), user_id: sessionId })
+  });
+} catch (e) { return false; }
+if (!res.ok || !res.body || !res.body.getReader) return false;
+
+var reader = res.body.getReader();
+var decoder = new TextDecoder();
+var buffer = "";
+var streamed = "";
+var msgEl = null;
+var final = null;
+var failed = false;
+var cardsEl = null;
+
+function handle(evt) {
+  if (evt.status === "found") {
+    var n = (evt.courses || 0) + (evt.diplomas || 0);
+    setTypingText(n > 0 ? "لقيت " + n + " نتيجة — بجهزهالك" : "بدوّر أكتر");
+  } else if (evt.status) {
+    setTypingText(STREAM_STATUS_TEXT[evt.status] || "زيكو بيكتب");
+  }
+  if (evt.delta) {
+    if (!msgEl) {
+      hideTyping();
+      msgEl = document.createElement("div");
+      msgEl.className = "ziko-msg ziko-bot";
+      zikoMessages.appendChild(msgEl);
+    }
+    streamed += evt.delta;
+    msgEl.innerHTML = parseBotMarkdown(streamed) + '<span class="ziko-stream-cursor">▏</span>';
+    scrollBot();
+  }
+  if (evt.cards) {
+    if (cardsEl) cardsEl.remove();
+    cardsEl = renderCards(evt.cards);
+  }
+  if (evt.error) failed = true;
+  if (evt.done) final = evt;
+}
+
+try {
+  while (true) {
+    var step = await reader.read();
+    if (step.done) break;
+    buffer += decoder.decode(step.value, { stream: true });
+    var events = buffer.split("\n\n");
+    buffer = events.pop();
+    events.forEach(function(block) {
+      var line = block.split("\n").filter(function(l) { return l.indexOf("data: ") === 0; })[0];
+      if (!line) return;
+      try { handle(JSON.parse(line.slice(6))); } catch (e) {}
+    });
+  }
+} catch (e) {
+  failed = true;
+}
+
+hideTyping();
+// الـ stream اتقطع قبل done → اللي اتكتب بيفضل، ورسالة الخطأ تحته
+var reply = final && final.reply ? final.reply : (final && !failed ? streamed : "");
+if (!reply) {
+  if (msgEl) { msgEl.innerHTML = parseBotMarkdown(streamed); processLinks(msgEl); }
+  addMessage(STREAM_ERROR_TEXT, "bot");
+  return true;
+}
+// الكورسات من مصدر واحد: الرد النهائي بيعرضها، فالكروت المؤقتة بتتشال
+if (cardsEl) { cardsEl.remove(); cardsEl = null; }
+var chips = final ? ((final.options && final.options.length > 0) ? final.options : final.suggestions) : null;
+if (msgEl) {
+  msgEl.innerHTML = parseBotMarkdown(reply);
+  processLinks(msgEl);
+  scrollBot();
+  if (chips && chips.length > 0) showSuggestions(chips);
+} else {
+  addMessage(reply, "bot", chips && chips.length > 0 ? function() { showSuggestions(chips); } : null);
+}
+return true;
+}
+
 function parseBotMarkdown(text) {
 
 var html = text;
@@ -9,8 +9,23 @@ const crypto = require("crypto");
 const path = require("path");
 const rateLimit = require("express-rate-limit");
 const OpenAI = require("openai");
-const { createClient } = require("@supabase/supabase-js");
 const { google } = require("googleapis");
+const { createRepository, createDataClient } = require("./repository");
+const { createLLM } = require("./llm-provider");
+const { createTranscriber, transcribeMedia, toTranscriptLines } = require("./transcriber");
+const { parseTranscriptFile, chunkSegments, parseClock } = require("./transcript-parser");
+const { chunkOptions } = require("./chunker");
+const { createEmbeddingService } = require("./embedding-service");
+const { createEmbeddingModels, EMBEDDING_TABLES, COLUMNS: EMBEDDING_COLUMNS, modelColumn, embeddingText } = require("./embedding-models");
+const { createHybridRetriever } = require("./hybrid-retriever");
+const { createAdminAuth, hashPassword, publicUser, ROLES } = require("./admin-auth");
+const { createAuditLog } = require("./admin-audit");
+const { createJobQueue, permanent } = require("./job-queue");
+const { createWebhookVerifier, REASONS: WEBHOOK_REJECT } = require("./webhook-security");
+const { createWebhookQueue, orderingKey } = require("./webhook-queue");
+const { createWebhookSimulator } = require("./webhook-simulator");
+const catalog = require("./catalog-reconcile");
+const { courseRow, lectureRow } = catalog;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,17 +35,29 @@ const openai = process.env.OPENAI_API_KEY
   ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
   : null;
 
-const supabase =
-  process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY
-    ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY)
-    : null;
+// LLM_PROVIDER=openai|local|mock — التفاصيل في llm-provider.js
+const llm = createLLM({ openai });
+
+// STT_PROVIDER=openai|local|mock — التفاصيل في transcriber.js
+const stt = createTranscriber({ openai });
+
+// DATA_BACKEND=local → local-store.js بدل Supabase (تطوير offline)
+const supabase = createDataClient();
+const repo = createRepository(supabase);
+
+// كل الـ ingestion embeddings (batches + RPM/TPM + cache) — التفاصيل في embedding-service.js
+const embeddings = createEmbeddingService({ llm, repo });
+// model + عمود live لكل جدول embeddings (migration / cutover) — التفاصيل في embedding-models.js
+const embeddingModels = createEmbeddingModels({ repo, llm, embeddings });
+// lesson chunks retrieval للـ guide — هنا عشان الـ Lecture webhooks تعمل invalidate للـ corpus
+const retriever = createHybridRetriever({ repo, llm, embeddingModels });
 
 let supabaseConnected = false;
 
 async function testSupabaseConnection() {
   if (!supabase) { console.error("❌ Supabase not initialized"); return false; }
   try {
-    const { error } = await supabase.from("teachable_courses").select("id").limit(1);
+    const { error } = await repo.courses.ping();
     if (error) { console.error("❌ Supabase:", error.message); return false; }
     console.log("✅ Supabase OK");
     return true;
@@ -38,45 +65,104 @@ async function testSupabaseConnection() {
 }
 
 /* ═══ Admin Auth ═══ */
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "EasyT_Admin_2024";
-const adminTokens = new Map();
-const ADMIN_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000; // 7 أيام
-
-function generateAdminToken() {
-  const token = crypto.randomBytes(32).toString("hex");
-  adminTokens.set(token, { created: Date.now(), lastUsed: Date.now() });
-  return token;
+// حسابات + أدوار + JWT — التفاصيل في admin-auth.js
+const auth = createAdminAuth({ repo });
+const adminAuth = auth.adminAuth;
+
+/* ═══ Admin Audit ═══ */
+// audit(entity, { snapshot }) بعد adminAuth على كل route بيعدّل — التفاصيل في admin-audit.js
+const { audit } = createAuditLog({ repo });
+
+/* ═══ Background Jobs ═══ */
+// migrations / embeddings / gap-sync بيشتغلوا كـ jobs محفوظة في background_jobs — التفاصيل في job-queue.js
+const jobs = createJobQueue({ repo });
+
+// الصلاحية المطلوبة لكل نوع (enqueue / cancel / retry)
+const JOB_PERMISSIONS = {
+  embeddings: "content",
+  gap_sync: "migration",
+  image_migration: "migration",
+  attachment_migration: "migration",
+  course_video_migration: "migration",
+  video_migration: "migration",
+  video_verify: "migration",
+  transcription: "content",
+  rechunk: "content",
+  embedding_migration: "content",
+  catalog_reconcile: "migration",
+};
+
+// الـ status endpoints القديمة بترجع نفس شكل الـ state اللي كان في الـ memory
+const LEGACY_JOB_STATUS = { queued: "running", running: "running", completed: "completed", failed: "failed", cancelled: "stopped" };
+
+function jobLegacyState(job, defaults = {}) {
+  if (!job) return { status: "idle", startedAt: null, completedAt: null, stopRequested: false, errors: [], lastUpdate: null, ...defaults };
+  return {
+    ...defaults,
+    ...(job.progress || {}),
+    job_id: job.id,
+    job_status: job.status,
+    status: LEGACY_JOB_STATUS[job.status] || job.status,
+    startedAt: job.started_at || job.created_at,
+    completedAt: job.finished_at || null,
+    stopRequested: !!job.cancel_requested,
+    errors: job.errors || [],
+    lastUpdate: job.updated_at,
+    attempts: job.attempts,
+    next_run_at: job.status === "queued" ? job.run_at : null,
+  };
 }
 
-function adminAuth(req, res, next) {
-  const token = req.headers.authorization?.replace("Bearer ", "") 
-    || req.query.admin 
-    || req.body?.admin;
-  if (!token) return res.status(401).json({ error: "غير مصرح" });
-  
-  // لو Token موجود في الـ memory — تمام
-  if (adminTokens.has(token)) {
-    const td = adminTokens.get(token);
-    td.lastUsed = Date.now();
-    return next();
-  }
-  
-  // لو Token مش موجود (بعد restart) — تحقق لو هو الـ password نفسه
-  const adminPass = process.env.ADMIN_PASSWORD || process.env.ADMIN_SECRET || "admin123";
-  if (token === adminPass) {
-    adminTokens.set(token, { created: Date.now(), lastUsed: Date.now() });
-    return next();
-  }
-  
-  return res.status(401).json({ error: "انتهت الجلسة" });
+function jobCreator(req) {
+  return req.admin ? req.admin.username : null;
 }
 
-setInterval(() => {
-  const now = Date.now();
-  for (const [t, d] of adminTokens) {
-    if (now - d.created > ADMIN_TOKEN_TTL) adminTokens.delete(t);
-  }
-}, 60 * 60 * 1000);
+// ─── snapshot helpers ───
+function rowSnapshot(table, { column = "id", param = "id" } = {}) {
+  return async (req) => {
+    if (!supabase) return null;
+    const { data } = await repo.adminAudit.snapshotRow(table, column, req.params[param]);
+    return data || null;
+  };
+}
+
+function rowsSnapshot(table, { column, param }) {
+  return async (req) => {
+    if (!supabase) return null;
+    const { data } = await repo.adminAudit.snapshotRows(table, column, req.params[param]);
+    return data || [];
+  };
+}
+
+// للمسح الجماعي (logs) — العدد بس مش الصفوف كلها
+function countSnapshot(table, { column = null, param = null } = {}) {
+  return async (req) => {
+    if (!supabase) return null;
+    const { count } = await repo.adminAudit.snapshotCount(table, column, column ? req.params[param] : null);
+    return { count: count || 0 };
+  };
+}
+
+async function courseSnapshot(req) {
+  const row = await resolveCourseId(req.params.id);
+  if (!row) return null;
+  const { data } = await repo.courses.byId(row.id);
+  return data || null;
+}
+
+async function lectureSnapshot(req) {
+  const row = await resolveLectureId(req.params.lessonId);
+  if (!row) return null;
+  const { data } = await repo.lectures.byId(row.id);
+  return data || null;
+}
+
+async function lectureChunksSnapshot(req) {
+  const row = await resolveLectureId(req.params.lessonId);
+  if (!row || !row.teachable_lecture_id) return { count: 0 };
+  const { count } = await repo.chunks.countForLectures([row.teachable_lecture_id]);
+  return { count: count || 0 };
+}
 
 const adminLoginLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 5 });
 
@@ -90,6 +176,13 @@ app.use(cors({
   credentials: true,
 }));
 
+// الـ webhook receiver مفتوح من غير auth — body صغير والـ raw body للـ HMAC (webhook-security.js).
+// الـ parser ده قبل العام، فالـ 50mb مابيوصلش للـ receiver
+const WEBHOOK_BODY_LIMIT = process.env.WEBHOOK_BODY_LIMIT || "1mb";
+app.use("/api/webhooks/teachable", express.json({
+  limit: WEBHOOK_BODY_LIMIT,
+  verify: (req, res, buf) => { req.rawBody = buf; },
+}));
 app.use(express.json({ limit: "50mb" }));
 app.set("trust proxy", 1);
 
@@ -99,6 +192,13 @@ const limiter = rateLimit({
   message: { reply: "استنى شوية وحاول تاني 🙏" },
 });
 
+// Teachable بيبعت bursts وقت الـ imports — الحد لكل IP
+const webhookLimiter = rateLimit({
+  windowMs: 60000,
+  max: parseInt(process.env.WEBHOOK_RATE_LIMIT) || 120,
+  message: { success: false, error: "Too many webhook requests" },
+});
+
 /* ═══ Routes ═══ */
 const {
   initShared,
@@ -110,12 +210,17 @@ const {
   // were duplicated in ziko-guide.js; now that the duplicates are gone,
   // server.js must import them explicitly.)
   logChat, loadBotInstructions, markdownToHtml, finalizeReply, getInstructors,
-  // Cache invalidation helpers — used by corrections/FAQ admin endpoints.
-  clearCorrectionCache, clearFAQCache,
+  rankCourses,
+  // Cache invalidation helpers — used by corrections/FAQ admin endpoints
+  // and the Course / Lecture webhooks.
+  clearCorrectionCache, clearFAQCache, clearSearchCache,
 } = require("./shared");
 const registerGuideRoutes = require("./ziko-guide");
 const registerSalesRoutes = require("./ziko-sales");
-const { uploadToBunnyTus } = require("./bunny-tus");
+const { uploadToBunnyTus, driveRangeSource } = require("./bunny-tus");
+const { createTransferLimiter, runPool, limitsFromEnv, mbpsToBytes } = require("./migration-pool");
+const { verifyBunnyVideo, fetchBunnyVideo, driveFileMeta, sourceFromDriveFile } = require("./video-verify");
+const { matchLectures } = require("./lecture-matcher");
 
 // ============================================================
 // ID Resolution Helpers (post-migration)
@@ -150,24 +255,12 @@ function isBigintLike(v) {
 async function resolveCourseId(incomingId) {
   if (incomingId == null || incomingId === "") return null;
   try {
-    const selectCols = "id, teachable_course_id";
-
     if (isBigintLike(incomingId)) {
       // Try external teachable_course_id first (what most clients send)
-      let { data } = await supabase
-        .from("teachable_courses")
-        .select(selectCols)
-        .eq("teachable_course_id", incomingId)
-        .limit(1)
-        .maybeSingle();
+      let { data } = await repo.courses.resolve(incomingId);
       if (data) return data;
       // Fallback to internal id
-      ({ data } = await supabase
-        .from("teachable_courses")
-        .select(selectCols)
-        .eq("id", incomingId)
-        .limit(1)
-        .maybeSingle());
+      ({ data } = await repo.courses.resolve(incomingId, { by: "id" }));
       return data || null;
     }
 
@@ -188,27 +281,16 @@ async function resolveCourseId(incomingId) {
 async function resolveLectureId(incomingId) {
   if (incomingId == null || incomingId === "") return null;
   try {
-    const selectCols = "id, teachable_lecture_id";
     if (isUuidLike(incomingId)) {
       // teachable_lectures has no UUID column; nothing to match.
       return null;
     }
     if (isBigintLike(incomingId)) {
       // Try external teachable_lecture_id first (more common from clients)
-      let { data } = await supabase
-        .from("teachable_lectures")
-        .select(selectCols)
-        .eq("teachable_lecture_id", incomingId)
-        .limit(1)
-        .maybeSingle();
+      let { data } = await repo.lectures.resolve(incomingId);
       if (data) return data;
       // Fallback to internal id
-      ({ data } = await supabase
-        .from("teachable_lectures")
-        .select(selectCols)
-        .eq("id", incomingId)
-        .limit(1)
-        .maybeSingle());
+      ({ data } = await repo.lectures.resolve(incomingId, { by: "id" }));
       return data || null;
     }
     return null;
@@ -225,12 +307,7 @@ async function resolveLectureId(incomingId) {
 async function loadRecentHistory(sessionId, limit = 6) {
   if (!supabase || !sessionId) return [];
   try {
-    const { data, error } = await supabase
-      .from("chat_logs")
-      .select("role, message, created_at")
-      .eq("session_id", sessionId)
-      .order("created_at", { ascending: false })
-      .limit(limit);
+    const { data, error } = await repo.logs.recentForSession("chat", sessionId, { limit });
     if (error) {
       console.error("loadRecentHistory error:", error.message);
       return [];
@@ -270,7 +347,7 @@ app.post("/chat-image", limiter, async (req, res) => {
 
     await logChat(sessionId, "user", userText || "[صورة مرفقة]", "IMAGE");
 
-    if (!openai) {
+    if (!llm.available("vision")) {
       return res.json({ reply: "عذراً، خدمة تحليل الصور مش متاحة حالياً 🙏" });
     }
 
@@ -338,8 +415,7 @@ ${botInstructions ? `\n═══ تعليمات الأدمن ═══\n${botIns
     // Add the image message
     messages.push({ role: "user", content: userContent });
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
+    const completion = await llm.vision({
       messages: messages,
       max_tokens: 1000,
       temperature: 0.5,
@@ -379,21 +455,268 @@ ${botInstructions ? `\n═══ تعليمات الأدمن ═══\n${botIns
 
 
 /* ═══ Admin Endpoints ═══ */
-app.post("/admin/login", adminLoginLimiter, (req, res) => {
-  const { password } = req.body;
-  if (!password) {
-    return res.status(400).json({ success: false, error: "كلمة السر مطلوبة" });
+app.post("/admin/login", adminLoginLimiter, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ success: false, error: "اسم المستخدم وكلمة السر مطلوبين" });
+    }
+    const session = await auth.login(username, password);
+    if (!session) {
+      return res.status(401).json({ success: false, error: "اسم المستخدم أو كلمة السر غلط" });
+    }
+    console.log(`🔐 Admin login: ${session.user.username} (${session.user.role})`);
+    res.json({ success: true, ...session });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+app.post("/admin/logout", adminAuth("read"), audit("admin_session"), async (req, res) => {
+  try {
+    await auth.revokeToken(req.admin);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+app.get("/admin/me", adminAuth("read"), (req, res) => {
+  res.json({
+    success: true,
+    user: { id: req.admin.id, username: req.admin.username, role: req.admin.role },
+    permissions: ROLES[req.admin.role] || [],
+    expires_at: new Date(req.admin.exp * 1000).toISOString(),
+  });
+});
+
+/* ═══ Admin Users (owner only) ═══ */
+function validAdminRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+app.get("/admin/users", adminAuth("owner"), async (req, res) => {
+  try {
+    const { data, error } = await repo.adminUsers.list();
+    if (error) throw new Error(error.message);
+    res.json({ success: true, users: (data || []).map(publicUser), roles: Object.keys(ROLES) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+app.post("/admin/users", adminAuth("owner"), audit("admin_user"), async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    const name = String(username || "").trim().toLowerCase();
+    if (!name || !password) {
+      return res.status(400).json({ success: false, error: "اسم المستخدم وكلمة السر مطلوبين" });
+    }
+    if (String(password).length < 8) {
+      return res.status(400).json({ success: false, error: "كلمة السر لازم تكون 8 حروف على الأقل" });
+    }
+    if (!validAdminRole(role)) {
+      return res.status(400).json({ success: false, error: `role لازم يكون واحد من: ${Object.keys(ROLES).join(", ")}` });
+    }
+    const { data: existing } = await repo.adminUsers.byUsername(name);
+    if (existing) return res.status(409).json({ success: false, error: "اسم المستخدم موجود بالفعل" });
+
+    const { data, error } = await repo.adminUsers.create({
+      username: name,
+      password_hash: hashPassword(password),
+      role,
+      is_active: true,
+      token_version: 0,
+      created_at: new Date().toISOString(),
+    });
+    if (error) throw new Error(error.message);
+    res.json({ success: true, user: publicUser(data) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// تغيير الدور / الباسورد / التفعيل → الـ tokens القديمة بتبطل
+app.put("/admin/users/:id", adminAuth("owner"), audit("admin_user", { snapshot: rowSnapshot("admin_users") }), async (req, res) => {
+  try {
+    const { role, password, is_active } = req.body || {};
+    const { data: user } = await repo.adminUsers.byId(req.params.id);
+    if (!user) return res.status(404).json({ success: false, error: "User not found" });
+
+    const patch = {};
+    if (role !== undefined) {
+      if (!validAdminRole(role)) return res.status(400).json({ success: false, error: "role غير صحيح" });
+      patch.role = role;
+    }
+    if (password !== undefined) {
+      if (String(password).length < 8) {
+        return res.status(400).json({ success: false, error: "كلمة السر لازم تكون 8 حروف على الأقل" });
+      }
+      patch.password_hash = hashPassword(password);
+    }
+    if (is_active !== undefined) patch.is_active = !!is_active;
+    if (Object.keys(patch).length === 0) return res.status(400).json({ success: false, error: "مفيش تعديلات" });
+
+    if (String(user.id) === String(req.admin.id) && (patch.role && patch.role !== "owner" || patch.is_active === false)) {
+      return res.status(400).json({ success: false, error: "مينفعش تشيل صلاحية الـ owner من نفسك" });
+    }
+
+    patch.token_version = (user.token_version || 0) + 1;
+    const { data, error } = await repo.adminUsers.update(user.id, patch);
+    if (error) throw new Error(error.message);
+    auth.forgetUser(user.id);
+    res.json({ success: true, user: publicUser(data) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+app.post("/admin/users/:id/revoke", adminAuth("owner"), audit("admin_user", { snapshot: rowSnapshot("admin_users") }), async (req, res) => {
+  try {
+    const { error } = await auth.revokeAllForUser(req.params.id);
+    if (error) return res.status(404).json({ success: false, error: error.message });
+    res.json({ success: true, message: "كل جلسات المستخدم اتلغت" });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+app.delete("/admin/users/:id", adminAuth("owner"), audit("admin_user", { snapshot: rowSnapshot("admin_users") }), async (req, res) => {
+  try {
+    if (String(req.params.id) === String(req.admin.id)) {
+      return res.status(400).json({ success: false, error: "مينفعش تمسح حسابك" });
+    }
+    const { error } = await repo.adminUsers.remove(req.params.id);
+    if (error) throw new Error(error.message);
+    auth.forgetUser(req.params.id);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+/* ═══ Admin Audit Log ═══ */
+// ?actor=&entity=&target_id=&method=&route=&from=&to=&limit=&offset=
+app.get("/admin/audit", adminAuth("owner"), async (req, res) => {
+  if (!repo) return res.status(500).json({ success: false, error: "Database not connected" });
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { data, count, error } = await repo.adminAudit.search({
+      actor: req.query.actor || null,
+      entity: req.query.entity || null,
+      targetId: req.query.target_id || null,
+      method: req.query.method || null,
+      route: req.query.route || null,
+      since: req.query.from || null,
+      until: req.query.to || null,
+      limit,
+      offset,
+    });
+    if (error) throw new Error(error.message);
+    res.json({ success: true, total: count ?? (data || []).length, limit, offset, entries: data || [] });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+/* ═══ Background Jobs API ═══ */
+// كل الـ jobs (migrations, embeddings, gap-sync) من مكان واحد
+
+function canManageJob(req, type) {
+  const perms = ROLES[req.admin.role] || [];
+  return perms.includes(JOB_PERMISSIONS[type] || "owner");
+}
+
+// ?type=&status=&group=&limit=&offset=
+app.get("/api/admin/jobs", adminAuth("read"), async (req, res) => {
+  if (!repo) return res.status(500).json({ success: false, error: "Database not connected" });
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { data, count, error } = await jobs.list({
+      type: req.query.type || null,
+      status: req.query.status || null,
+      group: req.query.group || null,
+      limit,
+      offset,
+    });
+    if (error) throw new Error(error.message);
+    res.json({ success: true, total: count ?? (data || []).length, limit, offset, jobs: data || [] });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+app.get("/api/admin/jobs/types", adminAuth("read"), (req, res) => {
+  res.json({ success: true, types: jobs.types().map((type) => ({ type, permission: JOB_PERMISSIONS[type] || "owner" })) });
+});
+
+app.get("/api/admin/jobs/:id", adminAuth("read"), async (req, res) => {
+  if (!repo) return res.status(500).json({ success: false, error: "Database not connected" });
+  try {
+    const { data, error } = await jobs.get(req.params.id);
+    if (error) throw new Error(error.message);
+    if (!data) return res.status(404).json({ success: false, error: "Job not found" });
+    res.json({ success: true, job: data });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Body: { type, payload, secrets? }
+app.post("/api/admin/jobs", adminAuth("read"), audit("jobs", { target: (req) => req.body?.type }), async (req, res) => {
+  if (!repo) return res.status(500).json({ success: false, error: "Database not connected" });
+  try {
+    const { type, payload = {}, secrets = null } = req.body || {};
+    if (!jobs.types().includes(type)) return res.status(400).json({ success: false, error: `Unknown job type "${type}"` });
+    if (!canManageJob(req, type)) return res.status(403).json({ success: false, error: "الصلاحية دي مش متاحة لدورك" });
+
+    const { job, existing } = await jobs.enqueue(type, payload, { createdBy: jobCreator(req), secrets, unique: type !== "video_migration" });
+    if (existing) return res.status(409).json({ success: false, error: "في job من النوع ده شغال بالفعل", job });
+    res.json({ success: true, job });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+async function loadManagedJob(req, res) {
+  const { data: job, error } = await jobs.get(req.params.id);
+  if (error) throw new Error(error.message);
+  if (!job) { res.status(404).json({ success: false, error: "Job not found" }); return null; }
+  if (!canManageJob(req, job.type)) { res.status(403).json({ success: false, error: "الصلاحية دي مش متاحة لدورك" }); return null; }
+  return job;
+}
+
+app.post("/api/admin/jobs/:id/cancel", adminAuth("read"), audit("jobs"), async (req, res) => {
+  if (!repo) return res.status(500).json({ success: false, error: "Database not connected" });
+  try {
+    if (!(await loadManagedJob(req, res))) return;
+    const job = await jobs.cancel(req.params.id);
+    res.json({ success: true, job });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
   }
-  if (password === ADMIN_PASSWORD) {
-    // نرجع الـ password نفسه كـ token — بيفضل شغال حتى بعد restart
-    adminTokens.set(password, { created: Date.now(), lastUsed: Date.now() });
-    return res.json({ success: true, token: password });
+});
+
+// Body: { fresh?: true → يبدأ من الأول بدل آخر checkpoint, secrets? }
+app.post("/api/admin/jobs/:id/retry", adminAuth("read"), audit("jobs"), async (req, res) => {
+  if (!repo) return res.status(500).json({ success: false, error: "Database not connected" });
+  try {
+    const current = await loadManagedJob(req, res);
+    if (!current) return;
+    if (["queued", "running"].includes(current.status)) {
+      return res.status(409).json({ success: false, error: "الـ job لسه شغال", job: current });
+    }
+    const job = await jobs.retry(req.params.id, { fresh: req.body?.fresh === true, secrets: req.body?.secrets || null });
+    res.json({ success: true, job });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
   }
-  return res.status(401).json({ success: false, error: "كلمة السر غلط" });
 });
 
 // === Admin Stats ===
-app.get("/admin/stats", adminAuth, async (req, res) => {
+app.get("/admin/stats", adminAuth("read"), async (req, res) => {
   if (!supabase) {
     return res.status(500).json({ success: false, error: "Database not connected" });
   }
@@ -408,37 +731,24 @@ app.get("/admin/stats", adminAuth, async (req, res) => {
     let totalCustom = 0;
 
     try {
-      const { count } = await supabase
-        .from("chat_logs")
-        .select("*", { count: "exact", head: true });
+      const { count } = await repo.logs.count("chat");
       totalChats = count || 0;
     } catch (e) {}
 
     try {
       const todayStart = new Date();
       todayStart.setHours(0, 0, 0, 0);
-      const { count } = await supabase
-        .from("chat_logs")
-        .select("*", { count: "exact", head: true })
-        .gte("created_at", todayStart.toISOString())
-        .eq("role", "user");
+      const { count } = await repo.logs.count("chat", { since: todayStart.toISOString(), role: "user" });
       todayChats = count || 0;
     } catch (e) {}
 
     try {
-      const { data } = await supabase
-        .from("chat_logs")
-        .select("session_id")
-        .eq("role", "user");
+      const { data } = await repo.logs.column("chat", "session_id", { role: "user" });
       uniqueSessions = data ? new Set(data.map((s) => s.session_id)).size : 0;
     } catch (e) {}
 
     try {
-      const { data } = await supabase
-        .from("chat_logs")
-        .select("intent")
-        .eq("role", "bot")
-        .not("intent", "is", null);
+      const { data } = await repo.logs.column("chat", "intent", { role: "bot" });
       if (data) {
         data.forEach((r) => {
           const i = r.intent || "UNKNOWN";
@@ -448,30 +758,22 @@ app.get("/admin/stats", adminAuth, async (req, res) => {
     } catch (e) {}
 
     try {
-      const { count } = await supabase
-        .from("teachable_courses")
-        .select("*", { count: "exact", head: true });
+      const { count } = await repo.courses.count();
       totalCourses = count || 0;
     } catch (e) {}
 
     try {
-      const { count } = await supabase
-        .from("diplomas")
-        .select("*", { count: "exact", head: true });
+      const { count } = await repo.diplomas.count();
       totalDiplomas = count || 0;
     } catch (e) {}
 
     try {
-      const { count } = await supabase
-        .from("corrections")
-        .select("*", { count: "exact", head: true });
+      const { count } = await repo.corrections.count();
       totalCorrections = count || 0;
     } catch (e) {}
 
     try {
-      const { count } = await supabase
-        .from("custom_responses")
-        .select("*", { count: "exact", head: true });
+      const { count } = await repo.customResponses.count();
       totalCustom = count || 0;
     } catch (e) {}
 
@@ -480,21 +782,13 @@ app.get("/admin/stats", adminAuth, async (req, res) => {
     let hourlyDist = new Array(24).fill(0);
 
     try {
-      const { data } = await supabase
-        .from("chat_logs")
-        .select("*")
-        .order("created_at", { ascending: false })
-        .limit(20);
+      const { data } = await repo.logs.list("chat", { limit: 20 });
       recentChats = data || [];
     } catch (e) {}
 
     try {
       const last24h = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-      const { data } = await supabase
-        .from("chat_logs")
-        .select("created_at")
-        .eq("role", "user")
-        .gte("created_at", last24h);
+      const { data } = await repo.logs.since("chat", last24h, { select: "created_at", role: "user" });
       if (data) {
         data.forEach((r) => {
           const h = new Date(r.created_at).getHours();
@@ -525,21 +819,17 @@ app.get("/admin/stats", adminAuth, async (req, res) => {
 });
 
 // === Conversations ===
-app.get("/admin/conversations", adminAuth, async (req, res) => {
+app.get("/admin/conversations", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const search = req.query.search || "";
 
-    let query = supabase
-      .from("chat_logs")
-      .select("session_id, message, intent, created_at, role")
-      .order("created_at", { ascending: false });
-
-    if (search) query = query.ilike("message", `%${search}%`);
-
-    const { data, error } = await query;
+    const { data, error } = await repo.logs.list("chat", {
+      select: "session_id, message, intent, created_at, role",
+      search,
+    });
     if (error) throw error;
 
     const sessions = {};
@@ -575,13 +865,10 @@ app.get("/admin/conversations", adminAuth, async (req, res) => {
 // ═══════════════════════════════════════
 // 🗑️ مسح كل المحادثات
 // ═══════════════════════════════════════
-app.delete("/admin/conversations", adminAuth, async (req, res) => {
+app.delete("/admin/conversations", adminAuth("content"), audit("chat_logs", { snapshot: countSnapshot("chat_logs") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { error } = await supabase
-      .from("chat_logs")
-      .delete()
-      .not("id", "is", null);
+    const { error } = await repo.logs.clear("chat");
     if (error) throw error;
     res.json({ success: true, message: "All conversations deleted" });
   } catch (e) {
@@ -592,13 +879,10 @@ app.delete("/admin/conversations", adminAuth, async (req, res) => {
 // ═══════════════════════════════════════
 // 🗑️ مسح محادثة واحدة بالـ session_id
 // ═══════════════════════════════════════
-app.delete("/admin/conversations/:sessionId", adminAuth, async (req, res) => {
+app.delete("/admin/conversations/:sessionId", adminAuth("content"), audit("chat_logs", { snapshot: countSnapshot("chat_logs", { column: "session_id", param: "sessionId" }) }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { error } = await supabase
-      .from("chat_logs")
-      .delete()
-      .eq("session_id", req.params.sessionId);
+    const { error } = await repo.logs.clearSession("chat", req.params.sessionId);
     if (error) throw error;
     res.json({ success: true });
   } catch (e) {
@@ -607,14 +891,10 @@ app.delete("/admin/conversations/:sessionId", adminAuth, async (req, res) => {
 });
 
 
-app.get("/admin/conversations/:sessionId", adminAuth, async (req, res) => {
+app.get("/admin/conversations/:sessionId", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("chat_logs")
-      .select("*")
-      .eq("session_id", req.params.sessionId)
-      .order("created_at", { ascending: true });
+    const { data, error } = await repo.logs.bySession("chat", req.params.sessionId);
     if (error) throw error;
     res.json({
       success: true,
@@ -626,13 +906,10 @@ app.get("/admin/conversations/:sessionId", adminAuth, async (req, res) => {
 });
 
 // === Corrections ===
-app.get("/admin/corrections", adminAuth, async (req, res) => {
+app.get("/admin/corrections", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("corrections")
-      .select("*")
-      .order("created_at", { ascending: false });
+    const { data, error } = await repo.corrections.list();
     if (error) throw error;
     res.json({ success: true, corrections: data || [] });
   } catch (e) {
@@ -640,7 +917,7 @@ app.get("/admin/corrections", adminAuth, async (req, res) => {
   }
 });
 
-app.post("/admin/corrections", adminAuth, async (req, res) => {
+app.post("/admin/corrections", adminAuth("content"), audit("correction"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const insertData = {};
@@ -658,11 +935,7 @@ app.post("/admin/corrections", adminAuth, async (req, res) => {
     if (req.body.session_id) insertData.session_id = req.body.session_id;
     if (req.body.note) insertData.note = req.body.note;
 
-    const { data, error } = await supabase
-      .from("corrections")
-      .insert(insertData)
-      .select()
-      .single();
+    const { data, error } = await repo.corrections.create(insertData);
 if (error) throw error;
     // 🆕 مسح الكاش الأول قبل الـ response
     clearCorrectionCache();
@@ -674,13 +947,10 @@ if (error) throw error;
   }
 });
 
-app.delete("/admin/corrections/:id", adminAuth, async (req, res) => {
+app.delete("/admin/corrections/:id", adminAuth("content"), audit("correction", { snapshot: rowSnapshot("corrections") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { error } = await supabase
-      .from("corrections")
-      .delete()
-      .eq("id", req.params.id);
+    const { error } = await repo.corrections.remove(req.params.id);
 if (error) throw error;
     clearCorrectionCache();
     responseCache.clear();
@@ -693,7 +963,7 @@ if (error) throw error;
 
 
 // 🆕 تعديل التصحيحات
-app.put("/admin/corrections/:id", adminAuth, async (req, res) => {
+app.put("/admin/corrections/:id", adminAuth("content"), audit("correction", { snapshot: rowSnapshot("corrections") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const u = {};
@@ -704,12 +974,7 @@ app.put("/admin/corrections/:id", adminAuth, async (req, res) => {
     if (req.body.correct_course_ids !== undefined) u.correct_course_ids = req.body.correct_course_ids;
     if (req.body.note !== undefined) u.note = req.body.note;
 
-    const { data, error } = await supabase
-      .from("corrections")
-      .update(u)
-      .eq("id", req.params.id)
-      .select()
-      .single();
+    const { data, error } = await repo.corrections.update(req.params.id, u);
     if (error) throw error;
     clearCorrectionCache();
     responseCache.clear();
@@ -721,13 +986,10 @@ app.put("/admin/corrections/:id", adminAuth, async (req, res) => {
 });
 
 // === Bot Instructions ===
-app.get("/admin/bot-instructions", adminAuth, async (req, res) => {
+app.get("/admin/bot-instructions", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("bot_instructions")
-      .select("*")
-      .order("created_at", { ascending: false });
+    const { data, error } = await repo.botInstructions.list();
     if (error) throw error;
     res.json({ success: true, instructions: data || [] });
   } catch (e) {
@@ -735,7 +997,7 @@ app.get("/admin/bot-instructions", adminAuth, async (req, res) => {
   }
 });
 
-app.post("/admin/bot-instructions", adminAuth, async (req, res) => {
+app.post("/admin/bot-instructions", adminAuth("content"), audit("bot_instruction"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const { instruction, label, category, priority, is_active, target } = req.body;
@@ -746,18 +1008,14 @@ app.post("/admin/bot-instructions", adminAuth, async (req, res) => {
         .json({ success: false, error: "instruction required" });
     }
 
-const { data, error } = await supabase
-      .from("bot_instructions")
-      .insert({
-        instruction,
-        label: label || category || "custom",
-        category: category || label || "GENERAL",
-        priority: priority != null ? priority : 10,
-        is_active: is_active !== false,
-        target: target || "both",
-      })
-      .select()
-      .single();
+    const { data, error } = await repo.botInstructions.create({
+      instruction,
+      label: label || category || "custom",
+      category: category || label || "GENERAL",
+      priority: priority != null ? priority : 10,
+      is_active: is_active !== false,
+      target: target || "both",
+    });
     if (error) throw error;
 _botInstructionsCache = { sales: null, guide: null, ts_sales: 0, ts_guide: 0 };
     res.json({ success: true, data });
@@ -766,7 +1024,7 @@ _botInstructionsCache = { sales: null, guide: null, ts_sales: 0, ts_guide: 0 };
   }
 });
 
-app.put("/admin/bot-instructions/:id", adminAuth, async (req, res) => {
+app.put("/admin/bot-instructions/:id", adminAuth("content"), audit("bot_instruction", { snapshot: rowSnapshot("bot_instructions") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const u = {};
@@ -780,12 +1038,7 @@ if (req.body.priority !== undefined) u.priority = req.body.priority;
     if (req.body.is_active !== undefined) u.is_active = req.body.is_active;
     if (req.body.target !== undefined) u.target = req.body.target;
 
-    const { data, error } = await supabase
-      .from("bot_instructions")
-      .update(u)
-      .eq("id", req.params.id)
-      .select()
-      .single();
+    const { data, error } = await repo.botInstructions.update(req.params.id, u);
     if (error) throw error;
 _botInstructionsCache = { sales: null, guide: null, ts_sales: 0, ts_guide: 0 };
 
@@ -795,13 +1048,10 @@ _botInstructionsCache = { sales: null, guide: null, ts_sales: 0, ts_guide: 0 };
   }
 });
 
-app.delete("/admin/bot-instructions/:id", adminAuth, async (req, res) => {
+app.delete("/admin/bot-instructions/:id", adminAuth("content"), audit("bot_instruction", { snapshot: rowSnapshot("bot_instructions") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { error } = await supabase
-      .from("bot_instructions")
-      .delete()
-      .eq("id", req.params.id);
+    const { error } = await repo.botInstructions.remove(req.params.id);
     if (error) throw error;
 _botInstructionsCache = { sales: null, guide: null, ts_sales: 0, ts_guide: 0 };
     res.json({ success: true });
@@ -811,13 +1061,10 @@ _botInstructionsCache = { sales: null, guide: null, ts_sales: 0, ts_guide: 0 };
 });
 
 // === Custom Responses ===
-app.get("/admin/custom-responses", adminAuth, async (req, res) => {
+app.get("/admin/custom-responses", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("custom_responses")
-      .select("*")
-      .order("created_at", { ascending: false });
+    const { data, error } = await repo.customResponses.list();
     if (error) throw error;
     res.json({ success: true, responses: data || [] });
   } catch (e) {
@@ -825,7 +1072,7 @@ app.get("/admin/custom-responses", adminAuth, async (req, res) => {
   }
 });
 
-app.post("/admin/custom-responses", adminAuth, async (req, res) => {
+app.post("/admin/custom-responses", adminAuth("content"), audit("custom_response"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const { title, keywords, response, match_type, is_active, category, priority } =
@@ -836,21 +1083,17 @@ app.post("/admin/custom-responses", adminAuth, async (req, res) => {
         .json({ success: false, error: "keywords and response required" });
     }
 
-    const { data, error } = await supabase
-      .from("custom_responses")
-      .insert({
-        title: title || "بدون عنوان",
-        keywords: Array.isArray(keywords)
-          ? keywords
-          : keywords.split(",").map((k) => k.trim()),
-        response,
-        match_type: match_type || "any",
-        is_active: is_active !== false,
-        category: category || "SUPPORT",
-        priority: priority != null ? priority : 10,
-      })
-      .select()
-      .single();
+    const { data, error } = await repo.customResponses.create({
+      title: title || "بدون عنوان",
+      keywords: Array.isArray(keywords)
+        ? keywords
+        : keywords.split(",").map((k) => k.trim()),
+      response,
+      match_type: match_type || "any",
+      is_active: is_active !== false,
+      category: category || "SUPPORT",
+      priority: priority != null ? priority : 10,
+    });
     if (error) throw error;
 _customResponsesCache = { data: null, ts: 0 };
     res.json({ success: true, data });
@@ -859,7 +1102,7 @@ _customResponsesCache = { data: null, ts: 0 };
   }
 });
 
-app.put("/admin/custom-responses/:id", adminAuth, async (req, res) => {
+app.put("/admin/custom-responses/:id", adminAuth("content"), audit("custom_response", { snapshot: rowSnapshot("custom_responses") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const u = {};
@@ -876,12 +1119,7 @@ app.put("/admin/custom-responses/:id", adminAuth, async (req, res) => {
     if (req.body.category !== undefined) u.category = req.body.category;
     if (req.body.priority !== undefined) u.priority = req.body.priority;
 
-    const { data, error } = await supabase
-      .from("custom_responses")
-      .update(u)
-      .eq("id", req.params.id)
-      .select()
-      .single();
+    const { data, error } = await repo.customResponses.update(req.params.id, u);
     if (error) throw error;
 _customResponsesCache = { data: null, ts: 0 };
     res.json({ success: true, data });
@@ -890,13 +1128,10 @@ _customResponsesCache = { data: null, ts: 0 };
   }
 });
 
-app.delete("/admin/custom-responses/:id", adminAuth, async (req, res) => {
+app.delete("/admin/custom-responses/:id", adminAuth("content"), audit("custom_response", { snapshot: rowSnapshot("custom_responses") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { error } = await supabase
-      .from("custom_responses")
-      .delete()
-      .eq("id", req.params.id);
+    const { error } = await repo.customResponses.remove(req.params.id);
     if (error) throw error;
     _customResponsesCache = { data: null, ts: 0 };
 
@@ -907,7 +1142,7 @@ app.delete("/admin/custom-responses/:id", adminAuth, async (req, res) => {
 });
 
 // === Courses Admin ===
-app.get("/admin/courses", adminAuth, async (req, res) => {
+app.get("/admin/courses", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const page = parseInt(req.query.page) || 1;
@@ -915,17 +1150,7 @@ app.get("/admin/courses", adminAuth, async (req, res) => {
     const offset = (page - 1) * limit;
     const search = req.query.search || "";
 
-    let query = supabase
-      .from("teachable_courses")
-      .select("id, teachable_course_id, name, heading, description, price, author_user_id, author_name, image_url, keywords, is_published", { count: "exact" })
-      .order("name", { ascending: true })
-      .range(offset, offset + limit - 1);
-
-    if (search) {
-      query = query.or(`name.ilike.%${search}%,description.ilike.%${search}%`);
-    }
-
-    const { data, count, error } = await query;
+    const { data, count, error } = await repo.courses.page({ search: search || null, offset, limit });
     if (error) throw error;
 
     const instructors = await getInstructors();
@@ -977,15 +1202,11 @@ function mapLegacyCourseFields(body) {
   return out;
 }
 
-app.post("/admin/courses", adminAuth, async (req, res) => {
+app.post("/admin/courses", adminAuth("content"), audit("course"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const payload = mapLegacyCourseFields(req.body);
-    const { data, error } = await supabase
-      .from("teachable_courses")
-      .insert(payload)
-      .select()
-      .single();
+    const { data, error } = await repo.courses.create(payload);
     if (error) throw error;
     res.json({ success: true, data });
   } catch (e) {
@@ -994,18 +1215,14 @@ app.post("/admin/courses", adminAuth, async (req, res) => {
 });
 
 
-app.get("/admin/courses/:id", adminAuth, async (req, res) => {
+app.get("/admin/courses/:id", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     // Accepts UUID (bridged through legacy courses table) or bigint (teachable_course_id / id).
     const incoming = req.params.id;
     const row = await resolveCourseId(incoming);
     if (!row) return res.status(404).json({ success: false, error: "Course not found" });
-    const { data, error } = await supabase
-      .from("teachable_courses")
-      .select("*")
-      .eq("id", row.id)
-      .single();
+    const { data, error } = await repo.courses.byId(row.id);
     if (error) throw error;
     res.json({ success: true, item: data });
   } catch (e) {
@@ -1014,19 +1231,14 @@ app.get("/admin/courses/:id", adminAuth, async (req, res) => {
 });
 
 
-app.put("/admin/courses/:id", adminAuth, async (req, res) => {
+app.put("/admin/courses/:id", adminAuth("content"), audit("course", { snapshot: courseSnapshot }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const payload = mapLegacyCourseFields(req.body);
     const incoming = req.params.id;
     const row = await resolveCourseId(incoming);
     if (!row) return res.status(404).json({ success: false, error: "Course not found" });
-    const { data, error } = await supabase
-      .from("teachable_courses")
-      .update(payload)
-      .eq("id", row.id)
-      .select()
-      .single();
+    const { data, error } = await repo.courses.update(row.id, payload);
     if (error) throw error;
     res.json({ success: true, data });
   } catch (e) {
@@ -1034,16 +1246,13 @@ app.put("/admin/courses/:id", adminAuth, async (req, res) => {
   }
 });
 
-app.delete("/admin/courses/:id", adminAuth, async (req, res) => {
+app.delete("/admin/courses/:id", adminAuth("content"), audit("course", { snapshot: courseSnapshot }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const incoming = req.params.id;
     const row = await resolveCourseId(incoming);
     if (!row) return res.status(404).json({ success: false, error: "Course not found" });
-    const { error } = await supabase
-      .from("teachable_courses")
-      .delete()
-      .eq("id", row.id);
+    const { error } = await repo.courses.remove(row.id);
     if (error) throw error;
     res.json({ success: true });
   } catch (e) {
@@ -1052,7 +1261,7 @@ app.delete("/admin/courses/:id", adminAuth, async (req, res) => {
 });
 
 // === Diplomas Admin ===
-app.get("/admin/diplomas", adminAuth, async (req, res) => {
+app.get("/admin/diplomas", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const page = parseInt(req.query.page) || 1;
@@ -1060,17 +1269,7 @@ app.get("/admin/diplomas", adminAuth, async (req, res) => {
     const offset = (page - 1) * limit;
     const search = req.query.search || "";
 
-    let query = supabase
-      .from("diplomas")
-.select("id, title, slug, link, description, price, courses_count, books_count, hours", { count: "exact" })
-      .order("title", { ascending: true })
-      .range(offset, offset + limit - 1);
-
-    if (search) {
-      query = query.or(`title.ilike.%${search}%,description.ilike.%${search}%`);
-    }
-
-    const { data, count, error } = await query;
+    const { data, count, error } = await repo.diplomas.page({ search: search || null, offset, limit });
     if (error) throw error;
 
     res.json({
@@ -1086,14 +1285,10 @@ app.get("/admin/diplomas", adminAuth, async (req, res) => {
   }
 });
 
-app.post("/admin/diplomas", adminAuth, async (req, res) => {
+app.post("/admin/diplomas", adminAuth("content"), audit("diploma"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("diplomas")
-      .insert(req.body)
-      .select()
-      .single();
+    const { data, error } = await repo.diplomas.create(req.body);
     if (error) throw error;
     res.json({ success: true, data });
   } catch (e) {
@@ -1101,15 +1296,10 @@ app.post("/admin/diplomas", adminAuth, async (req, res) => {
   }
 });
 
-app.put("/admin/diplomas/:id", adminAuth, async (req, res) => {
+app.put("/admin/diplomas/:id", adminAuth("content"), audit("diploma", { snapshot: rowSnapshot("diplomas") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("diplomas")
-      .update(req.body)
-      .eq("id", req.params.id)
-      .select()
-      .single();
+    const { data, error } = await repo.diplomas.update(req.params.id, req.body);
     if (error) throw error;
     res.json({ success: true, data });
   } catch (e) {
@@ -1117,13 +1307,10 @@ app.put("/admin/diplomas/:id", adminAuth, async (req, res) => {
   }
 });
 
-app.delete("/admin/diplomas/:id", adminAuth, async (req, res) => {
+app.delete("/admin/diplomas/:id", adminAuth("content"), audit("diploma", { snapshot: rowSnapshot("diplomas") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { error } = await supabase
-      .from("diplomas")
-      .delete()
-      .eq("id", req.params.id);
+    const { error } = await repo.diplomas.remove(req.params.id);
     if (error) throw error;
     res.json({ success: true });
   } catch (e) {
@@ -1132,16 +1319,12 @@ app.delete("/admin/diplomas/:id", adminAuth, async (req, res) => {
 });
 
 // === Diploma Courses Management ===
-app.get("/admin/diplomas/:id/courses", adminAuth, async (req, res) => {
+app.get("/admin/diplomas/:id/courses", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const diplomaId = req.params.id;
 
-    const { data, error } = await supabase
-      .from("diploma_courses")
-      .select("id, course_id, teachable_course_id, course_order")
-      .eq("diploma_id", diplomaId)
-      .order("course_order", { ascending: true });
+    const { data, error } = await repo.diplomas.coursesOf(diplomaId);
 
     if (error) throw error;
 
@@ -1152,10 +1335,9 @@ app.get("/admin/diplomas/:id/courses", adminAuth, async (req, res) => {
     let coursesMap = {};
 
     if (teachableIds.length > 0) {
-      const { data: courses, error: cErr } = await supabase
-        .from("teachable_courses")
-        .select("id, teachable_course_id, name, price")
-        .in("teachable_course_id", teachableIds);
+      const { data: courses, error: cErr } = await repo.courses.byTeachableIds(teachableIds, {
+        select: "id, teachable_course_id, name, price",
+      });
 
       if (!cErr && courses) {
         courses.forEach(c => {
@@ -1183,17 +1365,14 @@ app.get("/admin/diplomas/:id/courses", adminAuth, async (req, res) => {
   }
 });
 
-app.put("/admin/diplomas/:id/courses", adminAuth, async (req, res) => {
+app.put("/admin/diplomas/:id/courses", adminAuth("content"), audit("diploma_courses", { snapshot: rowsSnapshot("diploma_courses", { column: "diploma_id", param: "id" }) }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const diplomaId = req.params.id;
     const { courses } = req.body;
 
     // امسح القديم
-    const { error: delError } = await supabase
-      .from("diploma_courses")
-      .delete()
-      .eq("diploma_id", diplomaId);
+    const { error: delError } = await repo.diplomas.clearCourses(diplomaId);
 
     if (delError) throw delError;
 
@@ -1216,9 +1395,7 @@ app.put("/admin/diplomas/:id/courses", adminAuth, async (req, res) => {
         .filter(Boolean);
 
       if (rows.length > 0) {
-        const { error: insError } = await supabase
-          .from("diploma_courses")
-          .insert(rows);
+        const { error: insError } = await repo.diplomas.addCourses(rows);
         if (insError) throw insError;
       }
     }
@@ -1232,13 +1409,10 @@ app.put("/admin/diplomas/:id/courses", adminAuth, async (req, res) => {
 });
 
 // === Instructors Admin ===
-app.get("/admin/instructors", adminAuth, async (req, res) => {
+app.get("/admin/instructors", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("teachable_authors")
-      .select("*")
-      .order("name", { ascending: true });
+    const { data, error } = await repo.instructors.list();
     if (error) throw error;
     res.json({ success: true, instructors: data || [] });
   } catch (e) {
@@ -1246,14 +1420,10 @@ app.get("/admin/instructors", adminAuth, async (req, res) => {
   }
 });
 
-app.post("/admin/instructors", adminAuth, async (req, res) => {
+app.post("/admin/instructors", adminAuth("content"), audit("instructor"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("teachable_authors")
-      .insert(req.body)
-      .select()
-      .single();
+    const { data, error } = await repo.instructors.create(req.body);
     if (error) throw error;
     instructorCache = { data: null, ts: 0 };
     res.json({ success: true, data });
@@ -1262,15 +1432,10 @@ app.post("/admin/instructors", adminAuth, async (req, res) => {
   }
 });
 
-app.put("/admin/instructors/:id", adminAuth, async (req, res) => {
+app.put("/admin/instructors/:id", adminAuth("content"), audit("instructor", { snapshot: rowSnapshot("teachable_authors") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("teachable_authors")
-      .update(req.body)
-      .eq("id", req.params.id)
-      .select()
-      .single();
+    const { data, error } = await repo.instructors.update(req.params.id, req.body);
     if (error) throw error;
     instructorCache = { data: null, ts: 0 };
     res.json({ success: true, data });
@@ -1279,13 +1444,10 @@ app.put("/admin/instructors/:id", adminAuth, async (req, res) => {
   }
 });
 
-app.delete("/admin/instructors/:id", adminAuth, async (req, res) => {
+app.delete("/admin/instructors/:id", adminAuth("content"), audit("instructor", { snapshot: rowSnapshot("teachable_authors") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { error } = await supabase
-      .from("teachable_authors")
-      .delete()
-      .eq("id", req.params.id);
+    const { error } = await repo.instructors.remove(req.params.id);
     if (error) throw error;
     instructorCache = { data: null, ts: 0 };
     res.json({ success: true });
@@ -1295,13 +1457,10 @@ app.delete("/admin/instructors/:id", adminAuth, async (req, res) => {
 });
 
 // === FAQ Admin ===
-app.get("/admin/faq", adminAuth, async (req, res) => {
+app.get("/admin/faq", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("faq")
-      .select("*")
-      .order("created_at", { ascending: false });
+    const { data, error } = await repo.faqs.list();
     if (error) return res.json({ success: true, faqs: [] });
     res.json({ success: true, faqs: data || [] });
   } catch (e) {
@@ -1309,14 +1468,10 @@ app.get("/admin/faq", adminAuth, async (req, res) => {
   }
 });
 
-app.get("/admin/faq/:id", adminAuth, async (req, res) => {
+app.get("/admin/faq/:id", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("faq")
-      .select("*")
-      .eq("id", req.params.id)
-      .single();
+    const { data, error } = await repo.faqs.byId(req.params.id);
     if (error) throw error;
     res.json({ success: true, item: data });
   } catch (e) {
@@ -1324,14 +1479,10 @@ app.get("/admin/faq/:id", adminAuth, async (req, res) => {
   }
 });
 
-app.post("/admin/faq", adminAuth, async (req, res) => {
+app.post("/admin/faq", adminAuth("content"), audit("faq"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("faq")
-      .insert(req.body)
-      .select()
-      .single();
+    const { data, error } = await repo.faqs.create(req.body);
     if (error) throw error;
 clearFAQCache();
     res.json({ success: true, data });
@@ -1340,15 +1491,10 @@ clearFAQCache();
   }
 });
 
-app.put("/admin/faq/:id", adminAuth, async (req, res) => {
+app.put("/admin/faq/:id", adminAuth("content"), audit("faq", { snapshot: rowSnapshot("faq") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("faq")
-      .update(req.body)
-      .eq("id", req.params.id)
-      .select()
-      .single();
+    const { data, error } = await repo.faqs.update(req.params.id, req.body);
 if (error) throw error;
     clearFAQCache();
     res.json({ success: true, data });
@@ -1357,13 +1503,10 @@ if (error) throw error;
   }
 });
 
-app.delete("/admin/faq/:id", adminAuth, async (req, res) => {
+app.delete("/admin/faq/:id", adminAuth("content"), audit("faq", { snapshot: rowSnapshot("faq") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { error } = await supabase
-      .from("faq")
-      .delete()
-      .eq("id", req.params.id);
+    const { error } = await repo.faqs.remove(req.params.id);
 if (error) throw error;
     clearFAQCache();
     res.json({ success: true });
@@ -1373,13 +1516,10 @@ if (error) throw error;
 });
 
 // === Site Pages Admin ===
-app.get("/admin/site-pages", adminAuth, async (req, res) => {
+app.get("/admin/site-pages", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("site_pages")
-      .select("*")
-      .order("created_at", { ascending: false });
+    const { data, error } = await repo.sitePages.list();
     if (error) return res.json({ success: true, pages: [] });
     res.json({ success: true, pages: data || [] });
   } catch (e) {
@@ -1387,14 +1527,10 @@ app.get("/admin/site-pages", adminAuth, async (req, res) => {
   }
 });
 
-app.get("/admin/site-pages/:id", adminAuth, async (req, res) => {
+app.get("/admin/site-pages/:id", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("site_pages")
-      .select("*")
-      .eq("id", req.params.id)
-      .single();
+    const { data, error } = await repo.sitePages.byId(req.params.id);
     if (error) throw error;
     res.json({ success: true, item: data });
   } catch (e) {
@@ -1402,14 +1538,10 @@ app.get("/admin/site-pages/:id", adminAuth, async (req, res) => {
   }
 });
 
-app.post("/admin/site-pages", adminAuth, async (req, res) => {
+app.post("/admin/site-pages", adminAuth("content"), audit("site_page"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("site_pages")
-      .insert(req.body)
-      .select()
-      .single();
+    const { data, error } = await repo.sitePages.create(req.body);
     if (error) throw error;
     res.json({ success: true, data });
   } catch (e) {
@@ -1417,15 +1549,10 @@ app.post("/admin/site-pages", adminAuth, async (req, res) => {
   }
 });
 
-app.put("/admin/site-pages/:id", adminAuth, async (req, res) => {
+app.put("/admin/site-pages/:id", adminAuth("content"), audit("site_page", { snapshot: rowSnapshot("site_pages") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("site_pages")
-      .update(req.body)
-      .eq("id", req.params.id)
-      .select()
-      .single();
+    const { data, error } = await repo.sitePages.update(req.params.id, req.body);
     if (error) throw error;
     res.json({ success: true, data });
   } catch (e) {
@@ -1433,13 +1560,10 @@ app.put("/admin/site-pages/:id", adminAuth, async (req, res) => {
   }
 });
 
-app.delete("/admin/site-pages/:id", adminAuth, async (req, res) => {
+app.delete("/admin/site-pages/:id", adminAuth("content"), audit("site_page", { snapshot: rowSnapshot("site_pages") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { error } = await supabase
-      .from("site_pages")
-      .delete()
-      .eq("id", req.params.id);
+    const { error } = await repo.sitePages.remove(req.params.id);
     if (error) throw error;
     res.json({ success: true });
   } catch (e) {
@@ -1452,21 +1576,17 @@ app.delete("/admin/site-pages/:id", adminAuth, async (req, res) => {
 // 🎓 Guide Logs — محادثات المرشد التعليمي
 // ═══════════════════════════════════════
 
-app.get("/admin/guide-conversations", adminAuth, async (req, res) => {
+app.get("/admin/guide-conversations", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const search = req.query.search || "";
 
-    let query = supabase
-      .from("guide_logs")
-      .select("session_id, message, course_name, lecture_title, role, created_at")
-      .order("created_at", { ascending: false });
-
-    if (search) query = query.ilike("message", `%${search}%`);
-
-    const { data, error } = await query;
+    const { data, error } = await repo.logs.list("guide", {
+      select: "session_id, message, course_name, lecture_title, role, created_at",
+      search,
+    });
     if (error) throw error;
 
     const sessions = {};
@@ -1506,14 +1626,10 @@ app.get("/admin/guide-conversations", adminAuth, async (req, res) => {
   }
 });
 
-app.get("/admin/guide-conversations/:sessionId", adminAuth, async (req, res) => {
+app.get("/admin/guide-conversations/:sessionId", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("guide_logs")
-      .select("*")
-      .eq("session_id", req.params.sessionId)
-      .order("created_at", { ascending: true });
+    const { data, error } = await repo.logs.bySession("guide", req.params.sessionId);
     if (error) throw error;
     res.json({
       success: true,
@@ -1527,13 +1643,10 @@ app.get("/admin/guide-conversations/:sessionId", adminAuth, async (req, res) =>
   }
 });
 
-app.delete("/admin/guide-conversations", adminAuth, async (req, res) => {
+app.delete("/admin/guide-conversations", adminAuth("content"), audit("guide_logs", { snapshot: countSnapshot("guide_logs") }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { error } = await supabase
-      .from("guide_logs")
-      .delete()
-      .not("id", "is", null);
+    const { error } = await repo.logs.clear("guide");
     if (error) throw error;
     res.json({ success: true, message: "All guide logs deleted" });
   } catch (e) {
@@ -1541,13 +1654,10 @@ app.delete("/admin/guide-conversations", adminAuth, async (req, res) => {
   }
 });
 
-app.delete("/admin/guide-conversations/:sessionId", adminAuth, async (req, res) => {
+app.delete("/admin/guide-conversations/:sessionId", adminAuth("content"), audit("guide_logs", { snapshot: countSnapshot("guide_logs", { column: "session_id", param: "sessionId" }) }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { error } = await supabase
-      .from("guide_logs")
-      .delete()
-      .eq("session_id", req.params.sessionId);
+    const { error } = await repo.logs.clearSession("guide", req.params.sessionId);
     if (error) throw error;
     res.json({ success: true });
   } catch (e) {
@@ -1557,27 +1667,19 @@ app.delete("/admin/guide-conversations/:sessionId", adminAuth, async (req, res)
 
 
 // === Logs Admin ===
-app.get("/admin/logs", adminAuth, async (req, res) => {
+app.get("/admin/logs", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const offset = (page - 1) * limit;
 
-    let query = supabase
-      .from("chat_logs")
-      .select("*", { count: "exact" })
-      .order("created_at", { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    if (req.query.search) {
-      query = query.ilike("message", `%${req.query.search}%`);
-    }
-    if (req.query.intent) {
-      query = query.eq("intent", req.query.intent);
-    }
-
-    const { data, count, error } = await query;
+    const { data, count, error } = await repo.logs.page("chat", {
+      search: req.query.search || null,
+      intent: req.query.intent || null,
+      offset,
+      limit,
+    });
     if (error) throw error;
 
     res.json({
@@ -1593,14 +1695,10 @@ app.get("/admin/logs", adminAuth, async (req, res) => {
   }
 });
 
-app.get("/admin/sessions/:sessionId", adminAuth, async (req, res) => {
+app.get("/admin/sessions/:sessionId", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
-    const { data, error } = await supabase
-      .from("chat_logs")
-      .select("*")
-      .eq("session_id", req.params.sessionId)
-      .order("created_at", { ascending: true });
+    const { data, error } = await repo.logs.bySession("chat", req.params.sessionId);
     if (error) throw error;
 
     res.json({
@@ -1614,7 +1712,7 @@ app.get("/admin/sessions/:sessionId", adminAuth, async (req, res) => {
   }
 });
 
-app.get("/admin/export-logs", adminAuth, async (req, res) => {
+app.get("/admin/export-logs", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const days = parseInt(req.query.days) || 7;
@@ -1622,11 +1720,7 @@ app.get("/admin/export-logs", adminAuth, async (req, res) => {
       Date.now() - days * 24 * 60 * 60 * 1000
     ).toISOString();
 
-    const { data, error } = await supabase
-      .from("chat_logs")
-      .select("*")
-      .gte("created_at", since)
-      .order("created_at", { ascending: true });
+    const { data, error } = await repo.logs.since("chat", since);
 
     if (error) throw error;
 
@@ -1653,13 +1747,10 @@ app.get("/admin/export-logs", adminAuth, async (req, res) => {
 // ============================================================
 
 /* ═══ Upload + Static + Health ═══ */
-app.get("/api/upload/courses", adminAuth, async (req, res) => {
+app.get("/api/upload/courses", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false, error: "DB not connected" });
   try {
-    const { data, error } = await supabase
-      .from("teachable_courses")
-      .select("id, teachable_course_id, name")
-      .order("name", { ascending: true });
+    const { data, error } = await repo.courses.names();
     if (error) throw error;
     res.json({ 
       success: true, 
@@ -1672,7 +1763,7 @@ app.get("/api/upload/courses", adminAuth, async (req, res) => {
 });
 
 // --- Get lessons for a course ---
-app.get("/api/upload/courses/:courseId/lessons", adminAuth, async (req, res) => {
+app.get("/api/upload/courses/:courseId/lessons", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false, error: "DB not connected" });
   try {
     const { courseId } = req.params;
@@ -1688,11 +1779,7 @@ app.get("/api/upload/courses/:courseId/lessons", adminAuth, async (req, res) =>
     // Check if lessons table exists and get lessons
     let lessons = [];
     try {
-      const { data, error } = await supabase
-        .from("teachable_lectures")
-        .select(LECTURE_SELECT_COLS)
-        .eq("course_id", externalCourseId)
-        .order("position", { ascending: true });
+      const { data, error } = await repo.lectures.byCourse(externalCourseId, { select: LECTURE_SELECT_COLS });
       
       if (error) {
         console.error("❌ Lessons query error:", error.message, error.code);
@@ -1715,10 +1802,7 @@ app.get("/api/upload/courses/:courseId/lessons", adminAuth, async (req, res) =>
       let chunkCount = 0;
       try {
         if (lesson.teachable_lecture_id) {
-          const { count, error: chunkErr } = await supabase
-            .from("chunks")
-            .select("*", { count: "exact", head: true })
-            .eq("teachable_lecture_id", lesson.teachable_lecture_id);
+          const { count, error: chunkErr } = await repo.chunks.countForLectures([lesson.teachable_lecture_id]);
           if (!chunkErr) chunkCount = count || 0;
           else console.error("⚠️ Chunks count error for lesson", lesson.id, ":", chunkErr.message);
         }
@@ -1741,7 +1825,7 @@ app.get("/api/upload/courses/:courseId/lessons", adminAuth, async (req, res) =>
 });
 
 // --- Get total chunk count for a course ---
-app.get("/api/upload/courses/:courseId/chunks-count", adminAuth, async (req, res) => {
+app.get("/api/upload/courses/:courseId/chunks-count", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false, error: "DB not connected" });
   try {
     const { courseId } = req.params;
@@ -1757,10 +1841,7 @@ app.get("/api/upload/courses/:courseId/chunks-count", adminAuth, async (req, res
     // Get teachable_lecture_ids for this course (chunks use external id)
     let lectureIds = [];
     try {
-      const { data: lessons, error: lessonErr } = await supabase
-        .from("teachable_lectures")
-        .select("teachable_lecture_id")
-        .eq("course_id", externalCourseId);
+      const { data: lessons, error: lessonErr } = await repo.lectures.idsByCourse(externalCourseId);
 
       if (lessonErr) {
         console.error("❌ Lessons query error:", lessonErr.message);
@@ -1778,10 +1859,7 @@ app.get("/api/upload/courses/:courseId/chunks-count", adminAuth, async (req, res
 
     // Count chunks (MIGRATED: teachable_lecture_id)
     try {
-      const { count, error: chunkErr } = await supabase
-        .from("chunks")
-        .select("*", { count: "exact", head: true })
-        .in("teachable_lecture_id", lectureIds);
+      const { count, error: chunkErr } = await repo.chunks.countForLectures(lectureIds);
       
       if (chunkErr) {
         console.error("⚠️ Chunks count error:", chunkErr.message);
@@ -1801,16 +1879,14 @@ app.get("/api/upload/courses/:courseId/chunks-count", adminAuth, async (req, res
 });
 
 // --- Debug: Check upload tables ---
-app.get("/api/upload/debug", adminAuth, async (req, res) => {
+app.get("/api/upload/debug", adminAuth("read"), async (req, res) => {
   if (!supabase) return res.status(500).json({ error: "DB not connected" });
   
   const tables = {};
   
   for (const table of ["courses", "lessons", "chunks"]) {
     try {
-      const { count, error } = await supabase
-        .from(table)
-        .select("*", { count: "exact", head: true });
+      const { count, error } = await repo.diagnostics.tableCount(table);
       tables[table] = error ? "ERROR: " + error.message : "OK - " + count + " rows";
     } catch (e) {
       tables[table] = "EXCEPTION: " + e.message;
@@ -1819,10 +1895,7 @@ app.get("/api/upload/debug", adminAuth, async (req, res) => {
 
   // Test a specific course
   try {
-    const { data } = await supabase
-      .from("teachable_courses")
-      .select("id, teachable_course_id, name")
-      .limit(1);
+    const { data } = await repo.courses.names({ limit: 1 });
     tables.sample_course = data && data[0] ? data[0].name : "no courses";
   } catch (e) {
     tables.sample_course = "error";
@@ -1830,10 +1903,7 @@ app.get("/api/upload/debug", adminAuth, async (req, res) => {
 
   // Test lessons join
   try {
-    const { data, error } = await supabase
-      .from("teachable_lectures")
-      .select("id, name, course_id, teachable_lecture_id")
-      .limit(3);
+    const { data, error } = await repo.lectures.sample({ limit: 3 });
     tables.sample_lessons = error ? "ERROR: " + error.message : (data || []).length + " sample lessons";
   } catch (e) {
     tables.sample_lessons = "EXCEPTION: " + e.message;
@@ -1844,7 +1914,7 @@ app.get("/api/upload/debug", adminAuth, async (req, res) => {
 
 
 // --- Delete chunks for a specific lesson ---
-app.delete("/api/admin/lessons/:lessonId/chunks", adminAuth, async (req, res) => {
+app.delete("/api/admin/lessons/:lessonId/chunks", adminAuth("content"), audit("chunks", { snapshot: lectureChunksSnapshot }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const { lessonId } = req.params;
@@ -1855,16 +1925,11 @@ app.delete("/api/admin/lessons/:lessonId/chunks", adminAuth, async (req, res) =>
       return res.json({ success: true, deleted: 0 });
     }
 
-    const { count } = await supabase
-      .from("chunks")
-      .select("*", { count: "exact", head: true })
-      .eq("teachable_lecture_id", lectureRow.teachable_lecture_id);
+    const { count } = await repo.chunks.countForLectures([lectureRow.teachable_lecture_id]);
 
-    const { error } = await supabase
-      .from("chunks")
-      .delete()
-      .eq("teachable_lecture_id", lectureRow.teachable_lecture_id);
+    const { error } = await repo.chunks.deleteForLecture(lectureRow.teachable_lecture_id);
     if (error) throw error;
+    await invalidateLectureChunks(lectureRow.teachable_lecture_id);
     console.log(`🗑️ Deleted ${count || 0} chunks for lesson ${lessonId}`);
     res.json({ success: true, deleted: count || 0 });
   } catch (err) {
@@ -1873,7 +1938,7 @@ app.delete("/api/admin/lessons/:lessonId/chunks", adminAuth, async (req, res) =>
 });
 
 // --- Rename a lesson (update name) ---
-app.patch("/api/admin/lessons/:lessonId", adminAuth, async (req, res) => {
+app.patch("/api/admin/lessons/:lessonId", adminAuth("content"), audit("lecture", { snapshot: lectureSnapshot }), async (req, res) => {
   if (!supabase) return res.status(500).json({ success: false });
   try {
     const { lessonId } = req.params;
@@ -1889,12 +1954,7 @@ app.patch("/api/admin/lessons/:lessonId", adminAuth, async (req, res) => {
       return res.status(404).json({ error: "Lesson not found" });
     }
 
-    const { data, error } = await supabase
-      .from("teachable_lectures")
-      .update({ name: title.trim() })
-      .eq("id", lectureRow.id)
-      .select()
-      .single();
+    const { data, error } = await repo.lectures.update(lectureRow.id, { name: title.trim() });
     if (error) throw error;
     console.log(`✏️ Renamed lesson ${lessonId} → "${title.trim()}"`);
     res.json({ success: true, data });
@@ -1904,65 +1964,95 @@ app.patch("/api/admin/lessons/:lessonId", adminAuth, async (req, res) => {
 });
 
 // --- Process lesson (create/reupload → chunk → embed → store) ---
-// Helpers used by the process-lesson endpoint. These used to live only in
-// ziko-guide.js (which also defines its own, now-removed, process-lesson
-// route). Keeping local copies here so this endpoint is self-contained.
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+// الـ transcript بأي صيغة (custom / SRT / VTT / YouTube JSON / نص) — transcript-parser.js
+
+// ─── invalidateLectureChunks ───
+// بعد أي كتابة في chunks درس — الـ corpus بتاع الكورس في hybrid-retriever يتبني من جديد
+// (الكورس مش معروف → الـ cache كله)
+async function invalidateLectureChunks(lectureExternalId) {
+  const { data } = await repo.lectures.byTeachableId(lectureExternalId, { select: "course_id" });
+  retriever.invalidate(data?.course_id ?? null);
 }
 
-function parseAndChunkTranscript(content, maxChunkChars = 500) {
-  const lines = content.split("\n").filter((l) => l.trim());
-  const segments = [];
-
-  for (const line of lines) {
-    const match = line.match(/\[(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})\]\s*(.*)/);
-    if (match) {
-      const text = match[3].trim();
-      if (text) {
-        segments.push({
-          startTime: match[1],
-          endTime: match[2],
-          text: text,
-        });
+// ─── embedAndStoreChunks ───
+// chunks من chunkSegments (chunker.js) → embeddings (batch واحد لكل EMBED_BATCH_SIZE) → جدول chunks
+// (process-lesson والـ transcription / rechunk jobs). بيرجع عدد اللي اتعمل
+async function embedAndStoreChunks(lectureExternalId, chunks, { onChunk = null, cancelled = () => false } = {}) {
+  const step = embeddings.options.batchSize;
+  let chunksCreated = 0;
+  try {
+    for (let from = 0; from < chunks.length; from += step) {
+      if (cancelled()) break;
+      const batch = chunks.slice(from, from + step);
+      // embedding + embedding_model (و الـ shadow وقت الـ migration)
+      const vectors = await embeddingModels.rowVectors("chunks", batch.map((c) => c.content));
+
+      const { error } = await repo.chunks.insert(batch.map((chunk, k) => ({
+        teachable_lecture_id: lectureExternalId,
+        content: chunk.content,
+        chunk_order: from + k + 1,
+        timestamp_start: chunk.startTime || null,
+        timestamp_end: chunk.endTime || null,
+        ...vectors[k],
+      })));
+      if (error) {
+        console.error("❌ Chunk insert error:", error);
+        throw error;
       }
+      chunksCreated += batch.length;
+      if (onChunk) await onChunk(chunksCreated, chunks.length);
     }
+  } finally {
+    if (chunksCreated > 0) await invalidateLectureChunks(lectureExternalId);
   }
+  return chunksCreated;
+}
 
-  const chunks = [];
-  let currentSegments = [];
-  let currentLength = 0;
-
-  for (const seg of segments) {
-    if (currentLength + seg.text.length > maxChunkChars && currentSegments.length > 0) {
-      chunks.push({
-        content: currentSegments.map((s) => s.text).join(" "),
-        startTime: currentSegments[0].startTime,
-        endTime: currentSegments[currentSegments.length - 1].endTime,
-      });
-      currentSegments = [];
-      currentLength = 0;
-    }
+// ─── replaceLectureChunks ───
+// الـ chunks الجديدة الأول وبعدين القديمة بالـ id — الدرس مايطلعش برّه الـ guide retrieval
+// وقت الـ embedding. لو الـ embedding فشل أو اتعمل cancel، الجديد اللي اتحفظ بيتمسح
+// والقديم بيفضل زي ما هو. بيرجع { created, removed, complete }
+async function replaceLectureChunks(lectureExternalId, chunks, opts = {}) {
+  const { data: old, error: oldErr } = await repo.chunks.idsForLecture(lectureExternalId);
+  if (oldErr) throw new Error("Reading old chunks failed: " + oldErr.message);
+  const oldIds = (old || []).map((c) => c.id);
 
-    currentSegments.push(seg);
-    currentLength += seg.text.length + 1;
+  let created = 0;
+  try {
+    created = await embedAndStoreChunks(lectureExternalId, chunks, opts);
+  } catch (err) {
+    await dropNewChunks(lectureExternalId, oldIds);
+    throw err;
+  }
+  if (created < chunks.length) {
+    await dropNewChunks(lectureExternalId, oldIds);
+    return { created: 0, removed: 0, complete: false };
   }
 
-  if (currentSegments.length > 0) {
-    chunks.push({
-      content: currentSegments.map((s) => s.text).join(" "),
-      startTime: currentSegments[0].startTime,
-      endTime: currentSegments[currentSegments.length - 1].endTime,
-    });
+  for (let i = 0; i < oldIds.length; i += 500) {
+    const { error } = await repo.chunks.deleteByIds(oldIds.slice(i, i + 500));
+    if (error) throw new Error("Deleting old chunks failed: " + error.message);
   }
+  if (oldIds.length) await invalidateLectureChunks(lectureExternalId);
+  return { created, removed: oldIds.length, complete: true };
+}
 
-  return chunks;
+// الـ chunks اللي اتضافت للدرس بعد ما أخدنا oldIds
+async function dropNewChunks(lectureExternalId, oldIds) {
+  const keep = new Set(oldIds.map(String));
+  const { data } = await repo.chunks.idsForLecture(lectureExternalId);
+  const fresh = (data || []).map((c) => c.id).filter((id) => !keep.has(String(id)));
+  for (let i = 0; i < fresh.length; i += 500) {
+    const { error } = await repo.chunks.deleteByIds(fresh.slice(i, i + 500));
+    if (error) console.error(`❌ Cleanup of partial chunks for lecture ${lectureExternalId}: ${error.message}`);
+  }
+  if (fresh.length) await invalidateLectureChunks(lectureExternalId);
 }
 
-app.post("/api/admin/process-lesson", adminAuth, async (req, res) => {
-  if (!supabase || !openai) return res.status(500).json({ error: "Not initialized" });
+app.post("/api/admin/process-lesson", adminAuth("content"), audit("chunks", { target: (req) => req.body?.lessonId || req.body?.lessonName }), async (req, res) => {
+  if (!supabase || !llm.available("chunk_embedding")) return res.status(500).json({ error: "Not initialized" });
   try {
-    const { courseId, lessonId, lessonName, transcript } = req.body;
+    const { courseId, lessonId, lessonName, transcript, format = "auto", fileName = "" } = req.body;
     if (!courseId || !lessonName || !transcript) {
       return res.status(400).json({ error: "Missing required fields" });
     }
@@ -1974,18 +2064,9 @@ app.post("/api/admin/process-lesson", adminAuth, async (req, res) => {
       const lectureRow = await resolveLectureId(targetLessonId);
 
       if (lectureRow) {
-        await supabase
-          .from("teachable_lectures")
-          .update({ name: lessonName.trim() })
-          .eq("id", lectureRow.id);
-
-        if (lectureRow.teachable_lecture_id) {
-          const { error: delErr } = await supabase
-            .from("chunks")
-            .delete()
-            .eq("teachable_lecture_id", lectureRow.teachable_lecture_id);
-          if (delErr) console.error("Error deleting old chunks:", delErr);
-        }
+        await repo.lectures.update(lectureRow.id, { name: lessonName.trim() });
+
+        // الـ chunks القديمة بتتمسح بعد ما الجديدة تتحفظ (replaceLectureChunks)
         targetLessonId = lectureRow.id;
         var targetLectureExternalId = lectureRow.teachable_lecture_id;
       }
@@ -1997,11 +2078,7 @@ app.post("/api/admin/process-lesson", adminAuth, async (req, res) => {
       if (cRow && cRow.teachable_course_id) externalCourseId = cRow.teachable_course_id;
 
       // New lesson: create entry (MIGRATED: 'title' → 'name')
-      const { data: newLesson, error: lessonErr } = await supabase
-        .from("teachable_lectures")
-        .insert({ name: lessonName.trim(), course_id: externalCourseId })
-        .select("id, teachable_lecture_id")
-        .single();
+      const { data: newLesson, error: lessonErr } = await repo.lectures.create({ name: lessonName.trim(), course_id: externalCourseId });
       if (lessonErr) throw lessonErr;
       targetLessonId = newLesson.id;
       var targetLectureExternalId = newLesson.teachable_lecture_id;
@@ -2015,40 +2092,38 @@ app.post("/api/admin/process-lesson", adminAuth, async (req, res) => {
       }
     }
 
-    // 1️⃣ Parse & chunk
-    const chunks = parseAndChunkTranscript(transcript, 500);
+    // 1️⃣ Parse & chunk — السطور اللي متفهمتش بترجع في unparsed بدل ما تتشال في صمت
+    let parsed;
+    try {
+      parsed = parseTranscriptFile(transcript, { format, fileName });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    const { chunks, unparsed, unparsedCount } = parsed;
+    const parseReport = { format: parsed.format, unparsedCount, unparsed };
     if (chunks.length === 0) {
-      return res.json({ success: true, chunksCreated: 0, lessonId: targetLessonId, message: "No valid lines found" });
+      return res.json({ success: true, chunksCreated: 0, lessonId: targetLessonId, message: "No valid lines found", ...parseReport });
     }
-    console.log(`📖 Processing "${lessonName}": ${chunks.length} chunks`);
+    console.log(`📖 Processing "${lessonName}": ${chunks.length} chunks (${parsed.format}${unparsedCount ? `, ${unparsedCount} unparsed lines` : ""})`);
+
+    // الأصل بيتحفظ عشان الـ rechunk job يعيد التقسيم منه مش من الـ chunks
+    const { error: tErr } = await repo.transcripts.save({
+      teachable_lecture_id: targetLectureExternalId,
+      content: transcript,
+      segments: parsed.segments,
+      source_type: "upload",
+      source_id: fileName || null,
+      duration_seconds: parsed.segments.length ? Math.round(parsed.segments[parsed.segments.length - 1].end) || null : null,
+      created_by: jobCreator(req),
+      updated_at: new Date().toISOString(),
+    });
+    if (tErr) console.error("⚠️ Transcript save failed:", tErr.message);
 
     // 2️⃣ Generate embeddings & insert (MIGRATED: chunks use teachable_lecture_id)
-    let chunksCreated = 0;
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
-      const embeddingRes = await openai.embeddings.create({
-        model: CHUNK_EMBEDDING_MODEL,
-        input: chunk.content,
-      });
-      const embedding = embeddingRes.data[0].embedding;
-
-      const { error } = await supabase.from("chunks").insert({
-        teachable_lecture_id: targetLectureExternalId,
-        content: chunk.content,
-        chunk_order: i + 1,
-        timestamp_start: chunk.startTime || null,
-        embedding: embedding,
-      });
-      if (error) {
-        console.error("❌ Chunk insert error:", error);
-        throw error;
-      }
-      chunksCreated++;
-      await sleep(100);
-    }
+    const { created: chunksCreated } = await replaceLectureChunks(targetLectureExternalId, chunks);
 
     console.log(`✅ Lesson "${lessonName}": ${chunksCreated} chunks created`);
-    res.json({ success: true, chunksCreated, lessonId: targetLessonId, lessonName });
+    res.json({ success: true, chunksCreated, lessonId: targetLessonId, lessonName, ...parseReport });
   } catch (err) {
     console.error("❌ Error processing lesson:", err);
     res.status(500).json({ error: err.message });
@@ -2056,63 +2131,370 @@ app.post("/api/admin/process-lesson", adminAuth, async (req, res) => {
 });
 
 
-// --- Serve upload page ---
-app.get("/upload", (req, res) => {
-  res.sendFile(path.join(__dirname, "upload.html"));
-});
+// --- Transcription (job type "transcription") ---
+// درس من غير transcript → STT (transcriber.js) → lecture_transcripts → chunkSegments → chunks + embeddings
+// المصدر: فيديو Bunny بعد الـ migration، أو ملف Drive (driveToken في ctx.secrets بس).
+// Checkpoint = { parts: { index: segments } } — الـ retry بيكمل من أول جزء صوت مخلصش.
 
-app.get("/video-migration", (req, res) => {
-  res.sendFile(path.join(__dirname, "video-migration.html"));
-});
+// ─── resolveTranscriptionSource ───
+// → { type, id, url, headers, durationSeconds }
+async function resolveTranscriptionSource(lectureExternalId, { bunnyVideoId, driveFileId } = {}, { driveToken } = {}) {
+  if (!bunnyVideoId && !driveFileId) {
+    const { data: atts } = await repo.attachments.videosForLecture(lectureExternalId);
+    const migrated = (atts || []).find((a) => a.bunny_video_id && ["done", "needs_review"].includes(a.migration_status));
+    if (migrated) bunnyVideoId = migrated.bunny_video_id;
+  }
 
+  if (bunnyVideoId) {
+    const video = await fetchBunnyVideo({ libraryId: BUNNY_LIBRARY_ID, apiKey: BUNNY_STREAM_KEY, videoId: bunnyVideoId }).catch(() => null);
+    return {
+      type: "bunny",
+      id: bunnyVideoId,
+      url: `https://${BUNNY_CDN_HOST}/${bunnyVideoId}/playlist.m3u8`,
+      headers: null,
+      durationSeconds: (video && video.length) || null,
+    };
+  }
+  if (driveFileId) {
+    if (!driveToken) throw permanent("driveToken مش موجود (السيرفر اتعمله restart؟) — اعمل retry بـ token جديد");
+    const meta = await driveFileMeta({ fileId: driveFileId, accessToken: driveToken }).catch(() => ({}));
+    return {
+      type: "drive",
+      id: driveFileId,
+      url: `https://www.googleapis.com/drive/v3/files/${driveFileId}?alt=media&supportsAllDrives=true`,
+      headers: { Authorization: "Bearer " + driveToken },
+      durationSeconds: meta.durationSeconds || null,
+    };
+  }
+  throw permanent("الدرس ملوش فيديو متاح (مش متنقل على Bunny) — ابعت driveFileId + driveToken");
+}
 
-// === Admin HTML ===
-app.get("/admin", (req, res) => {
-  res.sendFile(path.join(__dirname, "admin.html"));
-});
+jobs.register("transcription", async (job, ctx) => {
+  if (!supabase) throw permanent("Not initialized");
+  if (!stt.available()) throw permanent(`STT provider "${stt.providerName}" مش متظبط`);
 
-/* ══════════════════════════════════════════════════════════
-   SECTION 14: Health, Debug, Root
-   ══════════════════════════════════════════════════════════ */
-app.get("/admin/debug", adminAuth, async (req, res) => {
-  const diag = {
-    timestamp: new Date().toISOString(),
-    version: "10.9",
-    engine: "Guide RAG Overhaul",
-    environment: {
-      SUPABASE_URL: process.env.SUPABASE_URL ? "✅" : "❌",
-      SUPABASE_SERVICE_KEY: process.env.SUPABASE_SERVICE_KEY ? "✅" : "❌",
-      OPENAI_API_KEY: process.env.OPENAI_API_KEY ? "✅" : "❌",
-    },
-    clients: {
-      supabase: supabase ? "✅" : "❌",
-      openai: openai ? "✅" : "❌",
+  const { lectureId, overwrite = false, chunk = true } = ctx.payload;
+  const lectureRow = await resolveLectureId(lectureId);
+  if (!lectureRow || !lectureRow.teachable_lecture_id) throw permanent(`Lecture ${lectureId} not found`);
+  const lectureExternalId = lectureRow.teachable_lecture_id;
+
+  const { data: lecture } = await repo.lectures.byTeachableId(lectureExternalId, { select: "teachable_lecture_id, name, course_id" });
+
+  const p = ctx.progress;
+  if (!overwrite) {
+    const { count } = await repo.chunks.countForLectures([lectureExternalId]);
+    if (count > 0) return { skipped: true, reason: "الدرس عنده chunks — ابعت overwrite عشان يتعمل تاني" };
+  }
+
+  const cp = ctx.checkpoint || {};
+  cp.parts = cp.parts || {};
+  const source = await resolveTranscriptionSource(lectureExternalId, ctx.payload, ctx.secrets);
+  await ctx.report({ stage: "transcribing", lectureName: lecture?.name || null, source: source.type, duration_seconds: source.durationSeconds });
+  console.log(`🎙️ Transcribing lecture ${lectureExternalId} from ${source.type} (${stt.providerName})`);
+
+  const { segments, complete } = await transcribeMedia({
+    transcriber: stt,
+    url: source.url,
+    headers: source.headers,
+    durationSeconds: source.durationSeconds,
+    prompt: lecture?.name || null,
+    done: cp.parts,
+    cancelled: ctx.cancelled,
+    onPart: async (i, segs, { parts }) => {
+      cp.parts[i] = segs;
+      await ctx.save(cp);
+      await ctx.report({ parts_done: Object.keys(cp.parts).length, parts_total: parts });
     },
-    supabase_connection: supabaseConnected ? "✅" : "❌",
-    admin_sessions: adminTokens.size,
-    active_chat_sessions: 0,
-    search_cache_entries: searchCache.size,
-    tables: {},
-  };
+  });
+  if (!complete) return { cancelled: true, parts_done: Object.keys(cp.parts).length };
+  if (!segments.length) throw permanent("الـ STT مرجعش أي كلام (الفيديو من غير صوت؟)");
+
+  // 1. الـ transcript نفسه — بنفس صيغة process-lesson
+  const transcript = toTranscriptLines(segments);
+  const { error: saveErr } = await repo.transcripts.save({
+    teachable_lecture_id: lectureExternalId,
+    content: transcript,
+    segments,
+    source_type: source.type,
+    source_id: source.id,
+    provider: stt.providerName,
+    model: stt.model(),
+    language: stt.language,
+    duration_seconds: source.durationSeconds || Math.round(segments[segments.length - 1].end),
+    created_by: job.created_by || null,
+    updated_at: new Date().toISOString(),
+  });
+  if (saveErr) throw new Error("Transcript save failed: " + saveErr.message);
+  if (chunk === false) return { segments: segments.length, chunksCreated: 0 };
+
+  // 2. chunks + embeddings (نفس مسار /api/admin/process-lesson)
+  if (!llm.available("chunk_embedding")) throw permanent("chunk_embedding provider مش متظبط — الـ transcript اتحفظ من غير chunks");
+  const chunks = chunkSegments(segments);
+  await ctx.report({ stage: "embedding", chunks_total: chunks.length, chunks_done: 0 });
+  const { created: chunksCreated, complete: embedded } = await replaceLectureChunks(lectureExternalId, chunks, {
+    cancelled: ctx.cancelled,
+    onChunk: (n) => ctx.report({ chunks_done: n }),
+  });
+  // الـ transcript اتحفظ — الـ chunks القديمة لسه موجودة لحد ما الـ job يتعاد
+  if (!embedded) return { cancelled: true, segments: segments.length, chunksCreated: 0 };
+  console.log(`✅ Transcribed lecture ${lectureExternalId}: ${segments.length} segments → ${chunksCreated} chunks`);
+  return { segments: segments.length, chunksCreated, source: source.type };
+}, { maxAttempts: 3, baseBackoffMs: 60000, concurrency: parseInt(process.env.STT_CONCURRENCY) || 1 });
+
+// POST /api/admin/transcription
+// Body: { lectureIds?: [id], courseId?, overwrite?, driveToken?, driveFiles?: { lectureId: driveFileId } }
+// courseId → كل دروس الكورس اللي ليها فيديو (ومن غير chunks إلا لو overwrite). كل درس job لوحده في نفس الـ group
+app.post("/api/admin/transcription", adminAuth("content"), audit("transcription", { target: (req) => req.body?.courseId || (req.body?.lectureIds || []).join(",") }), async (req, res) => {
+  try {
+    if (!stt.available()) return res.status(400).json({ success: false, error: `STT provider "${stt.providerName}" مش متظبط` });
+    const { courseId, overwrite = false, driveToken = null, driveFiles = {} } = req.body || {};
+    let lectureIds = Array.isArray(req.body?.lectureIds) ? req.body.lectureIds.map(String) : [];
 
-  if (supabase) {
-    for (const table of [
-      "courses",
-      "diplomas",
-      "chat_logs",
-      "corrections",
-      "custom_responses",
-      "bot_instructions",
-      "instructors",
-      "faq",
-      "site_pages",
-      "lessons",
-      "chunks",
+    if (courseId) {
+      const cRow = await resolveCourseId(courseId);
+      const externalCourseId = cRow?.teachable_course_id || courseId;
+      const { data: atts, error } = await repo.attachments.videosForCourse(externalCourseId, {
+        select: "lecture_id, bunny_video_id, migration_status",
+      });
+      if (error) throw new Error(error.message);
+      const withVideo = (atts || [])
+        .filter((a) => (a.bunny_video_id && ["done", "needs_review"].includes(a.migration_status)) || driveFiles[a.lecture_id])
+        .map((a) => String(a.lecture_id));
+      lectureIds = [...new Set([...lectureIds, ...withVideo])];
+    }
+    if (!lectureIds.length) return res.status(400).json({ success: false, error: "مفيش دروس ليها فيديو — ابعت lectureIds أو courseId" });
+
+    if (!overwrite) {
+      const { data: existing } = await repo.chunks.forLectures(lectureIds, { select: "teachable_lecture_id" });
+      const has = new Set((existing || []).map((c) => String(c.teachable_lecture_id)));
+      lectureIds = lectureIds.filter((id) => !has.has(id));
+    }
+
+    const group = "transcribe-" + Date.now();
+    const queued = [];
+    for (const lectureId of lectureIds) {
+      const { job } = await jobs.enqueue("transcription",
+        { lectureId, overwrite: !!overwrite, driveFileId: driveFiles[lectureId] || null },
+        { createdBy: jobCreator(req), secrets: driveToken ? { driveToken } : null, group });
+      queued.push({ lectureId, jobId: job.id });
+    }
+    res.json({ success: true, group, queued: queued.length, jobs: queued, check_status: `/api/admin/jobs?type=transcription&group=${group}` });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/admin/transcription/:lectureId — الـ transcript المحفوظ (content بصيغة [mm:ss - mm:ss])
+app.get("/api/admin/transcription/:lectureId", adminAuth("read"), async (req, res) => {
+  try {
+    const lectureRow = await resolveLectureId(req.params.lectureId);
+    if (!lectureRow) return res.status(404).json({ success: false, error: "Lecture not found" });
+    const { data, error } = await repo.transcripts.byLecture(lectureRow.teachable_lecture_id);
+    if (error) throw new Error(error.message);
+    if (!data) return res.status(404).json({ success: false, error: "مفيش transcript للدرس ده" });
+    res.json({ success: true, transcript: data });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// --- Re-chunk (job type "rechunk") ---
+// دروس عندها chunks بالتقسيم القديم → chunker.js (tokens + overlap) + embeddings جديدة.
+// المصدر: lecture_transcripts.segments (STT أو upload). الدروس القديمة اللي ملهاش transcript
+// → الـ chunks الحالية بترتيبها، وبتتحفظ كـ transcript (source_type "chunks") قبل ما تتمسح —
+// فالـ retry أو أي rechunk بعد كده ميقراش chunks فيها overlap.
+// Payload: { lectureIds?, courseId?, all?, options? } — Checkpoint = { lectureIds, done: [id] }
+
+// ─── rechunkSource ───
+async function rechunkSource(lectureExternalId, createdBy) {
+  const { data: saved, error } = await repo.transcripts.byLecture(lectureExternalId);
+  if (error) throw new Error("Transcript fetch failed: " + error.message);
+  if (saved && Array.isArray(saved.segments) && saved.segments.length) {
+    return { segments: saved.segments, source: saved.source_type || "transcript" };
+  }
+  if (saved && saved.content) {
+    const { segments } = parseTranscriptFile(saved.content);
+    if (segments.length) return { segments, source: saved.source_type || "transcript" };
+  }
+
+  const { data: rows, error: chErr } = await repo.chunks.byLecture(lectureExternalId, { limit: 5000 });
+  if (chErr) throw new Error("Chunks fetch failed: " + chErr.message);
+  if (!rows || !rows.length) return { segments: [], source: null };
+  const segments = rows.map((c, i) => {
+    const start = parseClock(c.timestamp_start);
+    const next = rows[i + 1] ? parseClock(rows[i + 1].timestamp_start) : null;
+    return { start, end: parseClock(c.timestamp_end) ?? (start != null ? next : null), text: c.content };
+  });
+  const { error: saveErr } = await repo.transcripts.save({
+    teachable_lecture_id: lectureExternalId,
+    content: segments.map((seg) => seg.text).join("\n"),
+    segments,
+    source_type: "chunks",
+    created_by: createdBy,
+    updated_at: new Date().toISOString(),
+  });
+  if (saveErr) throw new Error("Transcript save failed: " + saveErr.message);
+  return { segments, source: "chunks" };
+}
+
+// ─── rechunkTargets ───
+// lectureIds / courseId / all → teachable_lecture_ids
+async function rechunkTargets({ lectureIds = [], courseId = null, all = false }) {
+  const ids = [];
+  for (const id of lectureIds || []) {
+    const row = await resolveLectureId(id);
+    if (row && row.teachable_lecture_id) ids.push(String(row.teachable_lecture_id));
+  }
+  if (courseId) {
+    const cRow = await resolveCourseId(courseId);
+    const { data, error } = await repo.lectures.idsByCourse(cRow?.teachable_course_id || courseId);
+    if (error) throw new Error(error.message);
+    ids.push(...(data || []).map((l) => String(l.teachable_lecture_id)));
+  }
+  if (all) {
+    const { data, error } = await repo.chunks.lectureRefs();
+    if (error) throw new Error(error.message);
+    ids.push(...(data || []).map((c) => String(c.teachable_lecture_id)));
+  }
+  return [...new Set(ids)];
+}
+
+jobs.register("rechunk", async (job, ctx) => {
+  if (!supabase) throw permanent("Not initialized");
+  if (!llm.available("chunk_embedding")) throw permanent("chunk_embedding provider مش متظبط");
+
+  const options = { ...chunkOptions(), ...(ctx.payload.options || {}) };
+  const cp = ctx.checkpoint || {};
+  if (!cp.lectureIds) {
+    cp.lectureIds = await rechunkTargets(ctx.payload);
+    cp.done = [];
+    await ctx.save(cp);
+  }
+  if (!cp.lectureIds.length) throw permanent("مفيش دروس — ابعت lectureIds أو courseId أو all");
+
+  const p = ctx.progress;
+  p.lectures_total = cp.lectureIds.length;
+  p.rechunked = p.rechunked || 0;
+  p.skipped = p.skipped || 0;
+  p.chunks_before = p.chunks_before || 0;
+  p.chunks_after = p.chunks_after || 0;
+  await ctx.report({ strategy: options.strategy, max_tokens: options.maxTokens, overlap_tokens: options.overlapTokens });
+
+  const done = new Set(cp.done);
+  for (const lectureId of cp.lectureIds) {
+    if (done.has(lectureId)) continue;
+    if (ctx.cancelled()) return { cancelled: true, ...p };
+
+    try {
+      const { segments, source } = await rechunkSource(lectureId, job.created_by || null);
+      if (!segments.length) {
+        p.skipped++;
+      } else {
+        const chunks = chunkSegments(segments, options);
+        await ctx.report({ current: lectureId, source, chunks_total: chunks.length, chunks_done: 0 });
+        const { created, removed, complete } = await replaceLectureChunks(lectureId, chunks, {
+          cancelled: ctx.cancelled,
+          onChunk: (n) => ctx.report({ chunks_done: n }),
+        });
+        // cancel في النص → الدرس مش done (الـ chunks القديمة لسه موجودة)، الـ resume بيعمله تاني
+        if (!complete) return { cancelled: true, ...p };
+        p.rechunked++;
+        p.chunks_before += removed;
+        p.chunks_after += created;
+      }
+    } catch (err) {
+      // الـ chunks القديمة لسه موجودة (replaceLectureChunks) — الدرس يتسجل كـ error ونكمل
+      if (err.permanent) throw err;
+      ctx.error({ lectureId, error: err.message });
+      p.errors = (p.errors || 0) + 1;
+    }
+
+    cp.done.push(lectureId);
+    done.add(lectureId);
+    await ctx.save(cp);
+    await ctx.report({ lectures_done: cp.done.length });
+  }
+
+  console.log(`✅ Rechunk: ${p.rechunked} lectures, ${p.chunks_before} → ${p.chunks_after} chunks`);
+  return { ...p, options };
+}, { maxAttempts: 3, baseBackoffMs: 30000 });
+
+// POST /api/admin/rechunk
+// Body: { lectureIds?: [id], courseId?, all?, options?: { strategy, maxTokens, overlapTokens, minTokens } }
+app.post("/api/admin/rechunk", adminAuth("content"), audit("rechunk", { target: (req) => req.body?.courseId || (req.body?.all ? "all" : (req.body?.lectureIds || []).join(",")) }), async (req, res) => {
+  try {
+    if (!llm.available("chunk_embedding")) return res.status(400).json({ success: false, error: "chunk_embedding provider مش متظبط" });
+    const { lectureIds = [], courseId = null, all = false, options = null } = req.body || {};
+    if (!courseId && !all && !(Array.isArray(lectureIds) && lectureIds.length)) {
+      return res.status(400).json({ success: false, error: "ابعت lectureIds أو courseId أو all" });
+    }
+    const { job, existing } = await jobs.enqueue("rechunk",
+      { lectureIds: Array.isArray(lectureIds) ? lectureIds.map(String) : [], courseId, all: !!all, options },
+      { createdBy: jobCreator(req), unique: true });
+    if (existing) return res.status(409).json({ success: false, error: "في rechunk job شغال بالفعل", job_id: job.id });
+    res.json({ success: true, job_id: job.id, options: { ...chunkOptions(), ...(options || {}) }, check_status: `/api/admin/jobs/${job.id}` });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// --- Serve upload page ---
+app.get("/upload", (req, res) => {
+  res.sendFile(path.join(__dirname, "upload.html"));
+});
+
+app.get("/video-migration", (req, res) => {
+  res.sendFile(path.join(__dirname, "video-migration.html"));
+});
+
+
+// === Admin HTML ===
+app.get("/admin", (req, res) => {
+  res.sendFile(path.join(__dirname, "admin.html"));
+});
+
+/* ══════════════════════════════════════════════════════════
+   SECTION 14: Health, Debug, Root
+   ══════════════════════════════════════════════════════════ */
+app.get("/admin/debug", adminAuth("read"), async (req, res) => {
+  const diag = {
+    timestamp: new Date().toISOString(),
+    version: "10.9",
+    engine: "Guide RAG Overhaul",
+    environment: {
+      SUPABASE_URL: process.env.SUPABASE_URL ? "✅" : "❌",
+      SUPABASE_SERVICE_KEY: process.env.SUPABASE_SERVICE_KEY ? "✅" : "❌",
+      OPENAI_API_KEY: process.env.OPENAI_API_KEY ? "✅" : "❌",
+    },
+    clients: {
+      supabase: supabase ? "✅" : "❌",
+      openai: openai ? "✅" : "❌",
+      llm: llm.available() ? `✅ ${llm.providerName("guide")}` : "❌",
+    },
+    supabase_connection: supabaseConnected ? "✅" : "❌",
+    admin_auth: auth.stats(),
+    embeddings: embeddings.stats(),
+    active_chat_sessions: 0,
+    search_cache_entries: searchCache.size,
+    tables: {},
+  };
+
+  if (supabase) {
+    for (const table of [
+      "courses",
+      "diplomas",
+      "chat_logs",
+      "corrections",
+      "custom_responses",
+      "bot_instructions",
+      "instructors",
+      "faq",
+      "site_pages",
+      "lessons",
+      "chunks",
     ]) {
       try {
-        const { count, error } = await supabase
-          .from(table)
-          .select("*", { count: "exact", head: true });
+        const { count, error } = await repo.diagnostics.tableCount(table);
         diag.tables[table] = error
           ? `❌ ${error.message}`
           : `✅ ${count} rows`;
@@ -2125,6 +2507,34 @@ app.get("/admin/debug", adminAuth, async (req, res) => {
   res.json(diag);
 });
 
+// ─── Course search debug ───
+// ?q=فوتوشوب,تصميم&exclude=اطفال&audience=مبتدئ → ترتيب الكورسات + سبب كل score
+app.get("/admin/debug/course-search", adminAuth("read"), async (req, res) => {
+  try {
+    const split = (v) => String(v || "").split(",").map((t) => t.trim()).filter(Boolean);
+    const terms = split(req.query.q);
+    if (terms.length === 0) return res.status(400).json({ success: false, error: "q is required" });
+
+    const { ranked, dropped, terms: prepared, weights } = await rankCourses(terms, split(req.query.exclude), req.query.audience || null);
+    const row = (c) => ({
+      teachable_course_id: c.teachable_course_id,
+      title: c.title || c.name,
+      ...(c._rank || { score: c.relevanceScore }),
+      title_match: !!c._titleMatch,
+    });
+    res.json({
+      success: true,
+      query: terms,
+      prepared_terms: prepared,
+      weights,
+      ranked: ranked.map((c, i) => ({ position: i + 1, returned: i < 15, ...row(c) })),
+      dropped: dropped.map((d) => ({ ...row(d.course), reason: d.reason })),
+    });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
 
 app.get('/ziko-widget.js', (req, res) => {
   res.setHeader('Content-Type', 'application/javascript');
@@ -2137,7 +2547,7 @@ app.get("/health", async (req, res) => {
   let dbStatus = "unknown";
   if (supabase) {
     try {
-      const { error } = await supabase.from("teachable_courses").select("id").limit(1);
+      const { error } = await repo.courses.ping();
       dbStatus = error ? `error: ${error.message}` : "connected";
     } catch (e) {
       dbStatus = `exception: ${e.message}`;
@@ -2175,106 +2585,226 @@ app.get("/", (req, res) => {
 /* ══════════════════════════════════════════════════════════
    SECTION 15: Embedding Generation
    ══════════════════════════════════════════════════════════ */
-async function generateSingleEmbedding(text) {
-  const cleanText = text.substring(0, 8000);
-const response = await openai.embeddings.create({
-    model: COURSE_EMBEDDING_MODEL,
-    input: cleanText,
-  });
-  return response.data[0].embedding;
-}
+// ─── embeddings job ───
+// بيملا embedding للكورسات والدبلومات اللي لسه null — اللي اتعمل بيطلع من الـ query
+// لوحده، فالـ retry أو الـ restart بيكمل من مكانه من غير checkpoint.
+// payload.ids = { courses: [id ...] } → الصفوف دي بس، حتى لو ليها embedding
+// (Course.updated webhook — النص اتغير)
+// الصفوف بتتبعت batches لـ embedding-service (مفيش wait بين كل صف)، وبتتكتب
+// في كل عمود ليه model (embedding-models.js) مع الـ tag بتاعه
+const EMBEDDING_TARGETS = { courses: EMBEDDING_TABLES.courses, diplomas: EMBEDDING_TABLES.diplomas };
+
+jobs.register("embeddings", async (job, ctx) => {
+  if (!supabase || !llm.available("course_embedding")) throw permanent("Not initialized");
+
+  const targets = (ctx.payload.targets || Object.keys(EMBEDDING_TARGETS))
+    .filter((t) => EMBEDDING_TARGETS[t]);
+  const results = ctx.progress.results || (ctx.progress.results = {});
+
+  for (const name of targets) {
+    const target = EMBEDDING_TARGETS[name];
+    const { models } = await embeddingModels.state(name, { fresh: true });
+    const ids = ctx.payload.ids && ctx.payload.ids[name];
+    const { data: rows, error } = await repo.embeddingRows.pending(target.table, {
+      select: target.select,
+      ids,
+      columns: EMBEDDING_COLUMNS.filter((c) => models[c]),
+    });
+    if (error) throw new Error(`${name} fetch: ${error.message}`);
 
-app.get("/api/admin/generate-embeddings", adminAuth, async (req, res) => {
-  if (!supabase || !openai) {
-    return res.status(500).json({ error: "Not initialized" });
+    const r = results[name] || (results[name] = { processed: 0, total: 0, errors: 0 });
+    r.total = r.processed + (rows || []).length;
+    await ctx.report({ phase: name });
+
+    const list = (rows || []).filter((row) => embeddingText(target.text(row)).trim());
+    for (let from = 0; from < list.length; from += embeddings.options.batchSize) {
+      if (ctx.cancelled()) return { results };
+      const batch = list.slice(from, from + embeddings.options.batchSize);
+      let vectors;
+      try {
+        vectors = await embeddingModels.rowVectors(name, batch.map((row) => embeddingText(target.text(row))));
+      } catch (err) {
+        r.errors += batch.length;
+        ctx.error({ type: name, ids: batch.map((row) => row.id), error: err.message });
+        continue;
+      }
+
+      for (let k = 0; k < batch.length; k++) {
+        const { error: upErr } = await repo.embeddingRows.update(target.table, batch[k].id, vectors[k]);
+        if (upErr) {
+          r.errors++;
+          ctx.error({ type: name, id: batch[k].id, error: upErr.message });
+        } else r.processed++;
+      }
+      await ctx.report();
+    }
   }
 
+  return { results };
+}, { maxAttempts: 3 });
+
+// POST (أو GET القديم) → بيعمل job ويرجع على طول — المتابعة من /api/admin/jobs/:id
+async function startEmbeddingsJob(req, res) {
+  if (!supabase || !llm.available("course_embedding")) {
+    return res.status(500).json({ error: "Not initialized" });
+  }
   try {
-    const results = {
-      courses: { processed: 0, total: 0, errors: 0 },
-      diplomas: { processed: 0, total: 0, errors: 0 },
-    };
+    const targets = req.query.target && EMBEDDING_TARGETS[req.query.target] ? [req.query.target] : null;
+    const { job, existing } = await jobs.enqueue("embeddings", { targets }, { createdBy: jobCreator(req), unique: true });
+    res.status(existing ? 409 : 200).json({
+      success: !existing,
+      message: existing ? "Embeddings job already running" : "Embeddings job queued",
+      job_id: job.id,
+      check_status: `/api/admin/jobs/${job.id}`,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
 
-    // Courses
-    // SCHEMA: only existing text columns on teachable_courses
-    const { data: courses } = await supabase
-      .from("teachable_courses")
-      .select(
-        "id, name, description, heading, syllabus, objectives, keywords"
-      )
-      .is("embedding", null);
-
-    if (courses) {
-      results.courses.total = courses.length;
-      for (const course of courses) {
-        try {
-          const text = [
-            course.name,
-            course.heading,
-            course.keywords,
-            course.description,
-            course.syllabus,
-            course.objectives,
-          ]
-            .filter(Boolean)
-            .join(" ");
-          if (!text.trim()) continue;
-
-          const embedding = await generateSingleEmbedding(text);
-          const { error } = await supabase
-            .from("teachable_courses")
-            .update({ embedding })
-            .eq("id", course.id);
-
-          if (error) results.courses.errors++;
-          else results.courses.processed++;
-
-          await new Promise((r) => setTimeout(r, 250));
-        } catch (err) {
-          results.courses.errors++;
-        }
+app.post("/api/admin/generate-embeddings", adminAuth("content"), audit("embeddings"), startEmbeddingsJob);
+app.get("/api/admin/generate-embeddings", adminAuth("content"), audit("embeddings"), startEmbeddingsJob);
+
+// ─── embedding_migration job ───
+// re-embed جدول كامل في العمود اللي مش live بالـ model الجديد (startMigration قبلها).
+// الصفوف اللي عليها الـ tag خلاص بتتعدّى — Checkpoint = { lastId } (keyset على id)
+const MIGRATION_PAGE = 500;
+
+jobs.register("embedding_migration", async (job, ctx) => {
+  if (!supabase) throw permanent("Not initialized");
+  const { target, model } = ctx.payload;
+  const def = EMBEDDING_TABLES[target];
+  if (!def) throw permanent(`Unknown embedding target "${target}"`);
+
+  const state = await embeddingModels.state(target, { fresh: true });
+  const column = EMBEDDING_COLUMNS.find((c) => c !== state.live_column);
+  if (state.models[column] !== model) throw permanent(`${target}.${column} مش على ${model} — الـ migration اتلغت أو اتغيرت`);
+  const tag = modelColumn(column);
+
+  const cp = ctx.checkpoint || { lastId: null };
+  const p = ctx.progress;
+  p.column = column;
+  p.model = model;
+  p.embedded = p.embedded || 0;
+  p.skipped = p.skipped || 0;
+  p.errors = p.errors || 0;
+  if (p.total == null) {
+    const { count } = await repo.embeddingRows.count(def.table);
+    p.total = count || 0;
+  }
+  await ctx.report();
+
+  while (true) {
+    if (ctx.cancelled()) return { cancelled: true, ...p };
+    const { data: rows, error } = await repo.embeddingRows.after(def.table, cp.lastId, { select: `${def.select}, ${tag}`, limit: MIGRATION_PAGE });
+    if (error) throw new Error(`${def.table} fetch: ${error.message}`);
+    if (!rows || !rows.length) break;
+
+    const todo = rows.filter((r) => r[tag] !== model && embeddingText(def.text(r)).trim());
+    if (todo.length) {
+      const vectors = await embeddings.embedMany(def.feature, todo.map((r) => embeddingText(def.text(r))), { model });
+      for (let k = 0; k < todo.length; k++) {
+        const { error: upErr } = await repo.embeddingRows.update(def.table, todo[k].id, { [column]: vectors[k], [tag]: model });
+        if (upErr) {
+          p.errors++;
+          ctx.error({ id: todo[k].id, error: upErr.message });
+        } else p.embedded++;
       }
     }
+    p.skipped += rows.length - todo.length;
+    cp.lastId = rows[rows.length - 1].id;
+    await ctx.save(cp);
+    await ctx.report({ last_id: cp.lastId });
+  }
 
-    // Diplomas
-    const { data: diplomas } = await supabase
-      .from("diplomas")
-      .select("id, title, description, keywords, search_text")
-      .is("embedding", null);
+  const coverage = await embeddingModels.coverage(target);
+  console.log(`✅ Embedding migration ${target}.${column} → ${model}: ${p.embedded} embedded, ${coverage.columns[column].rows_stale} stale`);
+  return { ...p, coverage };
+}, { maxAttempts: 3, baseBackoffMs: 30000 });
 
-    if (diplomas) {
-      results.diplomas.total = diplomas.length;
-      for (const diploma of diplomas) {
-        try {
-          const text = [
-            diploma.title,
-            diploma.description,
-            diploma.keywords,
-            diploma.search_text,
-          ]
-            .filter(Boolean)
-            .join(" ");
-          if (!text.trim()) continue;
-
-          const embedding = await generateSingleEmbedding(text);
-          const { error } = await supabase
-            .from("diplomas")
-            .update({ embedding })
-            .eq("id", diploma.id);
-
-          if (error) results.diplomas.errors++;
-          else results.diplomas.processed++;
-
-          await new Promise((r) => setTimeout(r, 250));
-        } catch (err) {
-          results.diplomas.errors++;
-        }
-      }
+// --- Embedding models (state / migrate / compare / cutover) ---
+function embeddingTarget(req, res) {
+  const target = req.params.target;
+  if (!EMBEDDING_TABLES[target]) {
+    res.status(404).json({ success: false, error: `Unknown target "${target}" (${Object.keys(EMBEDDING_TABLES).join(", ")})` });
+    return null;
+  }
+  return target;
+}
+
+// GET /api/admin/embedding-models — لكل جدول: الـ live column والـ models وكام صف على كل model
+app.get("/api/admin/embedding-models", adminAuth("read"), async (req, res) => {
+  if (!supabase) return res.status(500).json({ success: false, error: "Database not connected" });
+  try {
+    const targets = {};
+    for (const target of Object.keys(EMBEDDING_TABLES)) {
+      targets[target] = await embeddingModels.coverage(target).catch((e) => ({ target, error: e.message }));
     }
+    res.json({ success: true, targets });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    res.json({ message: "Done!", results });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// POST /:target/migrate  Body: { model } → العمود التاني على الـ model ده + job يملاه
+app.post("/api/admin/embedding-models/:target/migrate", adminAuth("content"), audit("embedding_models", { target: (req) => req.params.target }), async (req, res) => {
+  const target = embeddingTarget(req, res);
+  if (!target) return;
+  try {
+    const model = String(req.body?.model || "").trim();
+    if (!model) return res.status(400).json({ success: false, error: "model is required" });
+    const { column } = await embeddingModels.startMigration(target, model, jobCreator(req));
+    const { job, existing } = await jobs.enqueue("embedding_migration", { target, model }, { createdBy: jobCreator(req), unique: true });
+    if (existing) return res.status(409).json({ success: false, error: "في embedding migration شغالة بالفعل", job_id: job.id });
+    res.json({ success: true, target, column, model, job_id: job.id, check_status: `/api/admin/jobs/${job.id}` });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// POST /:target/compare  Body: { sample?, k?, queries? } — dry-run، مفيش أي تغيير
+app.post("/api/admin/embedding-models/:target/compare", adminAuth("read"), async (req, res) => {
+  const target = embeddingTarget(req, res);
+  if (!target) return;
+  try {
+    const sample = Math.min(parseInt(req.body?.sample) || 20, 100);
+    const k = Math.min(parseInt(req.body?.k) || 5, 20);
+    const queries = Array.isArray(req.body?.queries) ? req.body.queries.map(String) : null;
+    const report = await embeddingModels.compare(target, { sample, k, queries });
+    res.json({ success: true, report });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// POST /:target/cutover  Body: { column?, force? } — الـ RPCs تبدأ تدوّر في العمود ده
+// من غير force لازم كل الصفوف تكون على الـ model بتاعه
+app.post("/api/admin/embedding-models/:target/cutover", adminAuth("content"), audit("embedding_models", { target: (req) => req.params.target }), async (req, res) => {
+  const target = embeddingTarget(req, res);
+  if (!target) return;
+  try {
+    const current = await embeddingModels.state(target, { fresh: true });
+    const column = req.body?.column || EMBEDDING_COLUMNS.find((c) => c !== current.live_column);
+    const state = await embeddingModels.cutover(target, column, jobCreator(req), { force: req.body?.force === true });
+    console.log(`🔀 Embedding cutover ${target} → ${column} (${state.models[column]})`);
+    res.json({ success: true, state });
+  } catch (err) {
+    if (err.code === "COVERAGE_INCOMPLETE") {
+      return res.status(409).json({ success: false, error: err.message, coverage: err.coverage });
+    }
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// POST /:target/abandon — العمود اللي مش live يبطل يتكتب (إلغاء migration)
+app.post("/api/admin/embedding-models/:target/abandon", adminAuth("content"), audit("embedding_models", { target: (req) => req.params.target }), async (req, res) => {
+  const target = embeddingTarget(req, res);
+  if (!target) return;
+  try {
+    const state = await embeddingModels.abandon(target, jobCreator(req));
+    res.json({ success: true, state });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
   }
 });
 
@@ -2308,11 +2838,62 @@ app.get("/guide-widget.js", (req, res) => {
    TEACHABLE WEBHOOKS
    ══════════════════════════════════════════════════════════ */
 
+// TEACHABLE_WEBHOOK_SECRET + tolerance — التفاصيل في webhook-security.js
+const webhookVerifier = createWebhookVerifier();
+if (!webhookVerifier.configured) {
+  console.warn(webhookVerifier.allowUnsigned
+    ? "⚠️ TEACHABLE_WEBHOOK_SECRET not set — accepting UNSIGNED webhooks (TEACHABLE_WEBHOOK_ALLOW_UNSIGNED)"
+    : "⚠️ TEACHABLE_WEBHOOK_SECRET not set — all Teachable webhooks will be quarantined");
+}
+
+// الـ events المسجلة بتشتغل بالترتيب لكل user / sale مع retries و dead-letter — التفاصيل في webhook-queue.js
+const webhookQueue = createWebhookQueue({ repo, dispatch: dispatchWebhookEvent });
+
+// الـ headers اللي ليها لازمة في التحقيق بس (مش cookies / auth)
+function webhookRequestMeta(req) {
+  const pick = ["user-agent", "content-type", webhookVerifier.signatureHeader];
+  const headers = {};
+  for (const h of pick) if (req.headers[h] != null) headers[h] = req.headers[h];
+  return { ip: req.ip || null, headers };
+}
+
+// الـ payload المرفوض ممكن يكون من أي حد — بيتحفظ مقصوص
+const QUARANTINE_PAYLOAD_CHARS = 8000;
+function quarantinePayload(value) {
+  if (value === undefined || value === null) return null;
+  const json = JSON.stringify(value);
+  if (json.length <= QUARANTINE_PAYLOAD_CHARS) return value;
+  return { truncated: true, size: json.length, preview: json.slice(0, 2000) };
+}
+
+// ─── quarantineWebhook ───
+// event مرفوض → webhook_quarantine (من غير أي processing)
+async function quarantineWebhook(event, reason, meta = {}, detail = null) {
+  console.warn(`[Webhook] 🚫 Quarantined (${reason}): ${event?.type || "?"} (hook_event_id: ${event?.hook_event_id || "-"})`);
+  if (!repo) return;
+  try {
+    const { error } = await repo.webhookQuarantine.add({
+      reason,
+      event_type: event?.type || null,
+      hook_event_id: event?.hook_event_id != null ? String(event.hook_event_id) : null,
+      payload: quarantinePayload(event),
+      headers: meta.headers || null,
+      remote_ip: meta.ip || null,
+      detail,
+      received_at: new Date().toISOString(),
+    });
+    if (error) console.error(`[Webhook] Quarantine save failed: ${error.message}`);
+  } catch (err) {
+    console.error(`[Webhook] Quarantine error:`, err.message);
+  }
+}
+
 /**
  * Main Webhook Receiver
- * Receives events from Teachable and dispatches to handlers
+ * Verifies signature + timestamp, then dispatches to handlers
+ * (rejected events → webhook_quarantine)
  */
-app.post("/api/webhooks/teachable", async (req, res) => {
+app.post("/api/webhooks/teachable", webhookLimiter, async (req, res) => {
   // Teachable sends events as an array: [{ type, id, object, ... }]
   // OR sometimes as a single object - handle both
   const events = Array.isArray(req.body) ? req.body : [req.body];
@@ -2321,150 +2902,213 @@ app.post("/api/webhooks/teachable", async (req, res) => {
     return res.status(400).json({ error: "No events received" });
   }
 
-  // Always respond 200 immediately so Teachable doesn't retry
-  // Process events in the background
+  const meta = webhookRequestMeta(req);
+
+  // 1. HMAC على الـ body كله
+  const check = webhookVerifier.verify({ rawBody: req.rawBody, headers: req.headers });
+  if (!check.ok) {
+    // صف واحد للـ request كله — مش صف لكل عنصر في array مش موثوق فيه
+    await quarantineWebhook(events.length === 1 ? events[0] : req.body, check.reason, meta,
+      events.length > 1 ? { events: events.length } : null);
+    return res.status(401).json({ success: false, error: "Webhook rejected", reason: check.reason });
+  }
+
+  // 2. التوقيت — t من الـ signature للـ request كله، أو event.created (الموقّع) لكل event
+  const accepted = [];
+  for (const event of events) {
+    const fresh = webhookVerifier.checkTimestamp(check.timestamp ?? event?.created);
+    if (fresh.ok) accepted.push(event);
+    else await quarantineWebhook(event, fresh.reason, meta, fresh.skew_seconds != null ? { skew_seconds: fresh.skew_seconds } : null);
+  }
+  if (!accepted.length) {
+    return res.status(401).json({ success: false, error: "Webhook rejected", reason: WEBHOOK_REJECT.stale });
+  }
+
+  // 3. التسجيل في webhook_events بالترتيب قبل الـ response — لو الـ DB وقعت
+  // Teachable يبعت تاني (واللي اتسجل بيترفض كـ replay)
+  let recorded = 0;
+  let failed = 0;
+  for (const event of accepted) {
+    const outcome = await processWebhookEvent(event, meta).catch((err) => {
+      console.error(`[Webhook] Fatal error recording event:`, err.message);
+      return "error";
+    });
+    if (outcome === "recorded") recorded++;
+    if (outcome === "error") failed++;
+  }
+  if (recorded) webhookQueue.kick();
+
+  if (failed) {
+    return res.status(500).json({ success: false, error: "Failed to record events", recorded, failed });
+  }
+
   res.status(200).json({
     success: true,
     received: events.length,
+    accepted: accepted.length,
+    recorded,
+    quarantined: events.length - recorded,
     message: "Events queued for processing"
   });
-
-  // Process events asynchronously
-  for (const event of events) {
-    processWebhookEvent(event).catch(err => {
-      console.error(`[Webhook] Fatal error processing event:`, err.message);
-    });
-  }
 });
 
 /**
- * Process a single webhook event
- * - Save to webhook_events table
- * - Dispatch to appropriate handler
- * - Mark as processed
+ * Record a single (verified) webhook event for the queue
+ * - Reject replays (hook_event_id already in webhook_events)
+ * - Save to webhook_events as "pending" with its ordering key
+ * → "recorded" | "quarantined" | "error"
  */
-async function processWebhookEvent(event) {
+async function processWebhookEvent(event, meta = {}) {
   if (!event || !event.type) {
     console.warn("[Webhook] Invalid event - missing type:", event);
-    return;
+    await quarantineWebhook(event, WEBHOOK_REJECT.invalid, meta);
+    return "quarantined";
   }
 
   const eventType = event.type;
-  const hookEventId = event.hook_event_id || null;
+  const hookEventId = event.hook_event_id != null ? String(event.hook_event_id) : null;
 
   console.log(`[Webhook] 📥 Received: ${eventType} (hook_event_id: ${hookEventId})`);
 
-  // 1. Save raw event to webhook_events table (dedup via hook_event_id)
-  let logId = null;
-  try {
-    const { data, error } = await supabase
-      .from("webhook_events")
-      .upsert({
-        event_type: eventType,
-        hook_event_id: hookEventId,
-        payload: event,
-        processed: false
-      }, {
-        onConflict: "hook_event_id",
-        ignoreDuplicates: false
-      })
-      .select("id")
-      .single();
+  // من غير hook_event_id مفيش replay protection — مش بيتعمله processing
+  if (!hookEventId) {
+    await quarantineWebhook(event, WEBHOOK_REJECT.missingId, meta);
+    return "quarantined";
+  }
 
-    if (error) {
-      console.error(`[Webhook] Failed to log event: ${error.message}`);
-      return;
-    }
-    logId = data?.id;
-  } catch (err) {
-    console.error(`[Webhook] Log error:`, err.message);
-    return;
+  const { data: seen, error: seenErr } = await repo.webhookEvents.byHookId(hookEventId);
+  if (seenErr) {
+    console.error(`[Webhook] Replay check failed: ${seenErr.message}`);
+    return "error";
+  }
+  if (seen) {
+    await quarantineWebhook(event, WEBHOOK_REJECT.replay, meta, { original_event_id: seen.id, original_received_at: seen.received_at || null });
+    return "quarantined";
   }
 
-  // 2. Dispatch to handler
-  try {
-    const obj = event.object || {};
-
-    switch (eventType) {
-      case "User.created":
-      case "User.updated":
-      case "User.subscribe_to_marketing_emails":
-      case "User.unsubscribe_from_marketing_emails":
-        await handleUserEvent(obj, eventType);
-        break;
-
-      case "Sale.created":
-        await handleSaleCreated(obj);
-        break;
-
-      case "Sale.subscription_canceled":
-        await handleSubscriptionCanceled(obj);
-        break;
-
-      case "Transaction.created":
-        await handleTransactionCreated(obj);
-        break;
-
-      case "Transaction.refunded":
-        await handleTransactionRefunded(obj);
-        break;
-
-      case "Enrollment.created":
-        await handleEnrollmentCreated(obj);
-        break;
-
-      case "Enrollment.completed":
-        await handleEnrollmentCompleted(obj);
-        break;
-
-      case "Enrollment.disabled":
-        await handleEnrollmentDisabled(obj);
-        break;
-
-      case "Lesson.completed":
-      case "Lecture.completed":
-        await handleLessonCompleted(obj);
-        break;
-
-      case "AbandonedCart.created":
-      case "AbandonedCart":
-      case "Cart.abandoned":
-        await handleAbandonedCart(obj);
-        break;
-
-      default:
-        console.log(`[Webhook] ℹ️ Event type not handled: ${eventType}`);
-    }
+  const { error } = await repo.webhookEvents.record({
+    event_type: eventType,
+    hook_event_id: hookEventId,
+    payload: event,
+    ordering_key: orderingKey(event),
+    status: "pending",
+    attempts: 0,
+    max_attempts: webhookQueue.options.maxAttempts,
+    next_attempt_at: new Date().toISOString(),
+    processed: false
+  });
 
-    // Mark as processed
-    if (logId) {
-      await supabase
-        .from("webhook_events")
-        .update({
-          processed: true,
-          processed_at: new Date().toISOString()
-        })
-        .eq("id", logId);
+  if (error) {
+    // unique على hook_event_id — نفس الـ event وصل مرتين في نفس اللحظة
+    if (error.code === "23505") {
+      await quarantineWebhook(event, WEBHOOK_REJECT.replay, meta, { concurrent: true });
+      return "quarantined";
     }
+    console.error(`[Webhook] Failed to log event: ${error.message}`);
+    return "error";
+  }
+  return "recorded";
+}
 
-    console.log(`[Webhook] ✅ Processed: ${eventType}`);
-  } catch (err) {
-    console.error(`[Webhook] ❌ Handler error for ${eventType}:`, err.message);
-    if (logId) {
-      await supabase
-        .from("webhook_events")
-        .update({
-          processing_error: err.message,
-          processed_at: new Date().toISOString()
-        })
-        .eq("id", logId);
-    }
+/**
+ * Run the handler for an event from webhook_events (called by webhookQueue)
+ * Throws on failure — the queue retries with backoff, then dead-letters.
+ * Every handler must be safe to run more than once for the same event:
+ * timestamps come from the payload (eventTime), never from the clock.
+ */
+async function dispatchWebhookEvent(event, { receivedAt = null } = {}) {
+  const eventType = event.type;
+  const obj = event.object || {};
+  const at = eventTime(event, receivedAt);
+
+  switch (eventType) {
+    case "User.created":
+    case "User.updated":
+    case "User.subscribe_to_marketing_emails":
+    case "User.unsubscribe_from_marketing_emails":
+      await handleUserEvent(obj, eventType, at);
+      break;
+
+    case "Sale.created":
+      await handleSaleCreated(obj);
+      break;
+
+    case "Sale.subscription_canceled":
+      await handleSubscriptionCanceled(obj, at);
+      break;
+
+    case "Transaction.created":
+      await handleTransactionCreated(obj);
+      break;
+
+    case "Transaction.refunded":
+      await handleTransactionRefunded(obj, at);
+      break;
+
+    case "Enrollment.created":
+      await handleEnrollmentCreated(obj, at);
+      break;
+
+    case "Enrollment.completed":
+      await handleEnrollmentCompleted(obj, at);
+      break;
+
+    case "Enrollment.disabled":
+      await handleEnrollmentDisabled(obj, at);
+      break;
+
+    case "Lesson.completed":
+    case "Lecture.completed":
+      await handleLessonCompleted(obj, at);
+      break;
+
+    case "AbandonedCart.created":
+    case "AbandonedCart":
+    case "Cart.abandoned":
+      await handleAbandonedCart(obj, at);
+      break;
+
+    case "Course.created":
+    case "Course.updated":
+      await handleCourseUpsert(obj, eventType);
+      break;
+
+    case "Course.deleted":
+      await handleCourseDeleted(obj);
+      break;
+
+    case "Lecture.created":
+    case "Lecture.updated":
+      await handleLectureUpsert(obj, eventType);
+      break;
+
+    case "Lecture.deleted":
+      await handleLectureDeleted(obj);
+      break;
+
+    case "Quiz.completed":
+    case "Quiz.submitted":
+    case "QuizResponse.created":
+      await handleQuizSubmitted(obj, at);
+      break;
+
+    default:
+      console.log(`[Webhook] ℹ️ Event type not handled: ${eventType}`);
   }
 }
 
+// وقت الـ event نفسه (مش وقت الـ processing) — نفس القيمة في كل retry / replay
+// من غير created → وقت وصوله (received_at في webhook_events)
+function eventTime(event, receivedAt = null) {
+  const unix = Number(event.created);
+  if (unix > 0) return new Date(unix < 1e12 ? unix * 1000 : unix).toISOString();
+  const ms = Date.parse(event.created || event.created_at || receivedAt || "");
+  return new Date(Number.isNaN(ms) ? Date.now() : ms).toISOString();
+}
+
 /* ═══ Event Handlers ═══ */
 
-async function handleUserEvent(user, eventType) {
+async function handleUserEvent(user, eventType, at) {
   if (!user.id) return;
 
   const userData = {
@@ -2477,21 +3121,16 @@ async function handleUserEvent(user, eventType) {
     phone_number: user.phone_number || null,
     unsubscribed: user.unsubscribe_from_marketing_emails || false,
     raw_data: user,
-    last_synced_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
+    last_synced_at: at,
+    updated_at: at
   };
 
   // For User.created, add signup_date
   if (eventType === "User.created") {
-    userData.signup_date = new Date().toISOString();
+    userData.signup_date = user.created_at || at;
   }
 
-  const { error } = await supabase
-    .from("teachable_users")
-    .upsert(userData, {
-      onConflict: "teachable_user_id",
-      ignoreDuplicates: false
-    });
+  const { error } = await repo.users.upsert(userData);
 
   if (error) throw new Error(`User upsert failed: ${error.message}`);
 }
@@ -2503,25 +3142,18 @@ async function handleSaleCreated(sale) {
   console.log(`[Webhook] Sale.created: user=${sale.user_id}, course=${sale.course?.id}, price=${sale.final_price || sale.price}`);
 }
 
-async function handleSubscriptionCanceled(sale) {
+async function handleSubscriptionCanceled(sale, at) {
   if (!sale.user_id) return;
 
-  // Update the subscription to cancelled
-  const { error } = await supabase
-    .from("teachable_subscriptions")
-    .update({
-      status: "cancelled",
-      cancelled_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    })
-    .eq("teachable_user_id", sale.user_id)
-    .eq("status", "active");
+  // Update the subscription to cancelled (status=active بس — المرة التانية مش بتلمس حاجة)
+  const { error } = await repo.subscriptions.cancelActive(sale.user_id, {
+    status: "cancelled",
+    cancelled_at: sale.canceled_at || at,
+    updated_at: at
+  });
 
-  if (error) {
-    console.error(`[Webhook] Subscription cancel failed: ${error.message}`);
-  } else {
-    console.log(`[Webhook] Subscription cancelled for user=${sale.user_id}`);
-  }
+  if (error) throw new Error(`Subscription cancel failed: ${error.message}`);
+  console.log(`[Webhook] Subscription cancelled for user=${sale.user_id}`);
 }
 
 async function handleTransactionCreated(txn) {
@@ -2546,12 +3178,15 @@ async function handleTransactionCreated(txn) {
     raw_data: txn
   };
 
-  const { error } = await supabase
-    .from("teachable_transactions")
-    .upsert(txnData, {
-      onConflict: "transaction_id",
-      ignoreDuplicates: false
-    });
+  // replay بعد Transaction.refunded مايرجعش الـ status لـ paid
+  const { data: existing, error: readErr } = await repo.transactions.byId(txn.id, { select: "status, refunded_at" });
+  if (readErr) throw new Error(`Transaction lookup failed: ${readErr.message}`);
+  if (existing && existing.status === "refunded") {
+    txnData.status = "refunded";
+    txnData.refunded_at = existing.refunded_at;
+  }
+
+  const { error } = await repo.transactions.upsert(txnData);
 
   if (error) throw new Error(`Transaction insert failed: ${error.message}`);
 
@@ -2561,17 +3196,14 @@ async function handleTransactionCreated(txn) {
   }
 }
 
-async function handleTransactionRefunded(txn) {
+async function handleTransactionRefunded(txn, at) {
   if (!txn.id) return;
 
-  const { error } = await supabase
-    .from("teachable_transactions")
-    .update({
-      status: "refunded",
-      refunded_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    })
-    .eq("transaction_id", txn.id);
+  const { error } = await repo.transactions.update(txn.id, {
+    status: "refunded",
+    refunded_at: txn.refunded_at || at,
+    updated_at: at
+  });
 
   if (error) throw new Error(`Transaction refund update failed: ${error.message}`);
 }
@@ -2602,18 +3234,15 @@ async function syncSubscriptionFromTransaction(txn, txnData) {
       new Date(new Date(txnData.transaction_date).getTime() + 365 * 24 * 60 * 60 * 1000).toISOString() 
       : null,
     raw_data: txn,
-    updated_at: new Date().toISOString()
+    updated_at: txnData.transaction_date || new Date().toISOString()
   };
 
-  await supabase
-    .from("teachable_subscriptions")
-    .upsert(subData, {
-      onConflict: "teachable_user_id",
-      ignoreDuplicates: false
-    });
+  const { error } = await repo.subscriptions.upsert(subData);
+
+  if (error) throw new Error(`Subscription upsert failed: ${error.message}`);
 }
 
-async function handleEnrollmentCreated(enrollment) {
+async function handleEnrollmentCreated(enrollment, at) {
   if (!enrollment.user_id || !enrollment.course_id) return;
 
   const enrollmentData = {
@@ -2628,15 +3257,25 @@ async function handleEnrollmentCreated(enrollment) {
     is_active: enrollment.is_active ?? true,
     has_full_access: enrollment.has_full_access ?? false,
     expires_at: enrollment.expires_at || null,
-    raw_data: enrollment
+    raw_data: enrollment,
+    updated_at: at
   };
 
-  const { error } = await supabase
-    .from("teachable_enrollments")
-    .upsert(enrollmentData, {
-      onConflict: "teachable_user_id,course_id",
-      ignoreDuplicates: false
-    });
+  // replay قديم مايرجعش الـ completion ولا يفعّل enrollment اتقفل بعده
+  const { data: existing, error: readErr } = await repo.enrollments.get(enrollment.user_id, enrollment.course_id, {
+    select: "completed_at, percent_complete, is_active, updated_at",
+  });
+  if (readErr) throw new Error(`Enrollment lookup failed: ${readErr.message}`);
+  if (existing) {
+    enrollmentData.completed_at = existing.completed_at || enrollmentData.completed_at;
+    enrollmentData.percent_complete = Math.max(existing.percent_complete || 0, enrollmentData.percent_complete);
+    if (existing.updated_at && Date.parse(existing.updated_at) > Date.parse(at)) {
+      enrollmentData.is_active = existing.is_active;
+      enrollmentData.updated_at = existing.updated_at;
+    }
+  }
+
+  const { error } = await repo.enrollments.upsert(enrollmentData);
 
   if (error) throw new Error(`Enrollment insert failed: ${error.message}`);
 
@@ -2644,33 +3283,25 @@ async function handleEnrollmentCreated(enrollment) {
   await updateUserCourseCount(enrollment.user_id);
 }
 
-async function handleEnrollmentCompleted(enrollment) {
+async function handleEnrollmentCompleted(enrollment, at) {
   if (!enrollment.user_id || !enrollment.course_id) return;
 
-  const { error } = await supabase
-    .from("teachable_enrollments")
-    .update({
-      completed_at: new Date().toISOString(),
-      percent_complete: 100,
-      updated_at: new Date().toISOString()
-    })
-    .eq("teachable_user_id", enrollment.user_id)
-    .eq("course_id", enrollment.course_id);
+  const { error } = await repo.enrollments.update(enrollment.user_id, enrollment.course_id, {
+    completed_at: enrollment.completed_at || at,
+    percent_complete: 100,
+    updated_at: at
+  });
 
   if (error) throw new Error(`Enrollment complete update failed: ${error.message}`);
 }
 
-async function handleEnrollmentDisabled(enrollment) {
+async function handleEnrollmentDisabled(enrollment, at) {
   if (!enrollment.user_id || !enrollment.course_id) return;
 
-  const { error } = await supabase
-    .from("teachable_enrollments")
-    .update({
-      is_active: false,
-      updated_at: new Date().toISOString()
-    })
-    .eq("teachable_user_id", enrollment.user_id)
-    .eq("course_id", enrollment.course_id);
+  const { error } = await repo.enrollments.update(enrollment.user_id, enrollment.course_id, {
+    is_active: false,
+    updated_at: at
+  });
 
   if (error) throw new Error(`Enrollment disable update failed: ${error.message}`);
 
@@ -2683,24 +3314,17 @@ async function handleEnrollmentDisabled(enrollment) {
  */
 async function updateUserCourseCount(userId) {
   try {
-    const { count } = await supabase
-      .from("teachable_enrollments")
-      .select("*", { count: "exact", head: true })
-      .eq("teachable_user_id", userId)
-      .eq("is_active", true);
+    const { count } = await repo.enrollments.countActive(userId);
 
     const courseCount = count || 0;
     // If user has 330+ courses, they have ziko_access (subscription)
     const hasZikoAccess = courseCount >= 330;
 
-    await supabase
-      .from("teachable_users")
-      .update({
-        course_count: courseCount,
-        has_ziko_access: hasZikoAccess,
-        updated_at: new Date().toISOString()
-      })
-      .eq("teachable_user_id", userId);
+    await repo.users.update(userId, {
+      course_count: courseCount,
+      has_ziko_access: hasZikoAccess,
+      updated_at: new Date().toISOString()
+    });
   } catch (err) {
     console.error(`[Webhook] Failed to update course_count for user ${userId}:`, err.message);
   }
@@ -2710,7 +3334,7 @@ async function updateUserCourseCount(userId) {
  * Handle Lesson.completed event
  * Saves lesson completion to teachable_lesson_progress
  */
-async function handleLessonCompleted(lesson) {
+async function handleLessonCompleted(lesson, at) {
   // Teachable might send the data in different shapes
   const userId = lesson.user?.id || lesson.user_id;
   const userEmail = (lesson.user?.email || lesson.user_email)?.toLowerCase() || null;
@@ -2731,16 +3355,11 @@ async function handleLessonCompleted(lesson) {
     course_name: courseName,
     lesson_id: lessonId,
     lesson_name: lessonName,
-    completed_at: lesson.completed_at || new Date().toISOString(),
+    completed_at: lesson.completed_at || at,
     raw_data: lesson
   };
 
-  const { error } = await supabase
-    .from("teachable_lesson_progress")
-    .upsert(lessonData, {
-      onConflict: "teachable_user_id,lesson_id",
-      ignoreDuplicates: false
-    });
+  const { error } = await repo.lessonProgress.upsert(lessonData);
 
   if (error) throw new Error(`Lesson progress insert failed: ${error.message}`);
   console.log(`[Webhook] Lesson completed: user=${userId}, lesson=${lessonId}`);
@@ -2750,7 +3369,7 @@ async function handleLessonCompleted(lesson) {
  * Handle AbandonedCart event
  * Saves abandoned cart info to teachable_abandoned_carts
  */
-async function handleAbandonedCart(cart) {
+async function handleAbandonedCart(cart, at) {
   const userEmail = (cart.email || cart.user?.email)?.toLowerCase();
   
   if (!userEmail) {
@@ -2768,42 +3387,146 @@ async function handleAbandonedCart(cart) {
       ? cart.product.price / 100  // Teachable sends prices in cents
       : (cart.price ? cart.price / 100 : null),
     currency: cart.currency || "USD",
-    abandoned_at: cart.abandoned_at || cart.created_at || new Date().toISOString(),
+    abandoned_at: cart.abandoned_at || cart.created_at || at,
     raw_data: cart
   };
 
-  const { error } = await supabase
-    .from("teachable_abandoned_carts")
-    .insert(cartData);
+  // insert بس (مفيش unique) — نفس الـ cart في نفس الوقت = نفس الـ event اتعاد
+  const { data: existing, error: readErr } = await repo.abandonedCarts.find(userEmail, cartData.abandoned_at);
+  if (readErr) throw new Error(`Abandoned cart lookup failed: ${readErr.message}`);
+  if (existing && existing.length) {
+    console.log(`[Webhook] Abandoned cart already logged: ${userEmail}`);
+    return;
+  }
+
+  const { error } = await repo.abandonedCarts.insert(cartData);
 
   if (error) throw new Error(`Abandoned cart insert failed: ${error.message}`);
   console.log(`[Webhook] Abandoned cart logged: ${userEmail}`);
 }
 
-// ═══════════════════════════════════════════════════════════════════
-// GAP SYNC v2 — Safe sync for transactions + new users + enrollments
-// in a specific time window
-// 
-// SAFETY GUARANTEES:
-// - Phase 1 (Transactions): Uses upsert on transaction_id (safe)
-// - Phase 2 (New Users): Uses INSERT (not upsert) — never touches existing users
-//   * Builds a Set of ALL existing user_ids in DB
+/* ═══ Catalog Event Handlers ═══ */
+// Course.* / Lecture.* بيحدّثوا teachable_courses / teachable_lectures على طول
+// بدل ما يستنوا gap-sync — وبعدها invalidate للـ caches اللي بتقرا منهم
+
+// الـ mapping (Teachable object → صف) في catalog-reconcile.js — نفسه بتاع الـ reconcile job
+
+// مفيش unique مضمون على الـ external id — lookup وبعدين update أو insert
+async function upsertByExternalId(table, column, row) {
+  const { data: existing, error: readErr } = await repo.catalog.idByExternalId(table, column, row[column]);
+  if (readErr) throw new Error(`${table} lookup failed: ${readErr.message}`);
+
+  const { data, error } = existing
+    ? await repo.catalog.update(table, existing.id, row)
+    : await repo.catalog.insertOne(table, row);
+  if (error) throw new Error(`${table} ${existing ? "update" : "insert"} failed: ${error.message}`);
+  return { id: existing ? existing.id : data.id, created: !existing };
+}
+
+async function handleCourseUpsert(course, eventType) {
+  if (!course.id) return;
+
+  const { id, created } = await upsertByExternalId("teachable_courses", "teachable_course_id", courseRow(course));
+  clearSearchCache();
+  console.log(`[Webhook] ${eventType}: course=${course.id} (${created ? "inserted" : "updated"})`);
+
+  // النص اتغير → embedding جديد (الـ embedding-service بيرجع الـ cache لو النص زي ما هو)
+  if (llm.available("course_embedding")) {
+    await jobs.enqueue("embeddings", { targets: ["courses"], ids: { courses: [id] } }, { group: "webhook_reembed" });
+  }
+}
+
+async function handleCourseDeleted(course) {
+  if (!course.id) return;
+
+  // الدروس الأول — الـ chunks بتاعتها بتفضل بس بتطلع برّه الـ retrieval (مفيش lecture بيشاور عليها)
+  const { error: lecErr } = await repo.lectures.removeByCourse(course.id);
+  if (lecErr) throw new Error(`Course lectures delete failed: ${lecErr.message}`);
+
+  const { error } = await repo.courses.removeByTeachableId(course.id);
+  if (error) throw new Error(`Course delete failed: ${error.message}`);
+
+  clearSearchCache();
+  retriever.invalidate(course.id);
+  console.log(`[Webhook] Course.deleted: course=${course.id}`);
+}
+
+async function handleLectureUpsert(lecture, eventType) {
+  if (!lecture.id) return;
+  const row = lectureRow(lecture);
+
+  const { created } = await upsertByExternalId("teachable_lectures", "teachable_lecture_id", row);
+  clearSearchCache();
+  retriever.invalidate(row.course_id);
+  console.log(`[Webhook] ${eventType}: lecture=${lecture.id}, course=${row.course_id ?? "?"} (${created ? "inserted" : "updated"})`);
+}
+
+async function handleLectureDeleted(lecture) {
+  if (!lecture.id) return;
+
+  const { data: deleted, error } = await repo.lectures.removeByTeachableId(lecture.id);
+  if (error) throw new Error(`Lecture delete failed: ${error.message}`);
+
+  const courseId = lecture.course_id ?? deleted?.[0]?.course_id;
+  clearSearchCache();
+  retriever.invalidate(courseId ?? null);
+  console.log(`[Webhook] Lecture.deleted: lecture=${lecture.id}, course=${courseId ?? "?"}`);
+}
+
+/**
+ * Handle Quiz.completed / Quiz.submitted
+ * One row per user + quiz + submission in teachable_quiz_results
+ */
+async function handleQuizSubmitted(submission, at) {
+  const userId = submission.user?.id || submission.user_id;
+  const quizId = submission.quiz?.id || submission.quiz_id || submission.lecture?.id || submission.lecture_id;
+
+  if (!userId || !quizId) {
+    console.warn(`[Webhook] Quiz submission missing user_id or quiz_id`);
+    return;
+  }
+
+  const total = submission.total_questions ?? submission.questions_count ?? null;
+  const correct = submission.correct_answers ?? submission.correct_count ?? null;
+  const score = submission.grade ?? submission.score ?? submission.percentage
+    ?? (total && correct != null ? Math.round((correct / total) * 100) : null);
+
+  const resultData = {
+    teachable_user_id: userId,
+    user_email: (submission.user?.email || submission.user_email)?.toLowerCase() || null,
+    course_id: submission.course?.id || submission.course_id || null,
+    lecture_id: submission.lecture?.id || submission.lecture_id || null,
+    quiz_id: quizId,
+    score,
+    correct_answers: correct,
+    total_questions: total,
+    passed: submission.passed ?? null,
+    submitted_at: submission.submitted_at || submission.completed_at || submission.created_at || at,
+    raw_data: submission
+  };
+
+  // نفس المحاولة (نفس submitted_at) = نفس الصف — محاولة جديدة = صف جديد
+  const { error } = await repo.quizResults.upsert(resultData);
+
+  if (error) throw new Error(`Quiz result insert failed: ${error.message}`);
+  console.log(`[Webhook] Quiz result: user=${userId}, quiz=${quizId}, score=${score ?? "?"}`);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// GAP SYNC v2 — Safe sync for transactions + new users + enrollments
+// in a specific time window
+// 
+// SAFETY GUARANTEES:
+// - Phase 1 (Transactions): Uses upsert on transaction_id (safe)
+// - Phase 2 (New Users): Uses INSERT (not upsert) — never touches existing users
+//   * Builds a Set of ALL existing user_ids in DB
 //   * Only inserts users that are NOT in the Set
 //   * Stops after 100 consecutive known users (we passed all new ones)
 // - Phase 3 (Enrollments): Only for newly inserted users from Phase 2
 // ═══════════════════════════════════════════════════════════════════
 
-app.post("/api/admin/teachable/gap-sync", async (req, res) => {
+app.post("/api/admin/teachable/gap-sync", adminAuth("migration"), audit("gap_sync"), async (req, res) => {
   try {
-    if (!checkInspectorAuth(req, res)) return;
-
-    if (syncState.gapSync.status === "running") {
-      return res.status(409).json({
-        error: "Gap sync already running",
-        state: syncState.gapSync
-      });
-    }
-
     const hours = parseInt(req.query.hours || req.body?.hours || 48);
     if (hours < 1 || hours > 168) {
       return res.status(400).json({
@@ -2816,53 +3539,34 @@ app.post("/api/admin/teachable/gap-sync", async (req, res) => {
     const startISO = startDate.toISOString();
     const endISO = endDate.toISOString();
 
-    // Initialize state
-    syncState.gapSync = {
-      status: "running",
-      startedAt: new Date().toISOString(),
-      completedAt: null,
-      hours: hours,
-      gapStart: startISO,
-      gapEnd: endISO,
-      phase: "starting",
-      stopRequested: false,
-      errors: [],
-      lastUpdate: new Date().toISOString(),
-      phases: {
-        transactions: { status: "pending", processed: 0, created: 0 },
-        newUsers: { status: "pending", scanned: 0, foundNew: 0, inserted: 0 },
-        enrollments: { status: "pending", processed: 0, upserted: 0 }
-      }
-    };
-
-    // Run in background
-    runGapSyncV2(startISO, endISO).catch(err => {
-      console.error("[GapSyncV2] Fatal:", err);
-      syncState.gapSync.status = "failed";
-      syncState.gapSync.completedAt = new Date().toISOString();
-      syncState.gapSync.errors.push({
-        at: new Date().toISOString(),
-        error: err.message,
-        fatal: true
-      });
+    // الـ window بيتثبت في الـ payload — الـ retry بيكمل على نفس الفترة
+    const { job, existing } = await jobs.enqueue("gap_sync", { hours, from: startISO, to: endISO }, {
+      createdBy: jobCreator(req),
+      unique: true,
     });
+    if (existing) {
+      return res.status(409).json({
+        error: "Gap sync already running",
+        state: jobLegacyState(job)
+      });
+    }
 
     res.json({
       success: true,
       message: `Gap sync started for last ${hours} hours`,
       from: startISO,
       to: endISO,
-      check_status: "/api/admin/teachable/gap-sync/status?admin=YOUR_PASSWORD"
+      job_id: job.id,
+      check_status: "/api/admin/teachable/gap-sync/status"
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get("/api/admin/teachable/gap-sync/status", async (req, res) => {
+app.get("/api/admin/teachable/gap-sync/status", adminAuth("read"), async (req, res) => {
   try {
-    if (!checkInspectorAuth(req, res)) return;
-    const s = syncState.gapSync;
+    const s = jobLegacyState(await jobs.latest("gap_sync"));
     const elapsedSec = s.startedAt
       ? Math.round((Date.now() - new Date(s.startedAt).getTime()) / 1000)
       : 0;
@@ -2877,10 +3581,10 @@ app.get("/api/admin/teachable/gap-sync/status", async (req, res) => {
   }
 });
 
-app.post("/api/admin/teachable/gap-sync/stop", async (req, res) => {
+app.post("/api/admin/teachable/gap-sync/stop", adminAuth("migration"), audit("gap_sync"), async (req, res) => {
   try {
-    if (!checkInspectorAuth(req, res)) return;
-    syncState.gapSync.stopRequested = true;
+    const job = await jobs.latest("gap_sync");
+    if (job) await jobs.cancel(job.id);
     res.json({ success: true, message: "Stop requested" });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -2888,194 +3592,205 @@ app.post("/api/admin/teachable/gap-sync/stop", async (req, res) => {
 });
 
 /**
- * The main runner for Gap Sync v2
+ * The main runner for Gap Sync v2 (job type "gap_sync")
  * Strict safety: never updates existing users' rows
+ *
+ * Checkpoint: { done: [phases], newUserIds, enrolled } — بعد restart/retry
+ * الـ phases اللي خلصت مش بتتعاد، و Phase 3 بتكمل من آخر user
  */
-async function runGapSyncV2(startISO, endISO) {
-  const S = syncState.gapSync;
+jobs.register("gap_sync", async (job, ctx) => {
+  const { hours, from: startISO, to: endISO } = ctx.payload;
+  if (!startISO || !endISO) throw permanent("gap_sync needs payload.from / payload.to");
+
+  const S = ctx.progress;
+  const cp = ctx.checkpoint || { done: [], newUserIds: [], enrolled: 0 };
+  if (!S.phases) {
+    Object.assign(S, {
+      hours,
+      gapStart: startISO,
+      gapEnd: endISO,
+      phase: "starting",
+      phases: {
+        transactions: { status: "pending", processed: 0, created: 0 },
+        newUsers: { status: "pending", scanned: 0, foundNew: 0, inserted: 0 },
+        enrollments: { status: "pending", processed: 0, upserted: 0 }
+      }
+    });
+  }
+  const stopped = () => ({ stopped: true, phase: S.phase });
 
-  console.log(`[GapSyncV2] 🚀 Starting: ${startISO} → ${endISO}`);
+  console.log(`[GapSyncV2] 🚀 Starting: ${startISO} → ${endISO}${cp.done.length ? ` (resuming after ${cp.done.join(", ")})` : ""}`);
 
   // ═══════════════════════════════════════════════════
   // PHASE 1: TRANSACTIONS (using existing safe function)
   // ═══════════════════════════════════════════════════
-  S.phase = "transactions";
-  S.phases.transactions.status = "running";
-  S.lastUpdate = new Date().toISOString();
-  console.log(`[GapSyncV2] 📊 Phase 1/3: Transactions...`);
+  if (!cp.done.includes("transactions")) {
+    S.phase = "transactions";
+    S.phases.transactions.status = "running";
+    await ctx.report();
+    console.log(`[GapSyncV2] 📊 Phase 1/3: Transactions...`);
 
-  try {
-    // Reuse the proven safe function (upserts on transaction_id)
-    // We'll track via a temporary "S adapter" since syncTransactionsChunk expects
-    // a state with: stopRequested, currentPage, lastUpdate, currentChunk, total, processed, transactionsCreated, errors
-    const txnState = {
-      stopRequested: false,
-      currentPage: 0,
-      lastUpdate: S.lastUpdate,
-      currentChunk: null,
-      total: 0,
-      processed: 0,
-      transactionsCreated: 0,
-      errors: []
-    };
+    try {
+      // Reuse the proven safe function (upserts on transaction_id)
+      // We'll track via a temporary "S adapter" since syncTransactionsChunk expects
+      // a state with: stopRequested, currentPage, lastUpdate, currentChunk, total, processed, transactionsCreated, errors
+      const txnState = {
+        stopRequested: false,
+        currentPage: 0,
+        lastUpdate: new Date().toISOString(),
+        currentChunk: null,
+        total: 0,
+        processed: 0,
+        transactionsCreated: 0,
+        errors: []
+      };
 
-    const txnResult = await syncTransactionsChunk(
-      startISO, endISO,
-      100,    // perPage
-      400,    // pageDelay
-      50,     // batchSize
-      9500,   // safeLimit
-      txnState
-    );
+      const txnResult = await syncTransactionsChunk(
+        startISO, endISO,
+        100,    // perPage
+        400,    // pageDelay
+        50,     // batchSize
+        9500,   // safeLimit
+        txnState
+      );
 
-    S.phases.transactions.status = "completed";
-    S.phases.transactions.processed = txnResult.processed;
-    S.phases.transactions.created = txnResult.created;
-    if (txnState.errors.length) S.errors.push(...txnState.errors);
-    console.log(`[GapSyncV2] ✅ Phase 1: ${txnResult.created} new transactions`);
-  } catch (err) {
-    S.phases.transactions.status = "failed";
-    S.errors.push({ phase: "transactions", error: err.message });
-    console.error(`[GapSyncV2] ❌ Phase 1 failed:`, err.message);
+      S.phases.transactions.status = "completed";
+      S.phases.transactions.processed = txnResult.processed;
+      S.phases.transactions.created = txnResult.created;
+      txnState.errors.forEach((e) => ctx.error({ phase: "transactions", ...e }));
+      console.log(`[GapSyncV2] ✅ Phase 1: ${txnResult.created} new transactions`);
+    } catch (err) {
+      S.phases.transactions.status = "failed";
+      ctx.error({ phase: "transactions", error: err.message });
+      console.error(`[GapSyncV2] ❌ Phase 1 failed:`, err.message);
+    }
+    cp.done.push("transactions");
+    await ctx.save(cp);
   }
 
-  if (S.stopRequested) {
-    S.status = "stopped";
-    S.completedAt = new Date().toISOString();
-    return;
-  }
+  if (ctx.cancelled()) return stopped();
 
   // ═══════════════════════════════════════════════════
   // PHASE 2: NEW USERS (strict: only insert, never update)
   // ═══════════════════════════════════════════════════
-  S.phase = "newUsers";
-  S.phases.newUsers.status = "running";
-  S.lastUpdate = new Date().toISOString();
-  console.log(`[GapSyncV2] 👥 Phase 2/3: Finding NEW users...`);
+  if (!cp.done.includes("newUsers")) {
+    S.phase = "newUsers";
+    S.phases.newUsers.status = "running";
+    await ctx.report();
+    console.log(`[GapSyncV2] 👥 Phase 2/3: Finding NEW users...`);
 
-  const newUserIds = [];
+    const newUserIds = cp.newUserIds;
 
-  try {
-    // Build a Set of ALL existing user_ids in DB
-    // We page through to handle the 89K+ users
-    console.log(`[GapSyncV2]   Loading existing user IDs from DB...`);
-    const knownIds = new Set();
-    let dbPage = 0;
-    const DB_PAGE_SIZE = 5000;
-    while (true) {
-      const { data, error } = await supabase
-        .from("teachable_users")
-        .select("teachable_user_id")
-        .order("teachable_user_id", { ascending: true })
-        .range(dbPage * DB_PAGE_SIZE, (dbPage + 1) * DB_PAGE_SIZE - 1);
-
-      if (error) throw new Error(`DB query failed: ${error.message}`);
-      if (!data || data.length === 0) break;
-
-      data.forEach(u => knownIds.add(u.teachable_user_id));
-      dbPage++;
-      if (data.length < DB_PAGE_SIZE) break;
-    }
-    console.log(`[GapSyncV2]   Loaded ${knownIds.size} existing user IDs`);
-
-    // Now scan Teachable users
-    const STOP_AFTER_KNOWN = 100;  // Stop after 100 consecutive known users
-    const MAX_PAGES = 30;           // Safety: max 3000 users to scan
-    let consecutiveKnown = 0;
-    let page = 1;
-    let hasMore = true;
-
-    while (hasMore && page <= MAX_PAGES) {
-      if (S.stopRequested) break;
-
-      const url = `/users?page=${page}&per=100`;
-      const data = await teachableFetchWithRetry(url);
-      const users = data.users || [];
-
-      if (!users.length) break;
-
-      for (const u of users) {
-        S.phases.newUsers.scanned++;
-        S.lastUpdate = new Date().toISOString();
-
-        if (knownIds.has(u.id)) {
-          consecutiveKnown++;
-          if (consecutiveKnown >= STOP_AFTER_KNOWN) {
-            console.log(`[GapSyncV2]   Hit ${STOP_AFTER_KNOWN} consecutive known → stopping scan`);
-            hasMore = false;
-            break;
+    try {
+      // Build a Set of ALL existing user_ids in DB
+      // We page through to handle the 89K+ users
+      // (بعد resume الـ users اللي اتضافوا قبل كده بقوا known — مش هيتعادوا)
+      console.log(`[GapSyncV2]   Loading existing user IDs from DB...`);
+      const { data: userIds, error: idsErr } = await repo.users.allIds();
+      if (idsErr) throw new Error(`DB query failed: ${idsErr.message}`);
+      const knownIds = new Set(userIds.map(u => u.teachable_user_id));
+      console.log(`[GapSyncV2]   Loaded ${knownIds.size} existing user IDs`);
+
+      // Now scan Teachable users
+      const STOP_AFTER_KNOWN = 100;  // Stop after 100 consecutive known users
+      const MAX_PAGES = 30;           // Safety: max 3000 users to scan
+      let consecutiveKnown = 0;
+      let page = 1;
+      let hasMore = true;
+
+      while (hasMore && page <= MAX_PAGES) {
+        if (ctx.cancelled()) break;
+
+        const url = `/users?page=${page}&per=100`;
+        const data = await teachableFetchWithRetry(url);
+        const users = data.users || [];
+
+        if (!users.length) break;
+
+        for (const u of users) {
+          S.phases.newUsers.scanned++;
+
+          // اتضاف في attempt قبل كده — لسه جزء من الـ gap
+          if (newUserIds.includes(u.id)) { consecutiveKnown = 0; continue; }
+
+          if (knownIds.has(u.id)) {
+            consecutiveKnown++;
+            if (consecutiveKnown >= STOP_AFTER_KNOWN) {
+              console.log(`[GapSyncV2]   Hit ${STOP_AFTER_KNOWN} consecutive known → stopping scan`);
+              hasMore = false;
+              break;
+            }
+            continue;
           }
-          continue;
-        }
 
-        // NEW USER FOUND
-        consecutiveKnown = 0;
-        S.phases.newUsers.foundNew++;
-
-        // INSERT (not upsert) — if conflict happens, that's a bug we want to know about
-        const userData = {
-          teachable_user_id: u.id,
-          email: u.email?.toLowerCase() || null,
-          name: u.name || null,
-          role: u.role || "student",
-          signin_count: u.sign_in_count || 0,
-          last_signin: u.last_sign_in_at || null,
-          phone_number: u.phone_number || null,
-          unsubscribed: u.unsubscribe_from_marketing_emails || false,
-          raw_data: u,
-          last_synced_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        };
+          // NEW USER FOUND
+          consecutiveKnown = 0;
+          S.phases.newUsers.foundNew++;
+
+          // INSERT (not upsert) — if conflict happens, that's a bug we want to know about
+          const userData = {
+            teachable_user_id: u.id,
+            email: u.email?.toLowerCase() || null,
+            name: u.name || null,
+            role: u.role || "student",
+            signin_count: u.sign_in_count || 0,
+            last_signin: u.last_sign_in_at || null,
+            phone_number: u.phone_number || null,
+            unsubscribed: u.unsubscribe_from_marketing_emails || false,
+            raw_data: u,
+            last_synced_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+          };
 
-        const { error: insErr } = await supabase
-          .from("teachable_users")
-          .insert(userData);
+          const { error: insErr } = await repo.users.insert(userData);
 
-        if (insErr) {
-          // If duplicate key, it means race condition or concurrent webhook
-          // — log but don't fail
-          if (insErr.code === '23505') {
-            console.warn(`[GapSyncV2]   User ${u.id} already exists (race): ${insErr.message}`);
+          if (insErr) {
+            // If duplicate key, it means race condition or concurrent webhook
+            // — log but don't fail
+            if (insErr.code === '23505') {
+              console.warn(`[GapSyncV2]   User ${u.id} already exists (race): ${insErr.message}`);
+            } else {
+              ctx.error({ phase: "newUsers", user_id: u.id, error: insErr.message });
+            }
           } else {
-            S.errors.push({ phase: "newUsers", user_id: u.id, error: insErr.message });
+            S.phases.newUsers.inserted++;
+            newUserIds.push(u.id);
+            knownIds.add(u.id); // add to set so we don't try again
+            console.log(`[GapSyncV2]   ✅ NEW user inserted: ${u.id} (${u.email})`);
           }
-        } else {
-          S.phases.newUsers.inserted++;
-          newUserIds.push(u.id);
-          knownIds.add(u.id); // add to set so we don't try again
-          console.log(`[GapSyncV2]   ✅ NEW user inserted: ${u.id} (${u.email})`);
         }
+
+        // الـ IDs الجديدة لازم تتحفظ — Phase 3 محتاجاها حتى لو الـ process وقع هنا
+        await ctx.save(cp);
+        page++;
+        await wait(300);
       }
 
-      page++;
-      await wait(300);
+      S.phases.newUsers.status = "completed";
+      console.log(`[GapSyncV2] ✅ Phase 2: ${newUserIds.length} new users inserted`);
+    } catch (err) {
+      S.phases.newUsers.status = "failed";
+      ctx.error({ phase: "newUsers", error: err.message });
+      console.error(`[GapSyncV2] ❌ Phase 2 failed:`, err.message);
     }
-
-    S.phases.newUsers.status = "completed";
-    console.log(`[GapSyncV2] ✅ Phase 2: ${newUserIds.length} new users inserted`);
-  } catch (err) {
-    S.phases.newUsers.status = "failed";
-    S.errors.push({ phase: "newUsers", error: err.message });
-    console.error(`[GapSyncV2] ❌ Phase 2 failed:`, err.message);
+    if (ctx.cancelled()) return stopped();
+    cp.done.push("newUsers");
+    await ctx.save(cp);
   }
 
-  if (S.stopRequested) {
-    S.status = "stopped";
-    S.completedAt = new Date().toISOString();
-    return;
-  }
+  if (ctx.cancelled()) return stopped();
 
   // ═══════════════════════════════════════════════════
   // PHASE 3: ENROLLMENTS for new users only
   // ═══════════════════════════════════════════════════
   S.phase = "enrollments";
   S.phases.enrollments.status = "running";
-  S.lastUpdate = new Date().toISOString();
-  console.log(`[GapSyncV2] 📚 Phase 3/3: Enrollments for ${newUserIds.length} new users...`);
+  await ctx.report();
+  console.log(`[GapSyncV2] 📚 Phase 3/3: Enrollments for ${cp.newUserIds.length - cp.enrolled} new users...`);
 
   try {
-    for (const userId of newUserIds) {
-      if (S.stopRequested) break;
+    for (const userId of cp.newUserIds.slice(cp.enrolled)) {
+      if (ctx.cancelled()) break;
 
       try {
         const apiData = await teachableFetchWithRetry(`/users/${userId}`);
@@ -3100,12 +3815,7 @@ async function runGapSyncV2(startISO, endISO) {
             raw_data: course
           };
 
-          const { error: enrErr } = await supabase
-            .from("teachable_enrollments")
-            .upsert(enrollmentData, {
-              onConflict: "teachable_user_id,course_id",
-              ignoreDuplicates: false
-            });
+          const { error: enrErr } = await repo.enrollments.upsert(enrollmentData);
 
           S.phases.enrollments.processed++;
           if (!enrErr) {
@@ -3120,10 +3830,12 @@ async function runGapSyncV2(startISO, endISO) {
           // non-fatal
         }
       } catch (err) {
-        S.errors.push({ phase: "enrollments", user_id: userId, error: err.message });
+        ctx.error({ phase: "enrollments", user_id: userId, error: err.message });
         console.warn(`[GapSyncV2]   User ${userId} enrollments failed:`, err.message);
       }
 
+      cp.enrolled++;
+      await ctx.save(cp);
       await wait(250);
     }
 
@@ -3131,116 +3843,571 @@ async function runGapSyncV2(startISO, endISO) {
     console.log(`[GapSyncV2] ✅ Phase 3: ${S.phases.enrollments.upserted} enrollments`);
   } catch (err) {
     S.phases.enrollments.status = "failed";
-    S.errors.push({ phase: "enrollments", error: err.message });
+    ctx.error({ phase: "enrollments", error: err.message });
     console.error(`[GapSyncV2] ❌ Phase 3 failed:`, err.message);
   }
 
+  if (ctx.cancelled()) return stopped();
+
   // ═══════════════════════════════════════════════════
   // DONE
   // ═══════════════════════════════════════════════════
-  S.status = "completed";
-  S.completedAt = new Date().toISOString();
+  S.phase = "done";
   console.log(`[GapSyncV2] 🎉 All phases done!`);
+  return { phases: S.phases, new_users: cp.newUserIds.length };
+}, { maxAttempts: 3, baseBackoffMs: 60000 });
+
+/* ═══ Catalog Reconcile ═══ */
+// Teachable API ↔ teachable_courses / teachable_lectures / teachable_attachments /
+// teachable_authors — الـ mapping والـ diff في catalog-reconcile.js.
+//   dry_run (الافتراضي): تقرير بس (added / removed / changed لكل جدول)
+//   commit: insert للجديد + update للمتغير. المحذوف من Teachable بيتمسح بس مع
+//           apply_removals، والـ attachments اللي اتنقلت (bunny / storage) عمرها ما بتتمسح
+// وفي الآخر: الدروس اللي ليها chunks ومبقتش موجودة على Teachable (orphaned chunks).
+//
+// Checkpoint: { phase, remoteCourseIds, removedCourseIds, done, lectureIds, removedLectureIds, authors, report }
+// — الـ retry بيكمل من آخر كورس خلص
+const CATALOG_RECONCILE_DELAY_MS = parseInt(process.env.CATALOG_RECONCILE_DELAY_MS) || 300;
+
+// صفوف جدول بـ filter واحد (course_id = ...) — مفيش كورس عنده آلاف الدروس
+async function catalogLocalRows(table, column, value) {
+  const { data, error } = await repo.catalog.rowsWhere(table, column, value);
+  if (error) throw new Error(`${table} read failed: ${error.message}`);
+  return data || [];
+}
+
+// attachment اتنقل لـ Bunny / Supabase Storage → الـ reconcile مايمسحوش
+function attachmentMigrated(row) {
+  return !!(row.bunny_video_id || row.migration_status || (row.url && !onTeachableCdn(row.url)));
+}
+
+// ─── applyCatalogDiff ───
+// commit mode بس — بيرجع { inserted, updated, deleted, kept }
+async function applyCatalogDiff(specName, diff, { applyRemovals = false, keep = () => false } = {}) {
+  const { table } = catalog.SPECS[specName];
+  const out = { inserted: 0, updated: 0, deleted: 0, kept: 0 };
+
+  if (diff.added.length) {
+    const { error } = await repo.catalog.insert(table, diff.added);
+    if (error) throw new Error(`${table} insert failed: ${error.message}`);
+    out.inserted = diff.added.length;
+  }
+
+  for (const change of diff.changed) {
+    const patch = Object.fromEntries(Object.entries(change.changes).map(([field, { to }]) => [field, to]));
+    const { error } = await repo.catalog.update(table, change.id, patch);
+    if (error) throw new Error(`${table} update #${change.id} failed: ${error.message}`);
+    out.updated++;
+  }
+
+  if (applyRemovals && diff.removed.length) {
+    const ids = diff.removed.filter((row) => !keep(row)).map((row) => row.id);
+    out.kept = diff.removed.length - ids.length;
+    if (ids.length) {
+      const { error } = await repo.catalog.deleteByIds(table, ids);
+      if (error) throw new Error(`${table} delete failed: ${error.message}`);
+      out.deleted = ids.length;
+    }
+  } else {
+    out.kept = diff.removed.length;
+  }
+  return out;
+}
+
+function addApplied(report, specName, applied) {
+  if (!report.applied[specName]) report.applied[specName] = { inserted: 0, updated: 0, deleted: 0, kept: 0 };
+  const sum = report.applied[specName];
+  for (const k of Object.keys(sum)) sum[k] += applied[k] || 0;
+}
+
+// ─── fetchTeachableCourseIds ───
+async function fetchTeachableCourseIds(ctx) {
+  const ids = [];
+  for (let page = 1; ; page++) {
+    if (ctx.cancelled()) return null;
+    const data = await teachableFetchWithRetry(`/courses?page=${page}&per=100`);
+    const courses = data.courses || [];
+    ids.push(...courses.map((c) => c.id));
+    const pages = data.meta?.number_of_pages;
+    if (!courses.length || (pages ? page >= pages : courses.length < 100)) break;
+    await wait(CATALOG_RECONCILE_DELAY_MS);
+  }
+  return ids;
+}
+
+// ─── findOrphanedChunks ───
+// full run: كل الـ chunks اللي درسها مش في remoteLectureIds.
+// scoped run: الدروس اللي اتشالت من الكورسات دي بس (candidates)
+async function findOrphanedChunks({ remoteLectureIds = null, candidates = null }) {
+  const counts = new Map();
+  if (candidates) {
+    for (let i = 0; i < candidates.length; i += 100) {
+      const batch = candidates.slice(i, i + 100);
+      const { data, error } = await repo.chunks.forLectures(batch, { select: "teachable_lecture_id" });
+      if (error) throw new Error(`chunks read failed: ${error.message}`);
+      for (const c of data || []) counts.set(String(c.teachable_lecture_id), (counts.get(String(c.teachable_lecture_id)) || 0) + 1);
+    }
+  } else {
+    const remote = new Set(remoteLectureIds.map(String));
+    const { data, error } = await repo.chunks.lectureRefs({ select: "id, teachable_lecture_id" });
+    if (error) throw new Error(`chunks read failed: ${error.message}`);
+    for (const c of data || []) {
+      const key = String(c.teachable_lecture_id);
+      if (c.teachable_lecture_id == null || remote.has(key)) continue;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+
+  const ids = [...counts.keys()];
+  const courseOf = new Map();
+  const transcripts = new Set();
+  for (let i = 0; i < ids.length; i += 100) {
+    const batch = ids.slice(i, i + 100);
+    const [{ data: lectures }, { data: trs }] = await Promise.all([
+      repo.lectures.byTeachableIds(batch, { select: "teachable_lecture_id, course_id" }),
+      repo.transcripts.lectureIdsIn(batch),
+    ]);
+    for (const l of lectures || []) courseOf.set(String(l.teachable_lecture_id), l.course_id);
+    for (const t of trs || []) transcripts.add(String(t.teachable_lecture_id));
+  }
+
+  return ids.map((id) => ({
+    teachable_lecture_id: Number(id) || id,
+    chunks: counts.get(id),
+    course_id: courseOf.get(id) ?? null,
+    has_transcript: transcripts.has(id),
+  }));
+}
+
+// ─── reconcileCourse ───
+// كورس واحد: الكورس نفسه + دروسه + الـ attachments بتاعتها → diff (و apply لو commit)
+async function reconcileCourse(courseId, { commit, applyRemovals, withAttachments, report, authors }) {
+  const detail = await teachableFetchWithRetry(`/courses/${courseId}`);
+  const course = detail.course || detail;
+
+  const courseDiff = catalog.diffRows("courses",
+    await catalogLocalRows("teachable_courses", "teachable_course_id", courseId),
+    [courseRow(course)]);
+
+  const author = catalog.authorRow(course.author_bio);
+  if (author) authors[author.teachable_author_id] = author;
+
+  // الدروس من lecture_sections — والـ detail لكل درس (الـ attachments) لو withAttachments
+  const remoteLectures = [];
+  const remoteAttachments = [];
+  for (const section of course.lecture_sections || []) {
+    for (const summary of section.lectures || []) {
+      let lecture = { lecture_section_id: section.id, ...summary };
+      if (withAttachments) {
+        await wait(CATALOG_RECONCILE_DELAY_MS);
+        const data = await teachableFetchWithRetry(`/courses/${courseId}/lectures/${summary.id}`);
+        lecture = { ...lecture, ...(data.lecture || data) };
+        for (const att of lecture.attachments || []) remoteAttachments.push(catalog.attachmentRow(att, lecture.id, courseId));
+      }
+      remoteLectures.push(lectureRow(lecture, courseId));
+    }
+  }
+
+  const localLectures = await catalogLocalRows("teachable_lectures", "course_id", courseId);
+  const lectureDiff = catalog.diffRows("lectures", localLectures, remoteLectures);
+  const attachmentDiff = withAttachments
+    ? catalog.diffRows("attachments", await catalogLocalRows("teachable_attachments", "course_id", courseId), remoteAttachments)
+    : null;
+
+  catalog.addToReport(report, "courses", courseDiff);
+  catalog.addToReport(report, "lectures", lectureDiff, { course_id: courseId });
+  if (attachmentDiff) catalog.addToReport(report, "attachments", attachmentDiff, { course_id: courseId });
+
+  if (commit) {
+    addApplied(report, "courses", await applyCatalogDiff("courses", courseDiff));
+    addApplied(report, "lectures", await applyCatalogDiff("lectures", lectureDiff, { applyRemovals }));
+    if (attachmentDiff) {
+      addApplied(report, "attachments", await applyCatalogDiff("attachments", attachmentDiff, { applyRemovals, keep: attachmentMigrated }));
+    }
+  }
+
+  const touched = courseDiff.added.length + courseDiff.changed.length + lectureDiff.added.length
+    + lectureDiff.changed.length + (applyRemovals ? lectureDiff.removed.length : 0);
+  return {
+    lectureIds: remoteLectures.map((l) => l.teachable_lecture_id),
+    removedLectureIds: lectureDiff.removed.map((l) => l.teachable_lecture_id),
+    touched: commit && touched > 0,
+    reembed: commit && (courseDiff.added.length + courseDiff.changed.length) > 0,
+  };
 }
 
+// job type "catalog_reconcile" — payload: { mode, course_ids, apply_removals, attachments }
+jobs.register("catalog_reconcile", async (job, ctx) => {
+  const commit = ctx.payload.mode === "commit";
+  const applyRemovals = commit && ctx.payload.apply_removals === true;
+  const withAttachments = ctx.payload.attachments !== false;
+  const scope = Array.isArray(ctx.payload.course_ids) && ctx.payload.course_ids.length
+    ? ctx.payload.course_ids.map(String) : null;
+
+  const S = ctx.progress;
+  const cp = ctx.checkpoint || {
+    phase: "courses", remoteCourseIds: null, removedCourseIds: [], done: [],
+    lectureIds: [], removedLectureIds: [], touched: [], reembed: [], authors: {},
+    report: { ...catalog.emptyReport(), applied: {} },
+  };
+  const report = cp.report;
+  const stopped = () => ({ stopped: true, phase: cp.phase, summary: catalog.summarizeReport(report) });
+  Object.assign(S, { mode: commit ? "commit" : "dry_run", phase: cp.phase });
+  console.log(`[Reconcile] 🚀 Starting (${S.mode}${scope ? `, courses ${scope.join(", ")}` : ""})`);
+
+  // ── Phase 1: Teachable course list → الكورسات اللي اتمسحت ──
+  if (!cp.remoteCourseIds) {
+    const all = await fetchTeachableCourseIds(ctx);
+    if (!all) return stopped();
+    const remote = new Set(all.map(String));
+    cp.remoteCourseIds = scope ? all.filter((id) => scope.includes(String(id))) : all;
+
+    const { data: localCourses, error } = await repo.courses.refs();
+    if (error) throw new Error(`teachable_courses read failed: ${error.message}`);
+    const inScope = localCourses.filter((c) => !scope || scope.includes(String(c.teachable_course_id)));
+    const removed = inScope.filter((c) => c.teachable_course_id != null && !remote.has(String(c.teachable_course_id)));
+    catalog.addToReport(report, "courses", { added: [], removed, changed: [], unchanged: 0 });
+    cp.removedCourseIds = removed.map((c) => c.teachable_course_id);
+    cp.phase = "lectures";
+    await ctx.save(cp);
+  }
+
+  // ── Phase 2: كل كورس — الكورس + الدروس + الـ attachments ──
+  if (cp.phase === "lectures") {
+    S.phase = "lectures";
+    S.total = cp.remoteCourseIds.length;
+    for (const courseId of cp.remoteCourseIds) {
+      if (cp.done.includes(courseId)) continue;
+      if (ctx.cancelled()) return stopped();
+
+      try {
+        const r = await reconcileCourse(courseId, { commit, applyRemovals, withAttachments, report, authors: cp.authors });
+        cp.lectureIds.push(...r.lectureIds);
+        cp.removedLectureIds.push(...r.removedLectureIds);
+        if (r.touched) cp.touched.push(courseId);
+        if (r.reembed) cp.reembed.push(courseId);
+      } catch (err) {
+        // كورس واحد فشل (API / DB) → بيتسجل ومبيوقفش الباقي — ومن غيره مفيش orphan check كامل
+        cp.failedCourses = [...(cp.failedCourses || []), courseId];
+        ctx.error({ phase: "lectures", course_id: courseId, error: err.message });
+        console.error(`[Reconcile] ❌ course ${courseId}: ${err.message}`);
+      }
+      cp.done.push(courseId);
+      S.processed = cp.done.length;
+      S.summary = catalog.summarizeReport(report);
+      await ctx.save(cp);
+      await wait(CATALOG_RECONCILE_DELAY_MS);
+    }
+
+    // الكورسات اللي اتمسحت من Teachable — الدروس بتاعتها بتتحسب removed
+    for (const courseId of cp.removedCourseIds) {
+      const lectures = await catalogLocalRows("teachable_lectures", "course_id", courseId);
+      catalog.addToReport(report, "lectures", { added: [], removed: lectures, changed: [], unchanged: 0 }, { course_id: courseId });
+      cp.removedLectureIds.push(...lectures.map((l) => l.teachable_lecture_id));
+      if (applyRemovals) {
+        const attachments = await catalogLocalRows("teachable_attachments", "course_id", courseId);
+        addApplied(report, "attachments", await applyCatalogDiff("attachments",
+          { added: [], removed: attachments, changed: [], unchanged: 0 }, { applyRemovals, keep: attachmentMigrated }));
+        addApplied(report, "lectures", await applyCatalogDiff("lectures",
+          { added: [], removed: lectures, changed: [], unchanged: 0 }, { applyRemovals }));
+        const { data: course } = await repo.catalog.rowsWhere("teachable_courses", "teachable_course_id", courseId);
+        addApplied(report, "courses", await applyCatalogDiff("courses",
+          { added: [], removed: course || [], changed: [], unchanged: 0 }, { applyRemovals }));
+        cp.touched.push(courseId);
+      }
+    }
+    cp.phase = "authors";
+    await ctx.save(cp);
+  }
+
+  // ── Phase 3: Authors — من author_bio بتاع الكورسات، ومبيتمسحوش ──
+  if (cp.phase === "authors") {
+    S.phase = "authors";
+    const remoteAuthors = Object.values(cp.authors);
+    const keys = remoteAuthors.map((a) => a.teachable_author_id);
+    const local = [];
+    for (let i = 0; i < keys.length; i += 100) {
+      const { data, error } = await repo.catalog.rowsIn("teachable_authors", "teachable_author_id", keys.slice(i, i + 100));
+      if (error) throw new Error(`teachable_authors read failed: ${error.message}`);
+      local.push(...(data || []));
+    }
+    // مفيش list للـ authors في الـ API — اللي مش في الكورسات اللي اتشافت مش بيتحسب removed
+    const authorDiff = { ...catalog.diffRows("authors", local, remoteAuthors), removed: [] };
+    catalog.addToReport(report, "authors", authorDiff);
+    if (commit) {
+      addApplied(report, "authors", await applyCatalogDiff("authors", authorDiff));
+      if (authorDiff.added.length || authorDiff.changed.length) instructorCache = { data: null, ts: 0 };
+    }
+    cp.phase = "orphans";
+    await ctx.save(cp);
+  }
+
+  // ── Phase 4: orphaned chunks ──
+  if (cp.phase === "orphans") {
+    S.phase = "orphans";
+    // لو في كورس فشل، الـ lectureIds ناقصة — الـ full scan كان هيعتبر دروسه orphaned
+    const partial = scope || (cp.failedCourses || []).length;
+    const orphans = await findOrphanedChunks(partial
+      ? { candidates: cp.removedLectureIds }
+      : { remoteLectureIds: cp.lectureIds });
+    report.orphaned_chunks = {
+      lectures: orphans.length,
+      chunks: orphans.reduce((n, o) => n + o.chunks, 0),
+      items: orphans.slice(0, catalog.SAMPLE_LIMIT),
+      scope: partial ? "removed_lectures" : "all_chunks",
+    };
+    cp.phase = "done";
+    await ctx.save(cp);
+  }
+
+  // ── بعد الـ commit: caches + re-embed للكورسات اللي اتغيرت ──
+  if (commit && cp.touched.length) {
+    clearSearchCache();
+    retriever.invalidate();
+  }
+  if (commit && cp.reembed.length && llm.available("course_embedding")) {
+    const { data: rows } = await repo.courses.byTeachableIds(cp.reembed, { select: "id" });
+    if (rows && rows.length) {
+      await jobs.enqueue("embeddings", { targets: ["courses"], ids: { courses: rows.map((r) => r.id) } }, { group: "catalog_reconcile" });
+    }
+  }
+
+  S.phase = "done";
+  S.summary = catalog.summarizeReport(report);
+  console.log(`[Reconcile] 🎉 Done: ${JSON.stringify(S.summary)}`);
+  return { mode: S.mode, summary: S.summary, report };
+}, { maxAttempts: 3, baseBackoffMs: 60000 });
+
+// POST Body: { mode: "dry_run" | "commit", course_ids?, apply_removals?, attachments? }
+app.post("/api/admin/catalog/reconcile", adminAuth("migration"), audit("catalog_reconcile"), async (req, res) => {
+  try {
+    const mode = req.body?.mode === "commit" ? "commit" : "dry_run";
+    const courseIds = Array.isArray(req.body?.course_ids) ? req.body.course_ids.filter((id) => id != null) : null;
+    const payload = {
+      mode,
+      course_ids: courseIds && courseIds.length ? courseIds : null,
+      apply_removals: mode === "commit" && req.body?.apply_removals === true,
+      attachments: req.body?.attachments !== false,
+    };
+    const { job, existing } = await jobs.enqueue("catalog_reconcile", payload, { createdBy: jobCreator(req), unique: true });
+    if (existing) return res.status(409).json({ success: false, error: "في catalog reconcile شغال بالفعل", job_id: job.id });
+    res.json({ success: true, ...payload, job_id: job.id, check_status: "/api/admin/catalog/reconcile/latest" });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// آخر run — الـ progress وهو شغال، والتقرير الكامل (result.report) بعد ما يخلص
+app.get("/api/admin/catalog/reconcile/latest", adminAuth("read"), async (req, res) => {
+  try {
+    const job = await jobs.latest("catalog_reconcile");
+    if (!job) return res.json({ success: true, job: null });
+    res.json({
+      success: true,
+      job: { id: job.id, status: job.status, payload: job.payload, progress: job.progress, errors: job.errors, created_at: job.created_at, finished_at: job.finished_at },
+      summary: job.result?.summary || job.progress?.summary || null,
+      report: job.result?.report || null,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 /* ═══ Webhook Admin Endpoints ═══ */
 
 /**
  * GET /api/webhooks/events
  * View received webhook events (admin only)
  */
-app.get("/api/webhooks/events", async (req, res) => {
-  if (req.query.admin !== ADMIN_PASSWORD) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
+app.get("/api/webhooks/events", adminAuth("read"), async (req, res) => {
 
   const limit = Math.min(parseInt(req.query.limit) || 50, 200);
   const eventType = req.query.type || null;
   const processed = req.query.processed; // 'true', 'false', or undefined
+  const status = req.query.status || null; // pending | processing | processed | dead
 
-  let query = supabase
-    .from("webhook_events")
-    .select("id, event_type, hook_event_id, processed, processing_error, received_at, processed_at")
-    .order("received_at", { ascending: false })
-    .limit(limit);
-
-  if (eventType) query = query.eq("event_type", eventType);
-  if (processed === "true") query = query.eq("processed", true);
-  if (processed === "false") query = query.eq("processed", false);
-
-  const { data, error } = await query;
+  const { data, error } = await repo.webhookEvents.list({
+    eventType,
+    processed: processed === "true" ? true : (processed === "false" ? false : null),
+    status,
+    limit,
+  });
 
   if (error) return res.status(500).json({ error: error.message });
   res.json({ success: true, count: data.length, events: data });
 });
 
+/**
+ * GET /api/webhooks/quarantine
+ * Rejected webhooks (bad signature, stale timestamp, replay ...) — ?reason=&type=&limit=
+ */
+app.get("/api/webhooks/quarantine", adminAuth("read"), async (req, res) => {
+  if (!repo) return res.status(500).json({ success: false, error: "Database not connected" });
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const { data, error } = await repo.webhookQuarantine.list({
+      reason: req.query.reason || null,
+      eventType: req.query.type || null,
+      limit,
+    });
+    if (error) throw new Error(error.message);
+
+    const { data: reasons } = await repo.webhookQuarantine.reasons();
+    const by_reason = {};
+    for (const r of reasons || []) by_reason[r.reason] = (by_reason[r.reason] || 0) + 1;
+
+    res.json({ success: true, count: data.length, by_reason, events: data });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/webhooks/quarantine/:id
+ * Full quarantined event (payload + headers)
+ */
+app.get("/api/webhooks/quarantine/:id", adminAuth("read"), async (req, res) => {
+  if (!repo) return res.status(500).json({ success: false, error: "Database not connected" });
+  try {
+    const { data, error } = await repo.webhookQuarantine.get(req.params.id);
+    if (error) throw new Error(error.message);
+    if (!data) return res.status(404).json({ success: false, error: "Not found" });
+    res.json({ success: true, event: data });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 /**
  * GET /api/webhooks/stats
  * Get webhook processing statistics
  */
-app.get("/api/webhooks/stats", async (req, res) => {
-  if (req.query.admin !== ADMIN_PASSWORD) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
+app.get("/api/webhooks/stats", adminAuth("read"), async (req, res) => {
 
-  const { data: byType } = await supabase
-    .from("webhook_events")
-    .select("event_type, processed, processing_error");
+  const { data: byType } = await repo.webhookEvents.statusRows();
 
   const stats = {};
+  const by_status = {};
   for (const e of byType || []) {
     if (!stats[e.event_type]) {
-      stats[e.event_type] = { total: 0, processed: 0, failed: 0 };
+      stats[e.event_type] = { total: 0, processed: 0, failed: 0, dead: 0 };
     }
     stats[e.event_type].total++;
     if (e.processed && !e.processing_error) stats[e.event_type].processed++;
     if (e.processing_error) stats[e.event_type].failed++;
+    if (e.status === "dead") stats[e.event_type].dead++;
+    const status = e.status || (e.processed ? "processed" : "pending");
+    by_status[status] = (by_status[status] || 0) + 1;
   }
 
   const totals = {
     total: byType?.length || 0,
     processed: byType?.filter(e => e.processed && !e.processing_error).length || 0,
     failed: byType?.filter(e => e.processing_error).length || 0,
-    pending: byType?.filter(e => !e.processed && !e.processing_error).length || 0
+    pending: byType?.filter(e => !e.processed && !e.processing_error).length || 0,
+    dead: by_status.dead || 0
   };
 
-  res.json({ success: true, totals, by_type: stats });
+  res.json({ success: true, totals, by_status, by_type: stats, queue: webhookQueue.stats() });
 });
 
 /**
  * POST /api/webhooks/retry
- * Retry failed webhook events
+ * Requeue dead-lettered events (attempts reset) — body: { ids?: [] }
+ * من غير ids: كل الـ dead + الـ failed القديمة (قبل الـ queue) لحد 100
  */
-app.post("/api/webhooks/retry", async (req, res) => {
-  if (req.query.admin !== ADMIN_PASSWORD) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
+app.post("/api/webhooks/retry", adminAuth("migration"), audit("webhook_events"), async (req, res) => {
+  const ids = Array.isArray(req.body?.ids) ? req.body.ids : null;
 
-  const { data: failed, error } = await supabase
-    .from("webhook_events")
-    .select("*")
-    .not("processing_error", "is", null)
-    .limit(100);
+  const { data: failed, error } = await repo.webhookEvents.failed({ ids });
 
   if (error) return res.status(500).json({ error: error.message });
 
+  // الـ pending مستنية retry لوحدها — والـ processing شغالة دلوقتي
+  const targets = (failed || []).filter(e => !["pending", "processing"].includes(e.status));
+  let requeued = 0;
+  for (const event of targets) {
+    try {
+      const result = await webhookQueue.replay(event.id);
+      if (result && !result.busy) requeued++;
+    } catch (err) {
+      console.error(`[Webhook Retry] #${event.id}:`, err.message);
+    }
+  }
+
   res.json({
     success: true,
-    message: `Retrying ${failed.length} failed events in background`,
-    count: failed.length
+    message: `Requeued ${requeued} failed events`,
+    count: requeued
   });
+});
+
+/**
+ * POST /api/webhooks/events/:id/replay
+ * Run one stored event again from attempt 1 (dead, processed or pending)
+ * الـ handlers idempotent — الـ replay لـ event اتعمل قبل كده مش بيكرر حاجة
+ */
+app.post("/api/webhooks/events/:id/replay", adminAuth("migration"), audit("webhook_events"), async (req, res) => {
+  if (!repo) return res.status(500).json({ success: false, error: "Database not connected" });
+  try {
+    const result = await webhookQueue.replay(req.params.id);
+    if (!result) return res.status(404).json({ success: false, error: "Event not found" });
+    if (result.busy) return res.status(409).json({ success: false, error: "Event is being processed right now" });
+    res.json({ success: true, event: result.row });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/fixtures
+ * Fixture library (webhook-fixtures/) — type + description + expected tables
+ */
+app.get("/api/admin/webhooks/fixtures", adminAuth("read"), (req, res) => {
+  try {
+    const fixtures = createWebhookSimulator({ repo, baseUrl: "http://127.0.0.1" }).fixtures({ only: req.query.only || null });
+    res.json({
+      success: true,
+      count: fixtures.length,
+      fixtures: fixtures.map(f => ({
+        name: f.name,
+        type: f.event.type,
+        description: f.description || null,
+        tables: [...new Set(f.expect.map(e => e.table))]
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-  // Process in background
-  for (const event of failed) {
-    // Clear the error and retry
-    await supabase
-      .from("webhook_events")
-      .update({ processing_error: null })
-      .eq("id", event.id);
+/**
+ * POST /api/admin/webhooks/simulate
+ * Post the fixtures to this server's own receiver and check the resulting rows
+ * body: { only?, keep? } — local / staging only (بيكتب صفوف تجريبية في جداول teachable_*)
+ */
+app.post("/api/admin/webhooks/simulate", adminAuth("migration"), audit("webhook_events"), async (req, res) => {
+  if (!supabase) return res.status(500).json({ success: false, error: "Database not connected" });
+  const local = (process.env.DATA_BACKEND || "").toLowerCase() === "local";
+  if (!local && String(process.env.WEBHOOK_SIMULATOR || "").toLowerCase() !== "true") {
+    return res.status(403).json({ success: false, error: "Simulator disabled — needs DATA_BACKEND=local or WEBHOOK_SIMULATOR=true" });
+  }
+  if (!webhookVerifier.configured && !webhookVerifier.allowUnsigned) {
+    return res.status(400).json({ success: false, error: "TEACHABLE_WEBHOOK_SECRET not set (or TEACHABLE_WEBHOOK_ALLOW_UNSIGNED=true)" });
+  }
 
-    await processWebhookEvent(event.payload).catch(err => {
-      console.error(`[Webhook Retry] Error:`, err.message);
+  try {
+    const simulator = createWebhookSimulator({
+      repo,
+      baseUrl: `http://127.0.0.1:${PORT}`,
+      secret: String(process.env.TEACHABLE_WEBHOOK_SECRET || "").split(",")[0].trim() || null,
+      signatureHeader: webhookVerifier.signatureHeader,
     });
+    const report = await simulator.run({ only: req.body?.only || null, keep: !!req.body?.keep });
+    console.log(`[Simulator] ${report.passed}/${report.fixtures} fixtures passed (run ${report.run_id})`);
+    res.json({ success: true, report });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
@@ -3266,24 +4433,6 @@ const STORAGE_PUBLIC_BASE = process.env.SUPABASE_URL
   ? `${process.env.SUPABASE_URL}/storage/v1/object/public/${STORAGE_BUCKET}`
   : null;
 
-// حالة الـ migration
-const imageMigrationState = {
-  status: "idle",        // idle | running | completed | failed | stopped
-  startedAt: null,
-  completedAt: null,
-  target: null,          // "courses" | "authors" | "all"
-  dryRun: false,
-  stopRequested: false,
-  phase: null,           // "courses" | "authors"
-  total: 0,
-  processed: 0,
-  succeeded: 0,
-  skipped: 0,
-  failed: 0,
-  errors: [],
-  lastUpdate: null
-};
-
 // ── Helper: تحميل الصورة من URL ──
 async function downloadImage(url) {
   const controller = new AbortController();
@@ -3318,389 +4467,331 @@ async function uploadToSupabaseStorage(storagePath, buffer, contentType) {
   return `${STORAGE_PUBLIC_BASE}/${storagePath}`;
 }
 
-// ── الـ Runner الرئيسي ──
-async function runImageMigration(target, dryRun) {
-  const s = imageMigrationState;
-  s.status = "running";
-  s.startedAt = new Date().toISOString();
-  s.target = target;
-  s.dryRun = dryRun;
-  s.stopRequested = false;
-  s.total = 0; s.processed = 0; s.succeeded = 0; s.skipped = 0; s.failed = 0;
-  s.errors = [];
-  s.lastUpdate = new Date().toISOString();
+const onTeachableCdn = (url) => url && (url.includes("teachablecdn.com") || url.includes("uploads.teachable"));
 
-  try {
-    // ── Phase 1: Courses ──
-    if (target === "courses" || target === "all") {
-      s.phase = "courses";
-      console.log("[ImageMigration] Phase 1: Courses");
-
-      const { data: courses, error } = await supabase
-        .from("teachable_courses")
-        .select("teachable_course_id, name, image_url")
-        .not("image_url", "is", null);
-
-      if (error) throw new Error("Courses fetch: " + error.message);
-
-      // فلتر اللي لسه على teachablecdn
-      const toMigrate = courses.filter(c =>
-        c.image_url && (
-          c.image_url.includes("teachablecdn.com") ||
-          c.image_url.includes("uploads.teachable")
-        )
-      );
+// ── Progress مشترك للـ image / attachment migrations ──
+function migrationCounters(ctx, extra = {}) {
+  const s = ctx.progress;
+  if (s.processed === undefined) {
+    Object.assign(s, { phase: null, total: 0, processed: 0, succeeded: 0, skipped: 0, failed: 0, ...extra });
+  }
+  return s;
+}
 
-      s.total += toMigrate.length;
-      console.log(`[ImageMigration] ${toMigrate.length} course images to migrate`);
+// ── الـ Runner الرئيسي (job type "image_migration") ──
+// الصور اللي اتنقلت خلاص مبقتش على teachablecdn فبتطلع من الـ filter لوحدها —
+// الـ restart بيكمل من غير ما يعيد رفع حاجة. الـ checkpoint بيعلّم الـ phases اللي خلصت.
+jobs.register("image_migration", async (job, ctx) => {
+  const target = ["courses", "authors", "all"].includes(ctx.payload.target) ? ctx.payload.target : "all";
+  const dryRun = ctx.payload.dry_run === true;
+  const s = migrationCounters(ctx, { target, dryRun });
+  const cp = ctx.checkpoint || { done: [] };
 
-      for (const course of toMigrate) {
-        if (s.stopRequested) { s.status = "stopped"; return; }
+  // ── Phase 1: Courses ──
+  if ((target === "courses" || target === "all") && !cp.done.includes("courses")) {
+    s.phase = "courses";
+    console.log("[ImageMigration] Phase 1: Courses");
 
-        s.processed++;
-        s.lastUpdate = new Date().toISOString();
+    const { data: courses, error } = await repo.courses.withImages();
 
-        try {
-          if (dryRun) {
-            s.skipped++;
-            continue;
-          }
+    if (error) throw new Error("Courses fetch: " + error.message);
 
-          const { buffer, contentType } = await downloadImage(course.image_url);
-          const ext = getExtensionFromUrl(course.image_url, contentType);
-          const storagePath = `courses/${course.teachable_course_id}.${ext}`;
-          const newUrl = await uploadToSupabaseStorage(storagePath, buffer, contentType);
-
-          // حدّث الـ DB
-          await supabase
-            .from("teachable_courses")
-            .update({ image_url: newUrl })
-            .eq("teachable_course_id", course.teachable_course_id);
-
-          s.succeeded++;
-          console.log(`[ImageMigration] ✅ course ${course.teachable_course_id}: ${newUrl}`);
-        } catch (err) {
-          s.failed++;
-          s.errors.push({ type: "course", id: course.teachable_course_id, error: err.message });
-          console.error(`[ImageMigration] ❌ course ${course.teachable_course_id}: ${err.message}`);
-        }
+    // فلتر اللي لسه على teachablecdn
+    const toMigrate = courses.filter(c => onTeachableCdn(c.image_url));
 
-        await wait(200); // delay بين الصور
-      }
-    }
+    s.total = s.processed + toMigrate.length;
+    await ctx.report();
+    console.log(`[ImageMigration] ${toMigrate.length} course images to migrate`);
 
-    // ── Phase 2: Authors ──
-    if ((target === "authors" || target === "all") && s.status === "running") {
-      s.phase = "authors";
-      console.log("[ImageMigration] Phase 2: Authors");
+    for (const course of toMigrate) {
+      if (ctx.cancelled()) return { ...s, stopped: true };
 
-      const { data: authors, error } = await supabase
-        .from("teachable_authors")
-        .select("id, teachable_author_id, name, image_url")
-        .not("image_url", "is", null);
+      s.processed++;
 
-      if (error) throw new Error("Authors fetch: " + error.message);
+      try {
+        if (dryRun) {
+          s.skipped++;
+          continue;
+        }
 
-      const toMigrate = authors.filter(a =>
-        a.image_url && (
-          a.image_url.includes("teachablecdn.com") ||
-          a.image_url.includes("uploads.teachable")
-        )
-      );
+        const { buffer, contentType } = await downloadImage(course.image_url);
+        const ext = getExtensionFromUrl(course.image_url, contentType);
+        const storagePath = `courses/${course.teachable_course_id}.${ext}`;
+        const newUrl = await uploadToSupabaseStorage(storagePath, buffer, contentType);
+
+        // حدّث الـ DB
+        await repo.courses.setImage(course.teachable_course_id, newUrl);
 
-      s.total += toMigrate.length;
-      console.log(`[ImageMigration] ${toMigrate.length} author images to migrate`);
+        s.succeeded++;
+        console.log(`[ImageMigration] ✅ course ${course.teachable_course_id}: ${newUrl}`);
+      } catch (err) {
+        s.failed++;
+        ctx.error({ type: "course", id: course.teachable_course_id, error: err.message });
+        console.error(`[ImageMigration] ❌ course ${course.teachable_course_id}: ${err.message}`);
+      } finally {
+        await ctx.report();
+      }
 
-      for (const author of toMigrate) {
-        if (s.stopRequested) { s.status = "stopped"; return; }
+      await wait(200); // delay بين الصور
+    }
+    cp.done.push("courses");
+    await ctx.save(cp);
+  }
 
-        s.processed++;
-        s.lastUpdate = new Date().toISOString();
+  // ── Phase 2: Authors ──
+  if ((target === "authors" || target === "all") && !cp.done.includes("authors")) {
+    s.phase = "authors";
+    console.log("[ImageMigration] Phase 2: Authors");
 
-        try {
-          if (dryRun) {
-            s.skipped++;
-            continue;
-          }
+    const { data: authors, error } = await repo.instructors.withImages();
 
-          const { buffer, contentType } = await downloadImage(author.image_url);
-          const ext = getExtensionFromUrl(author.image_url, contentType);
+    if (error) throw new Error("Authors fetch: " + error.message);
 
-          // ID للـ path: استخدم teachable_author_id لو موجود، وإلا hash الاسم
-          const authorKey = author.teachable_author_id
-            ? author.teachable_author_id
-            : crypto.createHash("md5").update(author.name || String(author.id)).digest("hex").slice(0, 12);
+    const toMigrate = authors.filter(a => onTeachableCdn(a.image_url));
 
-          const storagePath = `authors/${authorKey}.${ext}`;
-          const newUrl = await uploadToSupabaseStorage(storagePath, buffer, contentType);
+    s.total = s.processed + toMigrate.length;
+    await ctx.report();
+    console.log(`[ImageMigration] ${toMigrate.length} author images to migrate`);
 
-          await supabase
-            .from("teachable_authors")
-            .update({ image_url: newUrl })
-            .eq("id", author.id);
+    for (const author of toMigrate) {
+      if (ctx.cancelled()) return { ...s, stopped: true };
 
-          s.succeeded++;
-          console.log(`[ImageMigration] ✅ author ${authorKey}: ${newUrl}`);
-        } catch (err) {
-          s.failed++;
-          s.errors.push({ type: "author", id: author.id, error: err.message });
-          console.error(`[ImageMigration] ❌ author ${author.id}: ${err.message}`);
+      s.processed++;
+
+      try {
+        if (dryRun) {
+          s.skipped++;
+          continue;
         }
 
-        await wait(200);
+        const { buffer, contentType } = await downloadImage(author.image_url);
+        const ext = getExtensionFromUrl(author.image_url, contentType);
+
+        // ID للـ path: استخدم teachable_author_id لو موجود، وإلا hash الاسم
+        const authorKey = author.teachable_author_id
+          ? author.teachable_author_id
+          : crypto.createHash("md5").update(author.name || String(author.id)).digest("hex").slice(0, 12);
+
+        const storagePath = `authors/${authorKey}.${ext}`;
+        const newUrl = await uploadToSupabaseStorage(storagePath, buffer, contentType);
+
+        await repo.instructors.setImage(author.id, newUrl);
+
+        s.succeeded++;
+        console.log(`[ImageMigration] ✅ author ${authorKey}: ${newUrl}`);
+      } catch (err) {
+        s.failed++;
+        ctx.error({ type: "author", id: author.id, error: err.message });
+        console.error(`[ImageMigration] ❌ author ${author.id}: ${err.message}`);
+      } finally {
+        await ctx.report();
       }
-    }
 
-    s.status = "completed";
-    s.completedAt = new Date().toISOString();
-    console.log(`[ImageMigration] ✅ Done. succeeded=${s.succeeded}, failed=${s.failed}, skipped=${s.skipped}`);
-  } catch (err) {
-    s.status = "failed";
-    s.errors.push({ type: "fatal", error: err.message });
-    console.error("[ImageMigration] Fatal error:", err.message);
+      await wait(200);
+    }
+    cp.done.push("authors");
+    await ctx.save(cp);
   }
+
+  console.log(`[ImageMigration] ✅ Done. succeeded=${s.succeeded}, failed=${s.failed}, skipped=${s.skipped}`);
+  return { succeeded: s.succeeded, failed: s.failed, skipped: s.skipped };
+}, { maxAttempts: 3 });
+
+// ── status response مشترك: elapsed / percent / rate / eta ──
+function migrationStatusState(job) {
+  const s = jobLegacyState(job, { total: 0, processed: 0, succeeded: 0, skipped: 0, failed: 0 });
+  const elapsed = s.startedAt && s.status !== "idle"
+    ? Math.round(((s.completedAt ? new Date(s.completedAt) : Date.now()) - new Date(s.startedAt).getTime()) / 1000)
+    : 0;
+  const percent = s.total > 0 ? Math.round((s.processed / s.total) * 100) : 0;
+  const rate = elapsed > 0 ? (s.processed / elapsed).toFixed(2) : 0;
+  const eta = rate > 0 && s.total > s.processed
+    ? Math.round((s.total - s.processed) / rate)
+    : null;
+
+  return {
+    ...s,
+    elapsed_seconds: elapsed,
+    percent,
+    rate_per_second: rate,
+    eta_seconds: eta,
+    errors_sample: s.errors.slice(-10)
+  };
 }
 
 /**
  * POST /api/admin/teachable/migrate-images
- * Query: ?admin=PASS&target=all|courses|authors&dry_run=true|false
+ * Query: ?target=all|courses|authors&dry_run=true|false
  */
-app.post("/api/admin/teachable/migrate-images", async (req, res) => {
-  if (req.query.admin !== ADMIN_PASSWORD) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
-  if (imageMigrationState.status === "running") {
-    return res.status(409).json({
-      error: "Migration already running",
-      state: imageMigrationState
+app.post("/api/admin/teachable/migrate-images", adminAuth("migration"), audit("image_migration"), async (req, res) => {
+  try {
+    const target = ["courses", "authors", "all"].includes(req.query.target)
+      ? req.query.target
+      : "all";
+    const dryRun = req.query.dry_run === "true";
+
+    const { job, existing } = await jobs.enqueue("image_migration", { target, dry_run: dryRun }, {
+      createdBy: jobCreator(req),
+      unique: true,
     });
-  }
-
-  const target = ["courses", "authors", "all"].includes(req.query.target)
-    ? req.query.target
-    : "all";
-  const dryRun = req.query.dry_run === "true";
-
-  res.json({
-    success: true,
-    message: `Image migration started${dryRun ? " (DRY RUN)" : ""}`,
-    target,
-    dry_run: dryRun
-  });
+    if (existing) {
+      return res.status(409).json({
+        error: "Migration already running",
+        state: migrationStatusState(job)
+      });
+    }
 
-  // شغّل في الـ background
-  runImageMigration(target, dryRun).catch(err => {
-    console.error("[ImageMigration] Unhandled:", err.message);
-  });
+    res.json({
+      success: true,
+      message: `Image migration started${dryRun ? " (DRY RUN)" : ""}`,
+      target,
+      dry_run: dryRun,
+      job_id: job.id
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 /**
  * GET /api/admin/teachable/migrate-images/status
  */
-app.get("/api/admin/teachable/migrate-images/status", (req, res) => {
-  if (req.query.admin !== ADMIN_PASSWORD) {
-    return res.status(401).json({ error: "Unauthorized" });
+app.get("/api/admin/teachable/migrate-images/status", adminAuth("read"), async (req, res) => {
+  try {
+    res.json({ success: true, state: migrationStatusState(await jobs.latest("image_migration")) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-  const s = imageMigrationState;
-  const elapsed = s.startedAt
-    ? Math.round((Date.now() - new Date(s.startedAt).getTime()) / 1000)
-    : 0;
-  const percent = s.total > 0 ? Math.round((s.processed / s.total) * 100) : 0;
-  const rate = elapsed > 0 ? (s.processed / elapsed).toFixed(2) : 0;
-  const eta = rate > 0 && s.total > s.processed
-    ? Math.round((s.total - s.processed) / rate)
-    : null;
-
-  res.json({
-    success: true,
-    state: {
-      ...s,
-      elapsed_seconds: elapsed,
-      percent,
-      rate_per_second: rate,
-      eta_seconds: eta,
-      errors_sample: s.errors.slice(-10)
-    }
-  });
 });
 
 /**
  * POST /api/admin/teachable/migrate-images/stop
  */
-app.post("/api/admin/teachable/migrate-images/stop", (req, res) => {
-  if (req.query.admin !== ADMIN_PASSWORD) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
-  if (imageMigrationState.status !== "running") {
-    return res.json({ success: false, message: "Not running", state: imageMigrationState });
+app.post("/api/admin/teachable/migrate-images/stop", adminAuth("migration"), audit("image_migration"), async (req, res) => {
+  try {
+    const job = await jobs.latest("image_migration");
+    if (!job || !["queued", "running"].includes(job.status)) {
+      return res.json({ success: false, message: "Not running", state: migrationStatusState(job) });
+    }
+    await jobs.cancel(job.id);
+    res.json({ success: true, message: "Stop requested" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-  imageMigrationState.stopRequested = true;
-  res.json({ success: true, message: "Stop requested" });
 });
 
 /* ══════════════════════════════════════════════════════════
    ATTACHMENTS MIGRATION — Teachable CDN → Supabase Storage
    ══════════════════════════════════════════════════════════ */
 
-const attachmentMigrationState = {
-  status: "idle",
-  startedAt: null,
-  completedAt: null,
-  dryRun: false,
-  stopRequested: false,
-  total: 0,
-  processed: 0,
-  succeeded: 0,
-  skipped: 0,
-  failed: 0,
-  errors: [],
-  lastUpdate: null
-};
-
-async function runAttachmentMigration(dryRun) {
-  const s = attachmentMigrationState;
-  s.status = "running";
-  s.startedAt = new Date().toISOString();
-  s.dryRun = dryRun;
-  s.stopRequested = false;
-  s.total = 0; s.processed = 0; s.succeeded = 0; s.skipped = 0; s.failed = 0;
-  s.errors = [];
-  s.lastUpdate = new Date().toISOString();
-
-  try {
-    // جيب الـ attachments اللي على Teachable CDN فقط
-    const { data: allAttachments, error: fetchError } = await supabase
-      .from("teachable_attachments")
-      .select("id, lecture_id, kind, url, name")
-      .in("kind", ["file", "pdf_embed", "image"]);
-
-    if (fetchError) throw new Error("Fetch attachments: " + fetchError.message);
-
-    const attachments = (allAttachments || []).filter(a =>
-      a.url && (
-        a.url.includes("teachablecdn") ||
-        a.url.includes("uploads.teachable")
-      )
-    );
-
-    s.total = attachments.length;
-    console.log(`[AttachMigration] ${s.total} attachments to migrate`);
-
-    for (const att of attachments) {
-      if (s.stopRequested) { s.status = "stopped"; return; }
-
-      s.processed++;
-      s.lastUpdate = new Date().toISOString();
+// job type "attachment_migration" — زي الصور: اللي اتنقل بيطلع من الـ filter لوحده
+jobs.register("attachment_migration", async (job, ctx) => {
+  const dryRun = ctx.payload.dry_run === true;
+  const s = migrationCounters(ctx, { dryRun });
 
-      try {
-        if (dryRun) { s.skipped++; continue; }
+  // جيب الـ attachments اللي على Teachable CDN فقط
+  const { data: allAttachments, error: fetchError } = await repo.attachments.byKinds(["file", "pdf_embed", "image"]);
 
-        // حمّل الملف
-        const { buffer, contentType } = await downloadImage(att.url);
+  if (fetchError) throw new Error("Fetch attachments: " + fetchError.message);
 
-        // استخرج الامتداد من الـ URL أو الـ name
-        const nameExt = (att.name || "").match(/\.([a-zA-Z0-9]+)$/)?.[1]?.toLowerCase();
-        const urlExt = getExtensionFromUrl(att.url, contentType);
-        const ext = nameExt || urlExt;
+  const attachments = (allAttachments || []).filter(a => onTeachableCdn(a.url));
 
-        // اسم الملف: id + ext
-        const storagePath = `attachments/${att.id}.${ext}`;
-        const newUrl = await uploadToSupabaseStorage(storagePath, buffer, contentType);
+  s.total = s.processed + attachments.length;
+  await ctx.report();
+  console.log(`[AttachMigration] ${attachments.length} attachments to migrate`);
 
-        // حدّث الـ DB
-        await supabase
-          .from("teachable_attachments")
-          .update({ url: newUrl })
-          .eq("id", att.id);
+  for (const att of attachments) {
+    if (ctx.cancelled()) return { ...s, stopped: true };
 
-        s.succeeded++;
-        console.log(`[AttachMigration] ✅ ${att.id} (${att.kind}): ${newUrl}`);
-      } catch (err) {
-        s.failed++;
-        s.errors.push({ id: att.id, kind: att.kind, error: err.message });
-        console.error(`[AttachMigration] ❌ ${att.id}: ${err.message}`);
-      }
+    s.processed++;
 
-      await wait(300); // أبطأ شوية عشان الملفات أكبر
+    try {
+      if (dryRun) { s.skipped++; continue; }
+
+      // حمّل الملف
+      const { buffer, contentType } = await downloadImage(att.url);
+
+      // استخرج الامتداد من الـ URL أو الـ name
+      const nameExt = (att.name || "").match(/\.([a-zA-Z0-9]+)$/)?.[1]?.toLowerCase();
+      const urlExt = getExtensionFromUrl(att.url, contentType);
+      const ext = nameExt || urlExt;
+
+      // اسم الملف: id + ext
+      const storagePath = `attachments/${att.id}.${ext}`;
+      const newUrl = await uploadToSupabaseStorage(storagePath, buffer, contentType);
+
+      // حدّث الـ DB
+      await repo.attachments.update(att.id, { url: newUrl });
+
+      s.succeeded++;
+      console.log(`[AttachMigration] ✅ ${att.id} (${att.kind}): ${newUrl}`);
+    } catch (err) {
+      s.failed++;
+      ctx.error({ id: att.id, kind: att.kind, error: err.message });
+      console.error(`[AttachMigration] ❌ ${att.id}: ${err.message}`);
+    } finally {
+      await ctx.report();
     }
 
-    s.status = "completed";
-    s.completedAt = new Date().toISOString();
-    console.log(`[AttachMigration] Done. succeeded=${s.succeeded}, failed=${s.failed}`);
-  } catch (err) {
-    s.status = "failed";
-    s.errors.push({ type: "fatal", error: err.message });
-    console.error("[AttachMigration] Fatal:", err.message);
+    await wait(300); // أبطأ شوية عشان الملفات أكبر
   }
-}
+
+  console.log(`[AttachMigration] Done. succeeded=${s.succeeded}, failed=${s.failed}`);
+  return { succeeded: s.succeeded, failed: s.failed, skipped: s.skipped };
+}, { maxAttempts: 3 });
 
 /**
  * POST /api/admin/teachable/migrate-attachments
- * Query: ?admin=PASS&dry_run=true|false
+ * Query: ?dry_run=true|false
  */
-app.post("/api/admin/teachable/migrate-attachments", async (req, res) => {
-  if (req.query.admin !== ADMIN_PASSWORD) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
-  if (attachmentMigrationState.status === "running") {
-    return res.status(409).json({ error: "Already running", state: attachmentMigrationState });
-  }
-
-  const dryRun = req.query.dry_run === "true";
+app.post("/api/admin/teachable/migrate-attachments", adminAuth("migration"), audit("attachment_migration"), async (req, res) => {
+  try {
+    const dryRun = req.query.dry_run === "true";
 
-  res.json({
-    success: true,
-    message: `Attachment migration started${dryRun ? " (DRY RUN)" : ""}`,
-    dry_run: dryRun
-  });
+    const { job, existing } = await jobs.enqueue("attachment_migration", { dry_run: dryRun }, {
+      createdBy: jobCreator(req),
+      unique: true,
+    });
+    if (existing) {
+      return res.status(409).json({ error: "Already running", state: migrationStatusState(job) });
+    }
 
-  runAttachmentMigration(dryRun).catch(err => {
-    console.error("[AttachMigration] Unhandled:", err.message);
-  });
+    res.json({
+      success: true,
+      message: `Attachment migration started${dryRun ? " (DRY RUN)" : ""}`,
+      dry_run: dryRun,
+      job_id: job.id
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 /**
  * GET /api/admin/teachable/migrate-attachments/status
  */
-app.get("/api/admin/teachable/migrate-attachments/status", (req, res) => {
-  if (req.query.admin !== ADMIN_PASSWORD) {
-    return res.status(401).json({ error: "Unauthorized" });
+app.get("/api/admin/teachable/migrate-attachments/status", adminAuth("read"), async (req, res) => {
+  try {
+    res.json({ success: true, state: migrationStatusState(await jobs.latest("attachment_migration")) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-  const s = attachmentMigrationState;
-  const elapsed = s.startedAt
-    ? Math.round((Date.now() - new Date(s.startedAt).getTime()) / 1000)
-    : 0;
-  const percent = s.total > 0 ? Math.round((s.processed / s.total) * 100) : 0;
-  const rate = elapsed > 0 ? (s.processed / elapsed).toFixed(2) : 0;
-  const eta = rate > 0 && s.total > s.processed
-    ? Math.round((s.total - s.processed) / rate)
-    : null;
-
-  res.json({
-    success: true,
-    state: {
-      ...s,
-      elapsed_seconds: elapsed,
-      percent,
-      rate_per_second: rate,
-      eta_seconds: eta,
-      errors_sample: s.errors.slice(-10)
-    }
-  });
 });
 
 /**
  * POST /api/admin/teachable/migrate-attachments/stop
  */
-app.post("/api/admin/teachable/migrate-attachments/stop", (req, res) => {
-  if (req.query.admin !== ADMIN_PASSWORD) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
-  if (attachmentMigrationState.status !== "running") {
-    return res.json({ success: false, message: "Not running" });
+app.post("/api/admin/teachable/migrate-attachments/stop", adminAuth("migration"), audit("attachment_migration"), async (req, res) => {
+  try {
+    const job = await jobs.latest("attachment_migration");
+    if (!job || !["queued", "running"].includes(job.status)) {
+      return res.json({ success: false, message: "Not running" });
+    }
+    await jobs.cancel(job.id);
+    res.json({ success: true, message: "Stop requested" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-  attachmentMigrationState.stopRequested = true;
-  res.json({ success: true, message: "Stop requested" });
 });
 
 /* ══════════════════════════════════════════════════════════ */
@@ -3719,21 +4810,6 @@ const BUNNY_CDN_HOST = 'vz-1b5f7566-8e8.b-cdn.net';
 /* ══ Video Migration v2 — Service Account (بدون OAuth) ════ */
 /* ══════════════════════════════════════════════════════════ */
 
-// State للـ course migration الجاري
-const courseMigState = {
-  running: false,
-  courseId: null,
-  courseName: null,
-  folderId: null,
-  total: 0,
-  done: 0,
-  failed: 0,
-  current: null,
-  errors: [],
-  startedAt: null,
-  finishedAt: null
-};
-
 // Google Drive client بـ Service Account
 function getDriveClient() {
   const saJson = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
@@ -3768,224 +4844,400 @@ async function getOrCreateBunnyCollection(courseId, courseName) {
   return created.guid;
 }
 
-// Runner: يرفع كل فيديوهات فولدر لكورس معين
-async function runCourseMigration(courseId, courseName, folderId, accessToken) {
-  courseMigState.running   = true;
-  courseMigState.courseId  = courseId;
-  courseMigState.courseName = courseName;
-  courseMigState.folderId  = folderId;
-  courseMigState.done      = 0;
-  courseMigState.failed    = 0;
-  courseMigState.errors    = [];
-  courseMigState.current   = null;
-  courseMigState.startedAt = new Date().toISOString();
-  courseMigState.finishedAt = null;
+// ─── Migration limits ───
+// limiter واحد لكل الـ video uploads (الكورسات والـ batch) — التفاصيل في migration-pool.js
+const migrationLimits = limitsFromEnv();
+const uploadLimiter = createTransferLimiter(migrationLimits);
+// أعلى max_parallel ممكن (PUT /limits) — الـ video_migration jobs بتتسجل بيه والـ gating الفعلي في uploadLimiter.acquire
+const MAX_UPLOAD_PARALLEL = 20;
+
+// ─── transferEta ───
+// rate من الـ bytes اللي اترفعت في الـ run الحالي (مش من أول الـ job — الـ restart مش بيبوّظ الحساب)
+function transferEta({ bytesTotal, bytesDone, runStartedAt, bytesAtRunStart = 0 }) {
+  const elapsed = runStartedAt ? (Date.now() - new Date(runStartedAt).getTime()) / 1000 : 0;
+  const rate = elapsed > 0 ? Math.max(0, bytesDone - bytesAtRunStart) / elapsed : 0;
+  const remaining = Math.max(0, bytesTotal - bytesDone);
+  return {
+    bytes_total: bytesTotal,
+    bytes_done: bytesDone,
+    rate_bps: Math.round(rate),
+    rate_mbps: +(rate / 1024 / 1024).toFixed(2),
+    eta_seconds: rate > 0 && remaining > 0 ? Math.round(remaining / rate) : null,
+  };
+}
 
-  try {
-    // 1. جيب كل الفيديوهات من Drive folder وكل السب-فولدرات
-    async function getVideosRecursive(fId, folderPath = '') {
-      const result = await fetch(
-        `https://www.googleapis.com/drive/v3/files?q=${encodeURIComponent(`'${fId}' in parents and trashed = false`)}&fields=files(id,name,size,mimeType)&pageSize=500&orderBy=name`,
-        { headers: { 'Authorization': 'Bearer ' + accessToken } }
-      );
-      const data = await result.json();
-      const files = data.files || [];
-      let videos = [];
-      for (const f of files) {
-        if (f.mimeType === 'application/vnd.google-apps.folder') {
-          const sub = await getVideosRecursive(f.id, folderPath ? folderPath + '/' + f.name : f.name);
-          videos = videos.concat(sub);
-        } else if (f.mimeType?.includes('video/') || f.name?.match(/\.(mp4|mkv|avi|mov|wmv)$/i)) {
-          videos.push({ ...f, folderPath });
-        }
+// ─── uploadVideoFromDrive ───
+// Bunny video entry (مرة واحدة) + TUS من Drive، تحت الـ bandwidth cap المشترك.
+// state = { bunnyId, tus } بيتحفظ عن طريق onState عشان الـ resume
+// بيرجع { bunnyId, uploadedBytes } — الـ uploadedBytes للـ verification بعد كده
+async function uploadVideoFromDrive({ driveFileId, accessToken, title, collectionId = null, state = {}, onState, onProgress }) {
+  let bunnyId = state.bunnyId;
+  if (!bunnyId) {
+    const createRes = await fetch(
+      `https://video.bunnycdn.com/library/${BUNNY_LIBRARY_ID}/videos`,
+      {
+        method: 'POST',
+        headers: { 'AccessKey': BUNNY_STREAM_KEY, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: title || 'Untitled', ...(collectionId ? { collectionId } : {}) })
       }
-      return videos;
-    }
-
-    const driveFiles = await getVideosRecursive(folderId);
-    courseMigState.total = driveFiles.length;
+    );
+    if (!createRes.ok) throw new Error('Bunny create failed: ' + createRes.status);
+    const bunnyVideo = await createRes.json();
+    bunnyId = bunnyVideo.guid;
+    await onState({ bunnyId });
+  }
 
-    if (driveFiles.length === 0) {
-      courseMigState.errors.push('مفيش فيديوهات في الفولدر ده — تأكد من الـ Folder ID والـ Share');
-      courseMigState.running = false;
-      courseMigState.finishedAt = new Date().toISOString();
-      return;
-    }
+  const uploadedBytes = await uploadToBunnyTus({
+    openSource: driveRangeSource({ fileId: driveFileId, accessToken }),
+    sourceId: driveFileId,
+    bunnyVideoId: bunnyId,
+    libraryId: BUNNY_LIBRARY_ID,
+    apiKey: BUNNY_STREAM_KEY,
+    title,
+    session: state.tus || null,
+    onSession: (tus) => onState({ bunnyId, tus }),
+    throttle: uploadLimiter.throttle,
+    onProgress,
+  });
 
-    // 2. جيب الـ attachments من Supabase مع section info
-    const { data: attachments, error: attErr } = await supabase
-      .from('teachable_attachments')
-      .select('id, teachable_attachment_id, name, lecture_id')
-      .eq('course_id', courseId)
-      .eq('kind', 'video')
-      .eq('migration_status', 'pending');
-
-    if (attErr) throw new Error('Supabase error: ' + attErr.message);
-
-    // جيب section names لكل lecture
-    const lectureIds = [...new Set((attachments || []).map(a => a.lecture_id))];
-    let sectionNames = {}; // lecture_id -> section_name
-    if (lectureIds.length > 0) {
-      const { data: lectures } = await supabase
-        .from('teachable_lectures')
-        .select('teachable_lecture_id, section_id, position')
-        .in('teachable_lecture_id', lectureIds);
-
-      const sectionIds = [...new Set((lectures || []).map(l => l.section_id).filter(Boolean))];
-      let sectionsMap = {};
-      if (sectionIds.length > 0) {
-        const { data: sections } = await supabase
-          .from('teachable_sections')
-          .select('teachable_section_id, name, position')
-          .in('teachable_section_id', sectionIds);
-        for (const s of (sections || [])) sectionsMap[s.teachable_section_id] = s;
-      }
+  return { bunnyId, uploadedBytes };
+}
 
-      for (const l of (lectures || [])) {
-        const sec = sectionsMap[l.section_id] || {};
-        sectionNames[l.teachable_lecture_id] = {
-          sectionName: sec.name || '',
-          sectionPos: sec.position || 0,
-          lecturePos: l.position || 0
-        };
-      }
-    }
+// ─── Post-upload verification ───
+// الـ TUS خلص → migration_status = "verifying" لحد ما Bunny يخلّص encoding، وبعدها
+// "done" لو كل الـ checks عدّت (video-verify.js) أو "needs_review" مع الـ issues.
+// migration_verification بيتحفظ فيه source + uploaded bytes من الأول، فلو السيرفر
+// اتعمله restart وهو verifying الـ resume بيعمل verify من غير ما يرفع تاني.
+const VERIFY_CONCURRENCY = parseInt(process.env.VIDEO_VERIFY_CONCURRENCY) || 5;
+const verifyLimiter = createTransferLimiter({ maxParallel: VERIFY_CONCURRENCY });
+
+async function markVerifying(attachmentId, { bunnyId, source = {}, uploadedBytes = null }) {
+  if (!attachmentId) return;
+  await repo.attachments.update(attachmentId, {
+    bunny_video_id: bunnyId,
+    bunny_playback_url: `https://${BUNNY_CDN_HOST}/${bunnyId}/playlist.m3u8`,
+    bunny_thumbnail_url: `https://${BUNNY_CDN_HOST}/${bunnyId}/thumbnail.jpg`,
+    migration_status: 'verifying',
+    migration_error: null,
+    migration_verification: {
+      size_source: source.size || null,
+      duration_source: source.durationSeconds || null,
+      size_uploaded: uploadedBytes,
+    },
+  });
+}
 
-    // رتب الـ attachments بـ section + lecture position
-    const sortedAttachments = [...(attachments || [])].sort((a, b) => {
-      const sa = sectionNames[a.lecture_id] || {};
-      const sb = sectionNames[b.lecture_id] || {};
-      if (sa.sectionPos !== sb.sectionPos) return sa.sectionPos - sb.sectionPos;
-      return sa.lecturePos - sb.lecturePos;
+// ─── verifyMigratedVideo ───
+// بيرجع نتيجة verifyBunnyVideo بعد ما يسجلها على الـ attachment (لو مش interrupted)
+async function verifyMigratedVideo({ attachmentId, bunnyId, source = {}, uploadedBytes = null, cancelled, onStatus }) {
+  const release = await verifyLimiter.acquire();
+  let result;
+  try {
+    result = await verifyBunnyVideo({
+      libraryId: BUNNY_LIBRARY_ID,
+      apiKey: BUNNY_STREAM_KEY,
+      cdnHost: BUNNY_CDN_HOST,
+      videoId: bunnyId,
+      source,
+      uploadedBytes,
+      cancelled,
+      onStatus,
     });
+  } finally {
+    release();
+  }
+  if (result.verdict === 'interrupted' || !attachmentId) return result;
+
+  const { error } = await repo.attachments.update(attachmentId, {
+    migration_status: result.verdict,
+    migration_error: result.issues.join(' | ') || null,
+    migration_verification: { ...result.checks, issues: result.issues, verified_at: result.verified_at },
+    migrated_at: result.verdict === 'done' ? new Date().toISOString() : null,
+  });
+  if (error) throw new Error('Supabase error: ' + error.message);
 
-    // جمّع Drive files في groups بالاسم مرتبة بالـ folderPath
-    const driveGroups = {};
-    for (const f of driveFiles) {
-      const key = f.name.toLowerCase();
-      if (!driveGroups[key]) driveGroups[key] = [];
-      driveGroups[key].push(f);
+  if (result.verdict === 'needs_review') {
+    console.warn(`[Verify] ${bunnyId} needs review:`, result.issues.join(' | '));
+  }
+  return result;
+}
+
+// ─── listDriveVideos ───
+// كل الفيديوهات في الفولدر والسب-فولدرات — folderPath = المسار من الفولدر الأساسي
+async function listDriveVideos(folderId, accessToken, folderPath = '') {
+  const result = await fetch(
+    `https://www.googleapis.com/drive/v3/files?q=${encodeURIComponent(`'${folderId}' in parents and trashed = false`)}&fields=files(id,name,size,mimeType,videoMediaMetadata(durationMillis))&pageSize=500&orderBy=name`,
+    { headers: { 'Authorization': 'Bearer ' + accessToken } }
+  );
+  const data = await result.json();
+  if (data.error) throw new Error('Drive: ' + (data.error.message || data.error.code));
+  let videos = [];
+  for (const f of (data.files || [])) {
+    if (f.mimeType === 'application/vnd.google-apps.folder') {
+      const sub = await listDriveVideos(f.id, accessToken, folderPath ? folderPath + '/' + f.name : f.name);
+      videos = videos.concat(sub);
+    } else if (f.mimeType?.includes('video/') || f.name?.match(/\.(mp4|mkv|avi|mov|wmv)$/i)) {
+      videos.push({ ...f, folderPath, durationSeconds: sourceFromDriveFile(f).durationSeconds });
+    }
+  }
+  return videos;
+}
+
+// ─── loadCourseVideoLectures ───
+// كل فيديوهات الكورس (أي status) + بيانات الدرس والـ section + آخر timestamp في الـ transcript
+// → نفس شكل الـ lectures اللي matchLectures مستنياه
+async function loadCourseVideoLectures(courseId) {
+  const { data: attachments, error: attErr } = await repo.attachments.videosForCourse(courseId, {
+    select: 'id, teachable_attachment_id, name, lecture_id, migration_status, bunny_video_id, migration_verification',
+  });
+  if (attErr) throw new Error('Supabase error: ' + attErr.message);
+
+  const lectureIds = [...new Set((attachments || []).map(a => a.lecture_id).filter(Boolean))];
+  const lecturesMap = {};
+  const transcriptEnd = {};
+  if (lectureIds.length > 0) {
+    const { data: lectures } = await repo.lectures.byTeachableIds(lectureIds, { select: 'teachable_lecture_id, name, position, section_id' });
+
+    const sectionIds = [...new Set((lectures || []).map(l => l.section_id).filter(Boolean))];
+    const sectionsMap = {};
+    if (sectionIds.length > 0) {
+      const { data: sections } = await repo.sections.byTeachableIds(sectionIds);
+      for (const sec of (sections || [])) sectionsMap[sec.teachable_section_id] = sec;
     }
-    // رتب كل group بالـ folderPath
-    for (const key of Object.keys(driveGroups)) {
-      driveGroups[key].sort((a, b) => (a.folderPath || '').localeCompare(b.folderPath || ''));
+    for (const l of (lectures || [])) {
+      const sec = sectionsMap[l.section_id] || {};
+      lecturesMap[l.teachable_lecture_id] = {
+        name: l.name,
+        position: l.position || 0,
+        sectionName: sec.name || '',
+        sectionPosition: sec.position || 0,
+      };
     }
 
-    // counter لكل اسم عشان نوزع الـ duplicates بالترتيب
-    const driveGroupCounters = {};
+    const { data: chunks } = await repo.chunks.forLectures(lectureIds, { select: 'teachable_lecture_id, timestamp_start' });
+    for (const c of (chunks || [])) {
+      const sec = parseClock(c.timestamp_start);
+      if (sec != null) transcriptEnd[c.teachable_lecture_id] = Math.max(transcriptEnd[c.teachable_lecture_id] || 0, sec);
+    }
+  }
 
-    // 3. جيب أو اعمل Collection في Bunny
-    const collectionGuid = await getOrCreateBunnyCollection(courseId, courseName);
+  return (attachments || []).map(att => {
+    const lecture = lecturesMap[att.lecture_id] || {};
+    return {
+      id: att.id,
+      attachment: att,
+      fileName: att.name,
+      lectureName: lecture.name || '',
+      sectionName: lecture.sectionName || '',
+      sectionPosition: lecture.sectionPosition || 0,
+      lecturePosition: lecture.position || 0,
+      minDurationSeconds: transcriptEnd[att.lecture_id] || null,
+    };
+  });
+}
 
-    // 4. ارفع كل فيديو من الـ DB (pending فقط) مرتبين بـ section + lecture
-    for (const att of sortedAttachments) {
-      if (!courseMigState.running) break;
+// ─── matchCourseVideos ───
+// Drive ↔ lectures عن طريق lecture-matcher.js مع الـ overrides المحفوظة للكورس.
+// الـ preview والـ course_video_migration بيستخدموا نفس الدالة — اللي بتشوفه في المعاينة هو اللي بيترفع
+async function matchCourseVideos({ courseId, folderId, accessToken }) {
+  const [driveFiles, lectures, overridesRes] = await Promise.all([
+    listDriveVideos(folderId, accessToken),
+    loadCourseVideoLectures(courseId),
+    repo.videoMatches.overrides(courseId),
+  ]);
+  const overrides = overridesRes.data || [];
+  const { matches, unmatchedFiles } = matchLectures({ lectures, files: driveFiles, overrides });
+  const lectureById = new Map(lectures.map(l => [String(l.id), l]));
+  return {
+    driveFiles,
+    overrides,
+    unmatchedFiles,
+    matches: matches.map(m => ({ ...m, lecture: lectureById.get(String(m.lecture_id)) })),
+  };
+}
 
-      const key = att.name.toLowerCase();
-      const group = driveGroups[key] || [];
-      const idx = driveGroupCounters[key] || 0;
-      const driveFile = group[idx];
-      driveGroupCounters[key] = idx + 1;
+// Runner (job type "course_video_migration"): يرفع كل فيديوهات فولدر لكورس معين
+// الـ accessToken بتاع Drive في ctx.secrets بس (مش بيتحفظ) — بعد restart لازم retry بـ token جديد.
+//
+// الفيديوهات بتترفع بالتوازي (runPool — concurrency + retry لكل ملف) تحت الـ uploadLimiter.
+// المطابقة (matchCourseVideos) بتتحسب على كل فيديوهات الكورس مع الـ overrides،
+// فالـ resume (اللي بيرفع الـ pending بس) بيطلع نفس التوزيع اللي في المعاينة.
+// Checkpoint = { files: { attachmentId: { bunnyId, tus } } } — الفيديو اللي وقف في النص بيكمل من نفس البايت.
+// بعد الرفع كل فيديو بيعدي على verifyMigratedVideo (من غير ما يمسك مكان في الـ uploadLimiter):
+// done = اتأكد منه، needs_review = فيه mismatch. اللي كان verifying وقت الـ restart بيتعمله verify بس.
+jobs.register("course_video_migration", async (job, ctx) => {
+  const { courseId, courseName = 'Unknown', folderId } = ctx.payload;
+  const accessToken = ctx.secrets.accessToken;
+  if (!courseId || !folderId) throw permanent('courseId و folderId مطلوبين');
+  if (!accessToken) throw permanent('accessToken مش موجود (السيرفر اتعمله restart؟) — اعمل retry بـ token جديد');
+
+  const concurrency = Math.max(1, parseInt(ctx.payload.concurrency) || migrationLimits.maxParallel);
+  const priorityIds = (ctx.payload.priorityIds || []).map(String);
+
+  const s = ctx.progress;
+  if (s.done === undefined) Object.assign(s, { courseId, courseName, folderId, total: 0, done: 0, failed: 0, current: null, bytes_total: 0, bytes_done: 0 });
+  s.needs_review = s.needs_review || 0;
+  s.verifying = 0;
+  const cp = ctx.checkpoint || {};
+  cp.files = cp.files || {};
+  const active = {};     // attachmentId → { name, sent, total }
+
+  const syncActive = () => {
+    s.active = Object.values(active);
+    s.current = s.active.map(a => a.name).join('، ') || null;
+    s.bytes_done = s.bytes_finished + s.active.reduce((n, a) => n + (a.sent || 0), 0);
+  };
 
-      courseMigState.current = att.name;
+  // الـ verification بيشتغل في الخلفية والـ pool بيكمل رفع — بنستنى الكل في الآخر
+  const verifications = [];
+  const verify = (att, opts) => {
+    s.verifying++;
+    verifications.push(
+      verifyMigratedVideo({ attachmentId: att.id, ...opts, cancelled: ctx.cancelled })
+        .then((r) => {
+          if (r.verdict === 'done') s.done++;
+          if (r.verdict === 'needs_review') {
+            s.needs_review++;
+            ctx.error({ file: att.name, error: 'needs_review: ' + r.issues.join(' | '), review: true });
+          }
+        })
+        .catch((e) => ctx.error({ file: att.name, error: 'verification: ' + e.message }))
+        .finally(() => { s.verifying--; ctx.report(); })
+    );
+  };
 
-      if (!driveFile) {
-        courseMigState.errors.push(`${att.name}: مش موجود في Drive`);
-        courseMigState.failed++;
-        continue;
-      }
+  // 1+2. Drive files ↔ فيديوهات الكورس (أي status عشان التوزيع يفضل ثابت)
+  const { driveFiles, matches } = await matchCourseVideos({ courseId, folderId, accessToken });
 
-      try {
-        console.log('[CourseMig] Uploading:', driveFile.name);
-
-        // لو مكرر ضيف suffix
-        const isDuplicate = (driveGroups[att.name.toLowerCase()] || []).length > 1;
-        const bunnyTitle = isDuplicate 
-          ? att.name.replace(/(\.\w+)$/, `_${driveGroupCounters[att.name.toLowerCase()]}$1`)
-          : driveFile.name;
-
-        // Step A: اعمل video entry في Bunny
-        const createBunnyRes = await fetch(
-          `https://video.bunnycdn.com/library/${BUNNY_LIBRARY_ID}/videos`,
-          {
-            method: 'POST',
-            headers: { 'AccessKey': BUNNY_STREAM_KEY, 'Content-Type': 'application/json' },
-            body: JSON.stringify({ title: bunnyTitle, collectionId: collectionGuid })
-          }
-        );
-        if (!createBunnyRes.ok) throw new Error('Bunny create failed: ' + createBunnyRes.status);
-        const bunnyVideo = await createBunnyRes.json();
-        const bunnyId = bunnyVideo.guid;
-
-        // Step B: حمّل من Drive مباشرة كـ stream بالـ accessToken
-        const driveStream = await fetch(
-          `https://www.googleapis.com/drive/v3/files/${driveFile.id}?alt=media`,
-          { headers: { 'Authorization': 'Bearer ' + accessToken } }
-        );
-        if (!driveStream.ok) throw new Error('Drive download failed: ' + driveStream.status);
-
-        // Step C: ارفع على Bunny مباشرة (stream)
-        const contentLength = driveStream.headers.get('content-length');
-        const uploadRes = await fetch(
-          `https://video.bunnycdn.com/library/${BUNNY_LIBRARY_ID}/videos/${bunnyId}`,
-          {
-            method: 'PUT',
-            headers: {
-              'AccessKey': BUNNY_STREAM_KEY,
-              'Content-Type': 'video/mp4',
-              ...(contentLength ? { 'Content-Length': contentLength } : {})
-            },
-            body: driveStream.body,
-            duplex: 'half'
-          }
-        );
-        if (!uploadRes.ok) throw new Error('Bunny upload failed: ' + uploadRes.status);
-
-        // Step D: حدّث Supabase
-        const playbackUrl = `https://${BUNNY_CDN_HOST}/${bunnyId}/playlist.m3u8`;
-        const thumbnailUrl = `https://${BUNNY_CDN_HOST}/${bunnyId}/thumbnail.jpg`;
-        await supabase
-          .from('teachable_attachments')
-          .update({
-            bunny_video_id: bunnyId,
-            bunny_playback_url: playbackUrl,
-            bunny_thumbnail_url: thumbnailUrl,
-            migration_status: 'done',
-            migrated_at: new Date().toISOString()
-          })
-          .eq('id', att.id);
-
-        courseMigState.done++;
-        console.log('[CourseMig] Done:', driveFile.name, '->', bunnyId);
+  if (driveFiles.length === 0) {
+    throw permanent('مفيش فيديوهات في الفولدر ده — تأكد من الـ Folder ID والـ Share');
+  }
 
-      } catch (err) {
-        courseMigState.errors.push(`${att.name}: ${err.message}`);
-        courseMigState.failed++;
-        console.error('[CourseMig] Failed:', att.name, err.message);
+  // اسم الملف متكرر في Drive → suffix بترتيب الفولدر في عنوان Bunny
+  const sameName = {};
+  for (const f of [...driveFiles].sort((a, b) => (a.folderPath || '').localeCompare(b.folderPath || ''))) {
+    (sameName[f.name.toLowerCase()] = sameName[f.name.toLowerCase()] || []).push(f.id);
+  }
 
-        // سجّل الخطأ في الداتابيز
-        try {
-          await supabase
-            .from('teachable_attachments')
-            .update({ migration_status: 'error', migration_error: err.message })
-            .eq('id', att.id);
-        } catch(e) {}
-      }
+  // 3. الخطة: الـ pending بس بيترفع، والـ verifying بيتعمله verify
+  const plan = [];
+  const toVerify = [];   // اترفعوا قبل كده ومستنيين verification
+  for (const m of matches) {
+    const att = m.lecture.attachment;
+    if (att.migration_status === 'verifying' && att.bunny_video_id) {
+      toVerify.push(att);
+      continue;
     }
+    if (att.migration_status !== 'pending' || m.source === 'skipped') continue;
+
+    const group = m.file ? sameName[m.file.name.toLowerCase()] : [];
+    const bunnyTitle = group.length > 1
+      ? m.file.name.replace(/(\.\w+)$/, `_${group.indexOf(m.file.id) + 1}$1`)
+      : (m.file || {}).name;
+    plan.push({
+      att,
+      driveFile: m.file,
+      bunnyTitle,
+      confidence: m.confidence,
+      priority: priorityIds.includes(String(att.id)) ? 1 : 0,
+    });
+  }
 
-  } catch (err) {
-    courseMigState.errors.push('خطأ عام: ' + err.message);
-    console.error('[CourseMig] Fatal:', err.message);
-  } finally {
-    courseMigState.running    = false;
-    courseMigState.current    = null;
-    courseMigState.finishedAt = new Date().toISOString();
+  // bytes_finished = أحجام الملفات اللي خلصت (من runs قبل كده كمان) — أساس الـ ETA
+  s.total = s.done + s.failed + s.needs_review + toVerify.length + plan.length;
+  s.bytes_finished = s.bytes_finished || 0;
+  s.bytes_total = s.bytes_finished + plan.reduce((n, p) => n + (parseInt(p.driveFile?.size) || 0), 0);
+  s.bytes_at_run_start = s.bytes_finished;
+  s.run_started_at = new Date().toISOString();
+  s.concurrency = concurrency;
+  await ctx.report();
+
+  for (const att of toVerify) {
+    const v = att.migration_verification || {};
+    verify(att, {
+      bunnyId: att.bunny_video_id,
+      source: { size: v.size_source, durationSeconds: v.duration_source },
+      uploadedBytes: v.size_uploaded ?? null,
+    });
   }
-}
+
+  // 4. جيب أو اعمل Collection في Bunny
+  const collectionGuid = await getOrCreateBunnyCollection(courseId, courseName);
+
+  // 5. ارفع بالتوازي — كل ملف ليه retries لوحده
+  const results = await runPool(plan, async ({ att, driveFile, bunnyTitle }, { attempt }) => {
+    if (!driveFile) throw permanent('مش موجود في Drive');
+
+    const size = parseInt(driveFile.size) || 0;
+    active[att.id] = { name: att.name, sent: 0, total: size, attempt };
+    syncActive();
+    console.log(`[CourseMig] Uploading (attempt ${attempt}):`, driveFile.name);
+
+    try {
+      const { bunnyId, uploadedBytes } = await uploadVideoFromDrive({
+        driveFileId: driveFile.id,
+        accessToken,
+        title: bunnyTitle,
+        collectionId: collectionGuid,
+        state: cp.files[att.id] || {},
+        onState: (state) => {
+          cp.files[att.id] = state;
+          return ctx.save(cp);
+        },
+        onProgress: (sent) => {
+          active[att.id].sent = sent;
+          syncActive();
+          ctx.report();
+        },
+      });
+
+      // حدّث Supabase → verifying، والـ done/needs_review بعد الـ verification
+      const source = { size: driveFile.size, durationSeconds: driveFile.durationSeconds };
+      await markVerifying(att.id, { bunnyId, source, uploadedBytes });
+
+      delete cp.files[att.id];
+      await ctx.save(cp);
+      s.bytes_finished += size;
+      console.log('[CourseMig] Uploaded:', driveFile.name, '->', bunnyId, '(verifying)');
+      verify(att, { bunnyId, source, uploadedBytes });
+    } finally {
+      delete active[att.id];
+      syncActive();
+      await ctx.report();
+    }
+  }, {
+    concurrency,
+    retries: migrationLimits.retries,
+    limiter: uploadLimiter,
+    cancelled: ctx.cancelled,
+    onRetry: (item, err, attempt) => console.warn(`[CourseMig] Retry ${item.att.name} after attempt ${attempt}:`, err.message),
+  });
+
+  // الفاشل بعد كل المحاولات يتسجل في الداتابيز
+  for (const r of results.filter(r => !r.ok && !r.skipped)) {
+    ctx.error({ file: r.item.att.name, error: r.error.message, attempts: r.attempts });
+    s.failed++;
+    console.error('[CourseMig] Failed:', r.item.att.name, r.error.message);
+    if (!r.item.driveFile) continue; // مش موجود في Drive — يفضل pending لحد ما الملف يتضاف
+    try {
+      await repo.attachments.update(r.item.att.id, { migration_status: 'error', migration_error: r.error.message });
+    } catch(e) {}
+  }
+
+  if (s.verifying) {
+    s.current = 'مستني Bunny encoding / verification';
+    await ctx.report();
+  }
+  await Promise.all(verifications);
+
+  s.current = null;
+  s.active = [];
+  return { done: s.done, failed: s.failed, needs_review: s.needs_review, total: s.total };
+}, { maxAttempts: 2, baseBackoffMs: 60000 });
 
 // GET /api/admin/video-migration/courses
 // جيب الكورسات اللي عندها فيديوهات pending
-app.get('/api/admin/video-migration/courses', adminAuth, async (req, res) => {
+app.get('/api/admin/video-migration/courses', adminAuth("read"), async (req, res) => {
   try {
     // جيب distinct course_ids من RPC عشان نتخطى الـ 1000 limit
     const { data: pending, error } = await supabase
@@ -3993,29 +5245,12 @@ app.get('/api/admin/video-migration/courses', adminAuth, async (req, res) => {
 
     if (error) {
       // fallback: جيب بـ pagination
-      let allPending = [];
-      let page = 0;
-      const pageSize = 1000;
-      while (true) {
-        const { data: batch } = await supabase
-          .from('teachable_attachments')
-          .select('course_id')
-          .eq('kind', 'video')
-          .eq('migration_status', 'pending')
-          .range(page * pageSize, (page + 1) * pageSize - 1);
-        if (!batch || batch.length === 0) break;
-        allPending = allPending.concat(batch);
-        if (batch.length < pageSize) break;
-        page++;
-      }
+      const { data: pendingRows } = await repo.attachments.pendingVideoCourses();
+      const allPending = pendingRows || [];
       const courseIds = [...new Set(allPending.map(r => r.course_id))];
       if (!courseIds.length) return res.json({ courses: [] });
 
-      const { data: courses } = await supabase
-        .from('teachable_courses')
-        .select('teachable_course_id, name, image_url')
-        .in('teachable_course_id', courseIds)
-        .order('name');
+      const { data: courses } = await repo.courses.byTeachableIds(courseIds, { select: 'teachable_course_id, name, image_url', orderByName: true });
 
       const result = (courses || []).map(c => ({
         ...c,
@@ -4027,11 +5262,7 @@ app.get('/api/admin/video-migration/courses', adminAuth, async (req, res) => {
     const courseIds = [...new Set((pending || []).map(r => r.course_id))];
     if (!courseIds.length) return res.json({ courses: [] });
 
-    const { data: courses } = await supabase
-      .from('teachable_courses')
-      .select('teachable_course_id, name, image_url')
-      .in('teachable_course_id', courseIds)
-      .order('name');
+    const { data: courses } = await repo.courses.byTeachableIds(courseIds, { select: 'teachable_course_id, name, image_url', orderByName: true });
 
     const result = (courses || []).map(c => ({
       ...c,
@@ -4045,33 +5276,157 @@ app.get('/api/admin/video-migration/courses', adminAuth, async (req, res) => {
 });
 
 // POST /api/admin/video-migration/start
-app.post('/api/admin/video-migration/start', adminAuth, async (req, res) => {
-  const { courseId, courseName, folderId, accessToken } = req.body;
+// Body: { courseId, courseName, folderId, accessToken, concurrency?, priorityIds?: [attachmentId] }
+app.post('/api/admin/video-migration/start', adminAuth("migration"), audit("video_migration", { target: (req) => req.body?.courseId }), async (req, res) => {
+  const { courseId, courseName, folderId, accessToken, concurrency, priorityIds } = req.body;
   if (!courseId || !folderId) return res.status(400).json({ error: 'courseId و folderId مطلوبين' });
   if (!accessToken) return res.status(400).json({ error: 'accessToken مطلوب' });
-  if (courseMigState.running) return res.status(400).json({ error: 'في migration شغال دلوقتي' });
 
-  runCourseMigration(courseId, courseName || 'Unknown', folderId, accessToken); // background
-  res.json({ success: true, message: 'بدأ الرفع في الخلفية' });
+  try {
+    const { job, existing } = await jobs.enqueue('course_video_migration',
+      {
+        courseId,
+        courseName: courseName || 'Unknown',
+        folderId,
+        concurrency: parseInt(concurrency) || null,
+        priorityIds: Array.isArray(priorityIds) ? priorityIds : [],
+      },
+      { createdBy: jobCreator(req), secrets: { accessToken }, unique: true });
+    if (existing) return res.status(400).json({ error: 'في migration شغال دلوقتي' });
+    res.json({ success: true, message: 'بدأ الرفع في الخلفية', job_id: job.id });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // GET /api/admin/video-migration/status
-app.get('/api/admin/video-migration/status', adminAuth, (req, res) => {
-  const percent = courseMigState.total > 0
-    ? Math.round(((courseMigState.done + courseMigState.failed) / courseMigState.total) * 100)
-    : 0;
-  res.json({ ...courseMigState, percent });
+// نفس شكل الـ state القديم (video-migration.html) — errors كـ strings — + bytes/rate/ETA للكورس كله
+app.get('/api/admin/video-migration/status', adminAuth("read"), async (req, res) => {
+  try {
+    const job = await jobs.latest('course_video_migration');
+    const s = jobLegacyState(job, { courseId: null, courseName: null, folderId: null, total: 0, done: 0, failed: 0, needs_review: 0, verifying: 0, current: null, active: [] });
+    const running = !!job && ['queued', 'running'].includes(job.status);
+    const percent = s.total > 0
+      ? Math.round(((s.done + s.failed + s.needs_review) / s.total) * 100)
+      : 0;
+    res.json({
+      ...s,
+      running,
+      finishedAt: s.completedAt,
+      errors: s.errors.map(e => (e.file ? `${e.file}: ${e.error}` : e.error)),
+      percent,
+      transfer: transferEta({
+        bytesTotal: s.bytes_total || 0,
+        bytesDone: s.bytes_done || 0,
+        runStartedAt: running ? s.run_started_at : null,
+        bytesAtRunStart: s.bytes_at_run_start || 0,
+      }),
+      limits: uploadLimiter.stats(),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // POST /api/admin/video-migration/stop
-app.post('/api/admin/video-migration/stop', adminAuth, (req, res) => {
-  courseMigState.running = false;
-  res.json({ success: true, message: 'تم إيقاف الـ migration' });
+app.post('/api/admin/video-migration/stop', adminAuth("migration"), audit("video_migration"), async (req, res) => {
+  try {
+    const job = await jobs.latest('course_video_migration');
+    if (job) await jobs.cancel(job.id);
+    res.json({ success: true, message: 'تم إيقاف الـ migration' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET/PUT /api/admin/video-migration/limits
+// Body: { max_parallel?, max_mbps? } — بيتطبق على طول على كل الـ uploads (لحد الـ restart؛ الدايم في الـ env)
+app.get('/api/admin/video-migration/limits', adminAuth("read"), (req, res) => {
+  res.json({ success: true, limits: uploadLimiter.stats(), file_retries: migrationLimits.retries });
+});
+
+app.put('/api/admin/video-migration/limits', adminAuth("migration"), audit("video_migration"), (req, res) => {
+  const { max_parallel, max_mbps } = req.body || {};
+  const maxParallel = max_parallel != null ? parseInt(max_parallel) : null;
+  if (maxParallel != null && !(maxParallel >= 1 && maxParallel <= MAX_UPLOAD_PARALLEL)) {
+    return res.status(400).json({ success: false, error: `max_parallel لازم بين 1 و ${MAX_UPLOAD_PARALLEL}` });
+  }
+  if (max_mbps != null && !(parseFloat(max_mbps) >= 0)) {
+    return res.status(400).json({ success: false, error: 'max_mbps لازم رقم (0 = من غير سقف)' });
+  }
+  uploadLimiter.configure({
+    maxParallel,
+    bytesPerSecond: max_mbps != null ? mbpsToBytes(max_mbps) : null,
+  });
+  if (maxParallel != null) migrationLimits.maxParallel = maxParallel;
+  res.json({ success: true, limits: uploadLimiter.stats() });
+});
+
+// GET /api/admin/video-migration/verification?courseId=&status=
+// الفيديوهات اللي الـ verification مقبلهاش (needs_review) أو لسه مستنية Bunny (verifying)،
+// متجمعة بالكورس مع الـ issues والأرقام (مدة/حجم) اللي اتقارنت
+const VERIFICATION_STATUSES = ['needs_review', 'verifying'];
+
+app.get('/api/admin/video-migration/verification', adminAuth("read"), async (req, res) => {
+  try {
+    const { courseId } = req.query;
+    const statuses = req.query.status ? String(req.query.status).split(',') : VERIFICATION_STATUSES;
+    if (statuses.some(st => !VERIFICATION_STATUSES.includes(st))) {
+      return res.status(400).json({ success: false, error: `status لازم من: ${VERIFICATION_STATUSES.join(', ')}` });
+    }
+
+    const { data: rows, error } = await repo.attachments.videosByStatus(statuses, {
+      select: 'id, name, course_id, lecture_id, bunny_video_id, bunny_playback_url, migration_status, migration_error, migration_verification',
+      courseId,
+    });
+    if (error) throw new Error(error.message);
+
+    const courseIds = [...new Set(rows.map(r => r.course_id))];
+    const courseNames = {};
+    if (courseIds.length) {
+      const { data: courses } = await repo.courses.byTeachableIds(courseIds, { select: 'teachable_course_id, name' });
+      for (const c of (courses || [])) courseNames[c.teachable_course_id] = c.name;
+    }
+
+    const byCourse = {};
+    for (const r of rows) {
+      const c = byCourse[r.course_id] || (byCourse[r.course_id] = {
+        course_id: r.course_id,
+        course_name: courseNames[r.course_id] || null,
+        needs_review: 0,
+        verifying: 0,
+        videos: [],
+      });
+      c[r.migration_status]++;
+      const v = r.migration_verification || {};
+      c.videos.push({
+        attachment_id: r.id,
+        name: r.name,
+        lecture_id: r.lecture_id,
+        bunny_video_id: r.bunny_video_id,
+        playback_url: r.bunny_playback_url,
+        status: r.migration_status,
+        issues: v.issues || (r.migration_error ? r.migration_error.split(' | ') : []),
+        checks: v,
+      });
+    }
+
+    const courses = Object.values(byCourse).sort((a, b) => b.needs_review - a.needs_review || b.verifying - a.verifying);
+    res.json({
+      success: true,
+      total: rows.length,
+      needs_review: rows.filter(r => r.migration_status === 'needs_review').length,
+      verifying: rows.filter(r => r.migration_status === 'verifying').length,
+      courses,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
 // GET /api/admin/video-migration/drive-folders
 // جيب الفولدرات من Drive
-app.get('/api/admin/video-migration/drive-folders', adminAuth, async (req, res) => {
+app.get('/api/admin/video-migration/drive-folders', adminAuth("read"), async (req, res) => {
   try {
     const drive = getDriveClient();
     const parentId = req.query.parentId || null;
@@ -4108,332 +5463,346 @@ app.get('/api/admin/video-migration/drive-folders', adminAuth, async (req, res)
   }
 });
 
-// GET /api/admin/video-migration/preview
-// معاينة المطابقة بين فيديوهات الفولدر والدروس في الكورس
-app.post('/api/admin/video-migration/preview', adminAuth, async (req, res) => {
+// POST /api/admin/video-migration/preview?courseId=&folderId=
+// معاينة المطابقة بين فيديوهات الفولدر والدروس في الكورس (lecture-matcher.js):
+// كل درس pending معاه الملف المقترح + confidence + alternatives، والأدمن يصلّح بـ PUT /matches
+app.post('/api/admin/video-migration/preview', adminAuth("migration"), async (req, res) => {
   try {
     const { courseId, folderId } = req.query;
     const accessToken = req.body?.accessToken;
     if (!courseId || !folderId) return res.status(400).json({ error: 'courseId و folderId مطلوبين' });
     if (!accessToken) return res.status(400).json({ error: 'accessToken مطلوب' });
 
-    // جيب كل الفيديوهات من الفولدر وكل السب-فولدرات recursively
-    async function getVideosRecursive(fId, path = '') {
-      const result = await fetch(
-        `https://www.googleapis.com/drive/v3/files?q=${encodeURIComponent(`'${fId}' in parents and trashed = false`)}&fields=files(id,name,size,mimeType)&pageSize=500&orderBy=name`,
-        { headers: { 'Authorization': 'Bearer ' + accessToken } }
-      );
-      const data = await result.json();
-      const files = data.files || [];
-      let videos = [];
-      for (const f of files) {
-        if (f.mimeType === 'application/vnd.google-apps.folder') {
-          const sub = await getVideosRecursive(f.id, path ? path + '/' + f.name : f.name);
-          videos = videos.concat(sub);
-        } else if (f.mimeType?.includes('video/') || f.name?.match(/\.(mp4|mkv|avi|mov|wmv)$/i)) {
-          videos.push({ ...f, folderPath: path });
-        }
-      }
-      return videos;
-    }
+    const { driveFiles, matches, unmatchedFiles } = await matchCourseVideos({ courseId, folderId, accessToken });
 
-    const driveVideos = await getVideosRecursive(folderId);
-
-    // جيب الـ attachments من Supabase
-    const { data: attachments } = await supabase
-      .from('teachable_attachments')
-      .select('id, teachable_attachment_id, name, lecture_id, migration_status')
-      .eq('course_id', courseId)
-      .eq('kind', 'video');
-
-    // جيب أسماء الدروس مع section position
-    const lectureIds = [...new Set((attachments || []).map(a => a.lecture_id))];
-    let lecturesMap = {};
-    if (lectureIds.length > 0) {
-      const { data: lectures } = await supabase
-        .from('teachable_lectures')
-        .select('teachable_lecture_id, name, position, section_id')
-        .in('teachable_lecture_id', lectureIds);
-
-      // جيب الـ sections
-      const sectionIds = [...new Set((lectures || []).map(l => l.section_id).filter(Boolean))];
-      let sectionsMap = {};
-      if (sectionIds.length > 0) {
-        const { data: sections } = await supabase
-          .from('teachable_sections')
-          .select('teachable_section_id, position')
-          .in('teachable_section_id', sectionIds);
-        for (const s of (sections || [])) {
-          sectionsMap[s.teachable_section_id] = s.position;
-        }
-      }
-
-      for (const l of (lectures || [])) {
-        lecturesMap[l.teachable_lecture_id] = {
-          name: l.name,
-          position: l.position,
-          sectionPosition: sectionsMap[l.section_id] || 0
-        };
-      }
-    }
-
-    // عمل map من اسم الملف للـ Drive file
-    const driveMap = {};
-    for (const f of driveVideos) {
-      const key = f.name.toLowerCase();
-      if (driveMap[key]) {
-        const ext = f.name.lastIndexOf('.') > 0 ? f.name.slice(f.name.lastIndexOf('.')) : '';
-        const base = f.name.slice(0, f.name.lastIndexOf('.') > 0 ? f.name.lastIndexOf('.') : f.name.length);
-        let counter = 2;
-        let newKey = `${base}-repeated${ext}`.toLowerCase();
-        while (driveMap[newKey]) { newKey = `${base}-repeated${counter}${ext}`.toLowerCase(); counter++; }
-        driveMap[newKey] = { ...f, name: `${base}-repeated${ext}` };
-      } else {
-        driveMap[key] = f;
-      }
-    }
-
-    // بناء الـ preview من جهة DB
     const matched = [];
     const unmatched_db = [];
-
-    for (const att of (attachments || [])) {
+    const skipped = [];
+    for (const m of matches) {
+      const att = m.lecture.attachment;
       if (att.migration_status !== 'pending') continue;
-      const driveFile = driveMap[att.name.toLowerCase()];
-      if (driveFile) {
-        const lecture = lecturesMap[att.lecture_id] || {};
-        matched.push({
-          driveFile: driveFile.name,
-          driveId: driveFile.id,
-          folderPath: driveFile.folderPath || '',
-          dbFile: att.name,
-          lectureName: lecture.name || '—',
-          lecturePosition: lecture.position || 0,
-          sectionPosition: lecture.sectionPosition || 0,
-          attachmentId: att.id,
-          status: att.migration_status
-        });
-      } else {
-        const lecture = lecturesMap[att.lecture_id] || {};
-        unmatched_db.push({
-          dbFile: att.name,
-          lectureName: lecture.name || '—',
-          lecturePosition: lecture.position || 0
-        });
-      }
+      const row = {
+        attachmentId: att.id,
+        dbFile: att.name,
+        lectureName: m.lecture.lectureName || '—',
+        lecturePosition: m.lecture.lecturePosition,
+        sectionPosition: m.lecture.sectionPosition,
+        sectionName: m.lecture.sectionName,
+        status: att.migration_status,
+        confidence: m.confidence,
+        level: m.level,
+        source: m.source,
+        breakdown: m.breakdown,
+        alternatives: m.alternatives,
+      };
+      if (m.source === 'skipped') skipped.push(row);
+      else if (m.file) matched.push({ ...row, driveFile: m.file.name, driveId: m.file.id, folderPath: m.file.folderPath });
+      else unmatched_db.push(row);
     }
 
-    // الفيديوهات الزيادة في Drive
-    const dbNames = new Set((attachments || []).map(a => a.name.toLowerCase()));
-    const unmatched_drive = driveVideos
-      .filter(f => !dbNames.has(f.name.toLowerCase()))
-      .map(f => ({ name: f.name, folderPath: f.folderPath || '' }));
-
-    // رتب الـ matched بالـ position
-    matched.sort((a, b) => 
-      a.sectionPosition !== b.sectionPosition 
-        ? a.sectionPosition - b.sectionPosition 
-        : a.lecturePosition - b.lecturePosition
-    );
-
     res.json({
-      total_drive:    driveVideos.length,
-      total_db:       (attachments || []).filter(a => a.migration_status === 'pending').length,
-      matched:        matched,
-      already_done:   (attachments || []).filter(a => a.migration_status === 'done').length,
-      unmatched_drive,
-      unmatched_db
+      total_drive:    driveFiles.length,
+      total_db:       matches.filter(m => m.lecture.attachment.migration_status === 'pending').length,
+      matched,
+      already_done:   matches.filter(m => m.lecture.attachment.migration_status === 'done').length,
+      needs_review:   matched.filter(m => m.level === 'low' || m.level === 'medium').length,
+      unmatched_drive: unmatchedFiles.map(f => ({ id: f.id, name: f.name, folderPath: f.folderPath })),
+      unmatched_db,
+      skipped,
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Migration state
-const migrationJobs = new Map(); // jobId -> state
-
-// POST /api/migrate/video
-// Body: { driveFileId, driveToken, videoTitle, attachmentId }
-app.post('/api/migrate/video', adminAuth, async (req, res) => {
-  const { driveFileId, driveToken, videoTitle, attachmentId } = req.body;
-  if (!driveFileId || !driveToken) {
-    return res.status(400).json({ error: 'driveFileId and driveToken required' });
+// GET /api/admin/video-migration/matches?courseId=
+// PUT /api/admin/video-migration/matches  Body: { courseId, attachmentId, driveFileId, driveFileName?, folderPath? }
+//   driveFileId = null → الدرس ملوش فيديو (المطابقة مش هتقترح له حاجة تاني)
+// DELETE /api/admin/video-migration/matches/:attachmentId?courseId=  → يرجع للمطابقة الأوتوماتيك
+app.get('/api/admin/video-migration/matches', adminAuth("read"), async (req, res) => {
+  try {
+    if (!req.query.courseId) return res.status(400).json({ success: false, error: 'courseId مطلوب' });
+    const { data, error } = await repo.videoMatches.overrides(req.query.courseId);
+    if (error) throw new Error(error.message);
+    res.json({ success: true, overrides: data || [] });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
   }
+});
 
-  const jobId = Date.now() + '-' + Math.random().toString(36).slice(2);
-  migrationJobs.set(jobId, { status: 'starting', progress: 0, error: null, bunnyId: null });
-
-  res.json({ jobId, message: 'Migration started' });
-
-  // Run in background
-  runMigrationJob(jobId, driveFileId, driveToken, videoTitle, attachmentId).catch(err => {
-    const job = migrationJobs.get(jobId);
-    if (job) { job.status = 'failed'; job.error = err.message; }
-    console.error('[Migrate] Job failed:', err.message);
-  });
+app.put('/api/admin/video-migration/matches', adminAuth("migration"), audit("video_match", { target: (req) => req.body?.attachmentId }), async (req, res) => {
+  try {
+    const { courseId, attachmentId, driveFileId = null, driveFileName = null, folderPath = null } = req.body || {};
+    if (!courseId || !attachmentId) return res.status(400).json({ success: false, error: 'courseId و attachmentId مطلوبين' });
+    const now = new Date().toISOString();
+    const { data, error } = await repo.videoMatches.setOverride({
+      course_id: courseId,
+      attachment_id: attachmentId,
+      drive_file_id: driveFileId,
+      drive_file_name: driveFileId ? driveFileName : null,
+      folder_path: driveFileId ? (folderPath || '') : null,
+      created_by: jobCreator(req),
+      updated_at: now,
+    });
+    if (error) throw new Error(error.message);
+    res.json({ success: true, override: data });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
-// GET /api/migrate/status/:jobId
-app.get('/api/migrate/status/:jobId', adminAuth, (req, res) => {
-  const job = migrationJobs.get(req.params.jobId);
-  if (!job) return res.status(404).json({ error: 'Job not found' });
-  res.json(job);
+app.delete('/api/admin/video-migration/matches/:attachmentId', adminAuth("migration"), audit("video_match", { target: (req) => req.params.attachmentId }), async (req, res) => {
+  try {
+    if (!req.query.courseId) return res.status(400).json({ success: false, error: 'courseId مطلوب' });
+    const { error } = await repo.videoMatches.clearOverride(req.query.courseId, req.params.attachmentId);
+    if (error) throw new Error(error.message);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
-// POST /api/migrate/batch
-// Body: { videos: [{driveFileId, driveToken, videoTitle, attachmentId}] }
-app.post('/api/migrate/batch', adminAuth, async (req, res) => {
-  const { videos, concurrency = 2 } = req.body;
-  if (!videos || !videos.length) return res.status(400).json({ error: 'videos array required' });
+// Single-video migrations (job type "video_migration") — driveToken في ctx.secrets بس.
+// Checkpoint = bunnyId بعد ما الـ video entry يتعمل (الـ retry مش بيعمل video مكرر في Bunny)
+// + الـ TUS session عشان الرفع يكمل من نفس البايت.
+// التوازي والـ bytes/s من uploadLimiter — نفس السقف بتاع الكورسات.
+// بعد الرفع: uploadedBytes + source في الـ checkpoint → job "video_verify" (الـ retry مش بيرفع تاني)
+// والـ video_migration بيخلص على طول — الـ verification مش بيمسك مكان من أماكن الـ uploads.
+const MIGRATE_STAGE_STATUS = { queued: 'queued', completed: 'done', failed: 'failed', cancelled: 'failed' };
+
+// verifyJob = الـ video_verify بتاع الـ job (لو اتعمل) — الـ status بيفضل verifying لحد ما يخلص
+function migrationJobView(job, verifyJob = null) {
+  const p = job.progress || {};
+  const verifying = job.status === 'completed' && verifyJob && ['queued', 'running'].includes(verifyJob.status);
+  const verifyFailed = verifyJob && ['failed', 'cancelled'].includes(verifyJob.status);
+  return {
+    jobId: job.id,
+    status: verifying ? 'verifying' : (job.status === 'running' ? (p.stage || 'starting') : MIGRATE_STAGE_STATUS[job.status]),
+    progress: job.status === 'completed' ? (verifying ? 95 : 100) : (p.progress || 0),
+    error: job.error || null,
+    bunnyId: p.bunnyId || null,
+    title: job.payload?.videoTitle,
+    priority: job.priority || 0,
+    totalBytes: p.totalBytes,
+    sentBytes: p.sentBytes,
+    playbackUrl: job.result?.playbackUrl,
+    verification: verifyJob?.result?.verification || (verifyFailed ? 'error' : job.result?.verification) || null,
+    issues: verifyJob?.result?.issues || (verifyFailed && verifyJob.error ? [verifyJob.error] : []),
+    verifyJobId: job.result?.verifyJobId || null,
+    attempts: job.attempts,
+  };
+}
 
-  const batchId = 'batch-' + Date.now();
-  const jobs = videos.map(v => {
-    const jobId = batchId + '-' + Math.random().toString(36).slice(2);
-    migrationJobs.set(jobId, { status: 'queued', progress: 0, error: null, bunnyId: null, title: v.videoTitle });
-    return { jobId, ...v };
+function enqueueVideoVerify({ attachmentId, bunnyId, source, uploadedBytes, videoTitle, migrationJobId, batchId = null }) {
+  return jobs.enqueue('video_verify', { attachmentId, bunnyId, source, uploadedBytes, videoTitle, migrationJobId }, { group: batchId });
+}
+
+function enqueueVideoMigration(req, { driveFileId, driveToken, videoTitle, attachmentId, priority = 0 }, batchId = null) {
+  return jobs.enqueue('video_migration', { driveFileId, videoTitle, attachmentId, batchId, priority: Number(priority) || 0 }, {
+    createdBy: jobCreator(req),
+    secrets: { driveToken },
+    priority,
+    group: batchId,
   });
+}
 
-  res.json({ batchId, jobs: jobs.map(j => ({ jobId: j.jobId, title: j.videoTitle })) });
+// POST /api/migrate/video
+// Body: { driveFileId, driveToken, videoTitle, attachmentId, priority? }
+app.post('/api/migrate/video', adminAuth("migration"), audit("video_migration", { target: (req) => req.body?.attachmentId || req.body?.driveFileId }), async (req, res) => {
+  const { driveFileId, driveToken } = req.body;
+  if (!driveFileId || !driveToken) {
+    return res.status(400).json({ error: 'driveFileId and driveToken required' });
+  }
 
-  // Run with concurrency limit
-  const queue = [...jobs];
-  const runNext = async () => {
-    if (!queue.length) return;
-    const job = queue.shift();
-    await runMigrationJob(job.jobId, job.driveFileId, job.driveToken, job.videoTitle, job.attachmentId);
-    await runNext();
-  };
-  const workers = Array(Math.min(concurrency, jobs.length)).fill(null).map(runNext);
-  Promise.all(workers).then(() => console.log('[Migrate] Batch complete:', batchId));
+  try {
+    const { job } = await enqueueVideoMigration(req, req.body);
+    res.json({ jobId: job.id, message: 'Migration started' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-async function runMigrationJob(jobId, driveFileId, driveToken, videoTitle, attachmentId) {
-  const job = migrationJobs.get(jobId);
-  if (!job) return;
-
+// GET /api/migrate/status/:jobId
+app.get('/api/migrate/status/:jobId', adminAuth("read"), async (req, res) => {
   try {
-    // Step 1: Create video object in Bunny
-    job.status = "creating";
-    console.log("[Migrate] Creating Bunny video:", videoTitle);
+    const { data: job } = await jobs.get(req.params.jobId);
+    if (!job || job.type !== 'video_migration') return res.status(404).json({ error: 'Job not found' });
+    const { data: verifyJob } = job.result?.verifyJobId ? await jobs.get(job.result.verifyJobId) : { data: null };
+    res.json(migrationJobView(job, verifyJob));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const createRes = await fetch(
-      `https://video.bunnycdn.com/library/${BUNNY_LIBRARY_ID}/videos`,
-      {
-        method: "POST",
-        headers: {
-          AccessKey: BUNNY_STREAM_KEY,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ title: videoTitle || "Untitled" }),
-      },
-    );
+// POST /api/migrate/batch
+// Body: { videos: [{driveFileId, driveToken, videoTitle, attachmentId, priority?}] }
+// التوازي من uploadLimiter (السقف مشترك للسيرفر كله) — بيتغيّر من PUT /api/admin/video-migration/limits بس
+app.post('/api/migrate/batch', adminAuth("migration"), audit("video_migration"), async (req, res) => {
+  const { videos } = req.body;
+  if (!videos || !videos.length) return res.status(400).json({ error: 'videos array required' });
 
-    if (!createRes.ok) {
-      throw new Error("Bunny create failed: " + createRes.status);
+  try {
+    const batchId = 'batch-' + Date.now();
+    const queued = [];
+    for (const v of videos) {
+      const { job } = await enqueueVideoMigration(req, v, batchId);
+      queued.push({ jobId: job.id, title: v.videoTitle });
     }
-    const bunnyVideo = await createRes.json();
-    const bunnyId = bunnyVideo.guid;
-    job.bunnyId = bunnyId;
-
-    // Step 2: Download from Google Drive (with virus-scan bypass for large files)
-    job.status = "downloading";
-    job.progress = 5;
-    console.log("[Migrate] Downloading from Drive:", driveFileId);
+    res.json({ batchId, jobs: queued, check_status: `/api/migrate/batch/${batchId}` });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const driveUrl =
-      `https://www.googleapis.com/drive/v3/files/${driveFileId}` +
-      `?alt=media&acknowledgeAbuse=true`;
+// GET /api/migrate/batch/:batchId
+// الإجمالي: عدد الملفات لكل status + bytes + ETA للـ batch كله
+app.get('/api/migrate/batch/:batchId', adminAuth("read"), async (req, res) => {
+  try {
+    const { data: batchJobs, error } = await jobs.list({ type: 'video_migration', group: req.params.batchId, limit: 1000 });
+    if (error) throw new Error(error.message);
+    if (!batchJobs || !batchJobs.length) return res.status(404).json({ error: 'Batch not found' });
+
+    const { data: verifyJobs } = await jobs.list({ type: 'video_verify', group: req.params.batchId, limit: 1000 });
+    const verifyById = new Map((verifyJobs || []).map(j => [String(j.id), j]));
+    const views = batchJobs.map(j => migrationJobView(j, verifyById.get(String(j.result?.verifyJobId)) || null));
+    const counts = {};
+    for (const v of views) counts[v.status] = (counts[v.status] || 0) + 1;
+
+    // الملفات اللي لسه مبدأتش حجمها مش معروف — بنقدّره بمتوسط اللي اتعرف
+    const known = views.filter(v => v.totalBytes);
+    const avgSize = known.length ? known.reduce((n, v) => n + v.totalBytes, 0) / known.length : 0;
+    const bytesTotal = Math.round(views.reduce((n, v) => n + (v.totalBytes || (v.status === 'failed' ? 0 : avgSize)), 0));
+    const bytesDone = views.reduce((n, v) => n + (['done', 'verifying'].includes(v.status) ? (v.totalBytes || 0) : (v.sentBytes || 0)), 0);
+    const startedAt = batchJobs.map(j => j.started_at).filter(Boolean).sort()[0] || null;
+    const finished = views.every(v => ['done', 'failed'].includes(v.status));
 
-    const driveRes = await fetch(driveUrl, {
-      headers: { Authorization: "Bearer " + driveToken },
+    res.json({
+      batchId: req.params.batchId,
+      total: views.length,
+      counts,
+      finished,
+      percent: bytesTotal > 0 ? Math.min(100, Math.round((bytesDone / bytesTotal) * 100)) : 0,
+      transfer: transferEta({ bytesTotal, bytesDone, runStartedAt: finished ? null : startedAt }),
+      limits: uploadLimiter.stats(),
+      jobs: views,
     });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (!driveRes.ok) {
-      const text = await driveRes.text().catch(() => "");
-      throw new Error(`Drive download failed: ${driveRes.status} ${text}`);
-    }
+jobs.register('video_migration', async (job, ctx) => {
+  const { driveFileId, videoTitle, attachmentId } = ctx.payload;
+  const driveToken = ctx.secrets.driveToken;
+  if (!driveFileId) throw permanent('driveFileId required');
 
-    // Verify we got binary, not an HTML warning page
-    const contentType = driveRes.headers.get("content-type") || "";
-    if (contentType.includes("text/html")) {
-      throw new Error(
-        "Drive returned HTML (likely virus-scan warning). " +
-          "Ensure the OAuth user owns the file, or switch to a service account.",
-      );
-    }
+  const p = ctx.progress;
+  const cp = ctx.checkpoint || {};
+  let bunnyId = cp.bunnyId;
 
-    const contentLength = driveRes.headers.get("content-length");
-    const totalBytes = contentLength ? parseInt(contentLength, 10) : 0;
-    if (!totalBytes) {
-      throw new Error(
-        "Drive did not return Content-Length (required for TUS upload)",
-      );
+  // اترفع قبل كده (الـ checkpoint فيه uploadedBytes) → enqueue للـ verification بس، من غير Drive token
+  if (cp.uploadedBytes == null) {
+    if (!driveToken) throw permanent('driveToken مش موجود (السيرفر اتعمله restart؟) — اعمل retry بـ token جديد');
+
+    // مستني مكان تحت max_parallel (الأعلى priority الأول)
+    await ctx.report({ stage: 'waiting', progress: p.progress || 0 });
+    const release = await uploadLimiter.acquire(ctx.payload.priority || 0);
+    try {
+      // Step 1: Bunny video entry (مرة واحدة — بعد كده من الـ checkpoint)
+      // Step 2+3: Drive → Bunny عن طريق TUS. الـ session (upload URL + offset) بتتحفظ في الـ checkpoint
+      // بعد كل chunk — بعد restart الـ upload بيكمل من الـ offset اللي Bunny عنده (HEAD)
+      // والـ Drive download بيبدأ بـ Range من نفس البايت
+      await ctx.report({ stage: cp.tus ? 'resuming' : (cp.bunnyId ? 'downloading' : 'creating'), progress: p.progress || 0 });
+      console.log("[Migrate] Drive → Bunny TUS:", driveFileId, videoTitle);
+
+      const uploaded = await uploadVideoFromDrive({
+        driveFileId,
+        accessToken: driveToken,
+        title: videoTitle,
+        state: cp,
+        onState: (state) => {
+          Object.assign(cp, state);
+          p.bunnyId = state.bunnyId;
+          if (state.tus) p.totalBytes = state.tus.totalBytes;
+          return ctx.save(cp);
+        },
+        onProgress: (sent, total) => {
+          // Map 10% → 90% of the overall job progress to the upload phase
+          ctx.report({ stage: 'uploading', sentBytes: sent, progress: Math.min(90, 10 + Math.floor((sent / total) * 80)) });
+        },
+      });
+      bunnyId = uploaded.bunnyId;
+      cp.uploadedBytes = uploaded.uploadedBytes;
+    } finally {
+      release();
     }
-    console.log(
-      "[Migrate] File size:",
-      (totalBytes / 1024 / 1024).toFixed(1) + " MB",
-    );
 
-    // Step 3: TUS resumable upload to Bunny
-    job.status = "uploading";
-    job.progress = 10;
-    job.totalBytes = totalBytes;
-    console.log("[Migrate] TUS upload to Bunny:", bunnyId);
+    // Step 4: source (حجم + مدة من Drive) → Supabase = verifying
+    cp.source = await driveFileMeta({ fileId: driveFileId, accessToken: driveToken })
+      .catch(() => ({ size: cp.tus?.totalBytes || null, durationSeconds: null }));
+    await ctx.save(cp);
+    await markVerifying(attachmentId, { bunnyId, source: cp.source, uploadedBytes: cp.uploadedBytes });
+  }
 
-    await uploadToBunnyTus({
-      bodyStream: driveRes.body,
-      totalBytes,
-      bunnyVideoId: bunnyId,
-      libraryId: BUNNY_LIBRARY_ID,
-      apiKey: BUNNY_STREAM_KEY,
-      title: videoTitle,
-      onProgress: (sent, total) => {
-        job.sentBytes = sent;
-        // Map 10% → 90% of the overall job progress to the upload phase
-        job.progress = Math.min(90, 10 + Math.floor((sent / total) * 80));
-      },
+  // Step 5: Bunny encoding + duration/size/playlist checks → job "video_verify" (done أو needs_review)
+  if (!cp.verifyJobId) {
+    const { job: verifyJob } = await enqueueVideoVerify({
+      attachmentId,
+      bunnyId,
+      source: cp.source || {},
+      uploadedBytes: cp.uploadedBytes,
+      videoTitle,
+      migrationJobId: job.id,
+      batchId: ctx.payload.batchId || null,
     });
+    cp.verifyJobId = verifyJob.id;
+    await ctx.save(cp);
+  }
 
-    job.progress = 95;
-    job.status = "processing";
-
-    // Step 4: Update Supabase
-    if (attachmentId) {
-      const playbackUrl = `https://${BUNNY_CDN_HOST}/${bunnyId}/playlist.m3u8`;
-      await supabase
-        .from("teachable_attachments")
-        .update({
-          bunny_video_id: bunnyId,
-          bunny_playback_url: playbackUrl,
-          migration_status: "done",
-          migrated_at: new Date().toISOString(),
-        })
-        .eq("id", attachmentId);
-    }
+  const playbackUrl = `https://${BUNNY_CDN_HOST}/${bunnyId}/playlist.m3u8`;
+  p.progress = 100;
+  console.log("[Migrate] Uploaded:", videoTitle, "->", bunnyId, "(verifying)");
+  return { bunnyId, playbackUrl, verification: 'verifying', verifyJobId: cp.verifyJobId };
+}, { maxAttempts: 1 + migrationLimits.retries, concurrency: MAX_UPLOAD_PARALLEL });
+
+// Verification بعد video_migration — lightweight: بيستنى Bunny encoding (لحد VIDEO_VERIFY_TIMEOUT_MIN)
+// من غير ما يمسك مكان في الـ uploads ولا في JOB_WORKERS. الـ restart بيعمل verify تاني من الـ payload.
+jobs.register('video_verify', async (job, ctx) => {
+  const { attachmentId, bunnyId, source = {}, uploadedBytes = null, videoTitle } = ctx.payload;
+  if (!bunnyId) throw permanent('bunnyId required');
+
+  await ctx.report({ stage: 'verifying' });
+  const result = await verifyMigratedVideo({
+    attachmentId,
+    bunnyId,
+    source,
+    uploadedBytes,
+    cancelled: ctx.cancelled,
+    onStatus: (st) => ctx.report({ bunnyStatus: st.status, encodeProgress: st.encode_progress }),
+  });
 
-    job.status = "done";
-    job.progress = 100;
-    job.playbackUrl = `https://${BUNNY_CDN_HOST}/${bunnyId}/playlist.m3u8`;
-    console.log("[Migrate] Done:", videoTitle, "->", bunnyId);
-  } catch (err) {
-    job.status = "failed";
-    job.error = err.message;
-    console.error("[Migrate] Failed:", videoTitle, err.message);
-  }
-}
+  console.log("[Verify] Done:", videoTitle || bunnyId, `(${result.verdict})`);
+  return { bunnyId, verification: result.verdict, issues: result.issues, checks: result.checks };
+}, { maxAttempts: 3, baseBackoffMs: 60000, concurrency: VERIFY_CONCURRENCY, lightweight: true });
 
 async function startServer() {
   supabaseConnected = await testSupabaseConnection();
+  await auth.init();
 
-  initShared({ supabase, openai });
-  const ctx = { openai, supabase, limiter, supabaseConnected, adminAuth, adminLoginLimiter };
+  initShared({ supabase, openai, repo, llm, embeddingModels });
+  const ctx = { llm, supabase, repo, limiter, supabaseConnected, adminAuth, adminLoginLimiter, embeddingModels, retriever };
   registerGuideRoutes(app, ctx);
-  registerSalesRoutes(app, { openai, supabase, limiter, adminAuth, adminLoginLimiter });
+  registerSalesRoutes(app, { llm, supabase, repo, limiter, adminAuth, adminLoginLimiter });
+
+  // بعد auth.init — الـ jobs اللي كانت شغالة قبل الـ restart بترجع للـ queue وتكمل
+  jobs.start();
+  webhookQueue.start();
 
   app.listen(PORT, () => {
     console.log(`\n✅ Ziko Server running on port ${PORT}`);
     console.log(`   Supabase: ${supabaseConnected ? "✅" : "❌"}`);
     console.log(`   OpenAI:   ${openai ? "✅" : "❌"}`);
+    console.log(`   LLM:      ${llm.available() ? llm.providerName("guide") : "❌"}`);
   });
 }
 
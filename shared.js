@@ -4,13 +4,24 @@
 
 "use strict";
 
+const { createRepository } = require("./repository");
+const { createLLM } = require("./llm-provider");
+const { createEmbeddingModels } = require("./embedding-models");
+
 /* ═══ Clients (initialized from server.js) ═══ */
+// repo = data-access layer (repository.js) — كل القراءة/الكتابة من هنا
+// llm  = llm-provider.js — كل استدعاءات الـ chat / embeddings
 let supabase = null;
-let openai = null;
+let repo = null;
+let llm = null;
+let embeddingModels = null;
 
 function initShared(clients) {
   supabase = clients.supabase;
-  openai = clients.openai;
+  repo = clients.repo || (clients.supabase ? createRepository(clients.supabase) : null);
+  llm = clients.llm || createLLM({ openai: clients.openai });
+  // model + RPC العمود الـ live للـ semantic search (embedding-models.js)
+  embeddingModels = clients.embeddingModels || createEmbeddingModels({ repo, llm });
 }
 
 /* ═══ Constants ═══ */
@@ -28,6 +39,12 @@ const SUBSCRIPTION_URL = "https://easyt.online/p/subscriptions";
 const PAYMENTS_URL = "https://easyt.online/p/Payments";
 const COURSE_EMBEDDING_MODEL = "text-embedding-ada-002";
 const CHUNK_EMBEDDING_MODEL = "text-embedding-3-small";
+
+// ─── Course search blend ───
+// score = lexical × ilike + similarity × semantic + fuzzyScore × fuzzy
+// بيتغيّر من الـ env: COURSE_SEARCH_WEIGHTS="ilike=1,semantic=300,fuzzy=2"
+const COURSE_SEARCH_WEIGHTS = parseWeights(process.env.COURSE_SEARCH_WEIGHTS, { ilike: 1, semantic: 300, fuzzy: 2 });
+const COURSE_SEMANTIC_THRESHOLD = parseFloat(process.env.COURSE_SEMANTIC_THRESHOLD || "0.78");
 // ═══════════════════════════════════════════════════════════════════
 // MIGRATED TO teachable_courses
 // SCHEMA (verified via SQL on real DB):
@@ -436,9 +453,9 @@ var _cardDipName = /^دبلوم[ةه]?\s/i.test(di.diplomaTitle) ? di.diplomaTit
 
 // ─── logChat ───
 async function logChat(sessionId, role, message, intent, extra = {}) {
-  if (!supabase) return;
+  if (!repo) return;
   try {
-    await supabase.from("chat_logs").insert({
+    await repo.logs.append("chat", {
       session_id: sessionId || "unknown",
       role,
       message,
@@ -446,7 +463,6 @@ async function logChat(sessionId, role, message, intent, extra = {}) {
       entity: null,
       corrected: false,
       metadata: extra,
-      created_at: new Date().toISOString(),
     });
   } catch (e) {
     console.error("logChat error:", e.message);
@@ -523,14 +539,9 @@ async function loadBotInstructions(target = "sales") {
   if (_botInstructionsCache[cacheKey] && Date.now() - _botInstructionsCache[tsKey] < CACHE_TTL) {
     return _botInstructionsCache[cacheKey];
   }
-  if (!supabase) return "";
+  if (!repo) return "";
   try {
-    const { data, error } = await supabase
-      .from("bot_instructions")
-      .select("instruction, priority, category, target")
-      .eq("is_active", true)
-      .in("target", [target, "both"])
-      .order("priority", { ascending: false });
+    const { data, error } = await repo.content.botInstructions(target);
 
     if (error || !data || data.length === 0) return "";
 
@@ -583,16 +594,14 @@ function normalizeArabicName(name) {
 
 // ─── getInstructors ───
 async function getInstructors() {
-  if (!supabase) return [];
+  if (!repo) return [];
   if (instructorCache.data && Date.now() - instructorCache.ts < CACHE_TTL) {
     return instructorCache.data;
   }
   try {
     // MIGRATED: instructors → teachable_authors
     // Aliases keep old field names (image, courses_link) for backward compatibility
-    const { data } = await supabase
-      .from("teachable_authors")
-      .select("id, name, title, image_url, link, bio");
+    const { data } = await repo.instructors.all();
     const normalized = (data || []).map((i) => ({
       id: i.id,
       name: i.name,
@@ -613,12 +622,9 @@ async function getInstructors() {
 
 // ─── loadAllDiplomas ───
 async function loadAllDiplomas() {
-  if (!supabase) return [];
+  if (!repo) return [];
   try {
-    const { data, error } = await supabase
-      .from("diplomas")
-      .select("id, title, link, description, price")
-      .order("title", { ascending: true });
+    const { data, error } = await repo.diplomas.all();
     if (error) return [];
     return data || [];
   } catch (e) {
@@ -639,11 +645,11 @@ async function loadDiplomaCourseMap() {
   if (_diplomaCourseMapCache.data && Date.now() - _diplomaCourseMapCache.ts < DIPLOMA_COURSE_MAP_TTL) {
     return _diplomaCourseMapCache.data;
   }
-  if (!supabase) return { courseToD: {}, dToCourses: {}, diplomaMap: {} };
+  if (!repo) return { courseToD: {}, dToCourses: {}, diplomaMap: {} };
   try {
     const [dcResult, dResult] = await Promise.all([
-      supabase.from("diploma_courses").select("diploma_id, teachable_course_id, course_order").order("course_order", { ascending: true }),
-      supabase.from("diplomas").select("id, title, link, price")
+      repo.diplomas.courseLinks(),
+      repo.diplomas.all({ select: "id, title, link, price" })
     ]);
     const dcRows = dcResult.data || [];
     const diplomas = dResult.data || [];
@@ -700,7 +706,7 @@ async function injectDiplomaInfo(courses) {
 
 // ─── getDiplomaWithCourses ───
 async function getDiplomaWithCourses(diplomaIdOrTitle) {
-  if (!supabase) return null;
+  if (!repo) return null;
   try {
     var map = await loadDiplomaCourseMap();
     var dToCourses = map.dToCourses;
@@ -735,7 +741,7 @@ async function getDiplomaWithCourses(diplomaIdOrTitle) {
     // dToCourses entries now carry teachableCourseId (bigint)
     var teachableIds = courseEntries.map(function(e) { return e.teachableCourseId; }).filter(function(v) { return v != null; });
     if (teachableIds.length === 0) return { diploma: diploma, courses: [] };
-    var result = await supabase.from("teachable_courses").select(COURSE_SELECT_COLS).in("teachable_course_id", teachableIds);
+    var result = await repo.courses.byTeachableIds(teachableIds, { select: COURSE_SELECT_COLS });
     var courses = normalizeCourses(result.data);
     var orderMap = {};
     courseEntries.forEach(function(e) { orderMap[String(e.teachableCourseId)] = e.courseOrder; });
@@ -834,11 +840,9 @@ async function loadAllCorrections() {
   if (correctionCache.data && Date.now() - correctionCache.ts < CORRECTION_CACHE_TTL) {
     return correctionCache.data;
   }
-  if (!supabase) return [];
+  if (!repo) return [];
   try {
-    const { data, error } = await supabase
-      .from("corrections")
-      .select("id, original_question, user_message, corrected_reply, correct_course_ids, original_reply, created_at");
+    const { data, error } = await repo.content.corrections();
     if (error) {
       console.error("❌ loadAllCorrections error:", error.message);
       return correctionCache.data || []; // stale أحسن من فاضي
@@ -857,11 +861,9 @@ async function loadAllFAQs() {
   if (faqCache.data && Date.now() - faqCache.ts < FAQ_CACHE_TTL) {
     return faqCache.data;
   }
-  if (!supabase) return [];
+  if (!repo) return [];
   try {
-    const { data, error } = await supabase
-      .from("faq")
-      .select("id, section, question, answer");
+    const { data, error } = await repo.content.faqs();
     if (error) {
       console.error("❌ loadAllFAQs error:", error.message);
       return faqCache.data || [];
@@ -942,10 +944,9 @@ function isWordBoundaryMatch(textNorm, term) {
 
 // ─── fuzzySearchFallback ───
 async function fuzzySearchFallback(terms) {
-  if (!supabase) return [];
+  if (!repo) return [];
   try {
-    const { data: all, error } = await supabase
-      .from("teachable_courses").select(COURSE_SELECT_COLS).limit(500);
+    const { data: all, error } = await repo.courses.all({ select: COURSE_SELECT_COLS });
     if (error || !all) return [];
     // Normalize to legacy shape (title, subtitle, image, instructor_id, link)
     const normalized = normalizeCourses(all);
@@ -985,9 +986,48 @@ async function fuzzySearchFallback(terms) {
   } catch (e) { return []; }
 }
 
+// ─── parseWeights ───
+// "ilike=1,semantic=300" → { ilike: 1, semantic: 300 } فوق الـ defaults
+function parseWeights(spec, defaults) {
+  const out = { ...defaults };
+  for (const part of String(spec || "").split(",")) {
+    const [k, v] = part.split("=").map((x) => (x || "").trim());
+    if (k && k in out && v !== "" && !isNaN(Number(v))) out[k] = Number(v);
+  }
+  return out;
+}
+
+// ─── semanticCourseMatches ───
+// Map(teachable_course_id → similarity) من match_courses
+async function semanticCourseMatches(queryText) {
+  const matches = new Map();
+  if (!repo || !llm || !llm.available("course_embedding") || !queryText) return matches;
+  try {
+    const { embedding, column } = await embeddingModels.queryVector("courses", queryText.substring(0, 2000));
+    const { data, error } = await repo.courses.matchSemantic(embedding, {
+      threshold: COURSE_SEMANTIC_THRESHOLD,
+      count: 15,
+      column,
+    });
+    if (error) {
+      console.error("❌ match_courses:", error.message);
+      return matches;
+    }
+    let legacy = 0;
+    for (const row of data || []) {
+      if (row.teachable_course_id == null) { legacy++; continue; }
+      matches.set(String(row.teachable_course_id), row.similarity);
+    }
+    if (legacy > 0) console.warn(`⚠️ match_courses رجّع ${legacy} صف من غير teachable_course_id — الـ RPC لسه النسخة القديمة؟`);
+  } catch (e) {
+    console.error("Semantic course search error:", e.message);
+  }
+  return matches;
+}
+
 // ─── searchCourses ───
 async function searchCourses(searchTerms, excludeTerms = [], audience = null) {
-  if (!supabase) return [];
+  if (!repo) return [];
 
   const cacheKey =
     "sc:" +
@@ -1000,8 +1040,29 @@ async function searchCourses(searchTerms, excludeTerms = [], audience = null) {
   if (cached) return cached;
 
   try {
+    const { ranked } = await rankCourses(searchTerms, excludeTerms, audience);
+    const result = ranked.slice(0, 15);
+    setCachedSearch(cacheKey, result);
+    return result;
+  } catch (e) {
+    console.error("searchCourses error:", e.message);
+    return [];
+  }
+}
+
+// ─── rankCourses ───
+// ilike (Phase 1/2/3) + semantic (match_courses) + fuzzySearchFallback → score واحد بالـ weights
+// بيرجع { ranked, dropped, terms, weights } — كل كورس معاه _rank (تفاصيل الـ score)
+// searchCourses بياخد ranked بس؛ /admin/debug/course-search بيعرض الكل
+async function rankCourses(searchTerms, excludeTerms = [], audience = null) {
+  const weights = COURSE_SEARCH_WEIGHTS;
+  const dropped = [];
+  const empty = { ranked: [], dropped, terms: [], weights };
+  if (!repo) return empty;
+
 const allTerms = prepareSearchTerms(searchTerms);
-    if (allTerms.length === 0) return [];
+    if (allTerms.length === 0) return empty;
+    empty.terms = allTerms;
 
     // احتفظ بالعبارات الأصلية متعددة الكلمات (زي "تصميم أثاث") كـ phrase كاملة
     const originalPhrases = searchTerms
@@ -1027,25 +1088,16 @@ const cappedIlikeTerms = allIlikeTerms.slice(0, 16);
 // SCHEMA: teachable_courses has no 'domain' column — use name + heading + keywords.
 const coreCols = ["name", "heading", "keywords"];
 
-const coreFilters = cappedIlikeTerms
-  .flatMap((t) => coreCols.map((col) => `${col}.ilike.%${t}%`))
-  .join(",");
-
-console.log("🔤 Core filter conditions:", coreFilters.split(',').length);
+console.log("🔤 Core filter conditions:", cappedIlikeTerms.length * coreCols.length);
 
-    const ilikePromise = supabase
-      .from("teachable_courses")
-      .select(COURSE_SELECT_COLS)
-      .or(coreFilters)
-      .limit(30);
+    const ilikePromise = repo.courses.search({
+      terms: cappedIlikeTerms,
+      columns: coreCols,
+      select: COURSE_SELECT_COLS,
+    });
 
-    // Semantic search via match_courses RPC.
-    // RPC returns rows like { id: <uuid from legacy courses table>, similarity }.
-    // match_courses RPC returns legacy UUIDs that can no longer be resolved to
-    // teachable_courses rows (after courses/lessons/instructors cleanup). Disabling
-    // the semantic call entirely to avoid a wasted OpenAI embedding + RPC hit.
-    // Re-enable this once the RPC is rewritten to return teachable_course_id (bigint).
-    const semanticPromise = Promise.resolve([]);
+    // Semantic search via match_courses RPC (teachable_course_id + similarity)
+    const semanticPromise = semanticCourseMatches(searchTerms.join(" "));
 
 const [ilikeResult, semanticResults] = await Promise.all([
       ilikePromise,
@@ -1059,22 +1111,21 @@ const [ilikeResult, semanticResults] = await Promise.all([
 
     let allCourses = error ? [] : (courses || []);
     console.log(`🔍 Phase 1 (title/keywords) got ${allCourses.length} results`);
+    let lexicalPhase = allCourses.length > 0 ? "title/keywords" : null;
 
 // 🔧 Phase 2: لو مفيش نتايج — وسع للـ description
     if (allCourses.length === 0) {
       console.log(`🔍 Phase 2 — expanding to description...`);
       // SCHEMA: only use columns that actually exist on teachable_courses
       const deepCols = ["name", "heading", "description", "keywords"];
-      const deepFilters = cappedIlikeTerms
-        .flatMap((t) => deepCols.map((col) => `${col}.ilike.%${t}%`))
-        .join(",");
-      const { data: deepResults } = await supabase
-        .from("teachable_courses")
-        .select(COURSE_SELECT_COLS)
-        .or(deepFilters)
-        .limit(30);
+      const { data: deepResults } = await repo.courses.search({
+        terms: cappedIlikeTerms,
+        columns: deepCols,
+        select: COURSE_SELECT_COLS,
+      });
       if (deepResults && deepResults.length > 0) {
         allCourses = deepResults;
+        lexicalPhase = "description";
         console.log(`🔍 Phase 2 got ${deepResults.length} results`);
       }
     }
@@ -1088,47 +1139,46 @@ const [ilikeResult, semanticResults] = await Promise.all([
         "syllabus", "objectives", "keywords",
       ];
       const deepIlikeTerms = expandArabicVariants(limitedTerms).slice(0, 10);
-      const deepFilters = deepIlikeTerms
-        .flatMap((t) => deepCols.map((col) => `${col}.ilike.%${t}%`))
-        .join(",");
 
-      const { data: deepResults } = await supabase
-        .from("teachable_courses")
-        .select(COURSE_SELECT_COLS)
-        .or(deepFilters)
-        .limit(30);
+      const { data: deepResults } = await repo.courses.search({
+        terms: deepIlikeTerms,
+        columns: deepCols,
+        select: COURSE_SELECT_COLS,
+      });
 
       if (deepResults && deepResults.length > 0) {
         const existingIds = new Set(allCourses.map(c => c.id));
         const newResults = deepResults.filter(c => !existingIds.has(c.id));
         allCourses = [...allCourses, ...newResults];
+        if (newResults.length > 0) lexicalPhase = "syllabus/objectives";
         console.log(`🔍 Phase 2 added ${newResults.length} deep results`);
       }
     }
 
-    // semanticMap: key = legacy UUID (as returned by match_courses RPC), value = similarity.
-    // We bridge from UUID → name by querying the legacy `courses` table once,
-    // then attach similarity scores to currently fetched teachable_courses rows
-    // whose `name` equals a legacy `title`.
-    const semanticMap = new Map();
-    const nameToSim = new Map();  // name (lowercased) -> similarity
-
-    if (semanticResults.length > 0) {
-      semanticResults.forEach((s) => {
-        if (s && s.id != null) semanticMap.set(String(s.id), s.similarity);
-      });
-
-      // NOTE: match_courses RPC returns legacy UUIDs that no longer exist in any table
-      // (after the courses/lessons/instructors cleanup). Semantic scoring and seeding
-      // via RPC are therefore disabled. The ilike-based Phase 1/2/3 search still works.
-      // If you regenerate the match_courses RPC to return teachable_course_id (bigint),
-      // you can re-enable semantic scoring here.
+    // ═══ Semantic: كورسات الـ ilike ماجابهاش → نجيب صفوفها ═══
+    const lexicalIds = new Set(allCourses.map((c) => String(c.teachable_course_id)));
+    const missingSemantic = [...semanticResults.keys()].filter((id) => !lexicalIds.has(id));
+    if (missingSemantic.length > 0) {
+      const { data: semRows, error: semErr } = await repo.courses.byTeachableIds(missingSemantic, { select: COURSE_SELECT_COLS });
+      if (semErr) console.error("❌ semantic rows:", semErr.message);
+      allCourses = [...allCourses, ...(semRows || [])];
     }
-
-    if (allCourses.length === 0) {
-      return await fuzzySearchFallback(allTerms);
+    console.log(`🧠 Semantic: ${semanticResults.size} matches (${missingSemantic.length} new)`);
+
+    // ═══ Fuzzy: لو الـ ilike جاب أقل من 3 ═══
+    const fuzzyMap = new Map();
+    if (lexicalIds.size < 3) {
+      const fuzzy = await fuzzySearchFallback(allTerms);
+      const have = new Set(allCourses.map((c) => String(c.teachable_course_id)));
+      for (const f of fuzzy) {
+        const key = String(f.teachable_course_id);
+        fuzzyMap.set(key, f.relevanceScore);
+        if (!have.has(key)) allCourses.push(f);
+      }
     }
 
+    if (allCourses.length === 0) return empty;
+
     // Normalize all courses to legacy shape (title, subtitle, image, instructor_id, link)
     // so the rest of the scoring / filtering code keeps working unchanged.
     allCourses = normalizeCourses(allCourses);
@@ -1171,15 +1221,20 @@ const [ilikeResult, semanticResults] = await Promise.all([
         return true;
       });
 
-      if (relevant.length >= 2) filtered = relevant;
+      if (relevant.length >= 2) {
+        allCourses.filter((c) => !relevant.includes(c)).forEach((c) => dropped.push({ course: c, reason: "domain filter" }));
+        filtered = relevant;
+      }
     }
 
     if (excludeTerms.length > 0) {
       filtered = allCourses.filter((c) => {
         const tn = normalizeArabic((c.title || "").toLowerCase());
-        return !excludeTerms.some((ex) =>
+        const excluded = excludeTerms.some((ex) =>
           tn.includes(normalizeArabic(ex.toLowerCase()))
         );
+        if (excluded) dropped.push({ course: c, reason: "exclude term" });
+        return !excluded;
       });
     }
 
@@ -1200,7 +1255,10 @@ const [ilikeResult, semanticResults] = await Promise.all([
           return /متقدم|advanced|محترف|pro|احتراف|mastery/.test(combined);
         return true;
       });
-      if (af.length > 0) filtered = af;
+      if (af.length > 0) {
+        filtered.filter((c) => !af.includes(c)).forEach((c) => dropped.push({ course: c, reason: `audience "${audience}"` }));
+        filtered = af;
+      }
     }
 
 const scored = filtered.map((c) => {
@@ -1297,18 +1355,29 @@ if (isWordBoundaryMatch(titleNorm, nt)) {
 
       if (fullQuery.length > 2 && domainNorm.includes(fullQuery)) score += 60;
 
-      // Bridge semantic similarity via course name (teachable_courses has no UUID column).
-      // nameToSim was built above from the match_courses RPC output.
-      const nameKey = ((c.name || c.title || "") + "").toLowerCase().trim();
-      if (nameKey && nameToSim.has(nameKey)) {
-        const semSim = nameToSim.get(nameKey);
-        score += Math.round(semSim * 100);
-        if (score <= Math.round(semSim * 100)) {
-          score += Math.round(semSim * 50);
-        }
-      }
+      const key = String(c.teachable_course_id);
+      const lexical = score;
+      const similarity = semanticResults.get(key) || 0;
+      const fuzzyScore = fuzzyMap.get(key) || 0;
+      score = Math.round(
+        lexical * weights.ilike +
+        similarity * weights.semantic +
+        fuzzyScore * weights.fuzzy
+      );
+      const _rank = {
+        score,
+        lexical,
+        lexical_phase: lexicalIds.has(key) ? lexicalPhase : null,
+        semantic: similarity || null,
+        fuzzy: fuzzyScore || null,
+        contributions: {
+          ilike: Math.round(lexical * weights.ilike),
+          semantic: Math.round(similarity * weights.semantic),
+          fuzzy: Math.round(fuzzyScore * weights.fuzzy),
+        },
+      };
 
-return { ...c, relevanceScore: score, _titleMatch: isTitleMatch };
+return { ...c, relevanceScore: score, _titleMatch: isTitleMatch, _rank };
     });
 
     const finalScored = scored;
@@ -1323,18 +1392,22 @@ return { ...c, relevanceScore: score, _titleMatch: isTitleMatch };
       console.log(`   ${i + 1}. [score=${c.relevanceScore}] ${c.title}${c.domain ? ` (${c.domain})` : ""}`);
     });
 
-    const result = finalFiltered.slice(0, 15);
-    setCachedSearch(cacheKey, result);
-    return result;
-  } catch (e) {
-    console.error("searchCourses error:", e.message);
-    return [];
-  }
+    finalScored
+      .filter((c) => !finalFiltered.includes(c))
+      .forEach((c) => dropped.push({ course: c, reason: `score ${c.relevanceScore} < threshold ${threshold}` }));
+
+    const rankedIds = new Set(finalFiltered.map((c) => String(c.teachable_course_id)));
+    return {
+      ranked: finalFiltered,
+      dropped: dropped.filter((d) => !rankedIds.has(String(d.course.teachable_course_id))),
+      terms: allTerms,
+      weights,
+    };
 }
 
 // ─── searchDiplomas ───
 async function searchDiplomas(searchTerms) {
-  if (!supabase) return [];
+  if (!repo) return [];
 
   const cacheKey = "sd:" + searchTerms.slice().sort().join("|");
   const cached = getCachedSearch(cacheKey);
@@ -1344,20 +1417,13 @@ async function searchDiplomas(searchTerms) {
     let rawResults = [];
 
     // Semantic search
-    if (openai) {
+    if (llm && llm.available("course_embedding")) {
       try {
         const queryText = searchTerms.join(" ");
-const embResponse = await openai.embeddings.create({
-          model: COURSE_EMBEDDING_MODEL,
-          input: queryText,
-        });
-        const { data: semanticResults, error: semErr } = await supabase.rpc(
-          "match_diplomas",
-          {
-            query_embedding: embResponse.data[0].embedding,
-            match_threshold: 0.75,
-            match_count: 8,
-          }
+        const { embedding, column } = await embeddingModels.queryVector("diplomas", queryText);
+        const { data: semanticResults, error: semErr } = await repo.diplomas.matchSemantic(
+          embedding,
+          { threshold: 0.75, count: 8, column }
         );
         if (!semErr && semanticResults && semanticResults.length > 0) {
           rawResults = semanticResults;
@@ -1373,15 +1439,7 @@ const embResponse = await openai.embeddings.create({
   const allTerms = prepareSearchTerms(searchTerms);
   if (allTerms.length > 0) {
     try {
-      const textFilters = allTerms.slice(0, 6)
-        .map(t => `title.ilike.%${t}%`)
-        .join(",");
-
-      const { data: textResults, error: textErr } = await supabase
-        .from("diplomas")
-        .select("id, title, link, description, price")
-        .or(textFilters)
-        .limit(10);
+      const { data: textResults, error: textErr } = await repo.diplomas.search(allTerms.slice(0, 6));
 
       if (!textErr && textResults && textResults.length > 0) {
         // Merge with semantic results (deduplicate)
@@ -1461,7 +1519,7 @@ if (titleMatched.length > 0) {
 
 // ─── searchLessonsInCourses ───
 async function searchLessonsInCourses(searchTerms) {
-  if (!supabase || !searchTerms || searchTerms.length === 0) return [];
+  if (!repo || !searchTerms || searchTerms.length === 0) return [];
 
   const cacheKey = "sl:" + searchTerms.slice().sort().join("|");
   const cached = getCachedSearch(cacheKey);
@@ -1471,9 +1529,6 @@ async function searchLessonsInCourses(searchTerms) {
 const allTerms = prepareSearchTerms(searchTerms);
     if (allTerms.length === 0) return [];
 
-    // MIGRATED: lessons → teachable_lectures (field: name instead of title)
-    const orFilters = allTerms.map((t) => `name.ilike.%${t}%`).join(",");
-
     // الـ terms الأصلية بدون تكسير (للـ word boundary check)
     const originalTerms = searchTerms.map(t => t.toLowerCase().trim()).filter(t => t.length > 2);
 
@@ -1485,11 +1540,9 @@ const allTerms = prepareSearchTerms(searchTerms);
       // - id (bigint)  ← was uuid
       // - name         ← was title
       // - course_id    ← bigint, references teachable_courses.teachable_course_id
-      const { data: lessons, error } = await supabase
-        .from("teachable_lectures")
-        .select("id, name, course_id, teachable_lecture_id")
-        .or(orFilters)
-        .limit(50);
+      const { data: lessons, error } = await repo.lectures.searchByName(allTerms, {
+        select: "id, name, course_id, teachable_lecture_id",
+      });
 
       if (!error) {
         // فلتر بـ word boundary — "work" مش هيطابق "network"
@@ -1534,10 +1587,9 @@ const allTerms = prepareSearchTerms(searchTerms);
 
     // NOTE: courseIds are teachable_course_id (bigint)
     // teachable_lectures.course_id → teachable_courses.teachable_course_id
-    const { data: courses, error: cErr } = await supabase
-      .from("teachable_courses")
-      .select(COURSE_SELECT_COLS)
-      .in("teachable_course_id", courseIds);
+    const { data: courses, error: cErr } = await repo.courses.byTeachableIds(courseIds, {
+      select: COURSE_SELECT_COLS,
+    });
 
     if (cErr || !courses || courses.length === 0) {
       setCachedSearch(cacheKey, []);
@@ -1599,6 +1651,13 @@ function clearFAQCache() {
   faqCache.ts = 0;
 }
 
+// Course / lecture webhooks (Course.updated ...) — نتايج البحث القديمة
+// وخريطة الدبلومات ↔ الكورسات بتتبني تاني من الـ DB
+function clearSearchCache() {
+  searchCache.clear();
+  _diplomaCourseMapCache = { data: null, ts: 0 };
+}
+
 // ─── sessionMemory cleanup ───
 // Prevents unbounded growth of the in-memory sessionMemory map.
 // Periodically evicts sessions that haven't been active for a while,
@@ -1652,7 +1711,7 @@ module.exports = {
   normalizeArabicName, getInstructors, loadAllDiplomas, loadDiplomaCourseMap,
   injectDiplomaInfo, getDiplomaWithCourses, getCachedSearch, setCachedSearch,
   expandArabicVariants, loadAllCorrections, loadAllFAQs,
-  searchCourses, searchDiplomas, searchLessonsInCourses,
+  searchCourses, rankCourses, COURSE_SEARCH_WEIGHTS, searchDiplomas, searchLessonsInCourses,
   normalizeCourse, normalizeCourses,
   normalizeLecture, normalizeLectures,
   ALL_COURSES_URL, ALL_DIPLOMAS_URL, SUBSCRIPTION_URL,
@@ -1660,5 +1719,5 @@ module.exports = {
   CATEGORIES, WHATSAPP_SUPPORT_LINK,
   BASIC_STOP_WORDS, PAYMENTS_URL, CACHE_TTL, SEARCH_CACHE_TTL, CORRECTION_CACHE_TTL, FAQ_CACHE_TTL,
   gptWithRetry, initShared,
-  clearCorrectionCache, clearFAQCache, cleanupSessionMemory,
+  clearCorrectionCache, clearFAQCache, clearSearchCache, cleanupSessionMemory,
 };
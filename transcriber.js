@@ -0,0 +1,264 @@
+/* ══════════════════════════════════════════════════════════
+   transcriber.js — Speech-to-text for lecture videos (pluggable providers)
+
+   فيديو (Bunny HLS أو Drive) → ffmpeg يطلّع الصوت mono 16kHz على أجزاء
+   (STT_SEGMENT_SECONDS) → provider يعمل transcription لكل جزء → segments
+   بتوقيت مطلق → سطور "[mm:ss - mm:ss] text" (أو h:mm:ss بعد الساعة —
+   نفس الصيغة اللي transcript-parser.js بيفهمها في /api/admin/process-lesson).
+
+   كل جزء بيترفع لوحده (ffmpeg -ss) فالـ job يقدر يكمل من آخر جزء خلص،
+   وحجم كل request تحت الـ 25MB بتاع Whisper API.
+
+   Providers (STT_PROVIDER):
+     openai  → audio.transcriptions (STT_MODEL، الافتراضي whisper-1)
+     local   → أي server Whisper-compatible بنفس الـ API
+               (faster-whisper-server, whisper.cpp server, LocalAI ...)
+               STT_LOCAL_BASE_URL=http://localhost:8000/v1  STT_LOCAL_API_KEY (اختياري)
+     mock    → segments ثابتة من غير أي network (STT_MOCK_TEXT)
+
+   Env:
+     STT_LANGUAGE         (الافتراضي ar)
+     STT_SEGMENT_SECONDS  (الافتراضي 600)
+     FFMPEG_PATH          (الافتراضي ffmpeg من الـ PATH)
+     FFMPEG_TIMEOUT_MS    (الافتراضي 900000 = 15 دقيقة لكل جزء — بعدها ffmpeg بيتقتل)
+
+   Usage:
+     const stt = createTranscriber({ openai });
+     const { segments } = await transcribeMedia({ transcriber: stt, url, headers, durationSeconds });
+     const text = toTranscriptLines(segments);
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const { spawn } = require("child_process");
+const { formatClock } = require("./transcript-parser");
+
+const DEFAULT_SEGMENT_SECONDS = 600;
+const MIN_AUDIO_BYTES = 2048;     // أقل من كده = مفيش صوت (بعد آخر الفيديو)
+const AUDIO_BITRATE = "32k";
+const DEFAULT_FFMPEG_TIMEOUT_MS = 15 * 60 * 1000;
+
+// ─── sttError ───
+// permanent = الـ retry مش هيفيد (provider مش متظبط، ffmpeg مش موجود ...)
+function sttError(message, permanent = false) {
+  const err = new Error(message);
+  if (permanent) err.permanent = true;
+  return err;
+}
+
+/* ═══ Audio extraction ═══ */
+
+// ─── extractAudio ───
+// جزء من الفيديو (start → start+duration) كـ mp3 mono 16kHz في الـ memory
+// headers: { Authorization: "Bearer ..." } للـ Drive
+// timeoutMs: stream واقف (Drive / Bunny مش بيرد) → SIGKILL للـ PID و reject
+function extractAudio({
+  url, headers = null, start = 0, duration = DEFAULT_SEGMENT_SECONDS,
+  ffmpegPath = process.env.FFMPEG_PATH || "ffmpeg",
+  timeoutMs = parseInt(process.env.FFMPEG_TIMEOUT_MS) || DEFAULT_FFMPEG_TIMEOUT_MS,
+}) {
+  const args = ["-hide_banner", "-loglevel", "error", "-nostdin"];
+  if (headers && Object.keys(headers).length) {
+    args.push("-headers", Object.entries(headers).map(([k, v]) => `${k}: ${v}\r\n`).join(""));
+  }
+  if (start > 0) args.push("-ss", String(start));
+  args.push("-i", url, "-t", String(duration), "-vn", "-ac", "1", "-ar", "16000", "-b:a", AUDIO_BITRATE, "-f", "mp3", "pipe:1");
+
+  return new Promise((resolve, reject) => {
+    const proc = spawn(ffmpegPath, args, { stdio: ["ignore", "pipe", "pipe"] });
+    const out = [];
+    let stderr = "";
+    let timedOut = false;
+    // الـ reject هنا مش في close — لو في process تانية ماسكة الـ pipe الـ close مش هييجي
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try { process.kill(proc.pid, "SIGKILL"); } catch (_) { /* خلص خلاص */ }
+      reject(sttError(`ffmpeg timed out after ${Math.round(timeoutMs / 1000)}s (start ${start}s)`));
+    }, timeoutMs);
+    proc.stdout.on("data", (d) => out.push(d));
+    proc.stderr.on("data", (d) => { stderr = (stderr + d).slice(-2000); });
+    proc.on("error", (e) => {
+      clearTimeout(timer);
+      reject(e.code === "ENOENT" ? sttError(`ffmpeg مش موجود (${ffmpegPath}) — ثبّته أو حدد FFMPEG_PATH`, true) : e);
+    });
+    proc.on("close", (code) => {
+      clearTimeout(timer);
+      if (timedOut) return;
+      if (code !== 0) return reject(sttError(`ffmpeg exited ${code}: ${stderr.trim().split("\n").pop() || "unknown error"}`));
+      resolve(Buffer.concat(out));
+    });
+  });
+}
+
+/* ═══ Providers ═══ */
+
+// verbose_json → [{ start, end, text }] (نسبي لأول الجزء)
+function segmentsFrom(resp, partSeconds) {
+  if (resp && Array.isArray(resp.segments) && resp.segments.length) {
+    return resp.segments
+      .map((s) => ({ start: Number(s.start) || 0, end: Number(s.end) || 0, text: String(s.text || "").trim() }))
+      .filter((s) => s.text);
+  }
+  const text = String((resp && resp.text) || "").trim();
+  return text ? [{ start: 0, end: Number(resp.duration) || partSeconds, text }] : [];
+}
+
+// ─── OpenAI ───
+function createOpenAISTT(client, { model = "whisper-1" } = {}) {
+  const { toFile } = require("openai");
+  return {
+    name: "openai",
+    model,
+    async transcribe(audio, { language, prompt, partSeconds }) {
+      const resp = await client.audio.transcriptions.create({
+        file: await toFile(audio, "audio.mp3", { type: "audio/mpeg" }),
+        model,
+        language,
+        prompt,
+        response_format: "verbose_json",
+        timestamp_granularities: ["segment"],
+      });
+      return segmentsFrom(resp, partSeconds);
+    },
+  };
+}
+
+// ─── Whisper-compatible local server ───
+function createLocalSTT({ baseURL, apiKey = null, model = "whisper-1" }) {
+  const endpoint = baseURL.replace(/\/+$/, "") + "/audio/transcriptions";
+  return {
+    name: "local",
+    model,
+    async transcribe(audio, { language, prompt, partSeconds }) {
+      const form = new FormData();
+      form.append("file", new Blob([audio], { type: "audio/mpeg" }), "audio.mp3");
+      form.append("model", model);
+      form.append("response_format", "verbose_json");
+      if (language) form.append("language", language);
+      if (prompt) form.append("prompt", prompt);
+
+      const res = await fetch(endpoint, {
+        method: "POST",
+        headers: apiKey ? { Authorization: "Bearer " + apiKey } : {},
+        body: form,
+      });
+      if (!res.ok) {
+        const text = await res.text().catch(() => "");
+        throw sttError(`Local STT failed: ${res.status} ${text.slice(0, 200)}`, res.status >= 400 && res.status < 500 && res.status !== 429);
+      }
+      return segmentsFrom(await res.json(), partSeconds);
+    },
+  };
+}
+
+// ─── Mock ───
+// جملة واحدة كل 30 ثانية من الجزء — للتجربة من غير provider حقيقي
+function createMockSTT({ text = "نص تجريبي من الـ mock transcriber" } = {}) {
+  const calls = [];
+  return {
+    name: "mock",
+    model: "mock",
+    calls,
+    async transcribe(audio, { partSeconds = DEFAULT_SEGMENT_SECONDS, part = 0 } = {}) {
+      calls.push({ bytes: audio.length, part });
+      const segments = [];
+      for (let t = 0; t < partSeconds; t += 30) {
+        segments.push({ start: t, end: Math.min(t + 30, partSeconds), text: `${text} (${part + 1}.${t / 30 + 1})` });
+      }
+      return segments;
+    },
+  };
+}
+
+/* ═══ createTranscriber ═══ */
+function createTranscriber({ openai = null, env = process.env, providers = {} } = {}) {
+  const registry = { ...providers };
+  const model = env.STT_MODEL || "whisper-1";
+  if (openai && !registry.openai) registry.openai = createOpenAISTT(openai, { model });
+  if (env.STT_LOCAL_BASE_URL && !registry.local) {
+    registry.local = createLocalSTT({ baseURL: env.STT_LOCAL_BASE_URL, apiKey: env.STT_LOCAL_API_KEY, model });
+  }
+  if (!registry.mock && (env.STT_PROVIDER || "").toLowerCase() === "mock") {
+    registry.mock = createMockSTT({ text: env.STT_MOCK_TEXT || undefined });
+  }
+
+  const providerName = (env.STT_PROVIDER || (registry.local ? "local" : "openai")).toLowerCase();
+  const language = env.STT_LANGUAGE || "ar";
+  const segmentSeconds = parseInt(env.STT_SEGMENT_SECONDS) || DEFAULT_SEGMENT_SECONDS;
+
+  function provider() {
+    const p = registry[providerName];
+    if (!p) throw sttError(`STT provider "${providerName}" not configured`, true);
+    return p;
+  }
+
+  return {
+    providerName,
+    language,
+    segmentSeconds,
+    available: () => !!registry[providerName],
+    model: () => provider().model,
+    transcribe: (audio, opts = {}) => provider().transcribe(audio, { language, ...opts }),
+  };
+}
+
+/* ═══ Pipeline ═══ */
+
+// ─── toTranscriptLines ───
+function toTranscriptLines(segments) {
+  return segments
+    .map((s) => `[${formatClock(s.start)} - ${formatClock(s.end)}] ${s.text.replace(/\s+/g, " ").trim()}`)
+    .join("\n");
+}
+
+// ─── transcribeMedia ───
+// done = { [partIndex]: segments } من الـ checkpoint — الأجزاء دي مش بتتعمل تاني
+// onPart(index, segments, { parts }) بيتنادى بعد كل جزء (للـ checkpoint والـ progress)
+async function transcribeMedia({
+  transcriber,
+  url,
+  headers = null,
+  durationSeconds = null,
+  segmentSeconds = transcriber.segmentSeconds,
+  prompt = null,
+  done = {},
+  onPart = null,
+  cancelled = () => false,
+}) {
+  const parts = durationSeconds ? Math.max(1, Math.ceil(durationSeconds / segmentSeconds)) : null;
+  const results = { ...done };
+
+  for (let i = 0; parts == null || i < parts; i++) {
+    if (cancelled()) break;
+    if (results[i]) continue;
+
+    const start = i * segmentSeconds;
+    const audio = await extractAudio({ url, headers, start, duration: segmentSeconds });
+    // المدة مش معروفة → بنكمل لحد أول جزء فاضي
+    if (audio.length < MIN_AUDIO_BYTES) {
+      if (parts == null) break;
+      results[i] = [];
+    } else {
+      const partSeconds = parts != null && i === parts - 1 ? durationSeconds - start : segmentSeconds;
+      const segments = await transcriber.transcribe(audio, { prompt, partSeconds, part: i });
+      results[i] = segments.map((s) => ({ start: s.start + start, end: Math.max(s.end, s.start) + start, text: s.text }));
+    }
+    if (onPart) await onPart(i, results[i], { parts });
+  }
+
+  const segments = Object.keys(results)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .flatMap((k) => results[k]);
+  return { segments, parts: parts || Object.keys(results).length, complete: !cancelled() };
+}
+
+module.exports = {
+  createTranscriber,
+  createOpenAISTT,
+  createLocalSTT,
+  createMockSTT,
+  extractAudio,
+  transcribeMedia,
+  toTranscriptLines,
+};
@@ -0,0 +1,244 @@
+/* ══════════════════════════════════════════════════════════
+   transcript-parser.js — Lesson transcript ingestion (any caption format)
+
+   أي ملف من أداة الـ captioning → segments { start, end, text } (ثواني)
+   → chunks { content, startTime, endTime, tokens } للـ embeddings (chunker.js).
+
+   الصيغ (بتتعرف لوحدها أو format صريح):
+     custom   [m:ss - m:ss] نص            ← الصيغة القديمة، وكمان [h:mm:ss - h:mm:ss]
+     srt      1 / 00:00:01,000 --> 00:00:04,000 / نص
+     vtt      WEBVTT + cues (بيشيل <v Speaker> و<c> والـ NOTE/STYLE blocks)
+     json     YouTube json3 ({ events: [{ tStartMs, dDurationMs, segs }] })،
+              youtube-transcript-api ([{ text, start, duration }])،
+              Whisper verbose_json ({ segments: [{ start, end, text }] })
+     text     نص عادي — فقرات (سطر فاضي بينهم) من غير توقيت
+
+   السطور اللي متفهمتش مش بتتشال في صمت — بترجع في unparsed
+   ({ line, text, reason }) عشان الـ upload يعرضها.
+
+     const { format, chunks, unparsed } = parseTranscriptFile(content);
+     const { chunks } = parseTranscriptFile(content, { chunking: { ...chunkOptions(), maxTokens: 400 } });
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const chunker = require("./chunker");
+const { chunkOptions } = chunker;
+
+const FORMATS = ["custom", "srt", "vtt", "json", "text"];
+const MAX_UNPARSED = 50;
+
+// [m:ss - m:ss] أو [h:mm:ss - h:mm:ss] (الدقايق ممكن تعدّي 59 في الصيغة القديمة)
+const CUSTOM_LINE = /^\s*\[((?:\d{1,2}:)?\d{1,3}:\d{2}(?:[.,]\d{1,3})?)\s*-\s*((?:\d{1,2}:)?\d{1,3}:\d{2}(?:[.,]\d{1,3})?)\]\s*(.*)$/;
+const CUE_TIMING = /^\s*((?:\d{1,2}:)?\d{1,3}:\d{2}(?:[.,]\d{1,3})?)\s*-->\s*((?:\d{1,2}:)?\d{1,3}:\d{2}(?:[.,]\d{1,3})?)/;
+
+// ─── parseClock ───
+// "1:02:03,500" / "62:03" / "00:01.000" → ثواني
+function parseClock(value) {
+  const m = String(value || "").trim().match(/^(?:(\d{1,2}):)?(\d{1,3}):(\d{2})(?:[.,](\d{1,3}))?$/);
+  if (!m) return null;
+  const ms = m[4] ? parseInt(m[4].padEnd(3, "0"), 10) / 1000 : 0;
+  return (parseInt(m[1] || "0", 10) * 3600) + (parseInt(m[2], 10) * 60) + parseInt(m[3], 10) + ms;
+}
+
+// ─── formatClock ───
+// ثواني → "mm:ss" أو "h:mm:ss" (نفس اللي بيتخزن في chunks.timestamp_start)
+function formatClock(seconds) {
+  if (seconds == null || !Number.isFinite(seconds)) return null;
+  const s = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(s / 3600);
+  const mm = String(Math.floor((s % 3600) / 60)).padStart(2, "0");
+  const ss = String(s % 60).padStart(2, "0");
+  return h ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+}
+
+function cleanCueText(text) {
+  return String(text || "")
+    .replace(/<\d{1,2}:\d{2}(?::\d{2})?[.,]\d{1,3}>/g, "")   // VTT karaoke timestamps
+    .replace(/<\/?[a-z][^>]*>/gi, "")                          // <v Speaker>, <c>, <i>, <b>, <font ...>
+    .replace(/\{\\[^}]*\}/g, "")                               // SSA override tags جوه SRT
+    .replace(/&nbsp;/g, " ").replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function unparsedCollector() {
+  const list = [];
+  let total = 0;
+  return {
+    add(line, text, reason) {
+      total++;
+      if (list.length < MAX_UNPARSED) list.push({ line, text: String(text).slice(0, 200), reason });
+    },
+    result: () => ({ list, total }),
+  };
+}
+
+/* ═══ Parsers ═══ */
+
+function parseCustom(content, unparsed) {
+  const segments = [];
+  content.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    const m = line.match(CUSTOM_LINE);
+    if (!m) return unparsed.add(i + 1, line, "مش بصيغة [m:ss - m:ss] نص");
+    const text = m[3].trim();
+    if (!text) return;
+    segments.push({ start: parseClock(m[1]), end: parseClock(m[2]), text });
+  });
+  return segments;
+}
+
+// SRT و VTT نفس الفكرة: blocks مفصولة بسطر فاضي، وفي كل block سطر timing
+function parseCues(content, unparsed, { vtt = false } = {}) {
+  const segments = [];
+  const lines = content.replace(/^﻿/, "").split(/\r?\n/);
+  let block = [];
+  let blockStart = 1;
+
+  const flush = () => {
+    if (!block.length) return;
+    const first = block[0].text.trim();
+    if (vtt && (/^WEBVTT/.test(first) || /^(NOTE|STYLE|REGION)\b/.test(first))) { block = []; return; }
+
+    const timingIdx = block.findIndex((l) => CUE_TIMING.test(l.text));
+    if (timingIdx === -1) {
+      unparsed.add(blockStart, block.map((l) => l.text).join(" "), "block من غير سطر timing (-->)");
+      block = [];
+      return;
+    }
+    const m = block[timingIdx].text.match(CUE_TIMING);
+    const start = parseClock(m[1]);
+    const end = parseClock(m[2]);
+    const text = cleanCueText(block.slice(timingIdx + 1).map((l) => l.text).join(" "));
+    if (start == null || end == null) unparsed.add(block[timingIdx].line, block[timingIdx].text, "توقيت مش مفهوم");
+    else if (text) segments.push({ start, end, text });
+    block = [];
+  };
+
+  lines.forEach((text, i) => {
+    if (!text.trim()) { flush(); blockStart = i + 2; return; }
+    if (!block.length) blockStart = i + 1;
+    block.push({ line: i + 1, text });
+  });
+  flush();
+
+  // YouTube VTT بيكرر السطر في الـ cue اللي بعده (rolling captions) — شيل التكرار
+  return segments.filter((s, i) => i === 0 || s.text !== segments[i - 1].text);
+}
+
+function parseJson(content, unparsed) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (e) {
+    unparsed.add(1, content.slice(0, 80), "JSON مش صالح: " + e.message);
+    return [];
+  }
+
+  const segments = [];
+  const push = (idx, start, end, text) => {
+    const clean = cleanCueText(text);
+    if (!clean) return;
+    if (!Number.isFinite(start)) return unparsed.add(idx + 1, clean, "entry من غير توقيت");
+    segments.push({ start, end: Number.isFinite(end) ? end : start, text: clean });
+  };
+
+  if (data && Array.isArray(data.events)) {
+    // YouTube json3 — events من غير segs (window/style) بتتجاهل
+    data.events.forEach((ev, i) => {
+      if (!Array.isArray(ev.segs)) return;
+      const text = ev.segs.map((s) => s.utf8 || "").join("");
+      if (!text.trim()) return;
+      const start = Number(ev.tStartMs) / 1000;
+      push(i, start, start + (Number(ev.dDurationMs) || 0) / 1000, text);
+    });
+  } else if (data && Array.isArray(data.segments)) {
+    data.segments.forEach((s, i) => push(i, Number(s.start), Number(s.end), s.text));
+  } else if (Array.isArray(data)) {
+    data.forEach((s, i) => {
+      const start = Number(s.start ?? s.offset ?? (s.tStartMs != null ? s.tStartMs / 1000 : NaN));
+      const duration = Number(s.duration ?? s.dur ?? (s.dDurationMs != null ? s.dDurationMs / 1000 : NaN));
+      const end = s.end != null ? Number(s.end) : start + duration;
+      push(i, start, end, s.text ?? s.utf8 ?? "");
+    });
+  } else {
+    unparsed.add(1, content.slice(0, 80), "شكل JSON مش معروف (متوقع events / segments / array)");
+  }
+  return segments;
+}
+
+// نص عادي: فقرات — لو مفيش سطور فاضية خالص كل سطر فقرة
+function parseText(content) {
+  const normalized = content.replace(/\r\n/g, "\n").trim();
+  const parts = /\n\s*\n/.test(normalized) ? normalized.split(/\n\s*\n/) : normalized.split("\n");
+  return parts
+    .map((p) => p.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .map((text) => ({ start: null, end: null, text }));
+}
+
+// ─── detectFormat ───
+function detectFormat(content, fileName = "") {
+  const ext = (String(fileName).match(/\.([a-z0-9]+)$/i) || [])[1];
+  if (ext && { srt: 1, vtt: 1, json: 1, json3: 1 }[ext.toLowerCase()]) return ext.toLowerCase() === "json3" ? "json" : ext.toLowerCase();
+
+  const head = content.replace(/^﻿/, "").trimStart();
+  if (/^WEBVTT/.test(head)) return "vtt";
+  if (/^[[{]/.test(head) && !CUSTOM_LINE.test(head.split("\n")[0])) return "json";
+  const lines = head.split(/\r?\n/).filter((l) => l.trim()).slice(0, 50);
+  if (lines.some((l) => CUE_TIMING.test(l))) return "srt";
+  if (lines.some((l) => CUSTOM_LINE.test(l))) return "custom";
+  return "text";
+}
+
+/* ═══ Chunking ═══ */
+
+// ─── chunkSegments ───
+// chunker.js (tokens + overlap، أو chars القديم) → { content, startTime, endTime, tokens }
+// رقم بدل options = maxChars بالمنطق القديم
+function chunkSegments(segments, options = chunkOptions()) {
+  const opts = typeof options === "number" ? { strategy: "chars", maxChars: options } : options;
+  return chunker.chunkSegments(segments, opts).map((c) => ({
+    content: c.content,
+    startTime: formatClock(c.start),
+    endTime: formatClock(c.end),
+    tokens: c.tokens,
+  }));
+}
+
+// ─── parseTranscriptFile ───
+// format: auto (الافتراضي) أو واحد من FORMATS. fileName بيساعد في الـ detection
+// chunking: options الـ chunker (الافتراضي من الـ env — chunkOptions())
+function parseTranscriptFile(content, { format = "auto", fileName = "", chunking = chunkOptions() } = {}) {
+  const text = String(content || "");
+  const fmt = format && format !== "auto" ? format : detectFormat(text, fileName);
+  if (!FORMATS.includes(fmt)) throw new Error(`Unknown transcript format "${format}" (${FORMATS.join(", ")})`);
+
+  const unparsed = unparsedCollector();
+  const segments =
+    fmt === "custom" ? parseCustom(text, unparsed)
+    : fmt === "srt" ? parseCues(text, unparsed)
+    : fmt === "vtt" ? parseCues(text, unparsed, { vtt: true })
+    : fmt === "json" ? parseJson(text, unparsed)
+    : parseText(text);
+
+  const { list, total } = unparsed.result();
+  return { format: fmt, segments, chunks: chunkSegments(segments, chunking), unparsed: list, unparsedCount: total };
+}
+
+// ─── parseAndChunkTranscript ───
+// الـ API القديم (chunks بس، بالحروف) — أي صيغة دلوقتي مش [m:ss - m:ss] بس
+function parseAndChunkTranscript(content, maxChunkChars = 500) {
+  return parseTranscriptFile(content, { chunking: { strategy: "chars", maxChars: maxChunkChars } }).chunks;
+}
+
+module.exports = {
+  parseTranscriptFile,
+  parseAndChunkTranscript,
+  chunkSegments,
+  detectFormat,
+  parseClock,
+  formatClock,
+  FORMATS,
+};
@@ -0,0 +1,195 @@
+/* ══════════════════════════════════════════════════════════
+   video-verify.js — Post-migration checks for Bunny Stream videos
+
+   الـ TUS upload لو خلص مش معناه إن الفيديو سليم — Bunny ممكن يفشل
+   في الـ encoding، أو الملف يطلع ناقص. قبل ما attachment يتعلّم done:
+
+     1. poll على Bunny لحد ما الـ status يبقى finished (أو error / timeout)
+     2. المدة (length) قريبة من مدة ملف Drive (videoMediaMetadata)
+     3. الـ bytes اللي اترفعت = حجم ملف Drive، و Bunny شايل storage فعلاً
+     4. playlist.m3u8 بيرد بـ HLS playlist
+
+   أي check يفشل → verdict = "needs_review" مع issues (مش error —
+   الفيديو اترفع بس محتاج حد يبص عليه). cancelled() في النص → verdict =
+   "interrupted" (متسجلش حاجة — الـ resume بيعمل verify تاني).
+
+     const result = await verifyBunnyVideo({
+       libraryId, apiKey, cdnHost, videoId: bunnyId,
+       source: { size, durationSeconds },   // من driveFileMeta أو الـ Drive listing
+       uploadedBytes,                        // offset آخر TUS PATCH
+     });
+     // → { verdict: "done" | "needs_review" | "interrupted", issues: [...], checks: {...} }
+
+   Env:
+     VIDEO_VERIFY_TIMEOUT_MIN    (الافتراضي 30 — أقصى انتظار للـ encoding)
+     VIDEO_VERIFY_POLL_S         (الافتراضي 15)
+     VIDEO_DURATION_TOLERANCE_S  (الافتراضي 2 — أو 1% من المدة، الأكبر)
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const BUNNY_API = "https://video.bunnycdn.com/library";
+const DRIVE_FILES_URL = "https://www.googleapis.com/drive/v3/files";
+
+// Bunny Stream video.status
+const BUNNY_STATUS = {
+  0: "created",
+  1: "uploaded",
+  2: "processing",
+  3: "transcoding",
+  4: "finished",
+  5: "error",
+  6: "upload_failed",
+  7: "jit_segmenting",
+  8: "jit_playlists_created",
+};
+const FINISHED = [4, 8];
+const FAILED = [5, 6];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function verifyOptions(env = process.env) {
+  return {
+    timeoutMs: (parseFloat(env.VIDEO_VERIFY_TIMEOUT_MIN) || 30) * 60 * 1000,
+    pollMs: (parseFloat(env.VIDEO_VERIFY_POLL_S) || 15) * 1000,
+    durationToleranceS: parseFloat(env.VIDEO_DURATION_TOLERANCE_S) || 2,
+  };
+}
+
+// ─── driveFileMeta ───
+// الحجم والمدة من Drive (المدة بتبقى null لو Drive لسه مخلصش processing للملف)
+async function driveFileMeta({ fileId, accessToken }) {
+  const res = await fetch(`${DRIVE_FILES_URL}/${fileId}?fields=size,videoMediaMetadata(durationMillis)&supportsAllDrives=true`, {
+    headers: { Authorization: "Bearer " + accessToken },
+  });
+  if (!res.ok) throw new Error(`Drive metadata failed: ${res.status}`);
+  return sourceFromDriveFile(await res.json());
+}
+
+// ملف من الـ Drive listing (fields فيها size و videoMediaMetadata)
+function sourceFromDriveFile(file) {
+  const ms = parseInt(file?.videoMediaMetadata?.durationMillis);
+  return {
+    size: parseInt(file?.size) || null,
+    durationSeconds: ms > 0 ? ms / 1000 : null,
+  };
+}
+
+async function fetchBunnyVideo({ libraryId, apiKey, videoId }) {
+  const res = await fetch(`${BUNNY_API}/${libraryId}/videos/${videoId}`, {
+    headers: { AccessKey: apiKey, Accept: "application/json" },
+  });
+  if (!res.ok) throw new Error(`Bunny video fetch failed: ${res.status}`);
+  return res.json();
+}
+
+// ─── checkPlaylist ───
+async function checkPlaylist(url) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) return { ok: false, status: res.status };
+    const text = await res.text();
+    return { ok: text.trimStart().startsWith("#EXTM3U"), status: res.status };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+// ─── compareSource ───
+// الـ checks اللي مش محتاجة polling — بترجع issues (فاضية = تمام)
+function compareSource({ video, source = {}, uploadedBytes = null, durationToleranceS = 2 }) {
+  const issues = [];
+
+  if (source.durationSeconds) {
+    const tolerance = Math.max(durationToleranceS, source.durationSeconds * 0.01);
+    const diff = Math.abs((video.length || 0) - source.durationSeconds);
+    if (!video.length) issues.push("Bunny مرجعش مدة للفيديو");
+    else if (diff > tolerance) {
+      issues.push(`المدة مختلفة: Bunny ${video.length}s / Drive ${Math.round(source.durationSeconds)}s`);
+    }
+  }
+
+  if (source.size && uploadedBytes != null && uploadedBytes !== source.size) {
+    issues.push(`الحجم مختلف: اترفع ${uploadedBytes} / Drive ${source.size} bytes`);
+  }
+  if (!video.storageSize) issues.push("Bunny مش شايل أي storage للفيديو");
+
+  return issues;
+}
+
+// ─── verifyBunnyVideo ───
+async function verifyBunnyVideo({
+  libraryId,
+  apiKey,
+  cdnHost,
+  videoId,
+  source = {},
+  uploadedBytes = null,
+  cancelled = () => false,
+  onStatus = null,
+  env = process.env,
+}) {
+  const { timeoutMs, pollMs, durationToleranceS } = verifyOptions(env);
+  const deadline = Date.now() + timeoutMs;
+  const issues = [];
+  let video = null;
+  let interrupted = false;
+
+  // 1. استنى الـ encoding
+  while (true) {
+    try {
+      video = await fetchBunnyVideo({ libraryId, apiKey, videoId });
+    } catch (e) {
+      video = null;
+      if (Date.now() >= deadline) { issues.push(e.message); break; }
+    }
+    if (video) {
+      if (onStatus) onStatus({ status: BUNNY_STATUS[video.status] || video.status, encode_progress: video.encodeProgress });
+      if (FINISHED.includes(video.status)) break;
+      if (FAILED.includes(video.status)) {
+        issues.push(`Bunny encoding فشل (${BUNNY_STATUS[video.status]})`);
+        break;
+      }
+      if (Date.now() >= deadline) {
+        issues.push(`الـ encoding مخلصش في ${Math.round(timeoutMs / 60000)} دقيقة (${BUNNY_STATUS[video.status] || video.status} ${video.encodeProgress || 0}%)`);
+        break;
+      }
+    }
+    if (cancelled()) { interrupted = true; break; }
+    await sleep(pollMs);
+  }
+
+  // 2. المدة والحجم
+  if (video && FINISHED.includes(video.status)) {
+    issues.push(...compareSource({ video, source, uploadedBytes, durationToleranceS }));
+  }
+
+  // 3. الـ playlist
+  const playlistUrl = `https://${cdnHost}/${videoId}/playlist.m3u8`;
+  const playlist = video && FINISHED.includes(video.status)
+    ? await checkPlaylist(playlistUrl)
+    : { ok: false, skipped: true };
+  if (!playlist.ok && !playlist.skipped) {
+    issues.push(`playlist.m3u8 مش شغال (${playlist.status || playlist.error})`);
+  }
+
+  return {
+    verdict: interrupted ? "interrupted" : (issues.length ? "needs_review" : "done"),
+    issues,
+    checks: {
+      bunny_status: video ? (BUNNY_STATUS[video.status] || video.status) : null,
+      encode_progress: video ? video.encodeProgress : null,
+      duration_bunny: video ? video.length : null,
+      duration_source: source.durationSeconds || null,
+      size_source: source.size || null,
+      size_uploaded: uploadedBytes,
+      storage_size: video ? video.storageSize : null,
+      resolutions: video ? video.availableResolutions || null : null,
+      playlist_ok: !!playlist.ok,
+      playlist_url: playlistUrl,
+    },
+    verified_at: new Date().toISOString(),
+  };
+}
+
+module.exports = { verifyBunnyVideo, fetchBunnyVideo, driveFileMeta, sourceFromDriveFile, compareSource, checkPlaylist, BUNNY_STATUS };
@@ -0,0 +1,250 @@
+/* ══════════════════════════════════════════════════════════
+   webhook-queue.js — Ordered, retried processing of webhook_events
+
+   قبل كده كل event في الـ batch كان بيتعمله processWebhookEvent
+   بالتوازي بـ .catch بس — Enrollment.created ممكن يخلص قبل User.created
+   لنفس اليوزر، والـ retry كان بيمسح الـ error ويعيد من غير أي عدّاد.
+   دلوقتي الـ receiver بيسجل الـ event (status "pending") والـ worker ده
+   بيشغّله:
+
+     1. ordering key لكل event (user:<id> ثم course:<id> ثم sale:<id> ثم email:<...>) —
+        events نفس الـ key بتشتغل واحد ورا التاني بترتيب الوصول (id)،
+        ولو event مستني retry اللي بعده لنفس الـ key بيستنى معاه
+     2. exception → pending تاني بعد backoff (baseBackoffMs × 2^(attempt-1)،
+        لحد WEBHOOK_BACKOFF_MAX_MS) لحد maxAttempts
+     3. بعد maxAttempts (أو permanent error) → "dead" — الـ dead-letter:
+        مش بيوقف باقي الـ events بتاعة الـ key، والأدمن يعمله replay
+     4. processing من غير ما يخلص لمدة WEBHOOK_STALE_MS (process مات) → pending تاني
+
+   Lifecycle: pending → processing → processed | pending (retry) | dead
+   (processed / processing_error لسه بيتكتبوا عشان الـ stats القديمة)
+
+     const webhookQueue = createWebhookQueue({ repo, dispatch: dispatchWebhookEvent });
+     webhookQueue.start();
+     webhookQueue.kick();               // بعد تسجيل events جديدة
+     await webhookQueue.replay(id);     // event واحد من الأول (أي status غير processing)
+
+   Env:
+     WEBHOOK_WORKERS          (الافتراضي 4 — keys مختلفة بالتوازي)
+     WEBHOOK_MAX_ATTEMPTS     (الافتراضي 8)
+     WEBHOOK_BACKOFF_MS       (الافتراضي 30000)
+     WEBHOOK_BACKOFF_MAX_MS   (الافتراضي 21600000 = 6 ساعات)
+     WEBHOOK_POLL_MS          (الافتراضي 5000)
+     WEBHOOK_STALE_MS         (الافتراضي 300000)
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const crypto = require("crypto");
+
+const STATUSES = ["pending", "processing", "processed", "dead"];
+const DUE_BATCH = 200;
+const MAX_ERROR_LENGTH = 1000;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function queueOptions(env = process.env) {
+  return {
+    workers: parseInt(env.WEBHOOK_WORKERS) || 4,
+    maxAttempts: parseInt(env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    baseBackoffMs: parseInt(env.WEBHOOK_BACKOFF_MS) || 30000,
+    maxBackoffMs: parseInt(env.WEBHOOK_BACKOFF_MAX_MS) || 6 * 60 * 60 * 1000,
+    pollMs: parseInt(env.WEBHOOK_POLL_MS) || 5000,
+    staleMs: parseInt(env.WEBHOOK_STALE_MS) || 300000,
+  };
+}
+
+// ─── orderingKey ───
+// الـ entity اللي الـ event بيعدّل فيها — اليوزر الأول لأن أغلب الـ events
+// (Sale / Transaction / Enrollment / Lesson) بتكتب في صفوف اليوزر
+function orderingKey(event) {
+  const type = String((event && event.type) || "");
+  const obj = (event && event.object) || {};
+  const userId = obj.user_id ?? obj.user?.id ?? (type.startsWith("User.") ? obj.id : null);
+  if (userId != null) return `user:${userId}`;
+  // Course.* / Lecture.* (created / updated / deleted) — الكورس ودروسه بالترتيب
+  const courseId = type.startsWith("Course.") ? obj.id
+    : type.startsWith("Lecture.") ? obj.course_id ?? obj.course?.id : null;
+  if (courseId != null) return `course:${courseId}`;
+  const saleId = obj.sale_id ?? obj.sale?.id ?? (type.startsWith("Sale.") ? obj.id : null);
+  if (saleId != null) return `sale:${saleId}`;
+  const email = obj.email || obj.user?.email || obj.user_email;
+  if (email) return `email:${String(email).toLowerCase()}`;
+  return null;
+}
+
+// ─── backoffMs ───
+function backoffMs(attempt, { baseBackoffMs, maxBackoffMs }) {
+  return Math.min(maxBackoffMs, baseBackoffMs * 2 ** Math.max(0, attempt - 1));
+}
+
+// ─── createWebhookQueue ───
+function createWebhookQueue({ repo, dispatch, env = process.env, workerId = null }) {
+  const options = queueOptions(env);
+  const worker = workerId || `${process.pid}-${crypto.randomBytes(3).toString("hex")}`;
+  const running = new Map();   // ordering key → event id
+  const counters = { processed: 0, retried: 0, dead: 0 };
+  let timer = null;
+  let ticking = false;
+  let again = false;
+
+  const keyOf = (row) => row.ordering_key || `event:${row.id}`;
+
+  async function requeueStale() {
+    const { data: stale } = await repo.webhookEvents.stale(new Date(Date.now() - options.staleMs).toISOString());
+    for (const row of stale || []) {
+      if ([...running.values()].includes(String(row.id))) continue;
+      await repo.webhookEvents.update(row.id, { status: "pending", locked_by: null, next_attempt_at: nowIso() });
+      console.warn(`[Webhook] ♻️ Requeued stale event #${row.id} (${row.event_type})`);
+    }
+  }
+
+  // ─── tick ───
+  async function tick() {
+    if (ticking) { again = true; return; }
+    ticking = true;
+    try {
+      do {
+        again = false;
+        await requeueStale();
+        if (running.size >= options.workers) break;
+
+        // الـ due بس، صفحة ورا صفحة — الـ keys المقفولة ورا event مستني backoff
+        // مابتوقفش الـ keys الأحدث مهما كان عددها
+        const now = nowIso();
+        const blocked = new Set(running.keys());
+        let afterId = null;
+        while (running.size < options.workers) {
+          const { data: due, error } = await repo.webhookEvents.due(now, { afterId, limit: DUE_BATCH });
+          if (error || !due || !due.length) break;
+          afterId = due[due.length - 1].id;
+
+          // أقدم event مفتوح للـ key هو اللي عليه الدور — حتى لو مستني backoff أو processing
+          const keys = [...new Set(due.map((r) => r.ordering_key).filter((k) => k && !blocked.has(k)))];
+          const head = new Map();
+          if (keys.length) {
+            const { data: open, error: openErr } = await repo.webhookEvents.openForKeys(keys);
+            if (openErr) break;
+            for (const r of open || []) if (!head.has(r.ordering_key)) head.set(r.ordering_key, String(r.id));
+          }
+
+          for (const row of due) {
+            if (running.size >= options.workers) break;
+            const key = keyOf(row);
+            if (blocked.has(key)) continue;
+            blocked.add(key);
+            if (head.has(key) && head.get(key) !== String(row.id)) continue;
+
+            const { data: claimed } = await repo.webhookEvents.claim(row.id, {
+              status: "processing",
+              locked_by: worker,
+              locked_at: nowIso(),
+              attempts: (row.attempts || 0) + 1,
+            });
+            if (!claimed || !claimed.length) continue; // worker تاني سبقنا
+            run(key, claimed[0]);
+          }
+          if (due.length < DUE_BATCH) break;
+        }
+      } while (again && running.size < options.workers);
+    } catch (e) {
+      console.error("[Webhook] ❌ Queue tick:", e.message);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  // ─── run ───
+  async function run(key, row) {
+    running.set(key, String(row.id));
+    const attempt = row.attempts;
+    const maxAttempts = row.max_attempts || options.maxAttempts;
+    try {
+      await dispatch(row.payload, { id: row.id, attempt, receivedAt: row.received_at || null });
+      await repo.webhookEvents.update(row.id, {
+        status: "processed",
+        processed: true,
+        processing_error: null,
+        locked_by: null,
+        next_attempt_at: null,
+        processed_at: nowIso(),
+      });
+      counters.processed++;
+      console.log(`[Webhook] ✅ Processed: ${row.event_type} #${row.id}${attempt > 1 ? ` (attempt ${attempt})` : ""}`);
+    } catch (err) {
+      const message = String(err.message || err).substring(0, MAX_ERROR_LENGTH);
+      const dead = err.permanent || attempt >= maxAttempts;
+      const delay = backoffMs(attempt, options);
+      await repo.webhookEvents.update(row.id, {
+        status: dead ? "dead" : "pending",
+        processing_error: message,
+        locked_by: null,
+        next_attempt_at: dead ? null : new Date(Date.now() + delay).toISOString(),
+        processed_at: nowIso(),
+      }).catch(() => {});
+      if (dead) {
+        counters.dead++;
+        console.error(`[Webhook] ☠️ Dead-lettered ${row.event_type} #${row.id} after ${attempt} attempt(s): ${message}`);
+      } else {
+        counters.retried++;
+        console.warn(`[Webhook] 🔁 ${row.event_type} #${row.id} failed (${message}) — retry ${attempt + 1}/${maxAttempts} in ${Math.round(delay / 1000)}s`);
+      }
+    } finally {
+      running.delete(key);
+      setImmediate(tick);
+    }
+  }
+
+  // ─── replay ───
+  // event واحد (أي status غير processing) → pending من أول attempt
+  async function replay(id) {
+    const { data: row, error } = await repo.webhookEvents.byId(id);
+    if (error) throw new Error(error.message);
+    if (!row) return null;
+    if (row.status === "processing") return { row, busy: true };
+    const { data, error: upErr } = await repo.webhookEvents.requeue(id, {
+      status: "pending",
+      attempts: 0,
+      processed: false,
+      processing_error: null,
+      locked_by: null,
+      next_attempt_at: nowIso(),
+    });
+    if (upErr) throw new Error(upErr.message);
+    kick();
+    return { row: data || row, busy: false };
+  }
+
+  function kick() {
+    if (timer) setImmediate(tick);
+  }
+
+  // ─── start / stop ───
+  function start() {
+    if (timer || !repo) return;
+    timer = setInterval(tick, options.pollMs);
+    if (timer.unref) timer.unref();
+    console.log(`🪝 Webhook worker ${worker} started (${options.workers} keys in parallel, ${options.maxAttempts} attempts)`);
+    tick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    options,
+    start,
+    stop,
+    tick,
+    kick,
+    replay,
+    stats: () => ({ ...counters, running: running.size, keys: [...running.keys()] }),
+    workerId: worker,
+  };
+}
+
+module.exports = { createWebhookQueue, orderingKey, backoffMs, queueOptions, STATUSES };
@@ -0,0 +1,132 @@
+/* ══════════════════════════════════════════════════════════
+   webhook-security.js — Teachable webhook signature + freshness checks
+
+   أي حد كان يقدر يبعت Transaction.created مزيف على
+   /api/webhooks/teachable. دلوقتي قبل أي processing:
+
+     1. HMAC-SHA256 على الـ raw body بالـ secret (TEACHABLE_WEBHOOK_SECRET،
+        أكتر من secret بـ "," وقت الـ rotation). الـ header:
+          t=<unix>,v1=<hex>      → الـ HMAC على "<t>.<raw body>"
+          sha256=<hex> أو <hex>  → الـ HMAC على الـ raw body بس
+     2. التوقيت: t من الـ signature header (الـ HMAC مغطيه)، وإلا event.created
+        (جوه الـ body المتوقّع) — لازم يبقى جوه الـ tolerance. أي header تاني
+        للتوقيت مش متغطي بالـ HMAC، فحد معاه payload قديم موقّع كان هيعدّي بيه
+     3. الـ replay (hook_event_id اتشاف قبل كده) في server.js على
+        webhook_events
+
+   أي event بيترفض بيتحفظ في webhook_quarantine مع السبب.
+
+     const verifier = createWebhookVerifier();
+     const check = verifier.verify({ rawBody, headers });      // → { ok, reason, timestamp }
+     const fresh = verifier.checkTimestamp(check.timestamp ?? event.created);
+
+   Env:
+     TEACHABLE_WEBHOOK_SECRET              (مطلوب — من غيره كل الـ events بتترفض)
+     TEACHABLE_WEBHOOK_SIGNATURE_HEADER    (الافتراضي x-teachable-signature)
+     TEACHABLE_WEBHOOK_TOLERANCE_S         (الافتراضي 300)
+     TEACHABLE_WEBHOOK_ALLOW_UNSIGNED=true (تطوير بس — يقبل من غير secret)
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const crypto = require("crypto");
+
+const REASONS = {
+  noSecret: "secret_not_configured",
+  missingSignature: "missing_signature",
+  badSignature: "invalid_signature",
+  missingTimestamp: "missing_timestamp",
+  stale: "timestamp_out_of_window",
+  replay: "replay",
+  missingId: "missing_hook_event_id",
+  invalid: "invalid_event",
+};
+
+// ─── parseSignatureHeader ───
+// "t=1700000000,v1=abc,v1=def" → { t, signatures: [abc, def] } — "sha256=abc" / "abc" → { t: null, signatures: [abc] }
+function parseSignatureHeader(value) {
+  const raw = String(value || "").trim();
+  if (!raw) return { t: null, signatures: [] };
+  if (!raw.includes(",") && !/^(t|v\d)=/.test(raw)) {
+    return { t: null, signatures: [raw.replace(/^sha256=/i, "").toLowerCase()] };
+  }
+  const out = { t: null, signatures: [] };
+  for (const part of raw.split(",")) {
+    const [k, v] = part.split("=").map((x) => (x || "").trim());
+    if (k === "t") out.t = v;
+    else if (/^v\d$/.test(k) && v) out.signatures.push(v.toLowerCase());
+  }
+  return out;
+}
+
+// ─── sign ───
+function sign(secret, rawBody, t = null) {
+  const h = crypto.createHmac("sha256", secret);
+  if (t != null) h.update(`${t}.`);
+  h.update(rawBody);
+  return h.digest("hex");
+}
+
+function safeEqualHex(a, b) {
+  if (!/^[0-9a-f]+$/.test(a) || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+}
+
+// unix (ثواني أو ms) أو ISO → ms
+function toMillis(value) {
+  if (value == null || value === "") return null;
+  if (typeof value === "number" || /^\d+$/.test(String(value))) {
+    const n = Number(value);
+    return n < 1e12 ? n * 1000 : n;
+  }
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// ─── createWebhookVerifier ───
+function createWebhookVerifier(env = process.env) {
+  const secrets = String(env.TEACHABLE_WEBHOOK_SECRET || "").split(",").map((s) => s.trim()).filter(Boolean);
+  const signatureHeader = (env.TEACHABLE_WEBHOOK_SIGNATURE_HEADER || "x-teachable-signature").toLowerCase();
+  const toleranceMs = (parseInt(env.TEACHABLE_WEBHOOK_TOLERANCE_S) || 300) * 1000;
+  const allowUnsigned = String(env.TEACHABLE_WEBHOOK_ALLOW_UNSIGNED || "").toLowerCase() === "true";
+
+  // ─── verify ───
+  // الـ body كله (الـ signature على الـ request مش على كل event).
+  // timestamp = t بس (t=…,v1=…) — في الـ sha256=<hex> form بيبقى null وبيتاخد event.created
+  function verify({ rawBody, headers = {} }) {
+    const { t, signatures } = parseSignatureHeader(headers[signatureHeader]);
+    const timestamp = t || null;
+
+    if (!secrets.length) {
+      return allowUnsigned ? { ok: true, unsigned: true, timestamp } : { ok: false, reason: REASONS.noSecret };
+    }
+    if (!signatures.length) return { ok: false, reason: REASONS.missingSignature };
+    if (!rawBody || !rawBody.length) return { ok: false, reason: REASONS.badSignature };
+
+    const valid = secrets.some((secret) => {
+      const expected = sign(secret, rawBody, t);
+      return signatures.some((sig) => safeEqualHex(sig, expected));
+    });
+    return valid ? { ok: true, timestamp } : { ok: false, reason: REASONS.badSignature };
+  }
+
+  // ─── checkTimestamp ───
+  function checkTimestamp(value, now = Date.now()) {
+    const ms = toMillis(value);
+    if (ms == null) return { ok: false, reason: REASONS.missingTimestamp };
+    const skew = Math.round((now - ms) / 1000);
+    if (Math.abs(now - ms) > toleranceMs) return { ok: false, reason: REASONS.stale, skew_seconds: skew };
+    return { ok: true, skew_seconds: skew };
+  }
+
+  return {
+    verify,
+    checkTimestamp,
+    configured: secrets.length > 0,
+    allowUnsigned,
+    signatureHeader,
+    toleranceSeconds: toleranceMs / 1000,
+  };
+}
+
+module.exports = { createWebhookVerifier, parseSignatureHeader, sign, REASONS };
@@ -0,0 +1,255 @@
+/* ══════════════════════════════════════════════════════════
+   webhook-simulator.js — Teachable webhook fixtures → local server → row checks
+
+   webhook-fixtures/*.json فيها payloads حقيقية الشكل لكل event type
+   بيتعامل معاه dispatchWebhookEvent، بالترتيب (اسم الملف):
+
+     {
+       "description": "...",
+       "event":  { "type": "Enrollment.created", "object": { ... } },
+       "expect": [
+         { "table": "teachable_enrollments",
+           "where": { "teachable_user_id": 990001, "course_id": 990101 },
+           "row":   { "is_active": true, "completed_at": null, "enrolled_at": "*" },
+           "count": 1 }                                  ← اختياري (0 = الصف اتمسح)
+       ]
+     }
+
+   "*" = أي قيمة مش null. الـ IDs كلها في الرينج 990000+ عشان الـ cleanup
+   يمسح صفوف الـ fixtures بس (نفس الـ where بتاع الـ expect).
+
+   لكل fixture: hook_event_id جديد (sim-<run>-<n>) و created = دلوقتي →
+   POST موقّع (TEACHABLE_WEBHOOK_SECRET) على /api/webhooks/teachable →
+   استنى الـ event في webhook_events يبقى processed → اتأكد من الصفوف.
+   الـ fixture اللي بعده مش بيتبعت غير بعد ما اللي قبله يخلص.
+
+   من السيرفر: POST /api/admin/webhooks/simulate (DATA_BACKEND=local أو
+   WEBHOOK_SIMULATOR=true بس). من الـ terminal (بيكلم نفس الـ endpoint):
+
+     node webhook-simulator.js --url http://localhost:3000 --token <admin JWT>   (أو ADMIN_TOKEN)
+          [--only enrollment]    fixtures اسمها فيه الكلمة دي بس
+          [--keep]               سيب صفوف الـ fixtures بعد الـ run
+          [--list]               اعرض الـ fixtures من غير ما تبعت حاجة
+
+   Exit code: 0 = كله عدّى، 1 = في fixtures فشلت، 2 = خطأ في الاستخدام / الاتصال
+   ══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { sign } = require("./webhook-security");
+
+const FIXTURES_DIR = path.join(__dirname, "webhook-fixtures");
+const POLL_MS = 200;
+const DONE = ["processed", "dead"];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ─── loadFixtures ───
+function loadFixtures({ dir = FIXTURES_DIR, only = null } = {}) {
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .filter((f) => !only || f.toLowerCase().includes(String(only).toLowerCase()))
+    .sort()
+    .map((file) => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      if (!fixture.event || !fixture.event.type) throw new Error(`${file}: missing event.type`);
+      return { name: file.replace(/\.json$/, ""), expect: [], ...fixture };
+    });
+}
+
+// ─── buildEvent ───
+// نفس شكل Teachable: { id, type, created, hook_event_id, object }
+function buildEvent(fixture, { runId, index, now = new Date() }) {
+  return {
+    id: 990800 + index,
+    hook_event_id: `sim-${runId}-${index}`,
+    created: now.toISOString(),
+    ...fixture.event,
+  };
+}
+
+// ─── signedRequest ───
+// t=<unix>,v1=<hmac> — زي ما webhook-security.js بيتحقق
+function signedRequest(body, { secret = null, signatureHeader = "x-teachable-signature" } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (secret) {
+    const t = Math.floor(Date.now() / 1000);
+    headers[signatureHeader] = `t=${t},v1=${sign(secret, Buffer.from(body), t)}`;
+  }
+  return headers;
+}
+
+// ─── sameValue ───
+function sameValue(expected, actual) {
+  if (expected === "*") return actual != null;
+  if (expected === null) return actual == null;
+  if (typeof expected === "boolean") return actual === expected || String(actual) === String(expected);
+  if (typeof expected === "number") return Number(actual) === expected;
+  return String(actual) === String(expected);
+}
+
+// ─── checkExpectation ───
+async function checkExpectation(repo, exp) {
+  const { data, error } = await repo.webhookRows.match(exp.table, exp.where, { limit: 50 });
+  if (error) return { table: exp.table, where: exp.where, ok: false, error: error.message };
+
+  const rows = data || [];
+  const mismatches = [];
+  if (exp.count != null && rows.length !== exp.count) {
+    mismatches.push({ field: "count", expected: exp.count, actual: rows.length });
+  }
+  if (exp.count === 0) {
+    // الصف اتمسح (Course.deleted ...) — مفيش row نقارنه
+  } else if (!rows.length) {
+    mismatches.push({ field: "row", expected: "exists", actual: null });
+  } else {
+    for (const [field, expected] of Object.entries(exp.row || {})) {
+      if (!sameValue(expected, rows[0][field])) mismatches.push({ field, expected, actual: rows[0][field] ?? null });
+    }
+  }
+  return { table: exp.table, where: exp.where, ok: !mismatches.length, mismatches };
+}
+
+// ─── createWebhookSimulator ───
+// repo = createRepository(...) على نفس الـ db اللي السيرفر بيكتب فيه (supabase أو local-store)
+function createWebhookSimulator({ repo, baseUrl, secret = null, signatureHeader, waitMs = 15000, dir = FIXTURES_DIR }) {
+  const endpoint = baseUrl.replace(/\/+$/, "") + "/api/webhooks/teachable";
+
+  async function waitForEvent(hookEventId) {
+    const deadline = Date.now() + waitMs;
+    while (Date.now() < deadline) {
+      const { data } = await repo.webhookEvents.statusByHookId(hookEventId);
+      // أول attempt فشل → الـ retry بعد backoff طويل، فبنعتبره فشل هنا
+      if (data && (DONE.includes(data.status) || data.processing_error)) return data;
+      await sleep(POLL_MS);
+    }
+    return { status: "timeout", processing_error: `not processed after ${waitMs}ms` };
+  }
+
+  // ─── cleanup ───
+  // صفوف الـ expect (الـ where بتاعها) + webhook_events بتاعة runs قبل كده
+  async function cleanup(fixtures) {
+    const seen = new Set();
+    for (const exp of fixtures.flatMap((f) => f.expect || [])) {
+      const key = exp.table + JSON.stringify(exp.where || {});
+      if (seen.has(key) || !exp.where || !Object.keys(exp.where).length) continue;
+      seen.add(key);
+      const { error } = await repo.webhookRows.remove(exp.table, exp.where);
+      if (error) console.warn(`[Simulator] cleanup ${exp.table}: ${error.message}`);
+    }
+    await repo.webhookEvents.removeByHookPrefix("sim-");
+  }
+
+  // ─── run ───
+  async function run({ only = null, keep = false } = {}) {
+    const fixtures = loadFixtures({ dir, only });
+    const runId = crypto.randomBytes(4).toString("hex");
+    await cleanup(fixtures);
+
+    const results = [];
+    for (const [index, fixture] of fixtures.entries()) {
+      const event = buildEvent(fixture, { runId, index: index + 1 });
+      const body = JSON.stringify([event]);
+      const result = { fixture: fixture.name, type: event.type, hook_event_id: event.hook_event_id, ok: false, checks: [] };
+      results.push(result);
+
+      try {
+        const res = await fetch(endpoint, { method: "POST", headers: signedRequest(body, { secret, signatureHeader }), body });
+        const reply = await res.json().catch(() => ({}));
+        if (!res.ok || !reply.recorded) {
+          result.error = `receiver ${res.status}: ${reply.reason || reply.error || "event not recorded"}`;
+          continue;
+        }
+
+        const stored = await waitForEvent(event.hook_event_id);
+        result.status = stored.status;
+        result.attempts = stored.attempts || 0;
+        if (stored.status !== "processed") {
+          result.error = stored.processing_error || `status ${stored.status}`;
+          continue;
+        }
+
+        for (const exp of fixture.expect) result.checks.push(await checkExpectation(repo, exp));
+        result.ok = result.checks.every((c) => c.ok);
+      } catch (err) {
+        result.error = err.message;
+      }
+    }
+
+    if (!keep) await cleanup(fixtures);
+    const passed = results.filter((r) => r.ok).length;
+    return { run_id: runId, fixtures: results.length, passed, failed: results.length - passed, kept: keep, results };
+  }
+
+  return { run, cleanup, fixtures: (opts) => loadFixtures({ dir, ...opts }) };
+}
+
+/* ═══ CLI ═══ */
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) args[key] = true;
+    else { args[key] = next; i++; }
+  }
+  return args;
+}
+
+function printReport(report) {
+  for (const r of report.results) {
+    console.log(`${r.ok ? "✅" : "❌"} ${r.fixture} (${r.type})${r.error ? ` — ${r.error}` : ""}`);
+    for (const c of r.checks.filter((c) => !c.ok)) {
+      console.log(`     ${c.table} ${JSON.stringify(c.where)}: ${c.error || ""}`);
+      for (const m of c.mismatches || []) {
+        console.log(`       ${m.field}: expected ${JSON.stringify(m.expected)}, got ${JSON.stringify(m.actual)}`);
+      }
+    }
+  }
+  console.log(`\n${report.passed}/${report.fixtures} fixtures passed (run ${report.run_id})`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.list) {
+    for (const f of loadFixtures({ only: args.only || null })) {
+      console.log(`${f.name.padEnd(48)} ${f.event.type.padEnd(40)} ${f.description || ""}`);
+    }
+    return 0;
+  }
+
+  const url = args.url || process.env.SIMULATOR_URL || `http://localhost:${process.env.PORT || 3000}`;
+  const token = args.token || process.env.ADMIN_TOKEN;
+  if (!token) {
+    console.error("Usage: node webhook-simulator.js --url http://localhost:3000 --token <admin JWT> [--only name] [--keep] [--list]");
+    return 2;
+  }
+
+  const res = await fetch(url.replace(/\/+$/, "") + "/api/admin/webhooks/simulate", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: "Bearer " + token },
+    body: JSON.stringify({ only: args.only || null, keep: !!args.keep }),
+  });
+  const reply = await res.json().catch(() => ({}));
+  if (!res.ok || !reply.success) {
+    console.error(`❌ Simulator request failed (${res.status}): ${reply.error || "unknown error"}`);
+    return 2;
+  }
+  printReport(reply.report);
+  return reply.report.failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().then((code) => process.exit(code), (err) => {
+    console.error("❌", err.message);
+    process.exit(2);
+  });
+}
+
+module.exports = { createWebhookSimulator, loadFixtures, buildEvent, signedRequest, checkExpectation, FIXTURES_DIR };
@@ -4,7 +4,7 @@
 
 "use strict";
 
-module.exports = function registerGuideRoutes(app, { openai, supabase, limiter, supabaseConnected, adminAuth, adminLoginLimiter }) {
+module.exports = function registerGuideRoutes(app, { llm, supabase, repo, limiter, supabaseConnected, adminAuth, adminLoginLimiter, embeddingModels, retriever: sharedRetriever = null }) {
 
 // ═══ Guide-specific helpers (injected from shared) ═══
 const {
@@ -17,18 +17,17 @@ const {
   normalizeCourse, normalizeCourses,
   normalizeLecture, normalizeLectures,
 } = require("./shared");
+const { createHybridRetriever } = require("./hybrid-retriever");
+const { parseClock } = require("./transcript-parser");
+// من server.js عشان الـ webhooks (Lecture.*) تقدر تعمل invalidate للـ corpus
+const retriever = sharedRetriever || createHybridRetriever({ repo, llm, embeddingModels });
 
 async function getAllLessonChunks(lessonId, limit = 50) {
-  if (!supabase || !lessonId) return [];
+  if (!repo || !lessonId) return [];
   try {
     // MIGRATED: chunks.lesson_id (uuid) → chunks.teachable_lecture_id (bigint)
     // NOTE: 'lessonId' parameter is expected to be a teachable_lecture_id (bigint) now
-    const { data, error } = await supabase
-      .from("chunks")
-      .select("id, content, teachable_lecture_id, chunk_order, timestamp_start")
-      .eq("teachable_lecture_id", lessonId)
-      .order("chunk_order", { ascending: true })
-      .limit(limit);
+    const { data, error } = await repo.chunks.byLecture(lessonId, { limit });
 
     if (error) {
       console.error("getAllLessonChunks error:", error.message);
@@ -57,13 +56,10 @@ async function getAllLessonChunks(lessonId, limit = 50) {
    courseId = teachable_course_id (bigint)
    ══════════════════════════════════════════════════════════ */
 async function getCourseLessonIds(courseId) {
-  if (!supabase || !courseId) return [];
+  if (!repo || !courseId) return [];
   try {
     // teachable_lectures.course_id references teachable_courses.teachable_course_id
-    const { data } = await supabase
-      .from("teachable_lectures")
-      .select("teachable_lecture_id")
-      .eq("course_id", courseId);
+    const { data } = await repo.lectures.idsByCourse(courseId);
     return (data || []).map((l) => l.teachable_lecture_id).filter(Boolean);
   } catch (e) {
     return [];
@@ -79,7 +75,7 @@ async function searchChunksByText(
   lessonId = null,
   limit = 10
 ) {
-  if (!supabase || !terms || terms.length === 0) return [];
+  if (!repo || !terms || terms.length === 0) return [];
   try {
 const meaningful = terms.filter((t) => t.length > 2);
     if (meaningful.length === 0) return [];
@@ -90,29 +86,15 @@ const allVariants = [...new Set([
       ...meaningful.map(t => normalizeArabic(t)),
     ])].filter(t => t.length > 2);
 
-    const orFilters = allVariants
-      .map((t) => `content.ilike.%${t}%`)
-      .join(",");
-
-    let query = supabase
-      .from("chunks")
-      .select("id, content, teachable_lecture_id, chunk_order, timestamp_start")
-      .or(orFilters)
-      .not("teachable_lecture_id", "is", null)
-      .limit(limit);
-
-    if (lessonId) {
-      // MIGRATED: filter by teachable_lecture_id now
-      query = query.eq("teachable_lecture_id", lessonId);
-    } else if (courseId) {
-      // 🆕 FIX #41: Filter by courseId through lecture IDs (teachable_lecture_id)
-      const lessonIds = await getCourseLessonIds(courseId);
-      if (lessonIds.length > 0) {
-        query = query.in("teachable_lecture_id", lessonIds);
-      }
-    }
+    // MIGRATED: filter by teachable_lecture_id now
+    // 🆕 FIX #41: Filter by courseId through lecture IDs (teachable_lecture_id)
+    const lectureIds = !lessonId && courseId ? await getCourseLessonIds(courseId) : null;
 
-    const { data, error } = await query;
+    const { data, error } = await repo.chunks.searchText(allVariants, {
+      lectureId: lessonId,
+      lectureIds,
+      limit,
+    });
     if (error) {
       console.error("searchChunksByText error:", error.message);
       return [];
@@ -124,10 +106,7 @@ const allVariants = [...new Set([
         ...new Set(data.map((c) => c.teachable_lecture_id).filter(Boolean)),
       ];
       if (lessonIds.length > 0) {
-        const { data: lessons } = await supabase
-          .from("teachable_lectures")
-          .select("teachable_lecture_id, name")
-          .in("teachable_lecture_id", lessonIds);
+        const { data: lessons } = await repo.lectures.byTeachableIds(lessonIds);
         const lessonMap = new Map(
           (lessons || []).map((l) => [l.teachable_lecture_id, l.name])
         );
@@ -152,40 +131,18 @@ const allVariants = [...new Set([
 }
 
 /* ══════════════════════════════════════════════════════════
-   🆕 FIX #42: getRelevantChunks — semantic with higher limits
+   getRelevantChunks — hybrid retrieval (BM25 + vector بـ RRF)
+   التفاصيل والـ rerank الاختياري في hybrid-retriever.js
+   كل chunk راجع معاه scores { bm25, vector, rrf, rerank }
    ══════════════════════════════════════════════════════════ */
 async function getRelevantChunks(query, courseId = null, limit = 8) {
-  if (!supabase || !openai || !query) return [];
+  if (!repo || !query) return [];
   try {
-const embResponse = await openai.embeddings.create({
-      model: CHUNK_EMBEDDING_MODEL,
-      input: query.substring(0, 2000),
-    });
-    const queryEmbedding = embResponse.data[0].embedding;
-
-    const { data, error } = await supabase.rpc("match_teachable_chunks", {
-      query_embedding: queryEmbedding,
-      match_threshold: 0.50,
-      match_count: limit,
-      filter_course_id: courseId || null,
-    });
-
-if (error) {
-      console.error("═══════════════════════════════════════");
-      console.error("❌ match_teachable_chunks RPC FAILED!");
-      console.error("   Error:", error.message);
-      console.error("   Code:", error.code);
-      console.error("   Hint:", error.hint);
-      console.error("   courseId:", courseId);
-      console.error("═══════════════════════════════════════");
-      return [];
-    }
-
-    console.log(`🔍 Semantic search: ${(data || []).length} results (model: text-embedding-3-small)`);
+    const data = await retriever.retrieve(query, { courseId, limit });
 
-    // MIGRATED: RPC returns teachable_lecture_id + lecture_name + course_id (external bigint).
+    // MIGRATED: rows carry teachable_lecture_id + lecture_name + course_id (external bigint).
     // Add legacy aliases (lesson_id, lesson_title) so downstream code works unchanged.
-    return (data || []).map((chunk) => ({
+    return data.map((chunk) => ({
       ...chunk,
       lesson_id: chunk.teachable_lecture_id,
       lesson_title: chunk.lecture_name || "",
@@ -216,8 +173,7 @@ async function extractSearchTopic(userMessage, currentCourseTitle, recentMessage
       contextBlock = `\nآخر رسائل في المحادثة:\n${last3.map(m => `- ${m.role === 'user' ? 'الطالب' : 'المرشد'}: ${m.content?.substring(0, 100)}`).join('\n')}`;
     }
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const response = await llm.chat("guide_topic", {
       messages: [
         {
           role: "system",
@@ -270,7 +226,7 @@ ${contextBlock}
    🆕 FIX #55: Search OTHER courses for Guide Bot
    ══════════════════════════════════════════════════════════ */
 async function searchOtherCoursesForGuide(searchText, currentCourseId = null) {
-  if (!supabase || !openai || !searchText) return null;
+  if (!repo || !llm.available("guide_topic") || !searchText) return null;
 
   try {
     let result = null;
@@ -301,19 +257,14 @@ const searchTerms = prepareSearchTerms(rawTerms);
           let allFoundCourses = [];
           
           // Pass 1: Title-only search (MIGRATED: 'title' → 'name')
-          const titleFilters = searchTerms
-            .flatMap(t => [`name.ilike.%${t}%`])
-            .join(",");
-          
           // MIGRATED: currentCourseId is teachable_course_id (external)
-          let titleQuery = supabase
-            .from("teachable_courses")
-            .select(COURSE_SELECT_COLS)
-            .or(titleFilters)
-            .limit(10);
-          if (currentCourseId) titleQuery = titleQuery.neq("teachable_course_id", currentCourseId);
-          
-          const { data: titleCoursesRaw, error: titleErr } = await titleQuery;
+          const { data: titleCoursesRaw, error: titleErr } = await repo.courses.search({
+            terms: searchTerms,
+            columns: ["name"],
+            select: COURSE_SELECT_COLS,
+            limit: 10,
+            excludeTeachableId: currentCourseId,
+          });
           if (!titleErr && titleCoursesRaw && titleCoursesRaw.length > 0) {
             // Normalize to legacy shape (title, subtitle, link aliases)
             const titleCourses = normalizeCourses(titleCoursesRaw);
@@ -324,23 +275,13 @@ const searchTerms = prepareSearchTerms(rawTerms);
 
           // Pass 2: Broader search (MIGRATED: 'subtitle' → 'heading')
           if (allFoundCourses.length < 3) {
-            const broadFilters = searchTerms
-              .flatMap(t => [
-                `heading.ilike.%${t}%`, 
-                `keywords.ilike.%${t}%`, 
-                `domain.ilike.%${t}%`,
-                `description.ilike.%${t}%`
-              ])
-              .join(",");
-
-            let broadQuery = supabase
-              .from("teachable_courses")
-              .select(COURSE_SELECT_COLS)
-              .or(broadFilters)
-              .limit(10);
-            if (currentCourseId) broadQuery = broadQuery.neq("teachable_course_id", currentCourseId);
-
-            const { data: broadCoursesRaw, error: broadErr } = await broadQuery;
+            const { data: broadCoursesRaw, error: broadErr } = await repo.courses.search({
+              terms: searchTerms,
+              columns: ["heading", "keywords", "domain", "description"],
+              select: COURSE_SELECT_COLS,
+              limit: 10,
+              excludeTeachableId: currentCourseId,
+            });
             if (!broadErr && broadCoursesRaw && broadCoursesRaw.length > 0) {
               const broadCourses = normalizeCourses(broadCoursesRaw);
               const existingIds = new Set(allFoundCourses.map(c => c.id));
@@ -399,11 +340,10 @@ const searchTerms = prepareSearchTerms(rawTerms);
               let courseLessons = [];
               try {
                 // MIGRATED: teachable_lectures.course_id → teachable_courses.teachable_course_id
-                const { data: lessons } = await supabase
-                  .from("teachable_lectures")
-                  .select("id, teachable_lecture_id, course_id, name, position")
-                  .eq("course_id", bestCourse.teachable_course_id)
-                  .limit(5);
+                const { data: lessons } = await repo.lectures.byCourse(bestCourse.teachable_course_id, {
+                  select: "id, teachable_lecture_id, course_id, name, position",
+                  limit: 5,
+                });
                 if (lessons && lessons.length > 0) {
                   courseLessons = lessons
                     .filter(l => {
@@ -444,17 +384,13 @@ const searchTerms = prepareSearchTerms(rawTerms);
     if (!result) {
       console.log(`   🔄 Strategy 2: Semantic chunks (FALLBACK)...`);
       try {
-const embResponse = await openai.embeddings.create({
-          model: CHUNK_EMBEDDING_MODEL,
-          input: searchText.substring(0, 2000),
-        });
-        const queryEmbedding = embResponse.data[0].embedding;
+        // model العمود الـ live (embedding-models.js) — نفس vector space الـ chunks
+        const { embedding: queryEmbedding, column } = await embeddingModels.queryVector("chunks", searchText.substring(0, 2000));
 
-        const { data: allChunks, error } = await supabase.rpc("match_teachable_chunks", {
-          query_embedding: queryEmbedding,
-          match_threshold: 0.55,
-          match_count: 15,
-          filter_course_id: null,
+        const { data: allChunks, error } = await repo.chunks.matchSemantic(queryEmbedding, {
+          threshold: 0.55,
+          count: 15,
+          column,
         });
 
         if (error) {
@@ -489,11 +425,9 @@ const embResponse = await openai.embeddings.create({
 
           if (bestGroup && bestScore > 0.55) {
             // MIGRATED: bestGroup.courseId is teachable_course_id (bigint) from RPC
-            const { data: courseData } = await supabase
-              .from("teachable_courses")
-              .select("id, teachable_course_id, name")
-              .eq("teachable_course_id", bestGroup.courseId)
-              .single();
+            const { data: courseData } = await repo.courses.byTeachableId(bestGroup.courseId, {
+              select: "id, teachable_course_id, name",
+            });
 
             if (courseData) {
               // RPC returns teachable_lecture_id (not lesson_id)
@@ -501,10 +435,9 @@ const embResponse = await openai.embeddings.create({
               let lessonDetails = [];
 
               if (lessonIds.length > 0) {
-                const { data: lessons } = await supabase
-                  .from("teachable_lectures")
-                  .select("id, teachable_lecture_id, course_id, name")
-                  .in("teachable_lecture_id", lessonIds);
+                const { data: lessons } = await repo.lectures.byTeachableIds(lessonIds, {
+                  select: "id, teachable_lecture_id, course_id, name",
+                });
                 const lessonMap = new Map((lessons || []).map(l => [l.teachable_lecture_id, l.name]));
 
                 const seenLessons = new Set();
@@ -592,9 +525,9 @@ let _botInstructionsCache = { sales: null, guide: null, ts_sales: 0, ts_guide: 0
 
 // ─── logGuide ───
 async function logGuide(sessionId, role, message, courseName, lectureTitle, remaining, extra = {}) {
-  if (!supabase) return;
+  if (!repo) return;
   try {
-    await supabase.from("guide_logs").insert({
+    await repo.logs.append("guide", {
       session_id: sessionId || "unknown",
       role,
       message: (message || "").substring(0, 10000),
@@ -602,7 +535,6 @@ async function logGuide(sessionId, role, message, courseName, lectureTitle, rema
       lecture_title: lectureTitle || null,
       remaining_messages: remaining != null ? remaining : null,
       metadata: extra,
-      created_at: new Date().toISOString(),
     });
   } catch (e) {
     console.error("logGuide error:", e.message);
@@ -610,14 +542,10 @@ async function logGuide(sessionId, role, message, courseName, lectureTitle, rema
 }
 
 async function getGuideRemaining(sessionId) {
-  if (!supabase) return GUIDE_DAILY_LIMIT;
+  if (!repo) return GUIDE_DAILY_LIMIT;
   try {
     const today = getToday();
-    const { data } = await supabase
-      .from("guide_rate_limits")
-      .select("count, date")
-      .eq("session_id", sessionId)
-      .single();
+    const { data } = await repo.guideRateLimits.get(sessionId);
     if (!data || data.date !== today) return GUIDE_DAILY_LIMIT;
     return Math.max(0, GUIDE_DAILY_LIMIT - data.count);
   } catch(e) {
@@ -626,26 +554,16 @@ async function getGuideRemaining(sessionId) {
 }
 
 async function consumeGuideMsg(sessionId) {
-  if (!supabase) return;
+  if (!repo) return;
   try {
     const today = getToday();
-    const { data } = await supabase
-      .from("guide_rate_limits")
-      .select("count, date")
-      .eq("session_id", sessionId)
-      .single();
-    if (!data || data.date !== today) {
-      await supabase.from("guide_rate_limits").upsert({
-        session_id: sessionId,
-        date: today,
-        count: 1,
-        updated_at: new Date().toISOString()
-      }, { onConflict: "session_id" });
-    } else {
-      await supabase.from("guide_rate_limits")
-        .update({ count: data.count + 1, updated_at: new Date().toISOString() })
-        .eq("session_id", sessionId);
-    }
+    const { data } = await repo.guideRateLimits.get(sessionId);
+    const fresh = !data || data.date !== today;
+    await repo.guideRateLimits.set(sessionId, {
+      date: today,
+      count: fresh ? 1 : data.count + 1,
+      updated_at: new Date().toISOString()
+    });
   } catch(e) {
     console.error("consumeGuideMsg error:", e.message);
   }
@@ -657,60 +575,14 @@ async function consumeGuideMsg(sessionId) {
 // 🔧 Transcript Parsing Helpers
 // ============================================================
 
-function parseAndChunkTranscript(content, maxChunkChars = 500) {
-  const lines = content.split("\n").filter((l) => l.trim());
-  const segments = [];
-
-  for (const line of lines) {
-    const match = line.match(/\[(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})\]\s*(.*)/);
-    if (match) {
-      const text = match[3].trim();
-      if (text) {
-        segments.push({
-          startTime: match[1],
-          endTime: match[2],
-          text: text,
-        });
-      }
-    }
-  }
-
-  const chunks = [];
-  let currentSegments = [];
-  let currentLength = 0;
-
-  for (const seg of segments) {
-    if (currentLength + seg.text.length > maxChunkChars && currentSegments.length > 0) {
-      chunks.push({
-        content: currentSegments.map((s) => s.text).join(" "),
-        startTime: currentSegments[0].startTime,
-        endTime: currentSegments[currentSegments.length - 1].endTime,
-      });
-      currentSegments = [];
-      currentLength = 0;
-    }
-
-    currentSegments.push(seg);
-    currentLength += seg.text.length + 1;
-  }
-
-  if (currentSegments.length > 0) {
-    chunks.push({
-      content: currentSegments.map((s) => s.text).join(" "),
-      startTime: currentSegments[0].startTime,
-      endTime: currentSegments[currentSegments.length - 1].endTime,
-    });
-  }
-
-  return chunks;
-}
+// parseAndChunkTranscript اتنقل لـ transcript-parser.js (SRT / VTT / JSON / نص + الصيغة القديمة)
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
 
-app.get("/api/debug-guide", adminAuth, async (req, res) => {
+app.get("/api/debug-guide", adminAuth("read"), async (req, res) => {
   const courseName = req.query.course || "";
   const lessonTitle = req.query.lesson || "";
   
@@ -731,11 +603,7 @@ app.get("/api/debug-guide", adminAuth, async (req, res) => {
     if (courseMatch) {
       // Step 2: Get all lessons
       // MIGRATED: teachable_lectures.course_id → teachable_courses.teachable_course_id
-      const { data: lessons } = await supabase
-        .from("teachable_lectures")
-        .select(LECTURE_SELECT_COLS)
-        .eq("course_id", courseMatch.teachable_course_id)
-        .order("position", { ascending: true });
+      const { data: lessons } = await repo.lectures.byCourse(courseMatch.teachable_course_id, { select: LECTURE_SELECT_COLS });
       result.step2_lessons = (lessons || []).map(l => ({
         id: l.id,
         title: l.name,
@@ -818,8 +686,7 @@ app.post("/api/guide/quiz", limiter, async (req, res) => {
   ]
 }`;
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const completion = await llm.chat("guide_quiz", {
       messages: [
         { role: "system", content: "أنت مساعد متخصص في إنشاء أسئلة اختبار. رد بـ JSON فقط." },
         { role: "user", content: prompt }
@@ -894,8 +761,7 @@ app.post("/api/guide/tool", limiter, async (req, res) => {
     const selected = prompts[tool];
     if (!selected) return res.status(400).json({ error: "Unknown tool" });
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const completion = await llm.chat("guide_tool", {
       messages: [
         { role: "system", content: selected.system },
         { role: "user", content: selected.user }
@@ -929,17 +795,11 @@ app.post("/api/guide/tool", limiter, async (req, res) => {
       const courseMatch = await findCourseByName(courseName);
       if (!courseMatch) return res.json({ exists: false });
       // MIGRATED: teachable_lectures.course_id references teachable_courses.teachable_course_id
-      const { data: lessons } = await supabase
-        .from("teachable_lectures")
-        .select("teachable_lecture_id")
-        .eq("course_id", courseMatch.teachable_course_id);
+      const { data: lessons } = await repo.lectures.idsByCourse(courseMatch.teachable_course_id);
       if (!lessons || lessons.length === 0) return res.json({ exists: false });
       const lectureIds = lessons.map(l => l.teachable_lecture_id).filter(Boolean);
       if (lectureIds.length === 0) return res.json({ exists: false });
-      const { count } = await supabase
-        .from("chunks")
-        .select("id", { count: "exact", head: true })
-        .in("teachable_lecture_id", lectureIds);
+      const { count } = await repo.chunks.countForLectures(lectureIds);
       return res.json({ exists: (count || 0) > 0, course_title: courseMatch.title, chunks_count: count || 0 });
     } catch (e) {
       console.error("❌ check-course error:", e.message);
@@ -949,7 +809,7 @@ app.post("/api/guide/tool", limiter, async (req, res) => {
 
   // ═══ health endpoint ═══
   app.get("/api/guide/health", (req, res) => {
-    res.json({ status: "ok", supabase: supabaseConnected, openai: !!openai });
+    res.json({ status: "ok", supabase: supabaseConnected, openai: llm.available("guide") });
   });
 
   // ═══ status endpoint ═══
@@ -968,14 +828,10 @@ app.post("/api/guide/tool", limiter, async (req, res) => {
 
 // ─── findCourseByName ───
 async function findCourseByName(courseName) {
-  if (!supabase || !courseName) return null;
+  if (!repo || !courseName) return null;
   try {
     // MIGRATED: teachable_courses uses 'name' (not 'title')
-    const { data: matches } = await supabase
-      .from("teachable_courses")
-      .select(COURSE_SELECT_COLS)
-      .ilike("name", `%${courseName}%`)
-      .limit(5);
+    const { data: matches } = await repo.courses.findByName(courseName, { select: COURSE_SELECT_COLS });
 
     if (matches && matches.length > 0) {
       const normName = normalizeArabic(courseName.toLowerCase());
@@ -996,10 +852,7 @@ async function findCourseByName(courseName) {
     }
 
     // Fuzzy fallback
-    const { data: all } = await supabase
-      .from("teachable_courses")
-      .select(COURSE_SELECT_COLS)
-      .limit(500);
+    const { data: all } = await repo.courses.all({ select: COURSE_SELECT_COLS });
     if (!all) return null;
 
     const normName = normalizeArabic(courseName.toLowerCase());
@@ -1026,43 +879,31 @@ async function findCourseByName(courseName) {
 // NOTE: courseId parameter MUST be teachable_course_id (bigint external),
 // because teachable_lectures.course_id references teachable_courses.teachable_course_id
 async function findLessonByTitle(lessonTitle, courseId = null) {
-  if (!supabase || !lessonTitle) return null;
+  if (!repo || !lessonTitle) return null;
   try {
     // Step 1: Direct ilike (MIGRATED: 'title' → 'name')
-    let query = supabase
-      .from("teachable_lectures")
-      .select(LECTURE_SELECT_COLS)
-      .ilike("name", `%${lessonTitle}%`)
-      .limit(10);
-    if (courseId) query = query.eq("course_id", courseId);
-    let { data } = await query;
+    let { data } = await repo.lectures.searchByName([lessonTitle], {
+      select: LECTURE_SELECT_COLS,
+      courseId,
+      limit: 10,
+    });
 
     // Step 2: Try individual words (for bilingual titles)
     if (!data || data.length === 0) {
       const words = lessonTitle.split(/\s+/).filter((w) => w.length > 3);
       if (words.length > 0) {
-        const partialFilter = words
-          .slice(0, 4)
-          .map((w) => `name.ilike.%${w}%`)
-          .join(",");
-        let q2 = supabase
-          .from("teachable_lectures")
-          .select(LECTURE_SELECT_COLS)
-          .or(partialFilter)
-          .limit(10);
-        if (courseId) q2 = q2.eq("course_id", courseId);
-        const { data: d2 } = await q2;
+        const { data: d2 } = await repo.lectures.searchByName(words.slice(0, 4), {
+          select: LECTURE_SELECT_COLS,
+          courseId,
+          limit: 10,
+        });
         data = d2;
       }
     }
 
     // Step 3: Get ALL lessons for course as fallback
     if ((!data || data.length === 0) && courseId) {
-      const { data: allLessons } = await supabase
-        .from("teachable_lectures")
-        .select(LECTURE_SELECT_COLS)
-        .eq("course_id", courseId)
-        .order("position", { ascending: true });
+      const { data: allLessons } = await repo.lectures.byCourse(courseId, { select: LECTURE_SELECT_COLS });
       data = allLessons;
     }
 
@@ -1428,34 +1269,70 @@ ${summaryInstruction}
   return parts.join("\n");
 }
 
-// ─── /api/guide main endpoint ───
-app.post("/api/guide", limiter, async (req, res) => {
-    try {
-      const {
-        message,
-        session_id,
-        course_name,
-        lecture_title,
-        system_prompt,
-      } = req.body;
+// ─── chunkSource ───
+// مصدر واحد للـ client: الدرس + الكورس + التوقيت + الـ chunk + لينك الدرس
+function chunkSource(c, lectureTitle, course) {
+  const lectureId = c.teachable_lecture_id || c.lesson_id || null;
+  const courseId = course ? course.teachable_course_id : (c.course_id || null);
+  return {
+    chunk_id: c.id,
+    lecture_id: lectureId,
+    lecture_title: lectureTitle || c.lesson_title || c.lecture_name || "",
+    course_id: courseId || null,
+    course_title: course ? course.title : "",
+    timestamp: c.timestamp_start || null,
+    seconds: parseClock(c.timestamp_start),
+    url: courseId && lectureId ? `https://easyt.online/courses/${courseId}/lectures/${lectureId}` : null,
+  };
+}
 
-      if (!message || !session_id) {
-        return res
-          .status(400)
-          .json({ error: "Missing message or session_id" });
-      }
+function uniqueSources(sources, max = 8) {
+  const seen = new Set();
+  return sources.filter((s) => {
+    if (!s.chunk_id || seen.has(s.chunk_id)) return false;
+    seen.add(s.chunk_id);
+    return true;
+  }).slice(0, max);
+}
 
-      const remaining = await getGuideRemaining(session_id);
-      if (remaining <= 0) {
-        return res.json({
-          reply:
-            "⚠️ خلصت رسائلك النهارده (15 رسالة يومياً).\nهتتجدد تلقائياً الساعة 12 منتصف الليل بتوقيتك 💪",
-          remaining_messages: 0,
-        });
-      }
+// ─── citeSources ───
+// المصادر اللي الرد اعتمد عليها فعلاً (مش كل اللي اتبعت في الـ context):
+// 1) التوقيتات اللي الرد ذكرها ("في الدقيقة 3:15") → الـ chunk اللي بيبدأ عندها أو قبلها بشوية
+// 2) لو مفيش توقيت → نتايج البحث في الدرس الحالي أو في درس الرد ذكر اسمه
+function citeSources(reply, { candidates = [], hits = [], currentLectureId = null }, max = 4) {
+  const text = (reply || "").replace(/<[^>]*>/g, " ");
+  const mentioned = (text.match(/\d{1,2}:\d{2}(?::\d{2})?/g) || [])
+    .map((t) => parseClock(t))
+    .filter((t) => t !== null);
+
+  const cited = [];
+  for (const t of mentioned) {
+    let best = null;
+    for (const s of candidates) {
+      if (s.seconds === null || s.seconds > t || t - s.seconds > 180) continue;
+      const better = !best
+        || s.seconds > best.seconds
+        || (s.seconds === best.seconds && s.lecture_id === currentLectureId);
+      if (better) best = s;
+    }
+    if (best) cited.push(best);
+  }
 
-      await consumeGuideMsg(session_id);
+  if (cited.length === 0) {
+    const normReply = normalizeArabic(text.toLowerCase());
+    for (const s of hits) {
+      const named = s.lecture_title && normReply.includes(normalizeArabic(s.lecture_title.toLowerCase()));
+      if (s.lecture_id === currentLectureId || named) cited.push(s);
+    }
+  }
+  return uniqueSources(cited, max);
+}
 
+// ─── prepareGuideTurn ───
+// الـ pipeline المشترك بين /api/guide و /api/guide/stream:
+// تعليمات البوت + تسجيل رسالة المستخدم + RAG + الـ system prompt + الـ conversation.
+// بيرجع { early } لو الرد جاهز من غير GPT، غير كده الـ turn بالـ conv جاهز للـ LLM
+async function prepareGuideTurn({ message, session_id, course_name, lecture_title, system_prompt, remaining }) {
   // 🆕 تحميل تعليمات المرشد التعليمي
       const guideInstructions = await loadBotInstructions("guide");
 
@@ -1480,6 +1357,9 @@ let currentLessonContext = "";
       let lessonMatch = null;
       let otherCourseRecommendation = null;  // 🆕 FIX #55
       let ragStats = { currentLesson: 0, semantic: 0, text: 0, otherLessons: 0, total: 0 };
+      let course = null;
+      const hits = [];        // نتايج البحث (semantic/text) بالترتيب
+      const candidates = [];  // كل الـ chunks اللي دخلت الـ prompt
 
       if (course_name || lecture_title) {
         try {
@@ -1495,15 +1375,12 @@ let currentLessonContext = "";
           // MIGRATED: courseId passed to child functions MUST be teachable_course_id (external bigint)
           // because teachable_lectures.course_id and RPC filter_course_id both use the external value.
           let courseId = courseMatch ? courseMatch.teachable_course_id : null;
+          course = courseMatch;
           console.log(`📚 Guide: course="${course_name}" → ${courseId ? courseMatch.title : "NOT FOUND"}`);
 
           // Step 1.5: Get ALL lessons (sorted by position)
           if (courseId) {
-            const { data: courseLessons } = await supabase
-              .from("teachable_lectures")
-              .select(LECTURE_SELECT_COLS)
-              .eq("course_id", courseId)
-              .order("position", { ascending: true });
+            const { data: courseLessons } = await repo.lectures.byCourse(courseId, { select: LECTURE_SELECT_COLS });
             // Normalize to legacy shape (title, lesson_order aliases)
             allCourseLessons = normalizeLectures(courseLessons || []);
             console.log(`📋 Found ${allCourseLessons.length} lessons in course`);
@@ -1544,6 +1421,7 @@ let currentLessonContext = "";
             // MIGRATED: chunks keyed by teachable_lecture_id (bigint external)
             const currentChunks = await getAllLessonChunks(lessonMatch.teachable_lecture_id, 50);
             ragStats.currentLesson = currentChunks.length;
+            currentChunks.forEach((c) => candidates.push(chunkSource(c, lessonMatch.title, course)));
             if (currentChunks.length > 0) {
               currentLessonContext = currentChunks.map((c) => {
                 const ts = c.timestamp_start ? `[⏱️ ${c.timestamp_start}]` : "";
@@ -1583,41 +1461,36 @@ if (smartTopic && smartTopic !== "CURRENT_COURSE" && smartTopic !== "NONE") {
 
 // 🆕 FIX #55+#58: Run both searches in parallel (with smart topic)
 const [semanticChunks, _otherCourseRec] = await Promise.all([
-    getRelevantChunks(searchQuery, courseId, 8),
+    getRelevantChunks(searchQuery, courseId, 12),
     otherCourseSearchText 
         ? searchOtherCoursesForGuide(otherCourseSearchText, courseId)
         : Promise.resolve(null),
 ]);
           otherCourseRecommendation = _otherCourseRec;
           
-          ragStats.semantic = semanticChunks.length;
+          ragStats.semantic = semanticChunks.filter((c) => c.scores.vector_rank).length;
+          ragStats.text = semanticChunks.filter((c) => c.scores.bm25_rank).length;
 
           for (const sc of semanticChunks) {
-            if (currentLessonId && sc.lesson_id === currentLessonId) continue;
+            if (currentLessonId && sc.lesson_id === currentLessonId) {
+              hits.push(chunkSource(sc, lessonMatch.title, course));
+              continue;
+            }
             const lessonName = lessonTitleMap.get(sc.lesson_id) || sc.lesson_title || "درس آخر";
             if (!otherChunksMap.has(lessonName)) otherChunksMap.set(lessonName, []);
             otherChunksMap.get(lessonName).push(sc);
           }
 
-          // Text search
-          const textTerms = message.split(/\s+/).filter((w) => w.length > 2 && !BASIC_STOP_WORDS.has(w.toLowerCase()));
-          if (textTerms.length > 0) {
-            const textChunks = await searchChunksByText(textTerms, courseId, null, 10);
-            ragStats.text = textChunks.length;
-            for (const tc of textChunks) {
-              if (currentLessonId && tc.lesson_id === currentLessonId) continue;
-              const lessonName = lessonTitleMap.get(tc.lesson_id) || tc.lesson_title || "درس آخر";
-              if (!otherChunksMap.has(lessonName)) otherChunksMap.set(lessonName, []);
-              const existing = otherChunksMap.get(lessonName);
-              if (!existing.find((e) => e.id === tc.id)) existing.push(tc);
-            }
-          }
-
           // Build other lessons context
           if (otherChunksMap.size > 0) {
             const parts = [];
             for (const [lessonName, chunks] of otherChunksMap) {
               ragStats.otherLessons += chunks.length;
+              chunks.slice(0, 4).forEach((c) => {
+                const src = chunkSource(c, lessonName, course);
+                hits.push(src);
+                candidates.push(src);
+              });
               const chunkTexts = chunks.slice(0, 4).map((c) => {
                 const ts = c.timestamp_start ? `[⏱️ ${c.timestamp_start}]` : "";
                 return `  ${ts} ${(c.content || "").substring(0, 1200)}`;
@@ -1674,7 +1547,7 @@ const _commercialMsg = message || "";
 const _commercialRegex = /سعر|الاشتراك|باقة|اشتراك|كام.*شهر|كام.*سن|بكام|بسعر|subscription|price|cost|تكلف/i;
 if (_commercialRegex.test(_commercialMsg) && !_commercialMsg.includes('كورس') && !_commercialMsg.includes('درس')) {
     const _earlyReply = 'ده خارج نطاق اللي أقدر أساعد فيه كمرشد تعليمي 😊 — روح <a href="https://easyt.online" target="_blank" style="color:#198754;font-weight:700">المساعد في الصفحة الرئيسية</a> وهو هيساعدك فوراً! أنا هنا لأي سؤال عن محتوى الدرس.';
-    return res.json({ reply: _earlyReply, remaining_messages: null, suggestions: [] });
+    return { early: { reply: _earlyReply, remaining_messages: null, suggestions: [], sources: [] } };
 }
 
 // 🆕 UPDATES_MODE: تجاوز الـ guide prompt وابعت system_prompt مباشرة
@@ -1733,19 +1606,23 @@ const finalSystemPrompt = (system_prompt && system_prompt.startsWith("UPDATES_MO
         ];
       }
 
-      // ═══ Call GPT ═══
-// ═══ Call GPT ═══
-const completion = await gptWithRetry(() => openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: conv.messages,
-        max_tokens: 1200,
-        temperature: 0.6,
-      }));
-
-      const reply = completion.choices[0].message.content;
+      return {
+        conv,
+        ragStats,
+        lessonMatch,
+        otherCourseRecommendation,
+        retrieval: {
+          hits,
+          candidates,
+          currentLectureId: lessonMatch ? lessonMatch.teachable_lecture_id : null,
+        },
+      };
+}
 
-      // 🆕 FIX #54: Post-processing — detect bot saying "ما اتكلمش" about current lesson
+// ─── postProcessGuideReply ───
+function postProcessGuideReply(reply, { lecture_title, lessonMatch, otherCourseRecommendation }) {
       let finalReply = reply;
+      // 🆕 FIX #54: Post-processing — detect bot saying "ما اتكلمش" about current lesson
       if (lecture_title && finalReply) {
         const normLecture = normalizeArabic((lecture_title || "").toLowerCase());
         const replyNorm = normalizeArabic((finalReply || "").toLowerCase());
@@ -1790,35 +1667,18 @@ const completion = await gptWithRetry(() => openai.chat.completions.create({
           finalReply += recText;
         }
       }
+      return finalReply;
+}
 
-
-
-      // Add to conversation history AFTER post-processing
-      conv.messages.push({ role: "assistant", content: finalReply });
-
-      const newRemaining = await getGuideRemaining(session_id);
-
-console.log(
-        `🎓 Guide v2.1 | Session: ${session_id.slice(0, 12)}... | Course: ${course_name || "N/A"} | Lecture: ${
-          lecture_title || "N/A"
-        } | RAG: ${ragStats.total > 0 ? `YES (${ragStats.total} chunks)` : "NO"
-        } | OtherCourse: ${otherCourseRecommendation ? otherCourseRecommendation.courseTitle : "NONE"
-        } | Remaining: ${newRemaining}`
-      );
-
-// 🆕 FIX #60: Make links clickable in guide replies
-      finalReply = markdownToHtml(finalReply);
-      finalReply = finalizeReply(finalReply);
-
+// ─── generateGuideSuggestions ───
 // 🆕 Generate smart suggestions — SPECIFIC, NEVER GENERIC
-let suggestions = [];
-if (newRemaining > 0) {
+async function generateGuideSuggestions(message, finalReply) {
+    let suggestions = [];
     try {
         const cleanReplyText = finalReply.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
         const replyLast800 = cleanReplyText.substring(Math.max(0, cleanReplyText.length - 800));
         
-        const suggResp = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
+        const suggResp = await llm.chat("guide_suggestions", {
             messages: [
                 {
                     role: "system",
@@ -1901,8 +1761,35 @@ if (newRemaining > 0) {
             }
         } catch (e) {}
     }
+    return suggestions;
 }
 
+// ─── finishGuideTurn ───
+// بعد ما الـ LLM يخلص (JSON أو stream): post-processing + history + suggestions + log
+async function finishGuideTurn(turn, reply, { message, session_id, course_name, lecture_title }) {
+      const { conv, ragStats, lessonMatch, otherCourseRecommendation, retrieval } = turn;
+      let finalReply = postProcessGuideReply(reply, { lecture_title, lessonMatch, otherCourseRecommendation });
+      const sources = citeSources(finalReply, retrieval);
+
+      // Add to conversation history AFTER post-processing
+      conv.messages.push({ role: "assistant", content: finalReply });
+
+      const newRemaining = await getGuideRemaining(session_id);
+
+console.log(
+        `🎓 Guide v2.1 | Session: ${session_id.slice(0, 12)}... | Course: ${course_name || "N/A"} | Lecture: ${
+          lecture_title || "N/A"
+        } | RAG: ${ragStats.total > 0 ? `YES (${ragStats.total} chunks)` : "NO"
+        } | OtherCourse: ${otherCourseRecommendation ? otherCourseRecommendation.courseTitle : "NONE"
+        } | Remaining: ${newRemaining}`
+      );
+
+// 🆕 FIX #60: Make links clickable in guide replies
+      finalReply = markdownToHtml(finalReply);
+      finalReply = finalizeReply(finalReply);
+
+      const suggestions = newRemaining > 0 ? await generateGuideSuggestions(message, finalReply) : [];
+
 // ═══ تسجيل رد المرشد في guide_logs ═══
       await logGuide(session_id, "assistant", finalReply, course_name, lecture_title, newRemaining, {
         version: "10.9",
@@ -1910,6 +1797,7 @@ if (newRemaining > 0) {
         lesson_found: !!lessonMatch,
         other_course: otherCourseRecommendation ? otherCourseRecommendation.courseTitle : null,
         suggestions_count: suggestions.length,
+        sources: sources.map((s) => s.chunk_id),
       });
 
 // 🆕 إصلاح لينك الصفحة الرئيسية لو الـ GPT نسي يضيفه
@@ -1926,11 +1814,54 @@ if (finalReply && _commercialKeywords.test(finalReply) && !finalReply.includes('
         ' — للتفاصيل روح <a href="https://easyt.online" target="_blank" style="color:#198754;font-weight:700;text-decoration:underline">المساعد في الصفحة الرئيسية</a> 😊 خلينا دلوقتي نركز في الدرس!';
 }
 
-res.json({
-    reply: finalReply,
-    remaining_messages: newRemaining,
-    suggestions: suggestions,
-});
+      return {
+        reply: finalReply,
+        remaining_messages: newRemaining,
+        suggestions,
+        sources,
+      };
+}
+
+// ─── /api/guide main endpoint ───
+app.post("/api/guide", limiter, async (req, res) => {
+    try {
+      const {
+        message,
+        session_id,
+        course_name,
+        lecture_title,
+        system_prompt,
+      } = req.body;
+
+      if (!message || !session_id) {
+        return res
+          .status(400)
+          .json({ error: "Missing message or session_id" });
+      }
+
+      const remaining = await getGuideRemaining(session_id);
+      if (remaining <= 0) {
+        return res.json({
+          reply:
+            "⚠️ خلصت رسائلك النهارده (15 رسالة يومياً).\nهتتجدد تلقائياً الساعة 12 منتصف الليل بتوقيتك 💪",
+          remaining_messages: 0,
+        });
+      }
+
+      await consumeGuideMsg(session_id);
+
+      const turn = await prepareGuideTurn({ message, session_id, course_name, lecture_title, system_prompt, remaining });
+      if (turn.early) return res.json(turn.early);
+
+      // ═══ Call GPT ═══
+const completion = await gptWithRetry(() => llm.chat("guide", {
+        messages: turn.conv.messages,
+        max_tokens: 1200,
+        temperature: 0.6,
+      }));
+
+      const reply = completion.choices[0].message.content;
+      res.json(await finishGuideTurn(turn, reply, { message, session_id, course_name, lecture_title }));
 
 } catch (error) {
       console.error("❌ Guide Error:", error.message);
@@ -1952,12 +1883,18 @@ res.status(500).json({
   });
 
 // ─── /api/guide/stream endpoint ───
+  // نفس pipeline الـ /api/guide بس الرد بيوصل delta بـ delta.
+  // Events: { delta } ... ثم { sources } و { suggestions } وفي الآخر { done, reply, remaining_messages, suggestions, sources }
+  // الـ reply في done هو النسخة النهائية (HTML بعد الـ post-processing) — الـ widget يستبدل بيها النص المتستريم
   app.post("/api/guide/stream", limiter, async (req, res) => {
     res.setHeader("Content-Type", "text/event-stream");
     res.setHeader("Cache-Control", "no-cache");
     res.setHeader("Connection", "keep-alive");
+    res.flushHeaders?.();
 
-    const send = (obj) => res.write(`data: ${JSON.stringify(obj)}\n\n`);
+    const send = (obj) => {
+      if (!res.writableEnded) res.write(`data: ${JSON.stringify(obj)}\n\n`);
+    };
 
     try {
       const { message, session_id, course_name, lecture_title, system_prompt } = req.body;
@@ -1973,37 +1910,17 @@ res.status(500).json({
 
       await consumeGuideMsg(session_id);
 
-      // Build context same as /api/guide
-      const guideInstructions = await loadBotInstructions("guide");
-      const guideConv = guideConversations[session_id] || { messages: [] };
-      guideConversations[session_id] = guideConv;
-
-      // Simple system prompt for stream
-      const sysPrompt = system_prompt && system_prompt.startsWith("UPDATES_MODE")
-        ? system_prompt
-        : buildGuideSystemPrompt({
-            courseName: course_name || "",
-            lectureTitle: lecture_title || "",
-            currentContext: "",
-            otherContext: "",
-            botInstructions: guideInstructions,
-            level: "طالب",
-          });
-
-      const messages = [
-        { role: "system", content: sysPrompt },
-        ...guideConv.messages.slice(-10),
-        { role: "user", content: message }
-      ];
-
-      guideConv.messages.push({ role: "user", content: message });
+      const turn = await prepareGuideTurn({ message, session_id, course_name, lecture_title, system_prompt, remaining });
+      if (turn.early) {
+        send({ delta: turn.early.reply });
+        send({ done: true, ...turn.early });
+        return res.end();
+      }
 
-      const stream = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages,
-        temperature: 0.7,
-        max_tokens: 1000,
-        stream: true,
+      const stream = await llm.stream("guide", {
+        messages: turn.conv.messages,
+        max_tokens: 1200,
+        temperature: 0.6,
       });
 
       let fullText = "";
@@ -2015,13 +1932,22 @@ res.status(500).json({
         }
       }
 
-      guideConv.messages.push({ role: "assistant", content: fullText });
-      const newRemaining = await getGuideRemaining(session_id);
-      send({ done: true, remaining_messages: newRemaining, suggestions: [] });
+      // الـ history والـ log بيتسجلوا حتى لو الـ client قفل
+      const result = await finishGuideTurn(turn, fullText, { message, session_id, course_name, lecture_title });
+      if (result.sources.length) send({ sources: result.sources });
+      if (result.suggestions.length) send({ suggestions: result.suggestions });
+      send({ done: true, ...result });
       res.end();
 
     } catch (e) {
       console.error("❌ Stream error:", e.message);
+      const errSessionId = req.body?.session_id || "unknown";
+      await logGuide(errSessionId, "assistant", "❌ ERROR: " + e.message, req.body?.course_name, req.body?.lecture_title, null, {
+        version: "10.9",
+        error: true,
+        error_message: e.message,
+        stream: true,
+      });
       send({ error: e.message });
       res.end();
     }
@@ -2041,8 +1967,7 @@ res.status(500).json({
       const SYS_PLAIN = "أنت مرشد تعليمي محترف. أجب بنص عادي واضح بدون HTML أو markdown أو **. ابدأ مباشرة بالمحتوى.";
       const SYS_JSON = "أنت مرشد تعليمي. رد بـ JSON نقي فقط بدون أي كلام قبله أو بعده.";
 
-      const call = (system, user, json) => openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const call = (system, user, json) => llm.chat("guide_pdf", {
         messages: [{ role: "system", content: system }, { role: "user", content: user }],
         temperature: 0.7,
         ...(json ? { response_format: { type: "json_object" } } : {})
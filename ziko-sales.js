@@ -16,7 +16,7 @@
 
 "use strict";
 
-module.exports = function registerSalesRoutes(app, { openai, supabase, limiter, adminAuth, adminLoginLimiter }) {
+module.exports = function registerSalesRoutes(app, { llm, supabase, repo, limiter, adminAuth, adminLoginLimiter }) {
 
 const {
   normalizeArabic, similarityRatio, finalizeReply, markdownToHtml,
@@ -45,21 +45,15 @@ const WHATSAPP_LINK = WHATSAPP_SUPPORT_LINK || "https://wa.me/201027007899";
 // Memory System — التعرف على المستخدم عبر الجلسات
 // ══════════════════════════════════════════════════════════
 
-const USER_SESSIONS_TABLE = 'user_sessions';
-
 async function loadUserMemory(userId) {
-  if (!userId) return { memory: {}, visit_count: 1 };
+  if (!userId || !repo) return { memory: {}, visit_count: 1 };
   
   try {
-    const { data, error } = await supabase
-      .from(USER_SESSIONS_TABLE)
-      .select('memory, visit_count')
-      .eq('user_id', userId)
-      .single();
+    const { data, error } = await repo.userSessions.get(userId);
     
     if (error || !data) {
       // مستخدم جديد
-      await supabase.from(USER_SESSIONS_TABLE).insert({
+      await repo.userSessions.create({
         user_id: userId,
         memory: {},
         first_seen: new Date().toISOString(),
@@ -72,13 +66,10 @@ async function loadUserMemory(userId) {
     
     // تحديث آخر زيارة
     const newVisitCount = (data.visit_count || 0) + 1;
-    await supabase
-      .from(USER_SESSIONS_TABLE)
-      .update({ 
-        last_seen: new Date().toISOString(),
-        visit_count: newVisitCount
-      })
-      .eq('user_id', userId);
+    await repo.userSessions.update(userId, {
+      last_seen: new Date().toISOString(),
+      visit_count: newVisitCount
+    });
     
     console.log(`💾 Loaded memory for ${userId} (visit #${newVisitCount})`);
     return { memory: data.memory || {}, visit_count: newVisitCount };
@@ -90,16 +81,13 @@ async function loadUserMemory(userId) {
 }
 
 async function saveUserMemory(userId, memory) {
-  if (!userId) return;
+  if (!userId || !repo) return;
   
   try {
-    await supabase
-      .from(USER_SESSIONS_TABLE)
-      .update({ 
-        memory,
-        last_seen: new Date().toISOString()
-      })
-      .eq('user_id', userId);
+    await repo.userSessions.update(userId, {
+      memory,
+      last_seen: new Date().toISOString()
+    });
     
     console.log(`💾 Saved memory for ${userId}`);
   } catch (e) {
@@ -140,16 +128,13 @@ setInterval(() => {
 // 🧹 تنظيف user_sessions من Supabase (كل ساعة)
 // يحذف المستخدمين اللي مفيش نشاط ليهم من أكتر من شهر
 setInterval(async () => {
-  if (!supabase) return;
+  if (!repo) return;
   
   try {
     const oneMonthAgo = new Date();
     oneMonthAgo.setDate(oneMonthAgo.getDate() - 30);
     
-    const { data, error } = await supabase
-      .from(USER_SESSIONS_TABLE)
-      .delete()
-      .lt('last_seen', oneMonthAgo.toISOString());
+    const { data, error } = await repo.userSessions.purgeInactiveSince(oneMonthAgo.toISOString());
     
     if (!error && data) {
       console.log(`🧹 Cleaned ${data.length} old user sessions`);
@@ -647,8 +632,7 @@ User: "قولى على افضل واحد بس"
 → needs_courses: false`;
 
   try {
-    const resp = await gptWithRetry(() => openai.chat.completions.create({
-      model: "gpt-4o",
+    const resp = await gptWithRetry(() => llm.chat("intent", {
       messages: [{ role: "system", content: prompt }],
       response_format: { type: "json_object" },
       temperature: 0.2,
@@ -780,46 +764,40 @@ async function performSearch(keywords, instructors) {
   if (results.courses.length === 0 && results.lessons.length === 0) {
     console.log(`🔍 Step 4: Starting chunks search for: ${keywords.join(", ")}`);
     try {
-      if (supabase) {
+      if (repo) {
         // كسّر الـ keywords لكلمات منفردة
         const chunkWords = [...new Set(
           keywords.flatMap(k => k.split(/\s+/)).filter(k => k.length > 2)
         )];
-        const chunkTextFilters = chunkWords
+        const chunkTerms = chunkWords
           .slice(0, 4)
           .flatMap(k => [k, k.replace(/ه$/g, 'ة').replace(/ة$/g, 'ه')])
-          .filter((k, i, arr) => arr.indexOf(k) === i)
-          .map(k => `content.ilike.%${k}%`)
-          .join(",");
+          .filter((k, i, arr) => arr.indexOf(k) === i);
 
         let textChunkCourses = [];
-        if (chunkTextFilters) {
-          console.log(`🔍 Chunk filters: ${chunkTextFilters}`);
+        if (chunkTerms.length > 0) {
+          console.log(`🔍 Chunk terms: ${chunkTerms.join(", ")}`);
           // MIGRATED: chunks use teachable_lecture_id (bigint external)
-          const { data: tc, error: tcError } = await supabase
-            .from("chunks")
-            .select("teachable_lecture_id, content, timestamp_start")
-            .or(chunkTextFilters)
-            .not("teachable_lecture_id", "is", null)
-            .limit(50);
+          const { data: tc, error: tcError } = await repo.chunks.searchText(chunkTerms, {
+            select: "teachable_lecture_id, content, timestamp_start",
+            limit: 50,
+          });
           if (tcError) console.error("❌ Text chunks error:", tcError.message, tcError.details);
           else console.log(`📝 Text chunks found: ${tc?.length || 0}`);
 
           if (tc && tc.length > 0) {
             // MIGRATED: map by teachable_lecture_id (external bigint)
             const lectureIds = [...new Set(tc.map(c => c.teachable_lecture_id).filter(Boolean))];
-            const { data: lessonData } = await supabase
-              .from("teachable_lectures")
-              .select("id, teachable_lecture_id, course_id, name")
-              .in("teachable_lecture_id", lectureIds);
+            const { data: lessonData } = await repo.lectures.byTeachableIds(lectureIds, {
+              select: "id, teachable_lecture_id, course_id, name",
+            });
 
             if (lessonData && lessonData.length > 0) {
               // lesson.course_id is teachable_course_id (external) — match to teachable_courses.teachable_course_id
               const courseIds = [...new Set(lessonData.map(l => l.course_id).filter(Boolean))];
-              const { data: courseDataRaw } = await supabase
-                .from("teachable_courses")
-                .select(COURSE_SELECT_COLS)
-                .in("teachable_course_id", courseIds);
+              const { data: courseDataRaw } = await repo.courses.byTeachableIds(courseIds, {
+                select: COURSE_SELECT_COLS,
+              });
 
               // Normalize courses (adds title/subtitle/link aliases)
               const courseData = normalizeCourses(courseDataRaw || []);
@@ -1087,7 +1065,8 @@ async function findFAQAnswer(message, threshold = 0.55) {
 // ══════════════════════════════════════════════════════════
 // askZiko — GPT conversation (الشخصية الجديدة)
 // ══════════════════════════════════════════════════════════
-async function askZiko(message, session, botInstructions, extraContext = "") {
+// onDelta(text) → الرد بيتبعت حتة حتة وهو بيتكتب (/chat/stream)
+async function askZiko(message, session, botInstructions, extraContext = "", { onDelta = null } = {}) {
   const historyMessages = session.history.slice(-6).map(h => ({
     role: h.role,
     content: h.content.substring(0, 300)
@@ -1174,8 +1153,7 @@ ${extraContext ? `══ سياق إضافي ══\n${extraContext}\n` : ""}
 ══ تعليمات الأدمن ══
 ${botInstructions || "لا توجد تعليمات"}`;
 
-  const resp = await gptWithRetry(() => openai.chat.completions.create({
-    model: "gpt-4o-mini",
+  const params = {
     messages: [
       { role: "system", content: systemPrompt },
       ...historyMessages,
@@ -1183,7 +1161,22 @@ ${botInstructions || "لا توجد تعليمات"}`;
     ],
     max_tokens: 600,
     temperature: 0.3,
-  }));
+  };
+
+  if (onDelta) {
+    const stream = await gptWithRetry(() => llm.stream("sales_reply", params));
+    let text = "";
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content || "";
+      if (delta) {
+        text += delta;
+        onDelta(delta);
+      }
+    }
+    return finalizeReply(markdownToHtml(text));
+  }
+
+  const resp = await gptWithRetry(() => llm.chat("sales_reply", params));
   return finalizeReply(markdownToHtml(resp.choices[0].message.content || ""));
 }
 
@@ -1382,8 +1375,7 @@ ${conversation}
 - كل why لازم يشير لحاجة محددة قالها المستخدم`;
 
   try {
-    const resp = await gptWithRetry(() => openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const resp = await gptWithRetry(() => llm.chat("sales_context", {
       messages: [{ role: "system", content: prompt }],
       response_format: { type: "json_object" },
       temperature: 0.1,
@@ -1524,8 +1516,31 @@ async function buildContextAwareResponse(results, responseData, maxItems) {
 // ══════════════════════════════════════════════════════════
 // Main Chat Handler (الشخصية الجديدة)
 // ══════════════════════════════════════════════════════════
-async function smartChat(message, sessionId, userId = null) {
+// ─── toCard ───
+// شكل مختصر للكورس/الدبلومة — بيتبعت كـ event في /chat/stream
+function toCard(item, isDiploma) {
+  return {
+    type: isDiploma ? "diploma" : "course",
+    id: item.id,
+    teachable_course_id: item.teachable_course_id || null,
+    title: item.title || item.name || "",
+    subtitle: item.subtitle || "",
+    url: item.link || (isDiploma ? ALL_DIPLOMAS_URL : ALL_COURSES_URL),
+    image: item.image || null,
+    price: item.price ?? null,
+  };
+}
+
+// emit(event) اختياري — /chat/stream بيستخدمه يبعت progress + الرد وهو بيتكتب + الكروت
+async function smartChat(message, sessionId, userId = null, emit = null) {
   const session = getSession(sessionId);
+  const progress = (event) => { if (emit) emit(event); };
+  const sendCards = (courses = [], diplomas = []) => {
+    if (!emit || (courses.length === 0 && diplomas.length === 0)) return;
+    emit({ cards: [...diplomas.map(d => toCard(d, true)), ...courses.map(c => toCard(c, false))] });
+  };
+  const onDelta = emit ? (text) => emit({ delta: text }) : null;
+  const ask = (extraContext = "") => askZiko(message, session, botInstructions, extraContext, { onDelta });
   const botInstructions = await loadBotInstructions("sales").catch(() => "");
 
   // 💾 تحميل Memory من Supabase (أول مرة فقط)
@@ -1581,6 +1596,7 @@ async function smartChat(message, sessionId, userId = null) {
   }
 
   // ── تحليل النية ──
+  progress({ status: "analyzing" });
   const intent = await analyzeIntent(message, session.history.slice(-4), session.hadClarify, isRepeated);
   console.log(`🎯 Intent: ${intent.type} | needs_courses: ${intent.needs_courses}`);
 
@@ -1594,13 +1610,13 @@ async function smartChat(message, sessionId, userId = null) {
 
   // ── Greeting ──
   if (intent.type === "greeting") {
-    reply = intent.conversational_reply || await askZiko(message, session, botInstructions);
+    reply = intent.conversational_reply || await ask();
     // مفيش suggestions ثابتة
   }
 
   // ── Defensive ──
   else if (intent.type === "defensive") {
-    reply = intent.conversational_reply || await askZiko(message, session, botInstructions);
+    reply = intent.conversational_reply || await ask();
   }
 
   // ── Educational Content ──
@@ -1611,7 +1627,7 @@ async function smartChat(message, sessionId, userId = null) {
   // ── Support ──
   else if (intent.type === "support") {
     try {
-      reply = await askZiko(message, session, botInstructions, 
+      reply = await ask(
         `المستخدم عنده مشكلة تقنية في منصة إيزي تي.
         
 حاول تساعده بحل سريع لو ممكن، وإلا وجهه للدعم.
@@ -1633,28 +1649,28 @@ async function smartChat(message, sessionId, userId = null) {
 
   // ── Subscription ──
   else if (intent.type === "subscription") {
-    reply = await askZiko(message, session, botInstructions, `المستخدم بيسأل عن اشتراك\nرابط الاشتراك: ${SUBSCRIPTION_URL}\nرابط طرق الدفع: ${PAYMENTS_URL}`);
+    reply = await ask(`المستخدم بيسأل عن اشتراك\nرابط الاشتراك: ${SUBSCRIPTION_URL}\nرابط طرق الدفع: ${PAYMENTS_URL}`);
   }
 
   // ── Comparison ──
   else if (intent.type === "comparison") {
-    reply = intent.conversational_reply || await askZiko(message, session, botInstructions);
+    reply = intent.conversational_reply || await ask();
   }
 
   // ── Info ──
   else if (intent.type === "info") {
-    reply = intent.conversational_reply || await askZiko(message, session, botInstructions);
+    reply = intent.conversational_reply || await ask();
   }
 
   // ── Conversational ──
   else if (intent.type === "conversational") {
-    reply = intent.conversational_reply || await askZiko(message, session, botInstructions);
+    reply = intent.conversational_reply || await ask();
   }
 
   // ── Recommend (النصيحة بدون عرض) ──
   else if (intent.type === "recommend") {
     // زيكو ينصح ويقترح — لكن مايعرضش كورسات
-    reply = intent.conversational_reply || await askZiko(message, session, botInstructions, 
+    reply = intent.conversational_reply || await ask(
       `المستخدم عبّر عن رغبة في التعلم لكن مش طلب مباشر.
       
 **مهمتك:**
@@ -1719,16 +1735,16 @@ async function smartChat(message, sessionId, userId = null) {
 
       if (foundInstructor) {
         // SCHEMA: teachable_courses.author_user_id → teachable_authors.id
-        const { data: coursesRaw } = await supabase
-          .from("teachable_courses")
-          .select(COURSE_SELECT_COLS)
-          .eq("author_user_id", foundInstructor.id)
-          .limit(30);
+        const { data: coursesRaw } = await repo.courses.byAuthor(foundInstructor.id, {
+          select: COURSE_SELECT_COLS,
+        });
 
         const courses = normalizeCourses(coursesRaw || []);
         if (courses && courses.length > 0) {
+          progress({ status: "found", courses: courses.length, diplomas: 0 });
           reply = `👨‍🏫 <strong>كورسات ${escapeHtml(foundInstructor.name)}:</strong><br><br>`;
           const withDiploma = await injectDiplomaInfo(courses).catch(() => courses);
+          sendCards(withDiploma.slice(0, 5));
           withDiploma.slice(0, 5).forEach((c, i) => {
             reply += formatCourseCard(c, instructors, i + 1);
           });
@@ -1764,6 +1780,8 @@ async function smartChat(message, sessionId, userId = null) {
         if (courses.length === 0) {
           reply += "الدبلومة دي مش فيها كورسات مسجلة دلوقتي.";
         } else {
+          progress({ status: "found", courses: courses.length, diplomas: 1 });
+          sendCards(courses, [diploma]);
           reply += `📚 <strong>الكورسات (${courses.length} كورس):</strong><br><br>`;
           const instructors = await getInstructors().catch(() => []);
           courses.forEach((c, i) => { reply += formatCourseCard(c, instructors, i + 1); });
@@ -1791,7 +1809,7 @@ async function smartChat(message, sessionId, userId = null) {
     if (isRepeated) {
       console.log("🔁 المستخدم كرر نفسه في clarify — هنعتبرها 'كل حاجة' ونعرض دبلومة");
       // نحول لـ recommend ونقترح دبلومة شاملة
-      reply = await askZiko(message, session, botInstructions, 
+      reply = await ask(
         `المستخدم كرر نفس السؤال — يعني مش فاهم أو عايز كل حاجة.
         
 **مهمتك:**
@@ -1832,11 +1850,19 @@ async function smartChat(message, sessionId, userId = null) {
         
         if (context && context.search_plan && context.search_plan.length > 0) {
           console.log(`🔍 Executing search plan with ${context.search_plan.length} queries...`);
+          progress({ status: "searching", keywords: context.search_plan.flatMap(p => p.keywords || []) });
           const results = await executeSearchPlan(context.search_plan);
           console.log(`📋 Search results: ${results.length} items found`);
           
           if (results.length > 0) {
             console.log(`✅ Context-aware SUCCESS - showing ${results.length} results`);
+            const shown = results.slice(0, context.max_items || 2);
+            progress({
+              status: "found",
+              courses: shown.filter(r => !r.isDiploma).length,
+              diplomas: shown.filter(r => r.isDiploma).length,
+            });
+            sendCards(shown.filter(r => !r.isDiploma).map(r => r.item), shown.filter(r => r.isDiploma).map(r => r.item));
             reply = await buildContextAwareResponse(
               results, 
               context.response, 
@@ -1937,6 +1963,7 @@ async function smartChat(message, sessionId, userId = null) {
       keywords = [...keywords, "scratch", "أطفال"];
     }
 
+    progress({ status: "searching", keywords });
     const results = await performSearch(keywords, [], audience);
 
     // 🧠 GPT SMART FILTER — Select most relevant courses
@@ -2000,8 +2027,7 @@ ${courseList.map(c => `[${c.id}] ${c.title} ${c.isDiploma ? "(دبلومة)" : "
   "reasoning": "short explanation in Arabic"
 }`;
 
-        const filterResp = await gptWithRetry(() => openai.chat.completions.create({
-          model: "gpt-4o-mini",
+        const filterResp = await gptWithRetry(() => llm.chat("sales_filter", {
           temperature: 0.3,
           max_tokens: 300,
           messages: [{ role: "user", content: filterPrompt }],
@@ -2045,6 +2071,12 @@ ${courseList.map(c => `[${c.id}] ${c.title} ${c.isDiploma ? "(دبلومة)" : "
     const hasResults = (filteredResults.courses && filteredResults.courses.length > 0)
                       || (filteredResults.diplomas && filteredResults.diplomas.length > 0);
     const finalResults = hasResults ? filteredResults : results;
+    progress({
+      status: "found",
+      courses: (finalResults.courses || []).length,
+      diplomas: (finalResults.diplomas || []).length,
+    });
+    sendCards(finalResults.courses || [], finalResults.diplomas || []);
     const displayTopic = keywords[0] || message;
     reply = await formatResults(finalResults, displayTopic, session);
 
@@ -2061,7 +2093,7 @@ ${courseList.map(c => `[${c.id}] ${c.title} ${c.isDiploma ? "(دبلومة)" : "
 
   // ── Fallback ──
   else {
-    reply = await askZiko(message, session, botInstructions);
+    reply = await ask();
   }
 
   // ══════════════════════════════════════════════════════════
@@ -2118,8 +2150,46 @@ app.post("/chat", limiter, async (req, res) => {
   }
 });
 
+// ─── /chat/stream (SSE) ───
+// events: { status: "analyzing" | "searching" | "found" } → { delta } (الرد وهو بيتكتب)
+//         → { cards: [...] } → { done: true, reply, suggestions, options }
+app.post("/chat/stream", limiter, async (req, res) => {
+  const { message, session_id, user_id } = req.body;
+  if (!message || !session_id) {
+    return res.status(400).json({ error: "Missing message or session_id" });
+  }
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  let closed = false;
+  res.on("close", () => { closed = true; });
+  const send = (obj) => { if (!closed) res.write(`data: ${JSON.stringify(obj)}\n\n`); };
+
+  try {
+    const result = await smartChat(message.trim(), session_id, user_id || null, send);
+    send({ done: true, ...result });
+  } catch (e) {
+    // التفاصيل في الـ log بس — الـ client بياخد flag عام
+    console.error("❌ Chat stream error:", e.stack || e.message);
+    send({
+      done: true,
+      error: "internal_error",
+      reply: "عذراً، حصل خطأ تقني! 😅 حاول تاني أو تواصل معنا.",
+      suggestions: ["تواصل معنا 💬"],
+    });
+  }
+  res.end();
+});
+
 app.get("/chat/health", (req, res) => {
   res.json({ status: "ok", sessions: sessions.size });
 });
 
+// replay-sales.js بيستخدمهم عشان يعيد محادثات من غير HTTP
+return { smartChat, sessions };
+
 }; // end registerSalesRoutes